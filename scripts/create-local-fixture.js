@@ -0,0 +1,146 @@
+/**
+ * Create fixtures for the local environment (STORACHA_ENV=local)
+ *
+ * Generates a legacy space owned by a customer with a few uploads, half
+ * stored with the store protocol (.car) and half with the blob protocol
+ * (.blob), and writes:
+ *
+ *   <out>/carpark/...   CAR files laid out like the carpark bucket
+ *   <out>/seed.json     upload, store, allocations and consumer items plus
+ *                       the space -> customer delegation
+ *
+ * Usage:
+ *   node scripts/create-local-fixture.js
+ *   node scripts/create-local-fixture.js --out local-fixtures --uploads 10 --blocks 50
+ *   STORACHA_ENV=local node src/migrate.js --customer did:mailto:example.com:alice
+ */
+import { parseArgs } from 'node:util'
+import { mkdir, writeFile } from 'node:fs/promises'
+import { randomBytes } from 'node:crypto'
+import path from 'node:path'
+import { CarWriter } from '@ipld/car/writer'
+import * as dagCBOR from '@ipld/dag-cbor'
+import { CID } from 'multiformats/cid'
+import * as raw from 'multiformats/codecs/raw'
+import { sha256 } from 'multiformats/hashes/sha2'
+import { base58btc } from 'multiformats/bases/base58'
+import * as ed25519 from '@ucanto/principal/ed25519'
+import { Absentee } from '@ucanto/principal'
+import { delegate } from '@ucanto/core'
+
+process.env.STORACHA_ENV ??= 'local'
+
+/**
+ * Encode blocks as a CAR file
+ *
+ * @param {CID} root
+ * @param {Array<{cid: CID, bytes: Uint8Array}>} blocks
+ * @returns {Promise<Uint8Array>}
+ */
+async function encodeCAR(root, blocks) {
+  const { writer, out } = CarWriter.create([root])
+  const chunks = []
+  const collect = (async () => {
+    for await (const chunk of out) {
+      chunks.push(chunk)
+    }
+  })()
+  for (const block of blocks) {
+    await writer.put(block)
+  }
+  await writer.close()
+  await collect
+  return new Uint8Array(Buffer.concat(chunks))
+}
+
+/**
+ * Create an upload: random raw blocks plus a dag-cbor root linking to them
+ *
+ * @param {number} blockCount
+ */
+async function createUpload(blockCount) {
+  const blocks = []
+  for (let i = 0; i < blockCount; i++) {
+    const bytes = new Uint8Array(randomBytes(1024 + Math.floor(Math.random() * 4096)))
+    blocks.push({ cid: CID.create(1, raw.code, await sha256.digest(bytes)), bytes })
+  }
+  const rootBytes = dagCBOR.encode({ blocks: blocks.map((block) => block.cid) })
+  const root = CID.create(1, dagCBOR.code, await sha256.digest(rootBytes))
+  const car = await encodeCAR(root, [{ cid: root, bytes: rootBytes }, ...blocks])
+  const shard = CID.create(1, 0x0202, await sha256.digest(car))
+  return { root, shard, car }
+}
+
+async function main() {
+  const { values } = parseArgs({
+    options: {
+      out: { type: 'string', default: 'local-fixtures' },
+      uploads: { type: 'string', default: '4' },
+      blocks: { type: 'string', default: '20' },
+      customer: { type: 'string', default: 'did:mailto:example.com:alice' },
+    },
+  })
+
+  const { config } = await import('../src/config.js')
+  const { formatProof } = await import('../src/lib/local/index.js')
+
+  const customer = /** @type {`did:mailto:${string}`} */ (values.customer)
+  const space = await ed25519.generate()
+  const now = new Date().toISOString()
+
+  /** @type {Record<string, Record<string, any>[]>} */
+  const tables = {
+    upload: [],
+    store: [],
+    allocations: [],
+    consumer: [
+      {
+        subscription: `local-subscription-${space.did()}`,
+        provider: config.services.uploadServiceDID,
+        consumer: space.did(),
+        customer,
+        insertedAt: now,
+      },
+    ],
+  }
+
+  for (let i = 0; i < parseInt(values.uploads, 10); i++) {
+    const { root, shard, car } = await createUpload(parseInt(values.blocks, 10))
+    const useStoreProtocol = i % 2 === 0
+
+    const id = useStoreProtocol ? shard.toString() : base58btc.encode(shard.multihash.bytes)
+    const file = path.join(values.out, 'carpark', id, `${id}.${useStoreProtocol ? 'car' : 'blob'}`)
+    await mkdir(path.dirname(file), { recursive: true })
+    await writeFile(file, car)
+
+    if (useStoreProtocol) {
+      tables.store.push({ space: space.did(), link: shard.toString(), size: car.length, insertedAt: now })
+    } else {
+      tables.allocations.push({ space: space.did(), multihash: id, size: car.length, insertedAt: now })
+    }
+    tables.upload.push({ space: space.did(), root: root.toString(), shards: [shard.toString()], insertedAt: now, updatedAt: now })
+    console.log(`  ✓ ${root} → ${shard} (${useStoreProtocol ? 'store' : 'blob'}, ${car.length} bytes)`)
+  }
+
+  // Space -> account delegation, used for gateway authorization
+  const delegation = await delegate({
+    issuer: space,
+    audience: Absentee.from({ id: customer }),
+    capabilities: [{ can: '*', with: space.did() }],
+    expiration: Infinity,
+  })
+
+  await mkdir(values.out, { recursive: true })
+  const seedPath = path.join(values.out, 'seed.json')
+  await writeFile(seedPath, JSON.stringify({ tables, delegations: [await formatProof(delegation)] }, null, 2))
+
+  console.log(`\n✅ Local fixtures written to ${values.out}`)
+  console.log(`   Customer: ${customer}`)
+  console.log(`   Space:    ${space.did()}`)
+  console.log(`\n   STORACHA_ENV=local node src/migrate.js --customer ${customer}`)
+}
+
+main().catch((error) => {
+  console.error('Fatal error:', error)
+  process.exit(1)
+})
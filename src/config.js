@@ -4,9 +4,11 @@
 import dotenv from 'dotenv'
 
 // Load environment-specific .env file based on STORACHA_ENV
-const envFile = process.env.STORACHA_ENV === 'production' 
-  ? '.env-production' 
-  : '.env-staging'
+const envFile = process.env.STORACHA_ENV === 'production'
+  ? '.env-production'
+  : process.env.STORACHA_ENV === 'local'
+    ? '.env-local'
+    : '.env-staging'
 
 console.log('Loading environment-specific .env file:', envFile)
 dotenv.config({ path: envFile, override: true })
@@ -105,6 +107,33 @@ const ENVIRONMENTS = {
     ipniStorePublishingQueue:
       'https://sqs.us-east-2.amazonaws.com/505595374361/store-protocol-staging-storage-ipni-publisher.fifo',
   },
+  // In-process stand-ins started by src/lib/local (see docs/LOCAL.md)
+  local: {
+    region: 'us-east-1',
+    tablePrefix: 'local-w3infra',
+    carparkBucket: 'carpark-local-0',
+    carparkPublicUrl: 'http://127.0.0.1:9301',
+    claimsBucket: 'local-storage-claim-store-bucket',
+    indexingServiceURL: 'http://127.0.0.1:9302',
+    indexingServiceDID: 'did:web:local.indexer.storacha.network',
+    indexWorkerURL: 'http://127.0.0.1:9303',
+    contentClaimsURL: 'http://127.0.0.1:9302',
+    claimsServiceDID: 'did:web:local.claims.web3.storage',
+    uploadServiceURL: 'http://127.0.0.1:9304',
+    uploadServiceDID: 'did:web:local.up.storacha.network',
+    gatewayServiceURL: 'http://127.0.0.1:9305',
+    gatewayServiceDID: 'did:web:local.w3s.link',
+    piriServiceDID: 'did:web:local.storage.storacha.network',
+    piriServiceURL: 'http://127.0.0.1:9306',
+    piriPeerID: '12D3KooWPMQTKSMA3eFUxc23gBfMHEgzfk7W1TBezKNsBwPMRLQ7',
+    storePiriPeerID: '12D3KooWBvQHQbfyBdpmvugFoVL6SU2t7FZMwAyU3Xv6fEEPVVUp',
+    storageProviders: ['did:web:local.up.storacha.network'],
+    ipniBlobPublishingBucket: 'local-storage-ipni-publisher',
+    ipniStorePublishingBucket: 'store-protocol-local-storage-ipni-publisher',
+    ipniBlobPublishingQueue: 'local://local-storage-ipni-publisher.fifo',
+    ipniStorePublishingQueue:
+      'local://store-protocol-local-storage-ipni-publisher.fifo',
+  },
 }
 
 /**
@@ -114,7 +143,7 @@ const getEnvironment = () => {
   const env = process.env.STORACHA_ENV || 'staging'
   if (!ENVIRONMENTS[env]) {
     throw new Error(
-      `Invalid STORACHA_ENV: ${env}. Must be 'production' or 'staging'`
+      `Invalid STORACHA_ENV: ${env}. Must be 'production', 'staging' or 'local'`
     )
   }
   return ENVIRONMENTS[env]
@@ -122,6 +151,12 @@ const getEnvironment = () => {
 
 const env = getEnvironment()
 
+// Prefix of the migration tracking tables (staging-, local- or prod-migration-*)
+const migrationTablePrefix =
+  process.env.STORACHA_ENV === 'staging' || process.env.STORACHA_ENV === 'local'
+    ? process.env.STORACHA_ENV
+    : 'prod'
+
 export const config = {
   environment: process.env.STORACHA_ENV || 'staging',
 
@@ -149,19 +184,16 @@ export const config = {
       `${process.env.STORACHA_ENV || 'production'}-content-claims-claims-v1`, // Content claims (location claims with space info)
     migrationSpaces:
       process.env.MIGRATION_SPACES_TABLE_NAME ||
-      `${
-        process.env.STORACHA_ENV === 'staging' ? 'staging' : 'prod'
-      }-migration-spaces`, // Migration space tracking
+      `${migrationTablePrefix}-migration-spaces`, // Migration space tracking
     migrationProgress:
       process.env.MIGRATION_PROGRESS_TABLE_NAME ||
-      `${
-        process.env.STORACHA_ENV === 'staging' ? 'staging' : 'prod'
-      }-migration-progress`, // Migration progress tracking (space-level)
+      `${migrationTablePrefix}-migration-progress`, // Migration progress tracking (space-level)
     migrationCustomers:
       process.env.MIGRATION_CUSTOMERS_TABLE_NAME ||
-      `${
-        process.env.STORACHA_ENV === 'staging' ? 'staging' : 'prod'
-      }-migration-customers`, // Migration customer tracking (customer-level)
+      `${migrationTablePrefix}-migration-customers`, // Migration customer tracking (customer-level)
+    migrationUploads:
+      process.env.MIGRATION_UPLOADS_TABLE_NAME ||
+      `${migrationTablePrefix}-migration-uploads`, // Migration upload tracking (upload-level)
   },
 
   addresses: {
@@ -199,6 +231,19 @@ export const config = {
     piriServiceDID: process.env.PIRI_SERVICE_DID || env.piriServiceDID,
     piriServiceURL: process.env.PIRI_SERVICE_URL || env.piriServiceURL,
     storageProviders: env.storageProviders, // Provider DIDs for querying consumer table
+    // Requests per second per target service, 0 for no limit (see src/lib/rate-limiter.js)
+    rateLimits: {
+      indexingService: parseFloat(process.env.INDEXING_SERVICE_RATE_LIMIT || '0'),
+      indexWorker: parseFloat(process.env.INDEX_WORKER_RATE_LIMIT || '0'),
+      uploadService: parseFloat(process.env.UPLOAD_SERVICE_RATE_LIMIT || '0'),
+      gatewayService: parseFloat(process.env.GATEWAY_SERVICE_RATE_LIMIT || '0'),
+      carpark: parseFloat(process.env.CARPARK_RATE_LIMIT || '0'),
+    },
+    // Indexing service circuit breaker (see src/lib/circuit-breaker.js)
+    circuitBreaker: {
+      threshold: parseInt(process.env.INDEXING_CIRCUIT_THRESHOLD || '5', 10), // Consecutive 5xx responses that pause the run
+      probeInterval: parseInt(process.env.INDEXING_CIRCUIT_PROBE_INTERVAL || '30000', 10), // Time between health probes while paused (ms)
+    },
   },
 
   queues: {
@@ -228,10 +273,36 @@ export const config = {
       process.env.IPNI_BLOB_PUBLISHING_BUCKET || env.ipniBlobPublishingBucket,
   },
 
+  http: {
+    timeout: parseInt(process.env.HTTP_TIMEOUT || '30000', 10), // Outbound request timeout per attempt (ms, 0 for none)
+    retries: parseInt(process.env.HTTP_RETRIES || '3', 10), // Retries on network errors, timeouts, 429 and 5xx
+    minRetryDelay: parseInt(process.env.HTTP_RETRY_MIN_DELAY || '250', 10), // Backoff base delay (ms)
+    maxRetryDelay: parseInt(process.env.HTTP_RETRY_MAX_DELAY || '10000', 10), // Backoff and Retry-After cap (ms)
+  },
+
   migration: {
     batchSize: parseInt(process.env.BATCH_SIZE || '100', 10),
     maxConcurrency: parseInt(process.env.MAX_CONCURRENCY || '10', 10),
     dryRun: process.env.DRY_RUN === 'true',
+    eventLog: process.env.EVENT_LOG, // NDJSON event log destination (file path or '-' for stdout)
+    leaseDuration: parseInt(process.env.LEASE_DURATION || '300000', 10), // Space/customer lease duration (ms), renewed every third of it
+    staleUploadAfter: parseInt(process.env.STALE_UPLOAD_AFTER || '3600000', 10), // Uploads in progress for longer (ms) are retried by --retry-failed
+    metricsPort: process.env.METRICS_PORT ? parseInt(process.env.METRICS_PORT, 10) : undefined, // Serve Prometheus metrics on this port
+    indexer: process.env.INDEXER || 'worker', // Shard indexer: 'worker' (index worker) or 'local' (stream and index CARs locally)
+    indexerSource: process.env.INDEXER_SOURCE, // Local indexer: carpark URL or directory (default: carparkPublicUrl)
+    indexCache: process.env.INDEX_CACHE || 'off', // Generated index cache: directory, s3://bucket/prefix or 'off' (default)
+    shardConcurrency: parseInt(process.env.SHARD_CONCURRENCY || '10', 10), // Shards of an upload indexed in parallel
+    indexRequestTimeout: parseInt(process.env.INDEX_REQUEST_TIMEOUT || '120000', 10), // Index worker request timeout (ms)
+    adaptiveConcurrency: process.env.ADAPTIVE_CONCURRENCY === 'true', // Adjust upload concurrency to service health
+    minConcurrency: parseInt(process.env.MIN_CONCURRENCY || '1', 10), // Adaptive concurrency floor
+    maxErrorRate: parseFloat(process.env.ADAPTIVE_MAX_ERROR_RATE || '0.05'), // Error rate (network errors, 429, 5xx) that lowers concurrency
+    maxLatency: parseInt(process.env.ADAPTIVE_MAX_LATENCY || '15000', 10), // Average response time (ms) that lowers concurrency
+    policyFile: process.env.MIGRATION_POLICY || 'migration-policy.json', // Customer/space/upload skip and include rules (see lib/migration-policy.js)
+  },
+
+  local: {
+    // Seed data and carpark CAR files for the local environment
+    fixturesDir: process.env.LOCAL_FIXTURES_DIR || 'local-fixtures',
   },
 
   credentials: {
@@ -16,8 +16,8 @@ dotenv.config({ path: envFile, override: true })
 import { parseArgs } from 'node:util'
 import { validateConfig } from './config.js'
 import { getUploadsForSpace } from './lib/tables/upload-table.js'
-import { getShardSize } from './lib/tables/shard-data-table.js'
-import { generateShardedIndex } from './lib/index-worker.js'
+import { sampleUpload } from './lib/work-estimate.js'
+import { generateShardedIndex, configureIndexer } from './lib/index-worker.js'
 import { getErrorMessage } from './lib/error-utils.js'
 
 /**
@@ -94,10 +94,9 @@ async function estimateCosts(sampleSize, spaceFilter, dryRun = false) {
       try {
         // Get shard sizes (needed for worker call)
         console.log(`  Loading ${upload.shards.length} shard(s) from DB...`)
-        const shards = []
-        for (const shardCID of upload.shards) {
-          const size = await getShardSize(upload.space, shardCID)
-          shards.push({ cid: shardCID, size })
+        const { shards, missingShards } = await sampleUpload(upload, { checkIndex: false })
+        if (missingShards > 0) {
+          throw new Error(`${missingShards} shard(s) not found in allocations or store table`)
         }
         console.log(`  ✓ Loaded ${shards.length} shard(s), generating index...`)
         
@@ -314,6 +313,9 @@ async function main() {
     console.log()
   }
   
+  // Estimates are for the index worker, whatever INDEXER is set to
+  configureIndexer({ backend: 'worker' })
+
   // Run estimation
   const stats = await estimateCosts(sampleSize, values.space, dryRun)
   
@@ -0,0 +1,111 @@
+#!/usr/bin/env node
+/**
+ * List and purge the cache of generated indexes
+ *
+ * Indexes are cached by the migration until they are registered, so whatever
+ * is left belongs to uploads whose index upload or registration failed, and
+ * shard checkpoints to uploads whose indexing failed.
+ *
+ * Usage:
+ *   node src/index-cache.js                                   # List cached indexes
+ *   node src/index-cache.js --cache s3://my-bucket/index-cache
+ *   node src/index-cache.js --purge                           # Remove every cached index
+ *   node src/index-cache.js --purge --root bafy...            # Remove the indexes of one upload
+ *   node src/index-cache.js --purge --older-than 7            # Remove indexes cached over 7 days ago
+ */
+import dotenv from 'dotenv'
+const envFile = process.env.STORACHA_ENV === 'production'
+  ? '.env-production'
+  : process.env.STORACHA_ENV === 'local'
+    ? '.env-local'
+    : '.env-staging'
+dotenv.config({ path: envFile, override: true })
+import { parseArgs } from 'node:util'
+import {
+  configureIndexCache,
+  getIndexCacheLocation,
+  listCachedIndexes,
+  listShardCheckpoints,
+  purgeCachedIndexes,
+} from './lib/stores/index-cache.js'
+
+/**
+ * @param {number} bytes
+ */
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KiB`
+  return `${(bytes / 1024 / 1024).toFixed(1)} MiB`
+}
+
+/**
+ * @param {import('./lib/stores/index-cache.js').CachedIndex[]} entries
+ */
+function summarize(entries) {
+  const checkpoints = entries.filter((entry) => entry.key.startsWith('checkpoints/')).length
+  return `${entries.length - checkpoints} cached indexes, ${checkpoints} shard checkpoints`
+}
+
+async function main() {
+  const { values } = parseArgs({
+    options: {
+      cache: {
+        type: 'string',
+        description: 'Index cache: directory or s3://bucket/prefix (default: INDEX_CACHE)',
+      },
+      purge: {
+        type: 'boolean',
+        default: false,
+        description: 'Remove cached indexes (all, or those matching --root / --older-than)',
+      },
+      root: {
+        type: 'string',
+        description: 'Only indexes of this upload root CID',
+      },
+      'older-than': {
+        type: 'string',
+        description: 'Only indexes cached more than this many days ago',
+      },
+    },
+  })
+
+  if (values.cache) {
+    configureIndexCache(values.cache)
+  }
+  const location = getIndexCacheLocation()
+  if (!location) {
+    console.log('Index cache is off')
+    return
+  }
+
+  const before = values['older-than']
+    ? new Date(Date.now() - parseFloat(values['older-than']) * 24 * 60 * 60 * 1000)
+    : undefined
+
+  if (values.purge) {
+    const purged = await purgeCachedIndexes({ root: values.root, before })
+    const bytes = purged.reduce((sum, entry) => sum + entry.size, 0)
+    console.log(`🗑️  Removed ${summarize(purged)} (${formatBytes(bytes)}) from ${location}`)
+    return
+  }
+
+  const entries = [
+    ...(await listCachedIndexes()),
+    ...(values.root ? [] : await listShardCheckpoints()),
+  ].filter(
+    (entry) => (!values.root || entry.root === values.root) && (!before || entry.modified < before)
+  )
+  console.log(`Index cache: ${location}`)
+  console.log('='.repeat(70))
+  for (const entry of entries) {
+    console.log(`  ${entry.modified.toISOString()}  ${formatBytes(entry.size).padStart(10)}  ${entry.key}`)
+  }
+  const bytes = entries.reduce((sum, entry) => sum + entry.size, 0)
+  console.log('='.repeat(70))
+  console.log(`📦 ${summarize(entries)}, ${formatBytes(bytes)}`)
+}
+
+main().catch((error) => {
+  console.error('Fatal error:', error)
+  process.exit(1)
+})
@@ -0,0 +1,148 @@
+/**
+ * Adaptive upload concurrency
+ *
+ * Every interval the controller looks at the HTTP requests of the last
+ * interval, per host. When a host's error rate (network errors, timeouts,
+ * 429 and 5xx responses) or average response time is over its threshold, the
+ * upload pool's concurrency is cut by a quarter. When every host is healthy
+ * and the pool is saturated, it is raised by one, up to the --concurrency
+ * ceiling (additive increase, multiplicative decrease).
+ */
+import { getHttpMetrics, isRetryableStatus } from './http-client.js'
+import { emitEvent } from './events.js'
+
+/** Requests a host needs in an interval before its error rate and latency count */
+const MIN_SAMPLE = 5
+
+/**
+ * @typedef {object} HostWindow
+ * @property {number} requests
+ * @property {number} failures - Network errors, timeouts, 429 and 5xx responses
+ * @property {number} totalMs
+ *
+ * @typedef {object} ConcurrencyDecision
+ * @property {number} concurrency - Concurrency after the decision
+ * @property {'decrease' | 'increase' | 'hold'} action
+ * @property {string} [reason] - Why concurrency was lowered
+ */
+
+/**
+ * Failures and latency of each host between two metric snapshots
+ *
+ * @param {Record<string, import('./http-client.js').HostMetrics>} previous
+ * @param {Record<string, import('./http-client.js').HostMetrics>} current
+ * @returns {Map<string, HostWindow>}
+ */
+function getWindow(previous, current) {
+  /** @param {import('./http-client.js').HostMetrics | undefined} metrics */
+  const failures = (metrics) =>
+    (metrics?.errors ?? 0) +
+    Object.entries(metrics?.statuses ?? {})
+      .filter(([status]) => isRetryableStatus(Number(status)))
+      .reduce((sum, [, count]) => sum + count, 0)
+
+  /** @type {Map<string, HostWindow>} */
+  const window = new Map()
+  for (const [host, metrics] of Object.entries(current)) {
+    const before = previous[host]
+    window.set(host, {
+      requests: metrics.requests - (before?.requests ?? 0),
+      failures: failures(metrics) - failures(before),
+      totalMs: metrics.totalMs - (before?.totalMs ?? 0),
+    })
+  }
+  return window
+}
+
+/**
+ * Create a controller adjusting the concurrency of an upload pool
+ *
+ * @param {object} options
+ * @param {import('p-queue').default} options.queue - Upload pool
+ * @param {number} options.max - Concurrency ceiling (--concurrency)
+ * @param {number} [options.min] - Concurrency floor
+ * @param {number} [options.initial] - Starting concurrency (default: half the ceiling)
+ * @param {number} [options.interval] - Time between adjustments in ms
+ * @param {number} [options.maxErrorRate] - Error rate over which concurrency is lowered
+ * @param {number} [options.maxLatency] - Average response time in ms over which concurrency is lowered
+ * @param {() => Record<string, import('./http-client.js').HostMetrics>} [options.metrics] - Metrics source
+ */
+export function createAdaptiveConcurrency({
+  queue,
+  max,
+  min = 1,
+  initial = Math.max(min, Math.ceil(max / 2)),
+  interval = 10_000,
+  maxErrorRate = 0.05,
+  maxLatency = 15_000,
+  metrics = getHttpMetrics,
+}) {
+  let previous = metrics()
+  /** @type {NodeJS.Timeout | null} */
+  let timer = null
+  queue.concurrency = Math.min(max, initial)
+
+  /**
+   * @param {number} concurrency
+   * @param {ConcurrencyDecision['action']} action
+   * @param {string} [reason]
+   * @returns {ConcurrencyDecision}
+   */
+  function apply(concurrency, action, reason) {
+    const from = queue.concurrency
+    queue.concurrency = concurrency
+    emitEvent('concurrency:changed', { from, to: concurrency, reason: reason ?? 'services healthy' })
+    return { concurrency, action, reason }
+  }
+
+  return {
+    /**
+     * Adjust the concurrency from the requests since the last adjustment
+     *
+     * @returns {ConcurrencyDecision}
+     */
+    adjust() {
+      const current = metrics()
+      const window = getWindow(previous, current)
+      previous = current
+
+      for (const [host, { requests, failures, totalMs }] of window) {
+        if (requests < MIN_SAMPLE) continue
+        const errorRate = failures / requests
+        const latency = totalMs / requests
+        const reason = errorRate > maxErrorRate
+          ? `${host} error rate ${(errorRate * 100).toFixed(1)}%`
+          : latency > maxLatency
+            ? `${host} average response time ${Math.round(latency)}ms`
+            : null
+        if (reason) {
+          const lowered = Math.max(min, Math.min(queue.concurrency - 1, Math.floor(queue.concurrency * 0.75)))
+          return lowered < queue.concurrency
+            ? apply(lowered, 'decrease', reason)
+            : { concurrency: queue.concurrency, action: 'hold', reason }
+        }
+      }
+
+      // Only grow while the pool is the bottleneck
+      if (queue.concurrency < max && queue.pending >= queue.concurrency && queue.size > 0) {
+        return apply(queue.concurrency + 1, 'increase')
+      }
+      return { concurrency: queue.concurrency, action: 'hold' }
+    },
+
+    /**
+     * Adjust every interval until stopped
+     */
+    start() {
+      timer = setInterval(() => this.adjust(), interval)
+      timer.unref()
+    },
+
+    stop() {
+      if (timer) {
+        clearInterval(timer)
+        timer = null
+      }
+    },
+  }
+}
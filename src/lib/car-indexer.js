@@ -0,0 +1,108 @@
+/**
+ * Local CAR indexer for generating sharded DAG indices
+ *
+ * Alternative to the index worker: streams the shard CAR from a carpark URL
+ * or a local directory with the same layout and reads the block offsets with
+ * @ipld/car, so index generation keeps working when the worker is down or
+ * rate-limited.
+ */
+
+import { createReadStream } from 'node:fs'
+import { stat } from 'node:fs/promises'
+import path from 'node:path'
+import { CarIndexer } from '@ipld/car/indexer'
+import { base58btc } from 'multiformats/bases/base58'
+import { getErrorMessage } from './error-utils.js'
+import { httpFetch } from './http-client.js'
+
+/**
+ * Carpark keys a shard may be stored under, in the order they are tried:
+ * CID and base58btc multihash, each with the .car (legacy) and .blob (new) extension
+ *
+ * @param {import('multiformats').CID} shardCID
+ * @returns {string[]}
+ */
+export function getCarparkKeys(shardCID) {
+  const identifiers = [shardCID.toString(), base58btc.encode(shardCID.multihash.bytes)]
+  return identifiers.flatMap((id) => [`${id}/${id}.car`, `${id}/${id}.blob`])
+}
+
+/**
+ * Whether an indexer source is a URL rather than a directory
+ *
+ * @param {string} source
+ */
+function isURL(source) {
+  return /^https?:\/\//.test(source)
+}
+
+/**
+ * Open the shard CAR from the source
+ *
+ * @param {import('multiformats').CID} shardCID
+ * @param {string} source - Carpark URL or directory
+ * @returns {Promise<{key: string, stream: AsyncIterable<Uint8Array>}>}
+ */
+async function openShard(shardCID, source) {
+  let lastError = null
+  for (const key of getCarparkKeys(shardCID)) {
+    try {
+      if (isURL(source)) {
+        // The whole CAR is streamed, so no timeout
+        const res = await httpFetch(`${source.replace(/\/$/, '')}/${key}`, { timeout: 0 })
+        if (res.ok && res.body) {
+          return { key, stream: /** @type {AsyncIterable<Uint8Array>} */ (/** @type {unknown} */ (res.body)) }
+        }
+        await res.body?.cancel()
+      } else {
+        const filePath = path.join(source, key)
+        if ((await stat(filePath)).isFile()) {
+          return { key, stream: createReadStream(filePath) }
+        }
+      }
+    } catch (err) {
+      lastError = err
+    }
+  }
+  throw new Error(`Blob not found in carpark (tried CID and multihash formats with .car and .blob): ${shardCID}`, { cause: lastError })
+}
+
+/**
+ * Generates the index for a blob by streaming the CAR and indexing it locally
+ *
+ * @param {import('multiformats').CID} shardCID - The CID of the shard
+ * @param {number} size - The size of the blob in bytes
+ * @param {string} source - Carpark URL or directory holding the shard
+ * @returns {Promise<{slices: Map<Uint8Array, [number, number]>, requestCount: number}>} - Map of digest bytes to [offset, length]
+ */
+export async function buildLocalIndex(shardCID, size, source) {
+  /** @type {Map<Uint8Array, [number, number]>} */
+  const slices = new Map()
+  const { key, stream } = await openShard(shardCID, source)
+  console.log(`Building index for ${key} locally...`)
+
+  // Count the bytes read: the indexer trusts block length headers, so a
+  // truncated last block would otherwise still be indexed
+  let bytesRead = 0
+  async function* counted() {
+    for await (const chunk of stream) {
+      bytesRead += chunk.length
+      yield chunk
+    }
+  }
+
+  let end = 0
+  try {
+    for await (const entry of await CarIndexer.fromIterable(counted())) {
+      slices.set(entry.cid.multihash.bytes, [entry.blockOffset, entry.blockLength])
+      end = entry.blockOffset + entry.blockLength
+    }
+  } catch (err) {
+    throw new Error(`Failed to index ${key}: ${getErrorMessage(err)}`, { cause: err })
+  }
+
+  if (bytesRead < size || end < size) {
+    throw new Error(`Failed to index ${key}: CAR ended at ${Math.min(bytesRead, end)} bytes, expected ${size}`)
+  }
+  return { slices, requestCount: isURL(source) ? 1 : 0 }
+}
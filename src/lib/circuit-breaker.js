@@ -0,0 +1,181 @@
+/**
+ * Circuit breaker for a degraded service
+ *
+ * A 5xx from a service can mean the request is bad (the indexing service
+ * returns 500 for some uploads) or that the service is down. The breaker
+ * counts consecutive 5xx responses (and requests that got no response at
+ * all): below the threshold they are passed on to the caller as before, at
+ * the threshold the circuit opens. While it is open, requests wait instead of
+ * failing, the service is probed periodically, and the waiting requests are
+ * resent once a probe succeeds. Callers that got one of the 5xx responses
+ * passed on below the threshold can ask `isDown()` whether it was the service.
+ */
+import { emitEvent } from './events.js'
+import { getErrorMessage } from './error-utils.js'
+
+/**
+ * @typedef {'closed' | 'open'} CircuitState
+ *
+ * @typedef {object} CircuitBreakerSettings
+ * @property {number} threshold - Consecutive 5xx responses that open the circuit
+ * @property {number} probeInterval - Time between probes while open (ms)
+ */
+
+/**
+ * Create a circuit breaker
+ *
+ * @param {object} options
+ * @param {string} options.name - Service name, for logs and events
+ * @param {number} options.threshold - Consecutive 5xx responses that open the circuit
+ * @param {number} options.probeInterval - Time between probes while open (ms)
+ * @param {() => Promise<boolean>} options.probe - Resolves to true when the service is healthy again
+ */
+export function createCircuitBreaker({ name, threshold, probeInterval, probe }) {
+  /** @type {CircuitBreakerSettings} */
+  const settings = { threshold, probeInterval }
+  /** @type {CircuitState} */
+  let state = 'closed'
+  let failures = 0
+  let openedAt = 0
+  /** Times the circuit opened, and total time spent open */
+  const stats = { opened: 0, pausedMs: 0 }
+  /** @type {Promise<void>} */
+  let closed = Promise.resolve()
+
+  function open() {
+    state = 'open'
+    openedAt = Date.now()
+    stats.opened++
+    console.warn(`\n  🔌 ${name} circuit open after ${failures} consecutive 5xx responses, pausing until it recovers`)
+    emitEvent('circuit:open', { service: name, failures })
+    closed = (async () => {
+      for (let attempt = 1; ; attempt++) {
+        await new Promise((resolve) => setTimeout(resolve, settings.probeInterval))
+        let healthy = false
+        try {
+          healthy = await probe()
+        } catch (error) {
+          console.warn(`  🔌 ${name} probe ${attempt} failed: ${getErrorMessage(error)}`)
+        }
+        if (healthy) break
+      }
+      const pausedMs = Date.now() - openedAt
+      stats.pausedMs += pausedMs
+      state = 'closed'
+      failures = 0
+      console.log(`  🔌 ${name} circuit closed after ${Math.round(pausedMs / 1000)}s, resuming`)
+      emitEvent('circuit:closed', { service: name, pausedMs })
+    })()
+  }
+
+  /**
+   * @param {boolean} ok - Whether the service answered without a 5xx
+   * @returns {boolean} Whether the circuit is open afterwards
+   */
+  function record(ok) {
+    if (ok) {
+      if (state === 'closed') failures = 0
+      return state === 'open'
+    }
+    failures++
+    if (state === 'closed' && failures >= settings.threshold) {
+      open()
+    }
+    return state === 'open'
+  }
+
+  return {
+    get state() {
+      return state
+    },
+
+    get stats() {
+      return { ...stats }
+    },
+
+    /**
+     * Change the threshold or probe interval
+     *
+     * @param {Partial<CircuitBreakerSettings>} options
+     */
+    configure(options) {
+      Object.assign(settings, options)
+    },
+
+    /**
+     * Wait until the circuit is closed
+     *
+     * @returns {Promise<void>}
+     */
+    whenClosed() {
+      return closed
+    },
+
+    /**
+     * Whether the service is down, for a caller that got a 5xx passed on
+     *
+     * True while the circuit is open. While it is closed with 5xx responses
+     * counted, the service is probed: the probe counts toward the threshold
+     * like any other request, so a failing probe may open the circuit. False
+     * when nothing was counted since the last response below 500.
+     *
+     * @returns {Promise<boolean>}
+     */
+    async isDown() {
+      if (state === 'open') return true
+      if (failures === 0) return false
+      let healthy = false
+      try {
+        healthy = await probe()
+      } catch (error) {
+        console.warn(`  🔌 ${name} probe failed: ${getErrorMessage(error)}`)
+      }
+      record(healthy)
+      return !healthy
+    },
+
+    /**
+     * Record the status of a response
+     *
+     * @param {number} status
+     * @returns {boolean} Whether the circuit is open after this response
+     */
+    record(status) {
+      return record(status < 500)
+    },
+
+    /**
+     * Wrap a fetch function: requests wait while the circuit is open, and a
+     * 5xx response or network error that finds the circuit open is retried
+     * once it closes. Other responses are returned as they are, even when
+     * the circuit opened while they were in flight.
+     *
+     * @template {any[]} A
+     * @param {(...args: A) => Promise<Response>} fetch
+     * @returns {(...args: A) => Promise<Response>}
+     */
+    wrap(fetch) {
+      return async (...args) => {
+        for (;;) {
+          await closed
+          /** @type {Response} */
+          let response
+          try {
+            response = await fetch(...args)
+          } catch (error) {
+            if (!record(false)) throw error
+            continue
+          }
+          if (response.status < 500) {
+            record(true)
+            return response
+          }
+          if (!record(false)) {
+            return response
+          }
+          await response.body?.cancel().catch(() => {})
+        }
+      }
+    },
+  }
+}
@@ -43,6 +43,16 @@ export function getDynamoClient() {
   return cachedClient
 }
 
+/**
+ * Use the given client for all table operations
+ * (in-memory DynamoDB for the local environment and tests)
+ *
+ * @param {DynamoDBDocumentClient} client
+ */
+export function setDynamoClient(client) {
+  cachedClient = client
+}
+
 /**
  * Reset the cached client (useful for testing)
  */
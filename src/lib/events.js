@@ -0,0 +1,222 @@
+/**
+ * Structured migration events
+ *
+ * Migration code reports milestones (step start/end, claims published, IPNI
+ * jobs sent, gateway auth, verification) through `emitEvent`. Every event is
+ * handed to the configured renderers:
+ *
+ * - pretty: the human readable console output
+ * - ndjson: one JSON object per line, written to a file or stdout
+ * - listeners added with onEvent (the /metrics collector)
+ *
+ * Each event carries the instance and worker IDs of the run plus the upload,
+ * space and customer of the upload being migrated. Uploads run concurrently
+ * in the worker pool, so the upload context is tracked with AsyncLocalStorage.
+ */
+import { AsyncLocalStorage } from 'node:async_hooks'
+import { createWriteStream } from 'node:fs'
+import { STEP } from './migration-utils.js'
+
+/**
+ * @typedef {object} EventContext
+ * @property {string} [upload] - Upload root CID
+ * @property {string} [space] - Space DID
+ * @property {string | null} [customer] - Customer DID
+ */
+
+/**
+ * @typedef {{ts: string, type: string, instanceId: string, workerId: string} & EventContext & Record<string, any>} MigrationEvent
+ */
+
+/** @type {AsyncLocalStorage<EventContext>} */
+const uploadContext = new AsyncLocalStorage()
+
+/** Run-wide identifiers attached to every event */
+const runContext = { instanceId: 'local', workerId: '1' }
+
+/** @type {Array<(event: MigrationEvent) => void>} */
+const renderers = [renderPretty]
+
+/** @type {import('node:fs').WriteStream | null} */
+let eventStream = null
+
+/** @type {(() => void) | null} */
+let restoreConsole = null
+
+/**
+ * Configure the event log for this run
+ *
+ * @param {object} options
+ * @param {string} [options.instanceId] - EC2 instance ID
+ * @param {string} [options.workerId] - Worker ID
+ * @param {string} [options.eventLog] - NDJSON destination: a file path, or '-' for stdout
+ */
+export function configureEvents({ instanceId, workerId, eventLog }) {
+  runContext.instanceId = instanceId || 'local'
+  runContext.workerId = workerId || '1'
+
+  if (!eventLog) {
+    return
+  }
+
+  if (eventLog === '-') {
+    // Keep stdout parseable: human readable output moves to stderr until closeEvents
+    const log = console.log
+    console.log = console.error
+    restoreConsole = () => {
+      console.log = log
+    }
+    renderers.push((event) => {
+      process.stdout.write(`${JSON.stringify(event)}\n`)
+    })
+  } else {
+    const stream = createWriteStream(eventLog, { flags: 'a' })
+    eventStream = stream
+    renderers.push((event) => {
+      stream.write(`${JSON.stringify(event)}\n`)
+    })
+  }
+}
+
+/**
+ * Flush and close the event log file (if any), and give stdout back to console.log
+ *
+ * @returns {Promise<void>}
+ */
+export async function closeEvents() {
+  restoreConsole?.()
+  restoreConsole = null
+  const stream = eventStream
+  if (!stream) {
+    return
+  }
+  eventStream = null
+  await new Promise((resolve) => stream.end(resolve))
+}
+
+/**
+ * Hand every event to a listener as well (e.g. the metrics collector)
+ *
+ * @param {(event: MigrationEvent) => void} listener
+ * @returns {() => void} Removes the listener
+ */
+export function onEvent(listener) {
+  renderers.push(listener)
+  return () => {
+    const index = renderers.indexOf(listener)
+    if (index !== -1) renderers.splice(index, 1)
+  }
+}
+
+/**
+ * Run a function with an upload attached to every event it emits
+ *
+ * @template T
+ * @param {EventContext} context
+ * @param {() => Promise<T>} fn
+ * @returns {Promise<T>}
+ */
+export function withEventContext(context, fn) {
+  return uploadContext.run(context, fn)
+}
+
+/**
+ * Emit a migration event
+ *
+ * @param {string} type - Event type (e.g. 'step:start', 'claim:published')
+ * @param {Record<string, any>} [fields] - Event specific fields
+ */
+export function emitEvent(type, fields = {}) {
+  /** @type {MigrationEvent} */
+  const event = {
+    ts: new Date().toISOString(),
+    type,
+    ...runContext,
+    ...uploadContext.getStore(),
+    ...fields,
+  }
+  for (const render of renderers) {
+    render(event)
+  }
+}
+
+/**
+ * Create a timer that emits step:start / step:end events for the steps of one upload
+ *
+ * Starting a step ends the previous one.
+ */
+export function createStepTimer() {
+  /** @type {string | null} */
+  let current = null
+  let startedAt = 0
+
+  return {
+    /**
+     * @param {string} step - STEP constant
+     */
+    start(step) {
+      this.end('ok')
+      current = step
+      startedAt = performance.now()
+      emitEvent('step:start', { step })
+    },
+
+    /**
+     * @param {'ok'|'error'} outcome
+     */
+    end(outcome) {
+      if (!current) {
+        return
+      }
+      emitEvent('step:end', {
+        step: current,
+        outcome,
+        durationMs: Math.round(performance.now() - startedAt),
+      })
+      current = null
+    },
+  }
+}
+
+/** Console headers for each migration step */
+const STEP_TITLES = {
+  [STEP.ANALYZE]: 'STEP 1: Analyze Migration Status',
+  [STEP.INDEX_GENERATION]: 'STEP 2: Generate and Register Index',
+  [STEP.LOCATION_CLAIMS]: 'STEP 3: Republish Location Claims',
+  [STEP.GATEWAY_AUTH]: 'STEP 4: Create Gateway Authorization',
+  [STEP.VERIFY]: 'STEP 5: Verify Migration',
+}
+
+/**
+ * Human readable console renderer
+ *
+ * @param {MigrationEvent} event
+ */
+function renderPretty(event) {
+  switch (event.type) {
+    case 'step:start': {
+      const title = STEP_TITLES[event.step]
+      if (title) {
+        console.log(`\n${title} ${'─'.repeat(68 - title.length)}`)
+      }
+      break
+    }
+    case 'claim:published':
+      console.log(`      ✓ Claim cached: ${event.claim}`)
+      break
+    case 'ipni:job-sent':
+      console.log(`    ✓ IPNI job queued: ${event.shards.join(', ')}`)
+      break
+    case 'gateway-auth':
+      console.log(`\n  Result: ${event.success ? '✓ COMPLETE' : '✗ FAILED'}`)
+      break
+    case 'concurrency:changed':
+      console.log(`  ⚙️  Upload concurrency ${event.from} → ${event.to} (${event.reason})`)
+      break
+    case 'verification':
+      console.log(`\n  ${'━'.repeat(35)}`)
+      console.log(`  ${event.success ? '✅ Result: COMPLETED' : '❌ Result: FAILED'}`)
+      console.log(`  ${'━'.repeat(35)}`)
+      break
+  }
+}
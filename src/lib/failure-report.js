@@ -0,0 +1,122 @@
+/**
+ * Failure reason breakdown for the migration monitor
+ *
+ * Failed spaces and customers store a JSON `{FAILURE_REASON: count}` summary
+ * in their `error` column (see migrate.js). These helpers parse the summaries
+ * and group the failed spaces and customers by reason, so the monitor can show
+ * where uploads fail across the fleet and which customers to re-run.
+ */
+import { FAILURE_REASON } from './migration-utils.js'
+
+/**
+ * @typedef {object} FailedSpace
+ * @property {string} customer
+ * @property {string} space
+ * @property {string} [instanceId]
+ * @property {string} [error]
+ *
+ * @typedef {object} FailedCustomer
+ * @property {string} customer
+ * @property {string} [error]
+ *
+ * @typedef {object} ReasonBreakdown
+ * @property {string} reason - FAILURE_REASON
+ * @property {number} uploads - Failed uploads with this reason
+ * @property {Array<{customer: string, space: string, uploads: number}>} spaces - Most failures first
+ * @property {Array<{customer: string, spaces: number, uploads: number}>} customers - Most failures first (spaces: failed spaces with the reason)
+ */
+
+/**
+ * Parse the `error` column of a failed space or customer
+ *
+ * Errors that are not a failure summary (older runs, free-form messages)
+ * count as one UNKNOWN_ERROR.
+ *
+ * @param {string | undefined} error
+ * @returns {Record<string, number>}
+ */
+export function parseFailureSummary(error) {
+  return readFailureSummary(error) ?? { [FAILURE_REASON.UNKNOWN_ERROR]: 1 }
+}
+
+/**
+ * @param {string | undefined} error
+ * @returns {Record<string, number> | null} null when the error is not a failure summary
+ */
+function readFailureSummary(error) {
+  if (!error) return null
+  try {
+    const summary = JSON.parse(error)
+    if (summary && typeof summary === 'object' && !Array.isArray(summary)) {
+      const entries = Object.entries(summary).filter(([, count]) => typeof count === 'number' && count > 0)
+      if (entries.length > 0) return Object.fromEntries(entries)
+    }
+  } catch {
+    // Not JSON
+  }
+  return null
+}
+
+/**
+ * Group failed spaces and customers by failure reason
+ *
+ * A failed customer's summary adds up the summaries of its failed spaces, so
+ * it only adds the failures its spaces do not account for (spaces whose
+ * progress record was lost or overwritten, customers failed as a whole). A
+ * customer error that is not a summary only counts when none of its spaces
+ * failed.
+ *
+ * @param {FailedSpace[]} failed
+ * @param {FailedCustomer[]} [failedCustomers]
+ * @returns {ReasonBreakdown[]} Most failed uploads first
+ */
+export function groupFailuresByReason(failed, failedCustomers = []) {
+  /** @type {Map<string, {uploads: number, spaces: ReasonBreakdown['spaces'], customers: Map<string, {customer: string, spaces: number, uploads: number}>}>} */
+  const byReason = new Map()
+
+  /**
+   * @param {string} reason
+   * @param {string} customer
+   * @param {number} uploads
+   */
+  const add = (reason, customer, uploads) => {
+    let entry = byReason.get(reason)
+    if (!entry) {
+      entry = { uploads: 0, spaces: [], customers: new Map() }
+      byReason.set(reason, entry)
+    }
+    entry.uploads += uploads
+    const perCustomer = entry.customers.get(customer) ?? { customer, spaces: 0, uploads: 0 }
+    perCustomer.uploads += uploads
+    entry.customers.set(customer, perCustomer)
+    return { entry, perCustomer }
+  }
+
+  for (const { customer, space, error } of failed) {
+    for (const [reason, uploads] of Object.entries(parseFailureSummary(error))) {
+      const { entry, perCustomer } = add(reason, customer, uploads)
+      entry.spaces.push({ customer, space, uploads })
+      perCustomer.spaces++
+    }
+  }
+
+  for (const { customer, error } of failedCustomers) {
+    const hasFailedSpaces = failed.some((item) => item.customer === customer)
+    const summary = readFailureSummary(error) ?? (hasFailedSpaces ? {} : parseFailureSummary(error))
+    for (const [reason, uploads] of Object.entries(summary)) {
+      const counted = byReason.get(reason)?.customers.get(customer)?.uploads ?? 0
+      if (uploads > counted) {
+        add(reason, customer, uploads - counted)
+      }
+    }
+  }
+
+  return [...byReason]
+    .map(([reason, { uploads, spaces, customers }]) => ({
+      reason,
+      uploads,
+      spaces: spaces.sort((a, b) => b.uploads - a.uploads),
+      customers: [...customers.values()].sort((a, b) => b.uploads - a.uploads),
+    }))
+    .sort((a, b) => b.uploads - a.uploads)
+}
@@ -0,0 +1,189 @@
+/**
+ * Shared HTTP client for outbound calls
+ *
+ * Every outbound request (index worker, carpark checks, gateway verification,
+ * ucanto channels, indexing service queries) goes through httpFetch, which adds:
+ *
+ * - A timeout per attempt (covering the response body too)
+ * - Retries with exponential backoff and full jitter on network errors,
+ *   timeouts, 429 and 5xx responses, honouring Retry-After
+ * - Per-service rate limits (./rate-limiter.js)
+ * - Request metrics per host
+ *
+ * Connections are pooled and kept alive per origin by Node's fetch, so
+ * routing every call through it lets them share the pool.
+ */
+import { config } from '../config.js'
+import { getErrorMessage } from './error-utils.js'
+import { acquireRateLimit } from './rate-limiter.js'
+
+/**
+ * @typedef {object} HttpSettings
+ * @property {number} timeout - Attempt timeout in ms (0 for none)
+ * @property {number} retries - Retries after the first attempt
+ * @property {number} minRetryDelay - Backoff base delay in ms
+ * @property {number} maxRetryDelay - Backoff and Retry-After cap in ms
+ *
+ * @typedef {object} HttpOptions
+ * @property {number} [timeout] - Attempt timeout in ms (0 for none, default: configured timeout)
+ * @property {number} [retries] - Retries after the first attempt (default: configured retries)
+ *
+ * @typedef {object} HostMetrics
+ * @property {number} requests - Attempts sent, retries included
+ * @property {number} retries - Attempts that were retries
+ * @property {number} errors - Attempts that failed without a response (network errors and timeouts)
+ * @property {number} timeouts - Attempts that timed out
+ * @property {Record<string, number>} statuses - Responses by status code
+ * @property {number} totalMs - Time spent waiting for responses
+ * @property {number} maxMs - Slowest response
+ */
+
+/** @type {HttpSettings} */
+let settings = {
+  timeout: config.http.timeout,
+  retries: config.http.retries,
+  minRetryDelay: config.http.minRetryDelay,
+  maxRetryDelay: config.http.maxRetryDelay,
+}
+
+/** @type {Map<string, HostMetrics>} */
+const metrics = new Map()
+
+/**
+ * Change the HTTP client settings for this run
+ *
+ * @param {Partial<HttpSettings>} options - Settings to change (the others keep their value)
+ */
+export function configureHttp(options) {
+  settings = { ...settings, ...options }
+}
+
+/**
+ * Whether a response status is worth retrying
+ *
+ * @param {number} status
+ */
+export function isRetryableStatus(status) {
+  return status === 429 || status >= 500
+}
+
+/**
+ * Backoff before a retry: full jitter over an exponentially growing window,
+ * or the server's Retry-After (both capped at maxRetryDelay)
+ *
+ * @param {number} attempt - Retry number, starting at 1
+ * @param {Response} [response] - Response that triggered the retry
+ * @returns {number} Delay in ms
+ */
+export function getRetryDelay(attempt, response) {
+  const retryAfter = response?.headers.get('retry-after')
+  if (retryAfter) {
+    const seconds = Number(retryAfter)
+    const ms = Number.isNaN(seconds) ? Date.parse(retryAfter) - Date.now() : seconds * 1000
+    if (!Number.isNaN(ms)) {
+      return Math.min(settings.maxRetryDelay, Math.max(0, ms))
+    }
+  }
+  const window = Math.min(settings.maxRetryDelay, settings.minRetryDelay * 2 ** (attempt - 1))
+  return Math.random() * window
+}
+
+/**
+ * @param {string} host
+ * @returns {HostMetrics}
+ */
+function hostMetrics(host) {
+  let entry = metrics.get(host)
+  if (!entry) {
+    entry = { requests: 0, retries: 0, errors: 0, timeouts: 0, statuses: {}, totalMs: 0, maxMs: 0 }
+    metrics.set(host, entry)
+  }
+  return entry
+}
+
+/**
+ * Fetch with the shared timeouts, retries and metrics
+ *
+ * A response with a retryable status is returned once the retries are used
+ * up, so callers handle the status as they would with fetch. Requests with a
+ * streaming body can't be replayed and are never retried.
+ *
+ * @param {string | URL | Request} input
+ * @param {RequestInit & HttpOptions} [init]
+ * @returns {Promise<Response>}
+ */
+export async function httpFetch(input, init = {}) {
+  const { timeout = settings.timeout, retries = settings.retries, ...request } = init
+  const url = new URL(input instanceof Request ? input.url : input)
+  const host = hostMetrics(url.host)
+  const streaming = request.body instanceof ReadableStream || (input instanceof Request && input.body !== null)
+  const maxRetries = streaming ? 0 : retries
+
+  for (let attempt = 0; ; attempt++) {
+    await acquireRateLimit(url)
+    const signals = [request.signal, timeout > 0 ? AbortSignal.timeout(timeout) : null]
+      .filter((signal) => signal != null)
+    const start = Date.now()
+    host.requests++
+    if (attempt > 0) host.retries++
+
+    /** @type {Response | undefined} */
+    let response
+    try {
+      response = await fetch(input instanceof Request ? input : url, {
+        ...request,
+        signal: signals.length > 1 ? AbortSignal.any(signals) : signals[0],
+      })
+    } catch (error) {
+      host.errors++
+      if (error instanceof Error && error.name === 'TimeoutError') host.timeouts++
+      // Aborted by the caller: don't retry
+      if (request.signal?.aborted || attempt >= maxRetries) {
+        throw error
+      }
+      const delay = getRetryDelay(attempt + 1)
+      console.warn(`    ⚠️  ${request.method ?? 'GET'} ${url.host} failed (${getErrorMessage(error)}), retrying in ${Math.round(delay)}ms (${attempt + 1}/${maxRetries})`)
+      await sleep(delay)
+      continue
+    } finally {
+      const elapsed = Date.now() - start
+      host.totalMs += elapsed
+      host.maxMs = Math.max(host.maxMs, elapsed)
+    }
+
+    host.statuses[response.status] = (host.statuses[response.status] ?? 0) + 1
+    if (!isRetryableStatus(response.status) || attempt >= maxRetries) {
+      return response
+    }
+    const delay = getRetryDelay(attempt + 1, response)
+    console.warn(`    ⚠️  ${request.method ?? 'GET'} ${url.host} returned ${response.status}, retrying in ${Math.round(delay)}ms (${attempt + 1}/${maxRetries})`)
+    // Release the connection
+    await response.body?.cancel().catch(() => {})
+    await sleep(delay)
+  }
+}
+
+/**
+ * @param {number} ms
+ */
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms))
+}
+
+/**
+ * Request metrics per host since the start of the run (or the last reset)
+ *
+ * @returns {Record<string, HostMetrics>}
+ */
+export function getHttpMetrics() {
+  return Object.fromEntries(
+    [...metrics].map(([host, entry]) => [host, { ...entry, statuses: { ...entry.statuses } }])
+  )
+}
+
+/**
+ * Forget the request metrics
+ */
+export function resetHttpMetrics() {
+  metrics.clear()
+}
@@ -0,0 +1,111 @@
+/**
+ * Validation of generated sharded DAG indexes
+ *
+ * An index is published as a permanent assert/index claim, so a truncated or
+ * partial index must be caught before it is uploaded and registered.
+ */
+
+import { ShardedDAGIndex } from '@storacha/blob-index'
+import { base58btc } from 'multiformats/bases/base58'
+import { CID } from 'multiformats/cid'
+import { equals } from 'multiformats/bytes'
+import { FAILURE_REASON } from './migration-utils.js'
+import { getErrorMessage } from './error-utils.js'
+
+/**
+ * Check an archived sharded DAG index against the upload it was generated for
+ *
+ * - The index is for the upload root
+ * - Every shard of the upload has slices
+ * - Slices lie within the shard size and do not overlap (the slice covering
+ *   the whole shard is excluded)
+ * - The root block is in one of the shards
+ *
+ * @param {Uint8Array} indexBytes - Archived index (CAR bytes)
+ * @param {object} upload
+ * @param {string} upload.root - Root CID
+ * @param {Array<{cid: string, size: number}>} upload.shards - Shard CIDs with sizes
+ * @returns {{valid: boolean, problems: string[], slices: number}}
+ */
+export function validateShardedIndex(indexBytes, { root, shards }) {
+  /** @type {string[]} */
+  const problems = []
+  let extracted
+  try {
+    extracted = ShardedDAGIndex.extract(indexBytes)
+  } catch (error) {
+    extracted = { error: new Error(getErrorMessage(error)) }
+  }
+  if (extracted.error) {
+    return { valid: false, problems: [`Index cannot be decoded: ${extracted.error.message}`], slices: 0 }
+  }
+  const index = extracted.ok
+
+  const rootCID = CID.parse(root)
+  if (!equals(index.content.multihash.bytes, rootCID.multihash.bytes)) {
+    problems.push(`Index is for ${index.content}, not ${root}`)
+  }
+
+  let slices = 0
+  let hasRoot = false
+  for (const shard of shards) {
+    const shardDigest = CID.parse(shard.cid).multihash
+    const shardSlices = index.shards.get(shardDigest)
+    if (!shardSlices || shardSlices.size === 0) {
+      problems.push(`Shard ${shard.cid} has no slices`)
+      continue
+    }
+
+    /** @type {Array<{digest: Uint8Array, offset: number, length: number}>} */
+    const ranges = []
+    for (const [digest, [offset, length]] of shardSlices.entries()) {
+      slices++
+      hasRoot ||= equals(digest.bytes, rootCID.multihash.bytes)
+      if (offset < 0 || length <= 0 || offset + length > shard.size) {
+        problems.push(`Slice ${base58btc.encode(digest.bytes)} of shard ${shard.cid} at [${offset}, ${length}] is outside the shard size ${shard.size}`)
+      }
+      if (!equals(digest.bytes, shardDigest.bytes)) {
+        ranges.push({ digest: digest.bytes, offset, length })
+      }
+    }
+
+    ranges.sort((a, b) => a.offset - b.offset)
+    for (let i = 1; i < ranges.length; i++) {
+      const previous = ranges[i - 1]
+      if (ranges[i].offset < previous.offset + previous.length) {
+        problems.push(`Slices ${base58btc.encode(previous.digest)} and ${base58btc.encode(ranges[i].digest)} of shard ${shard.cid} overlap`)
+      }
+    }
+  }
+
+  if (!hasRoot) {
+    problems.push(`Root block ${root} is not in any shard`)
+  }
+
+  return { valid: problems.length === 0, problems, slices }
+}
+
+/**
+ * Validate an archived index, throwing when it is invalid
+ *
+ * The error has `code` FAILURE_REASON.INDEX_INVALID so the upload fails with
+ * that reason rather than INDEX_GENERATION_FAILED.
+ *
+ * @param {Uint8Array} indexBytes - Archived index (CAR bytes)
+ * @param {object} upload
+ * @param {string} upload.root - Root CID
+ * @param {Array<{cid: string, size: number}>} upload.shards - Shard CIDs with sizes
+ * @returns {{slices: number}}
+ */
+export function assertValidShardedIndex(indexBytes, upload) {
+  const { valid, problems, slices } = validateShardedIndex(indexBytes, upload)
+  if (!valid) {
+    const error = /** @type {Error & { code: string, problems: string[] }} */ (
+      new Error(`Invalid index for ${upload.root}: ${problems.join('; ')}`)
+    )
+    error.code = FAILURE_REASON.INDEX_INVALID
+    error.problems = problems
+    throw error
+  }
+  return { slices }
+}
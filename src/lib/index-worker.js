@@ -1,67 +1,158 @@
 /**
  * Index Worker integration for generating sharded DAG indices
  * without downloading CAR files from S3/R2
+ *
+ * The shard indexer is selected per run with configureIndexer(): the index
+ * worker (default) or the local CAR indexer (./car-indexer.js).
+ *
+ * Shards are indexed with bounded concurrency. Worker progress is checkpointed
+ * to the index cache (offset plus slices so far), so a retry continues where
+ * the failed attempt stopped instead of from offset 0.
  */
 
 import { Parse } from 'ndjson-web'
 import * as dagJSON from '@ipld/dag-json'
 import { ShardedDAGIndex } from '@storacha/blob-index'
-import { base58btc } from 'multiformats/bases/base58'
 import { CID } from 'multiformats/cid'
 import * as Digest from 'multiformats/hashes/digest'
+import PQueue from 'p-queue'
 import { getErrorMessage } from './error-utils.js'
+import { httpFetch } from './http-client.js'
+import { buildLocalIndex, getCarparkKeys } from './car-indexer.js'
+import { getShardCheckpoint, putShardCheckpoint, deleteShardCheckpoint } from './stores/index-cache.js'
 import { config } from '../config.js'
 
+/**
+ * @typedef {'worker' | 'local'} IndexerBackend
+ */
+
+/** Indexer backends */
+export const INDEXERS = /** @type {const} */ (['worker', 'local'])
+
+/** Minimum time between two checkpoints of a shard being indexed (ms) */
+const CHECKPOINT_INTERVAL = 30_000
+
+/**
+ * @typedef {object} IndexerSettings
+ * @property {IndexerBackend} backend
+ * @property {string} [source]
+ * @property {number} shardConcurrency - Shards of an upload indexed in parallel
+ * @property {number} requestTimeout - Index worker request timeout (ms)
+ */
+
+/** @type {IndexerSettings} */
+let indexer = {
+  backend: /** @type {IndexerBackend} */ (config.migration.indexer),
+  source: config.migration.indexerSource,
+  shardConcurrency: config.migration.shardConcurrency,
+  requestTimeout: config.migration.indexRequestTimeout,
+}
+
+/**
+ * Select the indexer used by generateShardedIndex for this run
+ *
+ * @param {object} options
+ * @param {string} [options.backend] - 'worker' (default) or 'local'
+ * @param {string} [options.source] - Local indexer: carpark URL or directory (default: the carpark public URL)
+ * @param {number} [options.shardConcurrency] - Shards of an upload indexed in parallel (default: config.migration.shardConcurrency)
+ * @param {number} [options.requestTimeout] - Index worker request timeout in ms (default: config.migration.indexRequestTimeout)
+ */
+export function configureIndexer({
+  backend = 'worker',
+  source,
+  shardConcurrency = config.migration.shardConcurrency,
+  requestTimeout = config.migration.indexRequestTimeout,
+}) {
+  if (!INDEXERS.includes(/** @type {IndexerBackend} */ (backend))) {
+    throw new Error(`Unknown indexer: ${backend} (expected one of ${INDEXERS.join(', ')})`)
+  }
+  indexer = {
+    backend: /** @type {IndexerBackend} */ (backend),
+    source,
+    shardConcurrency: Math.max(1, shardConcurrency),
+    requestTimeout,
+  }
+}
+
+/**
+ * Index a shard with the configured indexer
+ *
+ * A complete checkpoint (left by an attempt that failed on another shard) is
+ * reused as is, a partial one is resumed by the index worker.
+ *
+ * @param {CID} shardCID
+ * @param {number} size
+ * @param {object} [options]
+ * @param {boolean} [options.checkpoint] - Checkpoint the complete shard index (only useful when the upload has other shards)
+ * @returns {Promise<{slices: Map<Uint8Array, [number, number]>, requestCount: number}>}
+ */
+async function indexShard(shardCID, size, { checkpoint: checkpointComplete = false } = {}) {
+  const checkpoint = await getShardCheckpoint(shardCID.toString())
+  if (checkpoint && checkpoint.offset >= size) {
+    console.log(`Reusing ${checkpoint.slices.size} checkpointed slices for ${shardCID}`)
+    return { slices: checkpoint.slices, requestCount: 0 }
+  }
+
+  const result = indexer.backend === 'local'
+    ? await buildLocalIndex(shardCID, size, indexer.source || config.storage.carparkPublicUrl)
+    : await buildIndex(shardCID, size, checkpoint)
+  if (checkpointComplete) {
+    await putShardCheckpoint(shardCID.toString(), { offset: size, slices: result.slices })
+  }
+  return result
+}
+
 /**
  * Generates the index for a blob using the Index Worker
+ *
+ * Progress is checkpointed every CHECKPOINT_INTERVAL and when indexing fails,
+ * and indexing resumes from the given checkpoint.
  * 
  * @param {import('multiformats').CID} shardCID - The CID of the shard
  * @param {number} size - The size of the blob in bytes
+ * @param {import('./stores/index-cache.js').ShardCheckpoint | null} [checkpoint] - Progress of a previous attempt
  * @returns {Promise<{slices: Map<Uint8Array, [number, number]>, requestCount: number}>} - Map of digest bytes to [offset, length]
  */
-async function buildIndex(shardCID, size) {
-  const slices = new Map()
+async function buildIndex(shardCID, size, checkpoint) {
+  const slices = checkpoint?.slices ?? new Map()
   
-  let blocks = 0
-  let offset = 0
+  let blocks = slices.size
+  let offset = checkpoint?.offset ?? 0
   let requestCount = 0
+  let checkpointedAt = Date.now()
+  const saveCheckpoint = () => putShardCheckpoint(shardCID.toString(), { offset, slices })
   let consecutiveRetries = 0
   const MAX_RETRIES = 3
   
-  // Try multiple formats:
-  // 1. CID string (e.g., bagbaiera... for CIDv1)
-  // 2. Base58btc encoded multihash (e.g., zQm... for legacy CIDv0-style)
+  // Try multiple formats: CID string (e.g., bagbaiera... for CIDv1) and
+  // base58btc encoded multihash (e.g., zQm... for legacy CIDv0-style),
+  // each with .car (legacy) and .blob (new) extensions
   const cidString = shardCID.toString()
-  const multihashB58 = base58btc.encode(shardCID.multihash.bytes)
-  const identifiers = [cidString, multihashB58]
-  
-  // Try both .car (legacy) and .blob (new) extensions
-  const extensions = ['.car', '.blob']
   
   let blobKey = null
   let lastError = null
   
   // Find which format exists by trying the first offset
-  for (const id of identifiers) {
-    for (const ext of extensions) {
-      const testKey = `${id}/${id}${ext}`
-      try {
-        const url = `${config.services.indexWorkerURL}/index/${testKey}?offset=0`
-        const res = await fetch(url, { method: 'HEAD' })
-        if (res.ok) {
-          blobKey = testKey
-          break
-        }
-      } catch (err) {
-        lastError = err
+  for (const testKey of getCarparkKeys(shardCID)) {
+    try {
+      const url = `${config.services.indexWorkerURL}/index/${testKey}?offset=0`
+      const res = await httpFetch(url, { method: 'HEAD' })
+      if (res.ok) {
+        blobKey = testKey
+        break
       }
+    } catch (err) {
+      lastError = err
     }
-    if (blobKey) break
   }
   
   if (!blobKey) {
     throw new Error(`Blob not found in carpark (tried CID and multihash formats with .car and .blob): ${cidString}`, { cause: lastError })
   }
+
+  if (offset > 0) {
+    console.log(`Resuming ${blobKey} at offset ${offset} with ${blocks} checkpointed blocks`)
+  }
   
   while (offset < size) {
     const prevBlocks = blocks
@@ -70,7 +161,7 @@ async function buildIndex(shardCID, size) {
       requestCount++
       const url = `${config.services.indexWorkerURL}/index/${blobKey}?offset=${offset}`
       console.log(`Building index for ${blobKey}?offset=${offset}...`)
-      const res = await fetch(url)
+      const res = await httpFetch(url, { timeout: indexer.requestTimeout })
       if (!res.ok) {
         throw new Error(`Worker returned ${res.status}: ${await res.text()}`)
       }
@@ -96,17 +187,27 @@ async function buildIndex(shardCID, size) {
       
       // Success - reset retry counter
       consecutiveRetries = 0
+
+      if (offset < size && Date.now() - checkpointedAt >= CHECKPOINT_INTERVAL) {
+        await saveCheckpoint()
+        checkpointedAt = Date.now()
+      }
       
     } catch (err) {
       // If we didn't index any new blocks, this is a fatal error
       if (prevBlocks === blocks) {
+        if (blocks > 0) {
+          await saveCheckpoint()
+        }
         const errorMsg = err instanceof Error ? err.message : String(err)
         throw new Error(`Failed to index ${blobKey}: ${errorMsg}`, { cause: err })
       }
       
-      // Otherwise, we indexed some blocks before the error, so we can retry
+      // Otherwise, we indexed some blocks before the error (the response was
+      // cut off mid-stream, which the HTTP client can't retry), so we can retry
       consecutiveRetries++
       if (consecutiveRetries > MAX_RETRIES) {
+        await saveCheckpoint()
         throw new Error(`Max retries (${MAX_RETRIES}) exceeded for ${blobKey} at offset ${offset}`, { cause: err })
       }
       console.warn(`Retrying after partial failure (attempt ${consecutiveRetries}/${MAX_RETRIES}): ${getErrorMessage(err)}`)
@@ -116,7 +217,7 @@ async function buildIndex(shardCID, size) {
 }
 
 /**
- * Generate a complete sharded DAG index for an upload using the index worker
+ * Generate a complete sharded DAG index for an upload using the configured indexer
  * 
  * @param {string} rootCID - Root CID string
  * @param {Array<{cid: string, size: number}>} shards - Array of shard info
@@ -127,17 +228,27 @@ export async function generateShardedIndex(rootCID, shards) {
   console.log(`Generating sharded index for ${rootCID} with ${shards.length} shards...`)
   const index = ShardedDAGIndex.create(root)
   
-  // Build indices for all shards in parallel since it's remote work
-  const shardIndexPromises = shards.map(async (shard) => {
+  // Build indices for the shards in parallel since it's remote work, but
+  // bounded so a large upload doesn't start hundreds of fetch loops at once
+  const queue = new PQueue({ concurrency: indexer.shardConcurrency })
+  const shardIndexPromises = shards.map((shard) => queue.add(async () => {
     const shardCID = CID.parse(shard.cid)
     
-    // Generate index for the shard using the worker (tries different formats)
-    const { slices, requestCount } = await buildIndex(shardCID, shard.size)
+    // Generate index for the shard with the configured indexer (tries different formats)
+    const { slices, requestCount } = await indexShard(shardCID, shard.size, { checkpoint: shards.length > 1 })
     
     return { shardCID, slices, requestCount }
-  })
+  }))
   
-  const shardIndices = await Promise.all(shardIndexPromises)
+  /** @type {Array<{shardCID: CID, slices: Map<Uint8Array, [number, number]>, requestCount: number}>} */
+  let shardIndices
+  try {
+    shardIndices = await Promise.all(shardIndexPromises)
+  } finally {
+    // Don't start more shards once one has failed (their progress is checkpointed)
+    queue.clear()
+    await queue.onIdle()
+  }
   
   // Calculate total requests
   const totalRequests = shardIndices.reduce((sum, { requestCount }) => sum + requestCount, 0)
@@ -164,6 +275,11 @@ export async function generateShardedIndex(rootCID, shards) {
     throw new Error('Failed to archive index', { cause: archiveResult.error })
   }
 
+  // The archived index supersedes the shard checkpoints
+  for (const shard of shards) {
+    await deleteShardCheckpoint(shard.cid)
+  }
+
   return {
     indexBytes: archiveResult.ok,
     indexCID: root,
@@ -1,10 +1,38 @@
 /**
  * Query the new indexing service
+ *
+ * Requests to the indexing service (queries here, and the ucanto connections
+ * of migration-steps.js through indexingServiceFetch) go through a circuit
+ * breaker, so an indexing service outage pauses the run instead of failing
+ * every upload with INDEXING_SERVICE_500.
  */
 import { Client } from '@storacha/indexing-service-client'
 import * as Digest from 'multiformats/hashes/digest'
 import { CID } from 'multiformats/cid'
+import { sha256 } from 'multiformats/hashes/sha2'
+import { base58btc } from 'multiformats/bases/base58'
 import { config } from '../config.js'
+import { httpFetch } from './http-client.js'
+import { createCircuitBreaker } from './circuit-breaker.js'
+
+/** Circuit breaker of the indexing service */
+export const indexingServiceBreaker = createCircuitBreaker({
+  name: 'Indexing service',
+  threshold: config.services.circuitBreaker.threshold,
+  probeInterval: config.services.circuitBreaker.probeInterval,
+  // Probe the claims endpoint the migration queries (for the hash of no content):
+  // the root URL can answer while claims queries still fail
+  probe: async () => {
+    const url = new URL('/claims', config.services.indexingServiceURL)
+    url.searchParams.set('multihash', base58btc.encode((await sha256.digest(new Uint8Array())).bytes))
+    const response = await httpFetch(url, { retries: 0 })
+    await response.body?.cancel()
+    return response.status < 500
+  },
+})
+
+/** Fetch for indexing service requests: waits while the circuit is open */
+export const indexingServiceFetch = indexingServiceBreaker.wrap(httpFetch)
 
 /**
  * Create indexing service client
@@ -12,6 +40,7 @@ import { config } from '../config.js'
 export function createIndexingServiceClient() {
   return new Client({
     serviceURL: new URL(config.services.indexingServiceURL),
+    fetch: indexingServiceFetch,
   })
 }
 
@@ -1,4 +1,8 @@
-import { SQSClient, SendMessageCommand } from '@aws-sdk/client-sqs'
+import {
+  SQSClient,
+  SendMessageCommand,
+  SendMessageBatchCommand,
+} from '@aws-sdk/client-sqs'
 import {
   S3Client,
   PutObjectCommand,
@@ -19,6 +23,12 @@ import { ProviderResult } from './provider-result.js'
  * @property {Uint8Array} metadata - Serialized metadata bytes
  */
 
+/** Most digests sent in the extended data of one job */
+export const MAX_DIGESTS_PER_JOB = 10_000
+/** SQS limits for SendMessageBatch: entries per request and total payload size */
+const MAX_BATCH_ENTRIES = 10
+const MAX_BATCH_BYTES = 256 * 1024
+
 /**
  * SQSPublishingQueue is a combined implementation of ExtendedQueue and jobMarshaller
  * It stores publishing jobs in SQS with extended data in S3
@@ -31,12 +41,22 @@ export class SQSPublishingQueue {
    * @param {string} options.bucketName - S3 bucket name
    * @param {SQSClient} [options.sqsClient] - SQS client instance
    * @param {S3Client} [options.s3Client] - S3 client instance
+   * @param {number} [options.maxDigestsPerJob] - Split jobs with more digests than this
    */
-  constructor({ queueUrl, bucketName, sqsClient, s3Client }) {
+  constructor({ queueUrl, bucketName, sqsClient, s3Client, maxDigestsPerJob = MAX_DIGESTS_PER_JOB }) {
     this.queueUrl = queueUrl
     this.bucketName = bucketName
     this.sqsClient = sqsClient || new SQSClient({})
     this.s3Client = s3Client || new S3Client({})
+    this.maxDigestsPerJob = maxDigestsPerJob
+  }
+
+  /**
+   * Start a batch of jobs, sent together when the batch is flushed
+   * @returns {PublishingBatch}
+   */
+  batch() {
+    return new PublishingBatch(this)
   }
 
   /**
@@ -91,6 +111,93 @@ export class SQSPublishingQueue {
     }
   }
 
+  /**
+   * Send several publishing jobs
+   * Extended data goes to S3 one object per job, the messages go to SQS in
+   * SendMessageBatch requests within the SQS entry count and size limits.
+   * @param {PublishingJob[]} jobs
+   * @returns {Promise<void>}
+   */
+  async sendJobs(jobs) {
+    /** @type {Array<{jobId: string, body: string, groupId: string}>} */
+    const entries = []
+    for (const job of jobs) {
+      const serialized = await this._marshallJob(job)
+      const jobId = uuidv4()
+      if (serialized.extended.length > 0) {
+        try {
+          await this.s3Client.send(
+            new PutObjectCommand({
+              Bucket: this.bucketName,
+              Key: jobId,
+              Body: serialized.extended,
+            })
+          )
+        } catch (error) {
+          await this._deleteExtended(entries.map((entry) => entry.jobId))
+          throw error
+        }
+      }
+      entries.push({
+        jobId,
+        body: JSON.stringify({ JobID: jobId, Message: serialized.message }),
+        groupId: serialized.groupId,
+      })
+    }
+
+    /** @type {string[]} */
+    const failed = []
+    for (const chunk of chunkEntries(entries)) {
+      try {
+        const response = await this.sqsClient.send(
+          new SendMessageBatchCommand({
+            QueueUrl: this.queueUrl,
+            Entries: chunk.map((entry, i) => ({
+              Id: String(i),
+              MessageBody: entry.body,
+              MessageGroupId: entry.groupId, // For FIFO queues
+            })),
+          })
+        )
+        for (const failure of response.Failed ?? []) {
+          const entry = chunk[Number(failure.Id)]
+          failed.push(entry.jobId)
+          console.error(`Failed to send publishing job ${entry.jobId}: ${failure.Code} ${failure.Message ?? ''}`)
+        }
+      } catch (error) {
+        // Clean up the S3 objects of every job not sent yet
+        const sent = entries.indexOf(chunk[0])
+        await this._deleteExtended([...failed, ...entries.slice(sent).map((entry) => entry.jobId)])
+        throw error
+      }
+    }
+
+    if (failed.length > 0) {
+      await this._deleteExtended(failed)
+      throw new Error(`Failed to send ${failed.length} of ${entries.length} publishing jobs`)
+    }
+  }
+
+  /**
+   * Delete the extended data of jobs that were not sent
+   * @private
+   * @param {string[]} jobIds
+   */
+  async _deleteExtended(jobIds) {
+    for (const jobId of jobIds) {
+      try {
+        await this.s3Client.send(
+          new DeleteObjectCommand({
+            Bucket: this.bucketName,
+            Key: jobId,
+          })
+        )
+      } catch (cleanupError) {
+        console.error('Failed to clean up S3 object:', cleanupError)
+      }
+    }
+  }
+
   /**
    * Marshal a PublishingJob into a serializable format
    * @private
@@ -122,3 +229,87 @@ export class SQSPublishingQueue {
     }
   }
 }
+
+/**
+ * Publishing jobs accumulated until flushed
+ *
+ * Jobs are not merged: location claim jobs each have their own shard context ID
+ * and claim metadata, so no two of them can share a job. Jobs over the queue's
+ * maxDigestsPerJob are split. Flushing sends every job with
+ * SQSPublishingQueue#sendJobs, so the SQS messages go out in SendMessageBatch
+ * requests instead of one request per job.
+ */
+export class PublishingBatch {
+  /**
+   * @param {SQSPublishingQueue} queue
+   */
+  constructor(queue) {
+    this.queue = queue
+    /** @type {PublishingJob[]} */
+    this.pending = []
+  }
+
+  /**
+   * Add a job to the batch
+   * @param {PublishingJob} job
+   */
+  add(job) {
+    this.pending.push(job)
+  }
+
+  /**
+   * Jobs the batch would send, split to the size limit
+   * @returns {PublishingJob[]}
+   */
+  jobs() {
+    const { maxDigestsPerJob } = this.queue
+    /** @type {PublishingJob[]} */
+    const jobs = []
+    for (const job of this.pending) {
+      for (let i = 0; i < job.digests.length; i += maxDigestsPerJob) {
+        jobs.push({ ...job, digests: job.digests.slice(i, i + maxDigestsPerJob) })
+      }
+    }
+    return jobs
+  }
+
+  /**
+   * Send every job in the batch and empty it
+   * @returns {Promise<PublishingJob[]>} - The jobs sent
+   */
+  async flush() {
+    const jobs = this.jobs()
+    this.pending = []
+    if (jobs.length > 0) {
+      await this.queue.sendJobs(jobs)
+    }
+    return jobs
+  }
+}
+
+/**
+ * Split SQS entries into SendMessageBatch requests
+ * @template {{body: string}} T
+ * @param {T[]} entries
+ * @returns {T[][]}
+ */
+function chunkEntries(entries) {
+  /** @type {T[][]} */
+  const chunks = []
+  let chunk = /** @type {T[]} */ ([])
+  let bytes = 0
+  for (const entry of entries) {
+    const size = Buffer.byteLength(entry.body)
+    if (chunk.length === MAX_BATCH_ENTRIES || (chunk.length > 0 && bytes + size > MAX_BATCH_BYTES)) {
+      chunks.push(chunk)
+      chunk = []
+      bytes = 0
+    }
+    chunk.push(entry)
+    bytes += size
+  }
+  if (chunk.length > 0) {
+    chunks.push(chunk)
+  }
+  return chunks
+}
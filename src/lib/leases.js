@@ -0,0 +1,124 @@
+/**
+ * Leases on spaces and customers
+ *
+ * A worker that starts a space or customer takes a lease on its progress
+ * record: a conditional write of `leaseOwner` (instanceId/workerId) and
+ * `leaseExpiresAt`. Other workers skip records with a live lease, and may
+ * claim a lease that has expired (its holder crashed or hung). The heartbeat
+ * renews every lease a run holds until its work is done; a lease that could
+ * not be renewed because another worker claimed it is marked lost, and the
+ * holder stops working on it.
+ */
+import { config } from '../config.js'
+import { getErrorMessage } from './error-utils.js'
+
+/**
+ * @typedef {object} Lease
+ * @property {boolean} lost - Another worker claimed the lease
+ *
+ * @typedef {object} LeaseRecord
+ * @property {string} [leaseOwner]
+ * @property {string} [leaseExpiresAt] - ISO timestamp
+ */
+
+/**
+ * Lease owner of a worker
+ *
+ * @param {{instanceId: string, workerId: string}} owner
+ * @returns {string}
+ */
+export function getLeaseOwner({ instanceId, workerId }) {
+  return `${instanceId}/${workerId}`
+}
+
+/**
+ * Expiry of a lease taken or renewed now
+ *
+ * @param {number} [duration] - Lease duration (ms)
+ * @returns {string} ISO timestamp
+ */
+export function getLeaseExpiry(duration = config.migration.leaseDuration) {
+  return new Date(Date.now() + duration).toISOString()
+}
+
+/**
+ * Whether a record is leased by a live worker
+ *
+ * @param {LeaseRecord} record
+ * @param {number} [now]
+ * @returns {boolean}
+ */
+export function isLeaseActive(record, now = Date.now()) {
+  return Boolean(record.leaseOwner && record.leaseExpiresAt && Date.parse(record.leaseExpiresAt) > now)
+}
+
+/**
+ * Create a heartbeat renewing the leases of a run
+ *
+ * @param {object} [options]
+ * @param {number} [options.interval] - Time between renewals (ms, default: a third of the lease duration)
+ */
+export function createLeaseHeartbeat({ interval = Math.floor(config.migration.leaseDuration / 3) } = {}) {
+  /** @type {Map<string, {lease: Lease, renew: () => Promise<boolean>}>} */
+  const held = new Map()
+  /** @type {NodeJS.Timeout | null} */
+  let timer = null
+
+  async function beat() {
+    await Promise.all([...held].map(async ([key, { lease, renew }]) => {
+      try {
+        if (await renew()) return
+        lease.lost = true
+        held.delete(key)
+        console.warn(`  ⚠️  Lease on ${key} was claimed by another worker, stopping work on it`)
+      } catch (error) {
+        // Keep the lease: the next heartbeat may get through before it expires
+        console.warn(`  ⚠️  Failed to renew lease on ${key}: ${getErrorMessage(error)}`)
+      }
+    }))
+  }
+
+  return {
+    /**
+     * Renew a lease until it is released
+     *
+     * @param {string} key - What the lease is on (space or customer DID)
+     * @param {() => Promise<boolean>} renew - Renews the lease, false when another worker holds it
+     * @returns {Lease}
+     */
+    hold(key, renew) {
+      /** @type {Lease} */
+      const lease = { lost: false }
+      held.set(key, { lease, renew })
+      if (!timer) {
+        timer = setInterval(() => beat(), interval)
+        timer.unref()
+      }
+      return lease
+    },
+
+    /**
+     * Stop renewing a lease
+     *
+     * @param {string} key
+     */
+    release(key) {
+      held.delete(key)
+    },
+
+    /**
+     * Renew every lease now
+     *
+     * @returns {Promise<void>}
+     */
+    beat,
+
+    stop() {
+      if (timer) {
+        clearInterval(timer)
+        timer = null
+      }
+      held.clear()
+    },
+  }
+}
@@ -0,0 +1,129 @@
+/**
+ * Local carpark and index worker stand-ins
+ *
+ * The carpark serves CAR files from a directory laid out like the R2 bucket
+ * (`<cid>/<cid>.car` for store protocol shards, `<b58 multihash>/<b58 multihash>.blob`
+ * for blob protocol shards) plus anything PUT to it during the run, which is
+ * kept in memory. The index worker reads blocks from the same carpark.
+ */
+import { readFile } from 'node:fs/promises'
+import path from 'node:path'
+import { CarIndexer } from '@ipld/car/indexer'
+import * as dagJSON from '@ipld/dag-json'
+import { readBody } from './http.js'
+
+/** Blocks returned per index worker response (the client resumes from the last offset) */
+const BLOCKS_PER_RESPONSE = 500
+
+export class LocalCarpark {
+  /**
+   * @param {string} dir - Directory holding the carpark CAR files
+   */
+  constructor(dir) {
+    this.dir = path.resolve(dir)
+    /** @type {Map<string, Uint8Array>} */
+    this.objects = new Map()
+  }
+
+  /**
+   * @param {string} key - e.g. `bag.../bag....car`
+   * @returns {Promise<Uint8Array | null>}
+   */
+  async get(key) {
+    const stored = this.objects.get(key)
+    if (stored) {
+      return stored
+    }
+    const filePath = path.resolve(this.dir, key)
+    if (!filePath.startsWith(`${this.dir}${path.sep}`)) {
+      return null
+    }
+    try {
+      return new Uint8Array(await readFile(filePath))
+    } catch {
+      return null
+    }
+  }
+
+  /**
+   * @param {string} key
+   * @param {Uint8Array} bytes
+   */
+  put(key, bytes) {
+    this.objects.set(key, bytes)
+  }
+}
+
+/**
+ * Carpark HTTP handler: GET / HEAD / PUT /<key>
+ *
+ * @param {LocalCarpark} carpark
+ * @returns {import('./http.js').RequestHandler}
+ */
+export function createCarparkHandler(carpark) {
+  return async (req, res, url) => {
+    const key = decodeURIComponent(url.pathname.slice(1))
+    if (req.method === 'PUT') {
+      carpark.put(key, await readBody(req))
+      res.writeHead(200)
+      res.end()
+      return
+    }
+
+    const bytes = await carpark.get(key)
+    if (!bytes) {
+      res.writeHead(404)
+      res.end('Not Found')
+      return
+    }
+    res.writeHead(200, { 'content-length': bytes.length, 'content-type': 'application/vnd.ipld.car' })
+    res.end(req.method === 'HEAD' ? undefined : bytes)
+  }
+}
+
+/**
+ * Index worker HTTP handler: GET / HEAD /index/<key>?offset=<n>
+ *
+ * Responds with NDJSON lines of `[digest bytes, [offset, length]]` (dag-json)
+ * for the blocks starting at or after `offset`, like the carpark index worker.
+ *
+ * @param {LocalCarpark} carpark
+ * @returns {import('./http.js').RequestHandler}
+ */
+export function createIndexWorkerHandler(carpark) {
+  return async (req, res, url) => {
+    if (!url.pathname.startsWith('/index/')) {
+      res.writeHead(404)
+      res.end('Not Found')
+      return
+    }
+    const key = decodeURIComponent(url.pathname.slice('/index/'.length))
+    const bytes = await carpark.get(key)
+    if (!bytes) {
+      res.writeHead(404)
+      res.end(`Blob not found: ${key}`)
+      return
+    }
+    if (req.method === 'HEAD') {
+      res.writeHead(200)
+      res.end()
+      return
+    }
+
+    const offset = parseInt(url.searchParams.get('offset') || '0', 10)
+    const lines = []
+    const indexer = await CarIndexer.fromBytes(bytes)
+    for await (const entry of indexer) {
+      if (entry.offset < offset) {
+        continue
+      }
+      lines.push(dagJSON.stringify([entry.cid.multihash.bytes, [entry.blockOffset, entry.blockLength]]))
+      if (lines.length === BLOCKS_PER_RESPONSE) {
+        break
+      }
+    }
+
+    res.writeHead(200, { 'content-type': 'application/x-ndjson' })
+    res.end(lines.map((line) => `${line}\n`).join(''))
+  }
+}
@@ -0,0 +1,61 @@
+/**
+ * Minimal HTTP plumbing for the local service stand-ins
+ */
+import http from 'node:http'
+import { getErrorMessage } from '../error-utils.js'
+
+/**
+ * @typedef {(req: import('node:http').IncomingMessage, res: import('node:http').ServerResponse, url: URL) => Promise<void>} RequestHandler
+ */
+
+/**
+ * Read the full request body
+ *
+ * @param {import('node:http').IncomingMessage} req
+ * @returns {Promise<Uint8Array>}
+ */
+export async function readBody(req) {
+  const chunks = []
+  for await (const chunk of req) {
+    chunks.push(chunk)
+  }
+  return new Uint8Array(Buffer.concat(chunks))
+}
+
+/**
+ * Serve a handler on the host and port of a service URL
+ *
+ * @param {string} serviceURL - e.g. config.services.indexingServiceURL
+ * @param {RequestHandler} handler
+ * @returns {Promise<import('node:http').Server>}
+ */
+export async function listen(serviceURL, handler) {
+  const { hostname, port } = new URL(serviceURL)
+  const server = http.createServer(async (req, res) => {
+    try {
+      await handler(req, res, new URL(req.url || '/', serviceURL))
+    } catch (error) {
+      console.error(`  ✗ Local service ${serviceURL} failed on ${req.method} ${req.url}: ${getErrorMessage(error)}`)
+      if (!res.headersSent) {
+        res.writeHead(500)
+      }
+      res.end(getErrorMessage(error))
+    }
+  })
+  await new Promise((resolve, reject) => {
+    server.once('error', reject)
+    server.listen(Number(port), hostname, () => resolve(undefined))
+  })
+  return server
+}
+
+/**
+ * Stop a server started with listen()
+ *
+ * @param {import('node:http').Server} server
+ * @returns {Promise<void>}
+ */
+export function close(server) {
+  server.closeAllConnections()
+  return new Promise((resolve) => server.close(() => resolve()))
+}
@@ -0,0 +1,196 @@
+/**
+ * Local environment (STORACHA_ENV=local)
+ *
+ * Starts in-process stand-ins for every external dependency of the migration
+ * so it can run end to end without network access:
+ *
+ * - in-memory DynamoDB, S3/R2 and SQS clients injected into the table,
+ *   claim store, delegation store and IPNI queue modules
+ * - HTTP servers on the `local` service URLs from config.js: carpark, index
+ *   worker, indexing service, upload service and gateway
+ *
+ * Seed data and carpark CAR files are read from the fixtures directory
+ * (LOCAL_FIXTURES_DIR, see scripts/create-local-fixture.js). Missing service
+ * keys, the indexing service proof and the encryption key are generated for
+ * the run. Nothing is persisted: every run starts from the seed.
+ */
+import { readFile } from 'node:fs/promises'
+import { randomBytes } from 'node:crypto'
+import path from 'node:path'
+import * as ed25519 from '@ucanto/principal/ed25519'
+import { delegate } from '@ucanto/core'
+import * as Link from 'multiformats/link'
+import { identity } from 'multiformats/hashes/identity'
+import { base64 } from 'multiformats/bases/base64'
+import * as Proof from '@storacha/client/proof'
+import { config, getGatewaySigner, getMigrationSigner, getUploadServiceSigner } from '../../config.js'
+import { setDynamoClient } from '../dynamo-client.js'
+import { setClaimStoreClient } from '../stores/claim-store.js'
+import { setIndexCacheClient, configureIndexCache } from '../stores/index-cache.js'
+import { setDelegationStoreClients, storeDelegations } from '../tables/delegations-table.js'
+import { setIPNIPublishingClients } from '../queues/ipni-publishing-queue.js'
+import { MemoryDynamoDB, migrationTableSchemas } from './memory-dynamodb.js'
+import { MemoryS3, MemorySQS } from './memory-s3.js'
+import { LocalCarpark, createCarparkHandler, createIndexWorkerHandler } from './carpark.js'
+import { LocalIndexingService } from './indexing-service.js'
+import { createUploadServiceHandler, LocalGateway } from './upload-service.js'
+import { listen, close } from './http.js'
+
+/**
+ * @typedef {object} LocalSeed
+ * @property {Record<string, Record<string, any>[]>} [tables] - Items keyed by config.tables name (upload, allocations, store, consumer, ...)
+ * @property {string[]} [delegations] - Base64 encoded delegations (space -> account) to store
+ *
+ * @typedef {object} LocalEnvironment
+ * @property {MemoryDynamoDB} dynamo
+ * @property {MemoryS3} s3
+ * @property {MemorySQS} sqs
+ * @property {LocalCarpark} carpark
+ * @property {LocalIndexingService} indexer
+ * @property {LocalGateway} gateway
+ * @property {() => Promise<void>} stop - Stop the HTTP servers
+ */
+
+/**
+ * Format a delegation like scripts/generate-proof.js (base64 identity CID of the CAR)
+ *
+ * @param {import('@ucanto/interface').Delegation} delegation
+ * @returns {Promise<string>}
+ */
+export async function formatProof(delegation) {
+  const { ok: archive, error } = await delegation.archive()
+  if (error) {
+    throw error
+  }
+  return Link.create(0x0202, identity.digest(archive)).toString(base64)
+}
+
+/**
+ * Fill in the credentials and settings the local run needs but .env-local doesn't provide
+ *
+ * @param {import('@ucanto/interface').Signer} indexingService - Issuer of the claim/cache proof
+ */
+async function ensureCredentials(indexingService) {
+  const credentials = config.credentials
+  for (const name of /** @type {const} */ ([
+    'migrationAgentPrivateKey',
+    'uploadServicePrivateKey',
+    'claimsServicePrivateKey',
+    'gatewayPrivateKey',
+    'piriPrivateKey',
+  ])) {
+    credentials[name] ??= ed25519.format(await ed25519.generate())
+  }
+
+  if (!credentials.indexingServiceProof) {
+    const migrationSigner = await getMigrationSigner()
+    const proof = await delegate({
+      issuer: indexingService,
+      audience: migrationSigner,
+      capabilities: [{ can: 'claim/cache', with: indexingService.did(), nb: {} }],
+      expiration: Infinity,
+    })
+    credentials.indexingServiceProof = await formatProof(proof)
+  }
+
+  config.encryption.key ??= Buffer.from(randomBytes(32))
+  // Delegations are written to the R2 bucket and read back from either store
+  config.storage.r2DelegationBucket ??= config.storage.delegationBucket
+}
+
+/**
+ * Load seed.json into the in-memory tables and delegation store
+ *
+ * @param {string} seedPath
+ * @param {MemoryDynamoDB} dynamo
+ */
+async function loadSeed(seedPath, dynamo) {
+  /** @type {LocalSeed} */
+  let seed
+  try {
+    seed = JSON.parse(await readFile(seedPath, 'utf-8'))
+  } catch (error) {
+    if (/** @type {NodeJS.ErrnoException} */ (error).code === 'ENOENT') {
+      console.warn(`  ⚠️  No seed file at ${seedPath}: starting with empty tables`)
+      return
+    }
+    throw error
+  }
+
+  for (const [name, items] of Object.entries(seed.tables ?? {})) {
+    const tableName = /** @type {Record<string, string>} */ (config.tables)[name]
+    if (!tableName) {
+      throw new Error(`Unknown table in ${seedPath}: ${name}`)
+    }
+    dynamo.seed(tableName, items)
+  }
+
+  if (seed.delegations?.length) {
+    const delegations = await Promise.all(seed.delegations.map((proof) => Proof.parse(proof)))
+    await storeDelegations(/** @type {import('@ucanto/interface').Delegation[]} */ (delegations))
+  }
+}
+
+/**
+ * Start the local environment
+ *
+ * @param {object} [options]
+ * @param {string} [options.fixturesDir] - Directory holding seed.json and carpark/
+ * @returns {Promise<LocalEnvironment>}
+ */
+export async function startLocalEnvironment({ fixturesDir = config.local.fixturesDir } = {}) {
+  if (config.environment !== 'local') {
+    throw new Error(`Refusing to start local stand-ins in the ${config.environment} environment`)
+  }
+
+  const indexingService = (await ed25519.generate()).withDID(
+    /** @type {`did:${string}:${string}`} */ (config.services.indexingServiceDID)
+  )
+  await ensureCredentials(indexingService)
+
+  const dynamo = new MemoryDynamoDB(migrationTableSchemas())
+  const s3 = new MemoryS3()
+  const sqs = new MemorySQS()
+  setDynamoClient(/** @type {any} */ (dynamo))
+  setClaimStoreClient(/** @type {any} */ (s3))
+  setDelegationStoreClients({ s3Client: /** @type {any} */ (s3), r2Client: /** @type {any} */ (s3) })
+  setIPNIPublishingClients({ sqsClient: /** @type {any} */ (sqs), s3Client: /** @type {any} */ (s3) })
+  setIndexCacheClient(/** @type {any} */ (s3))
+  // Keep cached indexes with the fixtures unless a cache is configured
+  if (!process.env.INDEX_CACHE) {
+    configureIndexCache(path.join(fixturesDir, 'index-cache'))
+  }
+
+  const carpark = new LocalCarpark(path.join(fixturesDir, 'carpark'))
+  const indexer = new LocalIndexingService({ id: indexingService, carpark })
+  const gateway = new LocalGateway({ id: await getGatewaySigner(), indexer })
+
+  const servers = await Promise.all([
+    listen(config.storage.carparkPublicUrl, createCarparkHandler(carpark)),
+    listen(config.services.indexWorkerURL, createIndexWorkerHandler(carpark)),
+    listen(config.services.indexingServiceURL, indexer.handle),
+    listen(
+      config.services.uploadServiceURL,
+      createUploadServiceHandler({
+        id: await getUploadServiceSigner(),
+        carparkURL: config.storage.carparkPublicUrl,
+      })
+    ),
+    listen(config.services.gatewayServiceURL, gateway.handle),
+  ])
+
+  await loadSeed(path.join(fixturesDir, 'seed.json'), dynamo)
+  console.log(`  ✓ Local environment started (fixtures: ${fixturesDir})`)
+
+  return {
+    dynamo,
+    s3,
+    sqs,
+    carpark,
+    indexer,
+    gateway,
+    stop: async () => {
+      await Promise.all(servers.map(close))
+    },
+  }
+}
@@ -0,0 +1,158 @@
+/**
+ * Local indexing service stand-in
+ *
+ * Accepts `assert/index` and `claim/cache` invocations and answers
+ * `GET /claims?multihash=...` queries with the claims it was given. Like the
+ * real indexer, a query for content with an index claim also returns the
+ * index and the location claims of every shard in it. Index blobs are read
+ * from the local carpark.
+ */
+import * as Claim from '@storacha/indexing-service-client/claim'
+import * as QueryResult from '@storacha/indexing-service-client/query-result'
+import { ShardedDAGIndex } from '@storacha/blob-index'
+import { Delegation } from '@ucanto/core'
+import { base58btc } from 'multiformats/bases/base58'
+import { createUcantoHandler } from './ucanto-server.js'
+
+/**
+ * Base58btc multihash of a claim's `content` (a link or `{digest}`)
+ *
+ * @param {any} content
+ * @returns {string}
+ */
+function contentKey(content) {
+  const bytes = content.multihash ? content.multihash.bytes : content.digest
+  return base58btc.encode(bytes)
+}
+
+export class LocalIndexingService {
+  /**
+   * @param {object} options
+   * @param {import('@ucanto/interface').Signer} options.id - Indexing service signer
+   * @param {import('./carpark.js').LocalCarpark} options.carpark - Where index blobs are read from
+   */
+  constructor({ id, carpark }) {
+    this.id = id
+    this.carpark = carpark
+    /** @type {Map<string, Map<string, import('@ucanto/interface').Delegation>>} Claims keyed by content multihash */
+    this.claims = new Map()
+    this.rpc = createUcantoHandler({
+      id,
+      handlers: {
+        'assert/index': async (invocation) => {
+          this.addClaim(invocation)
+          return { result: { ok: {} } }
+        },
+        'claim/cache': async (invocation) => {
+          const { claim } = /** @type {any} */ (invocation.capabilities[0].nb)
+          const delegation = invocation.proofs.find(
+            (proof) => Delegation.isDelegation(proof) && proof.cid.equals(claim)
+          )
+          if (!delegation) {
+            return { result: { error: { name: 'ClaimNotFound', message: `claim ${claim} not attached to invocation` } } }
+          }
+          this.addClaim(/** @type {import('@ucanto/interface').Delegation} */ (delegation))
+          return { result: { ok: {} } }
+        },
+      },
+    })
+  }
+
+  /**
+   * Store a claim (delegation with an assert/* capability)
+   *
+   * @param {import('@ucanto/interface').Delegation} delegation
+   */
+  addClaim(delegation) {
+    const key = contentKey(/** @type {any} */ (delegation.capabilities[0].nb).content)
+    const claims = this.claims.get(key) ?? new Map()
+    claims.set(delegation.cid.toString(), delegation)
+    this.claims.set(key, claims)
+  }
+
+  /**
+   * Whether an index claim was published for the content
+   *
+   * @param {string} multihash - Base58btc encoded multihash
+   */
+  hasIndex(multihash) {
+    return [...(this.claims.get(multihash)?.values() ?? [])].some(
+      (claim) => claim.capabilities[0].can === 'assert/index'
+    )
+  }
+
+  /**
+   * Claims and indexes for the given multihashes
+   *
+   * @param {string[]} multihashes - Base58btc encoded multihashes
+   */
+  async query(multihashes) {
+    /** @type {Map<string, import('@ucanto/interface').Delegation>} */
+    const found = new Map()
+    /** @type {Map<string, import('@storacha/blob-index/types').ShardedDAGIndexView>} */
+    const indexes = new Map()
+
+    /** @param {string} key */
+    const collect = (key) => {
+      const claims = [...(this.claims.get(key)?.values() ?? [])]
+      for (const claim of claims) {
+        found.set(claim.cid.toString(), claim)
+      }
+      return claims
+    }
+
+    for (const multihash of multihashes) {
+      for (const claim of collect(multihash)) {
+        const capability = /** @type {any} */ (claim.capabilities[0])
+        if (capability.can !== 'assert/index') {
+          continue
+        }
+        const indexKey = base58btc.encode(capability.nb.index.multihash.bytes)
+        const bytes = await this.carpark.get(`${indexKey}/${indexKey}.blob`)
+        if (!bytes) {
+          continue
+        }
+        const extracted = ShardedDAGIndex.extract(bytes)
+        if (extracted.error) {
+          continue
+        }
+        indexes.set(capability.nb.index.toString(), extracted.ok)
+        for (const shard of extracted.ok.shards.keys()) {
+          collect(base58btc.encode(shard.bytes))
+        }
+      }
+    }
+
+    const result = await QueryResult.from({
+      claims: [...found.values()].map((delegation) => Claim.from(delegation)),
+      indexes,
+    })
+    if (result.error) {
+      throw result.error
+    }
+    const archive = await result.ok.archive()
+    if (archive.error) {
+      throw archive.error
+    }
+    return archive.ok
+  }
+
+  /**
+   * HTTP handler: UCAN invocations on POST /, queries on GET /claims
+   *
+   * @type {import('./http.js').RequestHandler}
+   */
+  handle = async (req, res, url) => {
+    if (req.method === 'POST') {
+      return this.rpc(req, res)
+    }
+    if (req.method === 'GET' && url.pathname === '/claims') {
+      const bytes = await this.query(url.searchParams.getAll('multihash'))
+      res.writeHead(200, { 'content-type': 'application/vnd.ipld.car' })
+      res.end(bytes)
+      return
+    }
+    res.writeHead(404)
+    res.end('Not Found')
+  }
+}
@@ -0,0 +1,656 @@
+/**
+ * In-memory DynamoDB Document Client
+ *
+ * Implements `send()` for the @aws-sdk/lib-dynamodb commands used by the
+ * table modules (Get, Put, Update, Delete, Query, Scan, BatchWrite, BatchGet)
+ * including the subset of the expression language they rely on:
+ *
+ * - conditions: = <> < <= > >= BETWEEN, AND / OR / NOT, parentheses,
+ *   attribute_exists, attribute_not_exists, begins_with, contains
+ * - updates: SET (with + / -, if_not_exists, list_append), REMOVE, ADD
+ * - projections, Limit / ExclusiveStartKey paging, Select: 'COUNT'
+ *
+ * Tables and their GSIs must be declared up front, like in DynamoDB.
+ */
+import {
+  GetCommand,
+  PutCommand,
+  UpdateCommand,
+  DeleteCommand,
+  QueryCommand,
+  ScanCommand,
+  BatchWriteCommand,
+  BatchGetCommand,
+} from '@aws-sdk/lib-dynamodb'
+import { config } from '../../config.js'
+
+/**
+ * @typedef {Record<string, any>} Item
+ *
+ * @typedef {object} TableSchema
+ * @property {string[]} key - [partition key, sort key?]
+ * @property {Record<string, string[]>} [indexes] - GSI name -> [partition key, sort key?]
+ */
+
+/**
+ * Key schemas of every table the migration reads or writes
+ *
+ * @returns {Record<string, TableSchema>} - Keyed by table name
+ */
+export function migrationTableSchemas() {
+  const statusIndex = { 'status-index': ['status', 'updatedAt'] }
+  return {
+    [config.tables.upload]: { key: ['space', 'root'], indexes: { cid: ['root'] } },
+    [config.tables.blobRegistry]: { key: ['space', 'digest'] },
+    [config.tables.store]: { key: ['space', 'link'] },
+    [config.tables.allocations]: { key: ['space', 'multihash'] },
+    [config.tables.consumer]: {
+      key: ['subscription', 'provider'],
+      indexes: { consumerV2: ['consumer', 'provider'], customer: ['customer'] },
+    },
+    [config.tables.subscription]: { key: ['subscription', 'provider'] },
+    [config.tables.delegation]: {
+      key: ['link'],
+      indexes: { issuer: ['issuer'], audience: ['audience'] },
+    },
+    [config.tables.contentClaims]: { key: ['content', 'claim'] },
+    [config.tables.migrationSpaces]: { key: ['customer'] },
+    [config.tables.migrationProgress]: { key: ['customer', 'space'], indexes: statusIndex },
+    [config.tables.migrationCustomers]: { key: ['customer'], indexes: statusIndex },
+    [config.tables.migrationUploads]: { key: ['space', 'root'], indexes: statusIndex },
+  }
+}
+
+/**
+ * Create an error with the name the AWS SDK would give it
+ *
+ * @param {string} name - e.g. 'ConditionalCheckFailedException'
+ * @param {string} message
+ */
+function awsError(name, message) {
+  const error = new Error(message)
+  error.name = name
+  return error
+}
+
+export class MemoryDynamoDB {
+  /**
+   * @param {Record<string, TableSchema>} schemas - Keyed by table name
+   */
+  constructor(schemas) {
+    this.schemas = schemas
+    /** @type {Map<string, Map<string, Item>>} */
+    this.tables = new Map(Object.keys(schemas).map((name) => [name, new Map()]))
+  }
+
+  /**
+   * Insert items directly (no conditions)
+   *
+   * @param {string} tableName
+   * @param {Item[]} items
+   */
+  seed(tableName, items) {
+    for (const item of items) {
+      this.#put(tableName, structuredClone(item))
+    }
+  }
+
+  /**
+   * All items of a table, in key order
+   *
+   * @param {string} tableName
+   * @returns {Item[]}
+   */
+  items(tableName) {
+    const { key } = this.#schema(tableName)
+    return this.#sorted(tableName, key).map((item) => structuredClone(item))
+  }
+
+  /**
+   * @param {any} command - A @aws-sdk/lib-dynamodb command
+   * @returns {Promise<any>}
+   */
+  async send(command) {
+    const input = command.input
+    /** @type {Record<string, any>} */
+    let output
+    if (command instanceof GetCommand) {
+      output = this.#get(input)
+    } else if (command instanceof PutCommand) {
+      output = this.#putItem(input)
+    } else if (command instanceof UpdateCommand) {
+      output = this.#update(input)
+    } else if (command instanceof DeleteCommand) {
+      output = this.#delete(input)
+    } else if (command instanceof QueryCommand) {
+      output = this.#query(input)
+    } else if (command instanceof ScanCommand) {
+      output = this.#scan(input)
+    } else if (command instanceof BatchWriteCommand) {
+      output = this.#batchWrite(input)
+    } else if (command instanceof BatchGetCommand) {
+      output = this.#batchGet(input)
+    } else {
+      throw new Error(`MemoryDynamoDB: unsupported command ${command?.constructor?.name}`)
+    }
+    return { ...output, $metadata: {} }
+  }
+
+  /**
+   * @param {string} tableName
+   * @returns {TableSchema}
+   */
+  #schema(tableName) {
+    const schema = this.schemas[tableName]
+    if (!schema) {
+      throw awsError('ResourceNotFoundException', `Requested resource not found: Table: ${tableName} not found`)
+    }
+    return schema
+  }
+
+  /**
+   * @param {string} tableName
+   * @param {Item} key
+   */
+  #keyOf(tableName, key) {
+    const schema = this.#schema(tableName)
+    return JSON.stringify(schema.key.map((attr) => {
+      if (key[attr] === undefined) {
+        throw awsError('ValidationException', `Missing key attribute ${attr} for table ${tableName}`)
+      }
+      return key[attr]
+    }))
+  }
+
+  /**
+   * @param {string} tableName
+   * @param {Item} item
+   */
+  #put(tableName, item) {
+    /** @type {Map<string, Item>} */ (this.tables.get(tableName)).set(this.#keyOf(tableName, item), item)
+  }
+
+  /**
+   * @param {string} tableName
+   * @param {Item} key
+   * @returns {Item | undefined}
+   */
+  #find(tableName, key) {
+    return this.tables.get(tableName)?.get(this.#keyOf(tableName, key))
+  }
+
+  /**
+   * Items sorted by the given key attributes (then by primary key)
+   *
+   * @param {string} tableName
+   * @param {string[]} keyAttrs
+   */
+  #sorted(tableName, keyAttrs) {
+    const { key } = this.#schema(tableName)
+    const attrs = [...keyAttrs, ...key.filter((attr) => !keyAttrs.includes(attr))]
+    const items = [.../** @type {Map<string, Item>} */ (this.tables.get(tableName)).values()]
+    return items.sort((a, b) => compareTuples(attrs.map((attr) => a[attr]), attrs.map((attr) => b[attr])))
+  }
+
+  /** @param {any} input */
+  #get(input) {
+    const item = this.#find(input.TableName, input.Key)
+    if (!item) {
+      return {}
+    }
+    return { Item: project(structuredClone(item), input.ProjectionExpression, input.ExpressionAttributeNames) }
+  }
+
+  /** @param {any} input */
+  #putItem(input) {
+    const existing = this.#find(input.TableName, input.Item)
+    this.#checkCondition(input, existing)
+    this.#put(input.TableName, structuredClone(input.Item))
+    return input.ReturnValues === 'ALL_OLD' && existing ? { Attributes: structuredClone(existing) } : {}
+  }
+
+  /** @param {any} input */
+  #update(input) {
+    const existing = this.#find(input.TableName, input.Key)
+    this.#checkCondition(input, existing)
+    const item = structuredClone(existing ?? input.Key)
+    if (input.UpdateExpression) {
+      applyUpdate(item, input.UpdateExpression, input.ExpressionAttributeNames, input.ExpressionAttributeValues)
+    }
+    this.#put(input.TableName, item)
+    switch (input.ReturnValues) {
+      case 'ALL_NEW':
+      case 'UPDATED_NEW':
+        return { Attributes: structuredClone(item) }
+      case 'ALL_OLD':
+      case 'UPDATED_OLD':
+        return existing ? { Attributes: structuredClone(existing) } : {}
+      default:
+        return {}
+    }
+  }
+
+  /** @param {any} input */
+  #delete(input) {
+    const existing = this.#find(input.TableName, input.Key)
+    this.#checkCondition(input, existing)
+    if (existing) {
+      /** @type {Map<string, Item>} */ (this.tables.get(input.TableName)).delete(this.#keyOf(input.TableName, input.Key))
+    }
+    return input.ReturnValues === 'ALL_OLD' && existing ? { Attributes: existing } : {}
+  }
+
+  /**
+   * @param {any} input
+   * @param {Item | undefined} existing
+   */
+  #checkCondition(input, existing) {
+    if (!input.ConditionExpression) {
+      return
+    }
+    const matches = parseCondition(input.ConditionExpression, input.ExpressionAttributeNames, input.ExpressionAttributeValues)
+    if (!matches(existing ?? {})) {
+      throw awsError('ConditionalCheckFailedException', 'The conditional request failed')
+    }
+  }
+
+  /** @param {any} input */
+  #query(input) {
+    const schema = this.#schema(input.TableName)
+    const keyAttrs = input.IndexName ? schema.indexes?.[input.IndexName] : schema.key
+    if (!keyAttrs) {
+      throw awsError('ValidationException', `The table does not have the specified index: ${input.IndexName}`)
+    }
+    const keyCondition = parseCondition(input.KeyConditionExpression, input.ExpressionAttributeNames, input.ExpressionAttributeValues)
+    const candidates = this.#sorted(input.TableName, keyAttrs)
+      .filter((item) => item[keyAttrs[0]] !== undefined && keyCondition(item))
+    if (input.ScanIndexForward === false) {
+      candidates.reverse()
+    }
+    return this.#page(input, candidates, keyAttrs)
+  }
+
+  /** @param {any} input */
+  #scan(input) {
+    const schema = this.#schema(input.TableName)
+    const keyAttrs = input.IndexName ? schema.indexes?.[input.IndexName] : schema.key
+    if (!keyAttrs) {
+      throw awsError('ValidationException', `The table does not have the specified index: ${input.IndexName}`)
+    }
+    const candidates = this.#sorted(input.TableName, keyAttrs)
+      .filter((item) => item[keyAttrs[0]] !== undefined)
+    return this.#page(input, candidates, keyAttrs)
+  }
+
+  /**
+   * Apply ExclusiveStartKey, Limit, FilterExpression, Select and ProjectionExpression
+   *
+   * @param {any} input
+   * @param {Item[]} candidates - Items matching the key condition, in read order
+   * @param {string[]} keyAttrs - Key attributes of the table or index being read
+   */
+  #page(input, candidates, keyAttrs) {
+    const { key } = this.#schema(input.TableName)
+    const pageKeyAttrs = [...new Set([...keyAttrs, ...key])]
+
+    let start = 0
+    if (input.ExclusiveStartKey) {
+      // Resume after the start key's position in read order (the item itself may be gone)
+      const startTuple = pageKeyAttrs.map((attr) => input.ExclusiveStartKey[attr])
+      const forward = input.ScanIndexForward !== false
+      start = candidates.findIndex((item) => {
+        const order = compareTuples(pageKeyAttrs.map((attr) => item[attr]), startTuple)
+        return forward ? order > 0 : order < 0
+      })
+      if (start === -1) {
+        start = candidates.length
+      }
+    }
+
+    const limit = input.Limit ?? Infinity
+    const evaluated = candidates.slice(start, start + limit)
+    const hasMore = start + evaluated.length < candidates.length
+
+    const filter = input.FilterExpression
+      ? parseCondition(input.FilterExpression, input.ExpressionAttributeNames, input.ExpressionAttributeValues)
+      : () => true
+    const items = evaluated.filter(filter)
+
+    /** @type {Record<string, any>} */
+    const output = { Count: items.length, ScannedCount: evaluated.length }
+    if (input.Select !== 'COUNT') {
+      output.Items = items.map((item) =>
+        project(structuredClone(item), input.ProjectionExpression, input.ExpressionAttributeNames)
+      )
+    }
+    if (hasMore && evaluated.length > 0) {
+      const last = evaluated[evaluated.length - 1]
+      output.LastEvaluatedKey = Object.fromEntries(pageKeyAttrs.map((attr) => [attr, last[attr]]))
+    }
+    return output
+  }
+
+  /** @param {any} input */
+  #batchWrite(input) {
+    for (const [tableName, requests] of Object.entries(input.RequestItems)) {
+      for (const request of /** @type {any[]} */ (requests)) {
+        if (request.PutRequest) {
+          this.#put(tableName, structuredClone(request.PutRequest.Item))
+        } else if (request.DeleteRequest) {
+          this.#delete({ TableName: tableName, Key: request.DeleteRequest.Key })
+        }
+      }
+    }
+    return { UnprocessedItems: {} }
+  }
+
+  /** @param {any} input */
+  #batchGet(input) {
+    /** @type {Record<string, Item[]>} */
+    const responses = {}
+    for (const [tableName, request] of Object.entries(input.RequestItems)) {
+      const { Keys, ProjectionExpression, ExpressionAttributeNames } = /** @type {any} */ (request)
+      responses[tableName] = /** @type {Item[]} */ (Keys.map((/** @type {Item} */ key) => this.#find(tableName, key))
+        .filter(Boolean))
+        .map((item) => project(structuredClone(item), ProjectionExpression, ExpressionAttributeNames))
+    }
+    return { Responses: responses, UnprocessedKeys: {} }
+  }
+}
+
+/**
+ * @param {any[]} a
+ * @param {any[]} b
+ */
+function compareTuples(a, b) {
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] === b[i]) continue
+    if (a[i] === undefined) return 1
+    if (b[i] === undefined) return -1
+    return a[i] < b[i] ? -1 : 1
+  }
+  return 0
+}
+
+/**
+ * @param {Item} item
+ * @param {string | undefined} projection
+ * @param {Record<string, string> | undefined} names
+ */
+function project(item, projection, names = {}) {
+  if (!projection) {
+    return item
+  }
+  const attrs = projection.split(',').map((attr) => resolveName(attr.trim(), names))
+  return Object.fromEntries(attrs.filter((attr) => attr in item).map((attr) => [attr, item[attr]]))
+}
+
+/**
+ * @param {string} token
+ * @param {Record<string, string>} names
+ */
+function resolveName(token, names) {
+  if (token.startsWith('#')) {
+    if (!(token in names)) {
+      throw awsError('ValidationException', `ExpressionAttributeNames missing ${token}`)
+    }
+    return names[token]
+  }
+  return token
+}
+
+/**
+ * Split an expression into tokens
+ *
+ * @param {string} expression
+ * @returns {string[]}
+ */
+function tokenize(expression) {
+  const tokens = expression.match(/<>|<=|>=|[=<>()+,\-]|[#:]?[A-Za-z0-9_.]+/g)
+  return tokens || []
+}
+
+/**
+ * Recursive descent parser over a token list
+ */
+class Parser {
+  /**
+   * @param {string} expression
+   * @param {Record<string, string>} [names]
+   * @param {Record<string, any>} [values]
+   */
+  constructor(expression, names = {}, values = {}) {
+    this.tokens = tokenize(expression)
+    this.position = 0
+    this.names = names
+    this.values = values
+  }
+
+  peek() {
+    return this.tokens[this.position]
+  }
+
+  /** @param {string} [expected] */
+  next(expected) {
+    const token = this.tokens[this.position++]
+    if (expected && token?.toUpperCase() !== expected) {
+      throw awsError('ValidationException', `Invalid expression: expected ${expected}, got ${token}`)
+    }
+    return token
+  }
+
+  /** @param {string} keyword */
+  accept(keyword) {
+    if (this.peek()?.toUpperCase() === keyword) {
+      this.position++
+      return true
+    }
+    return false
+  }
+
+  done() {
+    return this.position >= this.tokens.length
+  }
+
+  /**
+   * Operand: returns a function reading its value from an item
+   *
+   * @returns {(item: Item) => any}
+   */
+  operand() {
+    const token = this.next()
+    if (token === undefined) {
+      throw awsError('ValidationException', 'Invalid expression: unexpected end')
+    }
+    if (token.startsWith(':')) {
+      if (!(token in this.values)) {
+        throw awsError('ValidationException', `ExpressionAttributeValues missing ${token}`)
+      }
+      const value = this.values[token]
+      return () => value
+    }
+    const lower = token.toLowerCase()
+    if (lower === 'if_not_exists' || lower === 'list_append') {
+      this.next('(')
+      const a = this.operand()
+      this.next(',')
+      const b = this.value()
+      this.next(')')
+      return lower === 'if_not_exists'
+        ? (item) => a(item) ?? b(item)
+        : (item) => [...(a(item) ?? []), ...(b(item) ?? [])]
+    }
+    if (lower === 'size') {
+      this.next('(')
+      const a = this.operand()
+      this.next(')')
+      return (item) => {
+        const value = a(item)
+        return value?.length ?? value?.size ?? 0
+      }
+    }
+    const name = resolveName(token, this.names)
+    return (item) => item[name]
+  }
+
+  /**
+   * Update value: operand [(+|-) operand]
+   *
+   * @returns {(item: Item) => any}
+   */
+  value() {
+    const left = this.operand()
+    if (this.peek() === '+' || this.peek() === '-') {
+      const op = this.next()
+      const right = this.operand()
+      return op === '+'
+        ? (item) => left(item) + right(item)
+        : (item) => left(item) - right(item)
+    }
+    return left
+  }
+
+  /** @returns {(item: Item) => boolean} */
+  condition() {
+    let left = this.and()
+    while (this.accept('OR')) {
+      const a = left
+      const b = this.and()
+      left = (item) => a(item) || b(item)
+    }
+    return left
+  }
+
+  /** @returns {(item: Item) => boolean} */
+  and() {
+    let left = this.not()
+    while (this.accept('AND')) {
+      const a = left
+      const b = this.not()
+      left = (item) => a(item) && b(item)
+    }
+    return left
+  }
+
+  /** @returns {(item: Item) => boolean} */
+  not() {
+    if (this.accept('NOT')) {
+      const inner = this.not()
+      return (item) => !inner(item)
+    }
+    return this.primary()
+  }
+
+  /** @returns {(item: Item) => boolean} */
+  primary() {
+    if (this.accept('(')) {
+      const inner = this.condition()
+      this.next(')')
+      return inner
+    }
+
+    const fn = this.peek()?.toLowerCase()
+    if (fn === 'attribute_exists' || fn === 'attribute_not_exists') {
+      this.next()
+      this.next('(')
+      const name = resolveName(this.next(), this.names)
+      this.next(')')
+      return fn === 'attribute_exists'
+        ? (item) => item[name] !== undefined
+        : (item) => item[name] === undefined
+    }
+    if (fn === 'begins_with' || fn === 'contains') {
+      this.next()
+      this.next('(')
+      const a = this.operand()
+      this.next(',')
+      const b = this.operand()
+      this.next(')')
+      return fn === 'begins_with'
+        ? (item) => typeof a(item) === 'string' && a(item).startsWith(b(item))
+        : (item) => {
+            const haystack = a(item)
+            if (haystack instanceof Set) return haystack.has(b(item))
+            return haystack?.includes?.(b(item)) ?? false
+          }
+    }
+
+    const left = this.operand()
+    if (this.accept('BETWEEN')) {
+      const low = this.operand()
+      this.next('AND')
+      const high = this.operand()
+      return (item) => left(item) >= low(item) && left(item) <= high(item)
+    }
+    const op = this.next()
+    const right = this.operand()
+    switch (op) {
+      case '=': return (item) => left(item) === right(item)
+      case '<>': return (item) => left(item) !== right(item)
+      case '<': return (item) => left(item) !== undefined && left(item) < right(item)
+      case '<=': return (item) => left(item) !== undefined && left(item) <= right(item)
+      case '>': return (item) => left(item) !== undefined && left(item) > right(item)
+      case '>=': return (item) => left(item) !== undefined && left(item) >= right(item)
+      default:
+        throw awsError('ValidationException', `Invalid expression: unsupported operator ${op}`)
+    }
+  }
+}
+
+/**
+ * @param {string} expression
+ * @param {Record<string, string>} [names]
+ * @param {Record<string, any>} [values]
+ * @returns {(item: Item) => boolean}
+ */
+function parseCondition(expression, names, values) {
+  const parser = new Parser(expression, names, values)
+  const condition = parser.condition()
+  if (!parser.done()) {
+    throw awsError('ValidationException', `Invalid expression: unexpected ${parser.peek()}`)
+  }
+  return condition
+}
+
+/**
+ * Apply an update expression to an item in place
+ *
+ * @param {Item} item
+ * @param {string} expression
+ * @param {Record<string, string>} [names]
+ * @param {Record<string, any>} [values]
+ */
+function applyUpdate(item, expression, names = {}, values = {}) {
+  const parser = new Parser(expression, names, values)
+  // Every operand reads the item as it was before the update
+  const before = structuredClone(item)
+  while (!parser.done()) {
+    const clause = parser.next().toUpperCase()
+    do {
+      const name = resolveName(parser.next(), names)
+      switch (clause) {
+        case 'SET': {
+          parser.next('=')
+          const value = parser.value()
+          item[name] = value(before)
+          break
+        }
+        case 'REMOVE':
+          delete item[name]
+          break
+        case 'ADD': {
+          const value = parser.operand()(before)
+          const current = item[name]
+          if (value instanceof Set) {
+            item[name] = new Set([...(current ?? []), ...value])
+          } else {
+            item[name] = (current ?? 0) + value
+          }
+          break
+        }
+        default:
+          throw awsError('ValidationException', `Invalid UpdateExpression: unsupported clause ${clause}`)
+      }
+    } while (parser.accept(','))
+  }
+}
@@ -0,0 +1,162 @@
+/**
+ * In-memory S3 and SQS clients
+ *
+ * Implement `send()` for the @aws-sdk/client-s3 and @aws-sdk/client-sqs
+ * commands used by the claim store, delegation store, index cache and IPNI
+ * publishing queues. Objects and messages are kept in maps so they can be inspected.
+ */
+import {
+  PutObjectCommand,
+  GetObjectCommand,
+  HeadObjectCommand,
+  DeleteObjectCommand,
+  ListObjectsV2Command,
+} from '@aws-sdk/client-s3'
+import { SendMessageCommand, SendMessageBatchCommand } from '@aws-sdk/client-sqs'
+import { randomUUID } from 'node:crypto'
+
+/**
+ * @param {string} name
+ * @param {string} message
+ */
+function awsError(name, message) {
+  const error = new Error(message)
+  error.name = name
+  return error
+}
+
+/**
+ * @param {any} body - PutObject Body
+ * @returns {Uint8Array}
+ */
+function toBytes(body) {
+  if (body instanceof Uint8Array) {
+    return new Uint8Array(body)
+  }
+  if (typeof body === 'string') {
+    return new TextEncoder().encode(body)
+  }
+  throw new Error('MemoryS3: only Uint8Array and string bodies are supported')
+}
+
+export class MemoryS3 {
+  constructor() {
+    /** @type {Map<string, Map<string, {body: Uint8Array, contentType?: string, modified: Date}>>} */
+    this.buckets = new Map()
+  }
+
+  /**
+   * @param {string} bucket
+   * @returns {Map<string, {body: Uint8Array, contentType?: string, modified: Date}>}
+   */
+  bucket(bucket) {
+    let objects = this.buckets.get(bucket)
+    if (!objects) {
+      objects = new Map()
+      this.buckets.set(bucket, objects)
+    }
+    return objects
+  }
+
+  /**
+   * @param {any} command - A @aws-sdk/client-s3 command
+   * @returns {Promise<any>}
+   */
+  async send(command) {
+    const { Bucket, Key } = command.input
+    const objects = this.bucket(Bucket)
+
+    if (command instanceof PutObjectCommand) {
+      objects.set(Key, { body: toBytes(command.input.Body), contentType: command.input.ContentType, modified: new Date() })
+      return { $metadata: {} }
+    }
+    if (command instanceof DeleteObjectCommand) {
+      objects.delete(Key)
+      return { $metadata: {} }
+    }
+    if (command instanceof ListObjectsV2Command) {
+      // Everything in one page
+      const { Prefix = '' } = command.input
+      const contents = [...objects.entries()]
+        .filter(([key]) => key.startsWith(Prefix))
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([key, object]) => ({ Key: key, Size: object.body.length, LastModified: object.modified }))
+      return { Contents: contents, KeyCount: contents.length, IsTruncated: false, $metadata: {} }
+    }
+    if (command instanceof GetObjectCommand || command instanceof HeadObjectCommand) {
+      const object = objects.get(Key)
+      if (!object) {
+        throw command instanceof HeadObjectCommand
+          ? awsError('NotFound', `Not Found: ${Bucket}/${Key}`)
+          : awsError('NoSuchKey', `The specified key does not exist: ${Bucket}/${Key}`)
+      }
+      const output = {
+        ContentLength: object.body.length,
+        ContentType: object.contentType,
+        $metadata: {},
+      }
+      if (command instanceof HeadObjectCommand) {
+        return output
+      }
+      return {
+        ...output,
+        Body: {
+          transformToByteArray: async () => new Uint8Array(object.body),
+          transformToString: async () => new TextDecoder().decode(object.body),
+        },
+      }
+    }
+    throw new Error(`MemoryS3: unsupported command ${command?.constructor?.name}`)
+  }
+}
+
+export class MemorySQS {
+  constructor() {
+    /** @type {Map<string, Array<{MessageId: string, Body: string, MessageGroupId?: string}>>} */
+    this.queues = new Map()
+  }
+
+  /**
+   * Messages sent to a queue, oldest first
+   *
+   * @param {string} queueUrl
+   */
+  messages(queueUrl) {
+    return this.queues.get(queueUrl) ?? []
+  }
+
+  /**
+   * @param {any} command - A @aws-sdk/client-sqs command
+   * @returns {Promise<any>}
+   */
+  async send(command) {
+    if (command instanceof SendMessageCommand) {
+      const { QueueUrl = '', MessageBody = '', MessageGroupId } = command.input
+      const message = { MessageId: randomUUID(), Body: MessageBody, MessageGroupId }
+      this.queues.set(QueueUrl, [...this.messages(QueueUrl), message])
+      return { MessageId: message.MessageId, $metadata: {} }
+    }
+    if (command instanceof SendMessageBatchCommand) {
+      const { QueueUrl = '', Entries = [] } = command.input
+      if (Entries.length > 10) {
+        throw new Error('MemorySQS: too many entries in batch')
+      }
+      const messages = Entries.map(({ Id, MessageBody = '', MessageGroupId }) => ({
+        Id,
+        MessageId: randomUUID(),
+        Body: MessageBody,
+        MessageGroupId,
+      }))
+      this.queues.set(QueueUrl, [
+        ...this.messages(QueueUrl),
+        ...messages.map(({ MessageId, Body, MessageGroupId }) => ({ MessageId, Body, MessageGroupId })),
+      ])
+      return {
+        Successful: messages.map(({ Id, MessageId }) => ({ Id, MessageId })),
+        Failed: [],
+        $metadata: {},
+      }
+    }
+    throw new Error(`MemorySQS: unsupported command ${command?.constructor?.name}`)
+  }
+}
@@ -0,0 +1,67 @@
+/**
+ * Minimal UCAN RPC endpoint for the local service stand-ins
+ *
+ * Decodes the CAR encoded agent message, runs the handler registered for
+ * each invocation's ability and replies with receipts signed by the service.
+ * Invocations are not validated: the stand-ins trust every caller.
+ */
+import * as CAR from '@ucanto/transport/car'
+import { Message, Receipt } from '@ucanto/core'
+import { readBody } from './http.js'
+import { getErrorMessage } from '../error-utils.js'
+
+/**
+ * @typedef {object} HandlerResult
+ * @property {import('@ucanto/interface').Result<any, any>} result - Receipt `out`
+ * @property {import('@ucanto/interface').Effects} [fx] - Receipt effects
+ *
+ * @typedef {(invocation: import('@ucanto/interface').Invocation) => Promise<HandlerResult>} InvocationHandler
+ */
+
+/**
+ * Create a request handler answering UCAN invocations
+ *
+ * @param {object} options
+ * @param {import('@ucanto/interface').Signer} options.id - Service signer (issues receipts)
+ * @param {Record<string, InvocationHandler>} options.handlers - Handlers keyed by ability
+ * @returns {(req: import('node:http').IncomingMessage, res: import('node:http').ServerResponse) => Promise<void>}
+ */
+export function createUcantoHandler({ id, handlers }) {
+  return async (req, res) => {
+    const body = await readBody(req)
+    /** @type {import('@ucanto/interface').AgentMessage} */
+    const request = await CAR.request.decode({ headers: /** @type {Record<string, string>} */ (req.headers), body })
+
+    /** @type {any} */
+    const receipts = []
+    for (const invocation of request.invocations) {
+      const [capability] = invocation.capabilities
+      const handler = handlers[capability.can]
+
+      /** @type {HandlerResult} */
+      let outcome
+      if (!handler) {
+        outcome = {
+          result: {
+            error: {
+              name: 'UnknownAbility',
+              message: `${capability.can} is not supported by the local ${id.did()} stand-in`,
+            },
+          },
+        }
+      } else {
+        try {
+          outcome = await handler(invocation)
+        } catch (error) {
+          outcome = { result: { error: { name: 'HandlerExecutionError', message: getErrorMessage(error) } } }
+        }
+      }
+
+      receipts.push(await Receipt.issue({ issuer: id, ran: invocation, ...outcome }))
+    }
+
+    const response = CAR.response.encode(await Message.build({ receipts }))
+    res.writeHead(200, response.headers)
+    res.end(response.body)
+  }
+}
@@ -0,0 +1,173 @@
+/**
+ * Local upload service and gateway stand-ins
+ *
+ * The upload service implements just enough of `space/blob/add` for
+ * `@storacha/upload-client`: the receipt forks allocate / http/put / accept
+ * tasks with their receipts already concluded, the allocation points at the
+ * local carpark and the accept receipt carries a location claim for it.
+ * `space/index/add` and `ucan/conclude` always succeed.
+ *
+ * The gateway accepts `access/delegate`, keeps the invocations it was sent and
+ * answers retrieval checks for content with a published index claim.
+ */
+import { invoke, Receipt, DID } from '@ucanto/core'
+import { Assert } from '@web3-storage/content-claims/capability'
+import * as ed25519 from '@ucanto/principal/ed25519'
+import { base58btc } from 'multiformats/bases/base58'
+import * as Digest from 'multiformats/hashes/digest'
+import { CID } from 'multiformats/cid'
+import { createUcantoHandler } from './ucanto-server.js'
+
+/**
+ * Wrap a receipt in a `ucan/conclude` invocation carrying its blocks
+ *
+ * @param {import('@ucanto/interface').Signer} id
+ * @param {import('@ucanto/interface').Receipt} receipt
+ */
+async function conclude(id, receipt) {
+  const blocks = [...receipt.iterateIPLDBlocks()]
+  // Blocks can only be attached when linked from the invocation: list them in a fact
+  const invocation = invoke({
+    issuer: id,
+    audience: id,
+    capability: { can: 'ucan/conclude', with: id.did(), nb: { receipt: receipt.link() } },
+    facts: [{ ...blocks.map((block) => block.cid) }],
+    expiration: Infinity,
+  })
+  for (const block of blocks) {
+    invocation.attach(block)
+  }
+  return invocation.delegate()
+}
+
+/**
+ * @param {object} options
+ * @param {import('@ucanto/interface').Signer} options.id - Upload service signer
+ * @param {string} options.carparkURL - Public URL of the local carpark
+ */
+export function createUploadServiceHandler({ id, carparkURL }) {
+  return createUcantoHandler({
+    id,
+    handlers: {
+      'space/blob/add': async (invocation) => {
+        const { nb, with: space } = /** @type {any} */ (invocation.capabilities[0])
+        const digest = Digest.decode(nb.blob.digest)
+        const key = base58btc.encode(digest.bytes)
+        const url = `${carparkURL}/${key}/${key}.blob`
+
+        const allocate = await invoke({
+          issuer: id,
+          audience: id,
+          capability: { can: 'blob/allocate', with: id.did(), nb: { blob: nb.blob, cause: invocation.link(), space } },
+          expiration: Infinity,
+        }).delegate()
+        const allocateReceipt = await Receipt.issue({
+          issuer: id,
+          ran: allocate,
+          result: { ok: { size: nb.blob.size, address: { url, headers: {}, expires: Math.floor(Date.now() / 1000) + 3600 } } },
+        })
+
+        const blobProvider = await ed25519.generate()
+        const put = await invoke({
+          issuer: blobProvider,
+          audience: blobProvider,
+          capability: { can: 'http/put', with: blobProvider.did(), nb: { body: nb.blob } },
+          facts: [{ keys: blobProvider.toArchive() }],
+          expiration: Infinity,
+        }).delegate()
+        const putReceipt = await Receipt.issue({ issuer: blobProvider, ran: put, result: { ok: {} } })
+
+        const accept = await invoke({
+          issuer: id,
+          audience: id,
+          capability: { can: 'blob/accept', with: id.did(), nb: { blob: nb.blob, space, _put: { 'ucan/await': ['.out.ok', put.link()] } } },
+          expiration: Infinity,
+        }).delegate()
+        const site = await Assert.location.delegate({
+          issuer: id,
+          audience: DID.parse(space),
+          with: id.did(),
+          nb: {
+            content: { digest: digest.bytes },
+            location: [/** @type {`${string}:${string}`} */ (url)],
+            range: { offset: 0, length: nb.blob.size },
+            space: DID.parse(space),
+          },
+          expiration: Infinity,
+        })
+        const acceptReceipt = await Receipt.issue({
+          issuer: id,
+          ran: accept,
+          result: { ok: { site: site.link() } },
+          fx: { fork: [/** @type {any} */ (site)] },
+        })
+
+        return {
+          result: { ok: { site: { 'ucan/await': ['.out.ok.site', accept.link()] } } },
+          fx: {
+            fork: /** @type {any[]} */ ([
+              allocate,
+              await conclude(id, allocateReceipt),
+              put,
+              await conclude(id, putReceipt),
+              accept,
+              await conclude(id, acceptReceipt),
+            ]),
+            join: accept,
+          },
+        }
+      },
+      'space/index/add': async () => ({ result: { ok: {} } }),
+      'ucan/conclude': async () => ({ result: { ok: {} } }),
+    },
+  })
+}
+
+export class LocalGateway {
+  /**
+   * @param {object} options
+   * @param {import('@ucanto/interface').Signer} options.id - Gateway signer
+   * @param {import('./indexing-service.js').LocalIndexingService} options.indexer - Resolves /ipfs/<cid> requests
+   */
+  constructor({ id, indexer }) {
+    this.indexer = indexer
+    /** @type {import('@ucanto/interface').Invocation[]} */
+    this.invocations = []
+    this.rpc = createUcantoHandler({
+      id,
+      handlers: {
+        'access/delegate': async (invocation) => {
+          this.invocations.push(invocation)
+          return { result: { ok: {} } }
+        },
+      },
+    })
+  }
+
+  /**
+   * HTTP handler: UCAN invocations on POST /, retrievals on GET|HEAD /ipfs/<cid>
+   *
+   * Content is only "served" (200, no body) when its index claim was published.
+   *
+   * @type {import('./http.js').RequestHandler}
+   */
+  handle = async (req, res, url) => {
+    if (req.method === 'POST') {
+      return this.rpc(req, res)
+    }
+    const match = url.pathname.match(/^\/ipfs\/([^/]+)/)
+    if (match && (req.method === 'GET' || req.method === 'HEAD')) {
+      let found = false
+      try {
+        found = this.indexer.hasIndex(base58btc.encode(CID.parse(match[1]).multihash.bytes))
+      } catch {
+        // invalid CID
+      }
+      res.writeHead(found ? 200 : 404)
+      res.end()
+      return
+    }
+    res.writeHead(404)
+    res.end('Not Found')
+  }
+}
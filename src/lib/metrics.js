@@ -0,0 +1,207 @@
+/**
+ * Prometheus metrics for migration workers
+ *
+ * The collector listens to migration events (see ./events.js) and keeps
+ * counters, histograms and gauges labelled with the instance and worker IDs
+ * of the run. `startMetricsServer` serves them in the Prometheus text format
+ * on `/metrics`.
+ */
+import http from 'node:http'
+import { onEvent } from './events.js'
+import { getErrorMessage } from './error-utils.js'
+
+/** Step duration histogram buckets (seconds) */
+const STEP_DURATION_BUCKETS = [0.1, 0.5, 1, 2.5, 5, 10, 30, 60, 120, 300, 600]
+
+/**
+ * @typedef {Record<string, string>} Labels
+ *
+ * @typedef {object} Metric
+ * @property {string} name
+ * @property {string} help
+ * @property {'counter' | 'gauge' | 'histogram'} type
+ * @property {Map<string, {labels: Labels, value: number, buckets?: number[], sum?: number}>} series
+ */
+
+/** @type {Map<string, Metric>} */
+const registry = new Map()
+
+/**
+ * @param {string} name
+ * @param {string} help
+ * @param {Metric['type']} type
+ * @returns {Metric}
+ */
+function define(name, help, type) {
+  const metric = { name, help, type, series: new Map() }
+  registry.set(name, metric)
+  return metric
+}
+
+/**
+ * @param {Metric} metric
+ * @param {Labels} labels
+ */
+function getSeries(metric, labels) {
+  const key = JSON.stringify(labels)
+  let series = metric.series.get(key)
+  if (!series) {
+    series = metric.type === 'histogram'
+      ? { labels, value: 0, buckets: STEP_DURATION_BUCKETS.map(() => 0), sum: 0 }
+      : { labels, value: 0 }
+    metric.series.set(key, series)
+  }
+  return series
+}
+
+/**
+ * Add to a counter or gauge
+ *
+ * @param {Metric} metric
+ * @param {Labels} labels
+ * @param {number} [amount]
+ */
+function inc(metric, labels, amount = 1) {
+  getSeries(metric, labels).value += amount
+}
+
+/**
+ * Record a histogram observation
+ *
+ * @param {Metric} metric
+ * @param {Labels} labels
+ * @param {number} value
+ */
+function observe(metric, labels, value) {
+  const series = getSeries(metric, labels)
+  series.value++
+  series.sum = (series.sum ?? 0) + value
+  STEP_DURATION_BUCKETS.forEach((bound, i) => {
+    if (value <= bound && series.buckets) series.buckets[i]++
+  })
+}
+
+const uploads = define('migration_uploads_total', 'Uploads processed, by outcome and failure reason', 'counter')
+const claims = define('migration_location_claims_published_total', 'Location claims published', 'counter')
+const ipniJobs = define('migration_ipni_jobs_sent_total', 'IPNI publishing jobs sent', 'counter')
+const ipniDigests = define('migration_ipni_digests_sent_total', 'Digests in the IPNI publishing jobs sent', 'counter')
+const workerRequests = define('migration_index_worker_requests_total', 'Index worker requests made to generate indexes', 'counter')
+const bytesIndexed = define('migration_bytes_indexed_total', 'Shard bytes indexed (indexes reused from the cache excluded)', 'counter')
+const stepDuration = define('migration_step_duration_seconds', 'Duration of each migration step', 'histogram')
+const inFlight = define('migration_uploads_in_flight', 'Uploads being migrated', 'gauge')
+
+/**
+ * Update the metrics from a migration event
+ *
+ * @param {import('./events.js').MigrationEvent} event
+ */
+export function recordEvent(event) {
+  const worker = { instance: event.instanceId, worker: event.workerId }
+  switch (event.type) {
+    case 'upload:start':
+      inc(inFlight, worker)
+      break
+    case 'upload:end': {
+      inc(inFlight, worker, -1)
+      const outcome = event.alreadyMigrated ? 'already_migrated' : event.success ? 'migrated' : 'failed'
+      inc(uploads, { ...worker, outcome, failure_reason: event.success ? '' : event.failureReason || 'UNKNOWN_ERROR' })
+      break
+    }
+    case 'step:end':
+      observe(stepDuration, { ...worker, step: event.step, outcome: event.outcome }, event.durationMs / 1000)
+      break
+    case 'claim:published':
+      inc(claims, { ...worker, protocol: event.protocol ?? '' })
+      break
+    case 'ipni:job-sent':
+      inc(ipniJobs, { ...worker, protocol: event.protocol ?? '' })
+      inc(ipniDigests, { ...worker, protocol: event.protocol ?? '' }, event.digests ?? 0)
+      break
+    case 'index:generated':
+      inc(workerRequests, worker, event.requests ?? 0)
+      inc(bytesIndexed, worker, event.bytes ?? 0)
+      break
+  }
+}
+
+/**
+ * @param {Labels} labels
+ */
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(
+    ([name, value]) => `${name}="${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`
+  )
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : ''
+}
+
+/**
+ * Render every metric in the Prometheus text exposition format
+ *
+ * @returns {string}
+ */
+export function renderMetrics() {
+  const lines = []
+  for (const metric of registry.values()) {
+    lines.push(`# HELP ${metric.name} ${metric.help}`)
+    lines.push(`# TYPE ${metric.name} ${metric.type}`)
+    for (const series of metric.series.values()) {
+      if (metric.type !== 'histogram') {
+        lines.push(`${metric.name}${formatLabels(series.labels)} ${series.value}`)
+        continue
+      }
+      STEP_DURATION_BUCKETS.forEach((bound, i) => {
+        lines.push(`${metric.name}_bucket${formatLabels({ ...series.labels, le: String(bound) })} ${series.buckets?.[i]}`)
+      })
+      lines.push(`${metric.name}_bucket${formatLabels({ ...series.labels, le: '+Inf' })} ${series.value}`)
+      lines.push(`${metric.name}_sum${formatLabels(series.labels)} ${series.sum}`)
+      lines.push(`${metric.name}_count${formatLabels(series.labels)} ${series.value}`)
+    }
+  }
+  return `${lines.join('\n')}\n`
+}
+
+/**
+ * Forget every recorded value
+ */
+export function resetMetrics() {
+  for (const metric of registry.values()) {
+    metric.series.clear()
+  }
+}
+
+/**
+ * Collect metrics from migration events and serve them on /metrics
+ *
+ * @param {number} port - Port to listen on (0 for any free port)
+ * @returns {Promise<{port: number, close: () => Promise<void>}>}
+ */
+export async function startMetricsServer(port) {
+  const removeListener = onEvent(recordEvent)
+  const server = http.createServer((req, res) => {
+    if (req.method === 'GET' && req.url?.split('?')[0] === '/metrics') {
+      res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' })
+      res.end(renderMetrics())
+      return
+    }
+    res.writeHead(404)
+    res.end('Not Found')
+  })
+  try {
+    await new Promise((resolve, reject) => {
+      server.once('error', reject)
+      server.listen(port, () => resolve(undefined))
+    })
+  } catch (error) {
+    removeListener()
+    throw new Error(`Failed to start metrics server on port ${port}: ${getErrorMessage(error)}`, { cause: error })
+  }
+  const address = /** @type {import('node:net').AddressInfo} */ (server.address())
+  return {
+    port: address.port,
+    close() {
+      removeListener()
+      server.closeAllConnections()
+      return new Promise((resolve) => server.close(() => resolve()))
+    },
+  }
+}
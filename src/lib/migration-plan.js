@@ -0,0 +1,286 @@
+/**
+ * Dry-run planning for the migration pipeline
+ *
+ * Resolves everything a migration run needs to know about an upload (missing
+ * claims, shard sizes and protocols, carpark locations, the customer's
+ * migration space and the space -> account delegation) and describes the
+ * actions the run would take. Only reads are performed: nothing is written to
+ * DynamoDB, S3, SQS, the indexing service or the gateway.
+ */
+import { checkMigrationNeeded, getShardLocation } from './migration-steps.js'
+import { STEP, FAILURE_REASON, verifyResourceExists } from './migration-utils.js'
+import { queryIndexingService } from './indexing-service.js'
+import { getShardInfo } from './tables/shard-data-table.js'
+import { getCustomerForSpace } from './tables/consumer-table.js'
+import { getMigrationSpace } from './tables/migration-spaces-table.js'
+import { findDelegationByIssuer } from './tables/delegations-table.js'
+import { getErrorMessage } from './error-utils.js'
+import { config } from '../config.js'
+
+/**
+ * @typedef {object} PlannedAction
+ * @property {string} step - Migration step the action belongs to (STEP.*)
+ * @property {string} action - Action identifier
+ * @property {string} description - Human readable description
+ * @property {Record<string, any>} [details] - Inputs the action would use
+ */
+
+/**
+ * @typedef {object} MigrationPlan
+ * @property {string} upload - Upload root CID
+ * @property {string} space - Space DID
+ * @property {string | null} customer - Customer DID owning the space
+ * @property {{did: string | null, exists: boolean}} migrationSpace - Customer's migration space
+ * @property {boolean} alreadyMigrated - True if no action is needed
+ * @property {PlannedAction[]} actions - Actions the migration would take, in order
+ * @property {string[]} problems - Issues that would make the migration fail
+ * @property {string} [failureReason] - Failure the migration would report (FAILURE_REASON.*)
+ */
+
+/**
+ * Plan the migration of a single upload without making any changes
+ *
+ * @param {{space: string, root: string, shards: string[]}} upload - Upload from Upload Table
+ * @param {object} [options]
+ * @param {string} [options.testMode] - Test mode: 'index' | 'location-claims' | 'gateway-auth' (restricts planned steps)
+ * @param {boolean} [options.repair] - Plan a repair of all location claims when the indexing service returns 500
+ * @returns {Promise<MigrationPlan>}
+ */
+export async function planUploadMigration(upload, options = {}) {
+  const { testMode, repair = false } = options
+
+  /** @type {MigrationPlan} */
+  const plan = {
+    upload: upload.root,
+    space: upload.space,
+    customer: null,
+    migrationSpace: { did: null, exists: false },
+    alreadyMigrated: false,
+    actions: [],
+    problems: [],
+  }
+
+  let status
+  try {
+    status = await checkMigrationNeeded(upload)
+  } catch (error) {
+    const err = /** @type {Error & { code?: string }} */ (error)
+    if (err.code !== 'INDEXING_SERVICE_500') {
+      throw error
+    }
+    if (!repair) {
+      plan.problems.push(`Indexing service error (500): upload would be skipped`)
+      plan.failureReason = FAILURE_REASON.INDEXING_SERVICE_500
+      return plan
+    }
+    // Repair mode republishes every location claim and skips the other steps
+    status = {
+      needsIndexGeneration: false,
+      needsLocationClaims: true,
+      needsGatewayAuth: false,
+      shardsNeedingLocationClaims: upload.shards,
+    }
+  }
+
+  const shouldRunIndex = !testMode || testMode === 'index'
+  const shouldRunLocationClaims = !testMode || testMode === 'location-claims'
+  const shouldRunGatewayAuth = !testMode || testMode === 'gateway-auth'
+
+  const needsIndex = status.needsIndexGeneration && shouldRunIndex
+  const needsLocationClaims = status.needsLocationClaims && shouldRunLocationClaims
+  const needsGatewayAuth = status.needsGatewayAuth && shouldRunGatewayAuth
+
+  if (!needsIndex && !needsLocationClaims && !needsGatewayAuth) {
+    plan.alreadyMigrated = true
+    return plan
+  }
+
+  // Migration space lookup (the real run creates it if missing)
+  plan.customer = await getCustomerForSpace(upload.space)
+  if (plan.customer) {
+    const existing = await getMigrationSpace(plan.customer)
+    plan.migrationSpace = {
+      did: existing?.migrationSpace ?? null,
+      exists: Boolean(existing),
+    }
+  } else {
+    plan.problems.push(`No customer found for space ${upload.space}`)
+  }
+
+  // Shard sizes and protocols, shared by index generation and location claims
+  /** @type {Map<string, {size: number, protocol: 'blob'|'store'}>} */
+  const shardInfo = new Map()
+  const shardsToResolve = needsIndex
+    ? upload.shards
+    : needsLocationClaims
+      ? status.shardsNeedingLocationClaims
+      : []
+  for (const shardCID of shardsToResolve) {
+    try {
+      shardInfo.set(shardCID, await getShardInfo(upload.space, shardCID))
+    } catch (error) {
+      plan.problems.push(getErrorMessage(error))
+    }
+  }
+
+  if (needsIndex) {
+    if (plan.customer && !plan.migrationSpace.exists) {
+      plan.actions.push({
+        step: STEP.INDEX_GENERATION,
+        action: 'create-migration-space',
+        description: `Create and provision a migration space for ${plan.customer}`,
+        details: { customer: plan.customer },
+      })
+    }
+    plan.actions.push({
+      step: STEP.INDEX_GENERATION,
+      action: 'build-index',
+      description: `Build sharded DAG index over ${upload.shards.length} shard(s)`,
+      details: {
+        indexWorkerURL: config.services.indexWorkerURL,
+        shards: upload.shards.map((cid) => ({ cid, ...shardInfo.get(cid) })),
+      },
+    })
+    plan.actions.push({
+      step: STEP.INDEX_GENERATION,
+      action: 'upload-index-blob',
+      description: 'Upload index blob to the migration space (space/blob/add)',
+      details: {
+        migrationSpace: plan.migrationSpace.did,
+        uploadServiceURL: config.services.uploadServiceURL,
+      },
+    })
+    plan.actions.push({
+      step: STEP.INDEX_GENERATION,
+      action: 'publish-index-location-claim',
+      description: 'Publish location claim for the index blob',
+      details: { migrationSpace: plan.migrationSpace.did },
+    })
+    plan.actions.push({
+      step: STEP.INDEX_GENERATION,
+      action: 'register-index',
+      description: 'Register index with the indexing service (assert/index)',
+      details: {
+        content: upload.root,
+        indexingServiceURL: config.services.indexingServiceURL,
+      },
+    })
+    if (plan.customer && !plan.migrationSpace.exists) {
+      plan.actions.push({
+        step: STEP.INDEX_GENERATION,
+        action: 'delegate-migration-space',
+        description: `Delegate space/* on the migration space to ${plan.customer}`,
+        details: { customer: plan.customer },
+      })
+    }
+  }
+
+  if (needsLocationClaims) {
+    for (const shardCID of status.shardsNeedingLocationClaims) {
+      const info = shardInfo.get(shardCID)
+      if (!info) {
+        continue
+      }
+      const { locationURI, providerAddr } = getShardLocation(shardCID, info.protocol)
+      let location = locationURI
+      const resourceCheck = await verifyResourceExists(locationURI)
+      if (!resourceCheck.exists) {
+        // The real run falls back to an existing location claim from the indexer
+        const indexingData = await queryIndexingService(shardCID)
+        const existing = indexingData.claims.find((c) => c.type === 'assert/location')
+        if (existing?.location?.length) {
+          location = existing.location[0]
+        } else {
+          plan.problems.push(
+            `Shard ${shardCID}: [${info.protocol}] not found in carpark (${locationURI}) and no existing location claim`
+          )
+          continue
+        }
+      }
+      plan.actions.push({
+        step: STEP.LOCATION_CLAIMS,
+        action: 'publish-location-claim',
+        description: `Publish location claim for ${shardCID} (${info.protocol}, ${info.size} bytes)`,
+        details: {
+          shard: shardCID,
+          protocol: info.protocol,
+          size: info.size,
+          location,
+          carparkURL: locationURI,
+          foundInCarpark: resourceCheck.exists,
+          providerAddr: providerAddr.toString(),
+          space: upload.space,
+          ipniQueue:
+            info.protocol === 'blob'
+              ? config.queues.ipniBlobPublishingQueue
+              : config.queues.ipniStorePublishingQueue,
+        },
+      })
+    }
+  }
+
+  if (needsGatewayAuth) {
+    const delegation = await findDelegationByIssuer(upload.space)
+    if (delegation) {
+      plan.actions.push({
+        step: STEP.GATEWAY_AUTH,
+        action: 'gateway-auth',
+        description: `Publish content/serve authorization for ${upload.space} to the gateway`,
+        details: {
+          account: delegation.audience.did(),
+          delegation: delegation.cid.toString(),
+          gatewayServiceURL: config.services.gatewayServiceURL,
+        },
+      })
+    } else {
+      plan.problems.push(`No space -> account delegation found for ${upload.space}`)
+      plan.failureReason = FAILURE_REASON.MISSING_DELEGATION
+    }
+  }
+
+  if (plan.problems.length > 0 && !plan.failureReason) {
+    plan.failureReason = needsIndex
+      ? FAILURE_REASON.INDEX_GENERATION_FAILED
+      : FAILURE_REASON.LOCATION_CLAIM_FAILED
+  }
+
+  return plan
+}
+
+/**
+ * Print a migration plan
+ *
+ * @param {MigrationPlan} plan
+ */
+export function printMigrationPlan(plan) {
+  console.log(`\nDRY RUN PLAN ${'─'.repeat(57)}`)
+  if (plan.alreadyMigrated) {
+    console.log('  ✓ Nothing to do: upload already fully migrated')
+    return
+  }
+
+  if (plan.customer) {
+    console.log(`  Customer:        ${plan.customer}`)
+    console.log(
+      `  Migration space: ${
+        plan.migrationSpace.exists ? plan.migrationSpace.did : '(would be created)'
+      }`
+    )
+  }
+
+  console.log(`\n  Actions (${plan.actions.length}):`)
+  plan.actions.forEach((action, i) => {
+    console.log(`    ${i + 1}. [${action.step}] ${action.description}`)
+    if (action.action === 'publish-location-claim' && action.details) {
+      console.log(`       └─ ${action.details.location}`)
+    }
+  })
+
+  if (plan.problems.length > 0) {
+    console.log(`\n  ⚠️  Problems (${plan.problems.length}):`)
+    for (const problem of plan.problems) {
+      console.log(`    ✗ ${problem}`)
+    }
+    console.log(`  Would fail with: ${plan.failureReason}`)
+  }
+}
@@ -0,0 +1,191 @@
+/**
+ * Migration policy: customers, spaces and uploads that must not be migrated
+ *
+ * The policy is a JSON file (migration-policy.json by default, MIGRATION_POLICY
+ * or --policy to use another) shared by setup-distribution.js, migrate.js and
+ * migrate-instance.js:
+ *
+ *   {
+ *     "skip": [
+ *       { "type": "customer", "match": "prefix", "value": "did:mailto:mailslurp.biz:", "reason": "CI account" },
+ *       { "type": "space", "value": "did:key:z6Mk...", "reason": "Space ownership transfer" }
+ *     ],
+ *     "include": [
+ *       { "type": "customer", "match": "prefix", "value": "did:mailto:storacha.network:" }
+ *     ]
+ *   }
+ *
+ * A rule matches its `type` of item (customer DID, space DID or upload root
+ * CID) either exactly (`match: 'exact'`, the default) or by `prefix`. Items
+ * matching a skip rule are skipped with the rule's reason. When there are
+ * include rules for a type, items of that type matching none of them are
+ * skipped too.
+ */
+import { readFile } from 'fs/promises'
+import { config } from '../config.js'
+import { getErrorMessage } from './error-utils.js'
+
+export const RULE_TYPES = /** @type {const} */ (['customer', 'space', 'upload'])
+
+/**
+ * @typedef {typeof RULE_TYPES[number]} RuleType
+ *
+ * @typedef {object} PolicyRule
+ * @property {RuleType} type - Kind of item the rule applies to
+ * @property {string} value - Customer DID, space DID or upload root CID (or a prefix of one)
+ * @property {'exact'|'prefix'} [match] - How `value` is compared (default: exact)
+ * @property {string} [reason] - Why the rule exists, reported for skipped items
+ *
+ * @typedef {object} PolicyRules
+ * @property {PolicyRule[]} [skip] - Items never migrated
+ * @property {PolicyRule[]} [include] - When set for a type, the only items of that type migrated
+ *
+ * @typedef {object} SkippedItem
+ * @property {RuleType} type
+ * @property {string} value
+ * @property {string} reason
+ */
+
+/**
+ * Load the migration policy from a JSON file
+ *
+ * @param {string} [file] - Policy file (default: config.migration.policyFile)
+ */
+export async function loadMigrationPolicy(file = config.migration.policyFile) {
+  /** @type {unknown} */
+  let rules
+  try {
+    rules = JSON.parse(await readFile(file, 'utf-8'))
+  } catch (error) {
+    throw new Error(`Cannot read migration policy ${file}: ${getErrorMessage(error)}`, { cause: error })
+  }
+  return createMigrationPolicy(validateRules(rules, file), file)
+}
+
+/**
+ * Create a migration policy from its rules
+ *
+ * The policy records every item it skipped (once) so runs can report them
+ * in their summary.
+ *
+ * @param {PolicyRules} [rules]
+ * @param {string} [source] - Where the rules come from (for logging)
+ */
+export function createMigrationPolicy({ skip = [], include = [] } = {}, source = '(inline)') {
+  /** @type {SkippedItem[]} */
+  const skipped = []
+  const seen = new Set()
+
+  return {
+    source,
+    rules: { skip, include },
+    skipped,
+
+    /**
+     * Why an item must not be migrated
+     *
+     * @param {RuleType} type
+     * @param {string} value - Customer DID, space DID or upload root CID
+     * @returns {string | null} - The reason, or null when the item may be migrated
+     */
+    check(type, value) {
+      const reason = findSkipReason({ skip, include }, type, value)
+      if (reason !== null && !seen.has(`${type} ${value}`)) {
+        seen.add(`${type} ${value}`)
+        skipped.push({ type, value, reason })
+      }
+      return reason
+    },
+
+    /**
+     * One-line description of the rules (for configuration output)
+     */
+    describe() {
+      return `${source} (${skip.length} skip rule(s), ${include.length} include rule(s))`
+    },
+  }
+}
+
+/**
+ * @typedef {ReturnType<typeof createMigrationPolicy>} MigrationPolicy
+ */
+
+/**
+ * Print the items a policy skipped, grouped by reason
+ *
+ * @param {MigrationPolicy} policy
+ * @param {number} [limit] - Items listed per reason
+ */
+export function printSkippedItems(policy, limit = 10) {
+  if (policy.skipped.length === 0) return
+  /** @type {Map<string, SkippedItem[]>} */
+  const byReason = new Map()
+  for (const item of policy.skipped) {
+    byReason.set(item.reason, [...(byReason.get(item.reason) ?? []), item])
+  }
+  console.log(`\nSkipped by policy (${policy.skipped.length}):`)
+  for (const [reason, items] of byReason) {
+    console.log(`  ${reason}: ${items.length}`)
+    for (const { type, value } of items.slice(0, limit)) {
+      console.log(`    ⏭  ${type} ${value}`)
+    }
+    if (items.length > limit) {
+      console.log(`    ... and ${items.length - limit} more`)
+    }
+  }
+}
+
+/**
+ * @param {PolicyRules} rules
+ * @param {RuleType} type
+ * @param {string} value
+ * @returns {string | null}
+ */
+function findSkipReason({ skip = [], include = [] }, type, value) {
+  const rule = skip.find((rule) => rule.type === type && matches(rule, value))
+  if (rule) {
+    return rule.reason || `skip rule ${rule.match === 'prefix' ? `${rule.value}*` : rule.value}`
+  }
+  const includes = include.filter((rule) => rule.type === type)
+  if (includes.length > 0 && !includes.some((rule) => matches(rule, value))) {
+    return `${type} not in the include rules`
+  }
+  return null
+}
+
+/**
+ * @param {PolicyRule} rule
+ * @param {string} value
+ */
+function matches(rule, value) {
+  return rule.match === 'prefix' ? value.startsWith(rule.value) : value === rule.value
+}
+
+/**
+ * @param {any} rules - Parsed policy file
+ * @param {string} file
+ * @returns {PolicyRules}
+ */
+function validateRules(rules, file) {
+  if (!rules || typeof rules !== 'object' || Array.isArray(rules)) {
+    throw new Error(`Invalid migration policy ${file}: expected an object with skip and include rules`)
+  }
+  for (const list of ['skip', 'include']) {
+    if (rules[list] === undefined) continue
+    if (!Array.isArray(rules[list])) {
+      throw new Error(`Invalid migration policy ${file}: ${list} must be an array of rules`)
+    }
+    rules[list].forEach((/** @type {any} */ rule, /** @type {number} */ i) => {
+      if (!RULE_TYPES.includes(rule?.type)) {
+        throw new Error(`Invalid migration policy ${file}: ${list}[${i}].type must be one of ${RULE_TYPES.join(', ')}`)
+      }
+      if (typeof rule.value !== 'string' || rule.value === '') {
+        throw new Error(`Invalid migration policy ${file}: ${list}[${i}].value must be a non-empty string`)
+      }
+      if (rule.match !== undefined && rule.match !== 'exact' && rule.match !== 'prefix') {
+        throw new Error(`Invalid migration policy ${file}: ${list}[${i}].match must be 'exact' or 'prefix'`)
+      }
+    })
+  }
+  return rules
+}
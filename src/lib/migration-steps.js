@@ -9,7 +9,7 @@
  */
 
 import { Blob as SpaceBlob, Index } from '@storacha/upload-client'
-import { DID } from '@ucanto/core'
+import { DID, Delegation } from '@ucanto/core'
 import { connect } from '@ucanto/client'
 import * as CAR from '@ucanto/transport/car'
 import * as HTTP from '@ucanto/transport/http'
@@ -24,11 +24,15 @@ import {
 import { CID } from 'multiformats/cid'
 import { base58btc } from 'multiformats/bases/base58'
 import * as Digest from 'multiformats/hashes/digest'
-import { queryIndexingService } from './indexing-service.js'
+import { queryIndexingService, indexingServiceFetch } from './indexing-service.js'
 import { getCustomerForSpace } from './tables/consumer-table.js'
 import { incrementIndexCount } from './tables/migration-spaces-table.js'
 import { getShardInfo } from './tables/shard-data-table.js'
 import { findDelegationByIssuer } from './tables/delegations-table.js'
+import {
+  getSpaceProgress,
+  recordGatewayAuth,
+} from './tables/migration-progress-table.js'
 import {
   getOrCreateMigrationSpaceForCustomer,
   delegateMigrationSpaceToCustomer,
@@ -46,9 +50,13 @@ import { LocationCommitmentMetadata } from './ipni/location.js'
 import { getIPNIPublishingQueue } from './queues/ipni-publishing-queue.js'
 import { encodeContextID } from './ipni/advertisement.js'
 import { getErrorMessage } from './error-utils.js'
+import { httpFetch } from './http-client.js'
 import { claimHasSpace, findClaimsForShard } from './claim-utils.js'
+import { assertValidShardedIndex } from './index-validation.js'
+import { deleteCachedIndex } from './stores/index-cache.js'
 import { storeClaim } from './stores/claim-store.js'
 import { URI } from '@ucanto/core/schema'
+import { emitEvent } from './events.js'
 
 /**
  * Determine what migration steps are needed for an upload by checking the indexing service
@@ -63,6 +71,7 @@ import { URI } from '@ucanto/core/schema'
  *   needsIndexRegistration: boolean,
  *   needsLocationClaims: boolean,
  *   needsGatewayAuth: boolean,
+ *   gatewayAuth: GatewayAuthResult | null,
  *   hasIndexClaim: boolean,
  *   hasLocationClaim: boolean,
  *   locationHasSpace: boolean,
@@ -114,11 +123,14 @@ export async function checkMigrationNeeded(upload) {
     }
   }
 
+  const gatewayAuth = await findGatewayAuth(upload.space)
+
   return {
     needsIndexGeneration: !indexingData.hasIndexClaim,
     needsIndexRegistration: !indexingData.hasIndexClaim,
     needsLocationClaims: shardsNeedingLocationClaims.length > 0,
-    needsGatewayAuth: true, // Always create gateway auth for now
+    needsGatewayAuth: !gatewayAuth,
+    gatewayAuth, // Existing gateway authorization of the space (if any)
     hasIndexClaim: indexingData.hasIndexClaim,
     hasLocationClaim: allLocationClaims.length > 0,
     locationHasSpace: shardsNeedingLocationClaims.length === 0,
@@ -150,9 +162,23 @@ export async function buildAndMigrateIndex({ upload }) {
   console.log(`    Content root: ${upload.root}`)
 
   // Generate sharded DAG index for the content
-  const { indexBytes, indexCID, indexDigest, shards } = await generateDAGIndex(
-    upload
-  )
+  const { indexBytes, indexCID, indexDigest, shards, cached, requests } =
+    await generateDAGIndex(upload)
+  emitEvent('index:generated', {
+    shards: shards.length,
+    bytes: cached ? 0 : shards.reduce((sum, shard) => sum + shard.size, 0),
+    requests,
+    cached,
+  })
+
+  // Validate before anything is uploaded: a registered index is permanent
+  console.log('    Validating index...')
+  // shards holds every shard of upload.shards with its size from getShardInfo
+  const { slices } = assertValidShardedIndex(indexBytes, {
+    root: upload.root,
+    shards,
+  })
+  console.log(`    ✓ Index valid: ${shards.length} shards, ${slices} slices`)
 
   const uploadServiceSigner = await getUploadServiceSigner()
   const uploadServiceURL = new URL(config.services.uploadServiceURL)
@@ -161,7 +187,7 @@ export async function buildAndMigrateIndex({ upload }) {
   const connection = connect({
     id: uploadServiceSigner,
     codec: CAR.outbound,
-    channel: HTTP.open({ url: uploadServiceURL }),
+    channel: HTTP.open({ url: uploadServiceURL, fetch: httpFetch }),
   })
 
   console.log('    Looking up customer for original space...')
@@ -282,7 +308,7 @@ export async function buildAndMigrateIndex({ upload }) {
     const indexingConnection = connect({
       id: indexingServicePrincipal,
       codec: CAR.outbound,
-      channel: HTTP.open({ url: indexingServiceURL }),
+      channel: HTTP.open({ url: indexingServiceURL, fetch: indexingServiceFetch }),
     })
 
     indexInvocation = await Assert.index
@@ -317,6 +343,9 @@ export async function buildAndMigrateIndex({ upload }) {
     throw new Error(`Failed to register index: ${getErrorMessage(error)}`)
   }
 
+  // The index is registered, a retry won't need it again
+  await deleteCachedIndex(upload.root, shards)
+
   // Increment index count in tracking table
   await incrementIndexCount(customer)
 
@@ -349,7 +378,7 @@ export async function registerIndex({ upload, indexCID }) {
   const connection = connect({
     id: serviceSigner,
     codec: CAR.outbound,
-    channel: HTTP.open({ url: serviceURL }),
+    channel: HTTP.open({ url: serviceURL, fetch: httpFetch }),
   })
 
   // Get migration space for this upload
@@ -407,6 +436,35 @@ export async function registerIndex({ upload, indexCID }) {
   return result
 }
 
+/**
+ * Compute the carpark location URL and provider address for a shard
+ *
+ * Store protocol shards are CAR files addressed by CID, blob protocol shards
+ * are raw blobs addressed by their base58btc multihash.
+ *
+ * @param {string} shardCID - Shard CID
+ * @param {'blob'|'store'} protocol - Protocol the shard was stored with
+ * @returns {{locationURI: string, providerAddr: import('@multiformats/multiaddr').Multiaddr}}
+ */
+export function getShardLocation(shardCID, protocol) {
+  if (protocol === 'store') {
+    // Store Protocol (CAR files)
+    // URL format: {carpark}/{cid}/{cid}.car
+    return {
+      locationURI: `${config.storage.carparkPublicUrl}/${shardCID}/${shardCID}.car`,
+      providerAddr: config.addresses.storeProtocolBlobAddr,
+    }
+  }
+
+  // Blob Protocol (Raw blobs)
+  // URL format: {carpark}/{digest}/{digest}.blob
+  const digest = base58btc.encode(CID.parse(shardCID).multihash.bytes)
+  return {
+    locationURI: `${config.storage.carparkPublicUrl}/${digest}/${digest}.blob`,
+    providerAddr: config.addresses.blobProtocolBlobAddr,
+  }
+}
+
 /**
  * Republish location claims with space information
  *
@@ -452,7 +510,7 @@ export async function republishLocationClaims({
   const indexingConnection = connect({
     id: indexingServicePrincipal,
     codec: CAR.outbound,
-    channel: HTTP.open({ url: indexingServiceURL }),
+    channel: HTTP.open({ url: indexingServiceURL, fetch: indexingServiceFetch }),
   })
 
   // Create lookup map if shardsWithSizes provided (optimization to avoid re-querying DynamoDB)
@@ -460,6 +518,35 @@ export async function republishLocationClaims({
     ? new Map(shardsWithSizes.map((s) => [s.cid, s]))
     : null
 
+  // IPNI jobs (one per shard) are held per protocol and sent in SendMessageBatch
+  // requests once every claim of the upload is cached (or a shard fails)
+  /** @type {Map<'blob' | 'store', import('./ipni/sqsqueue.js').PublishingBatch>} */
+  const ipniBatches = new Map()
+  /** @type {Map<string, string>} base64 digest -> shard CID, for the sent events */
+  const shardByDigest = new Map()
+
+  const sendIPNIJobs = async () => {
+    for (const [protocol, batch] of ipniBatches) {
+      let jobs
+      try {
+        jobs = await batch.flush()
+      } catch (error) {
+        console.error(`    ✗ Failed to send ${protocol} IPNI jobs: ${getErrorMessage(error)}`)
+        throw error
+      }
+      for (const job of jobs) {
+        emitEvent('ipni:job-sent', {
+          shards: job.digests.map((digest) =>
+            shardByDigest.get(Buffer.from(digest.bytes).toString('base64'))
+          ),
+          protocol,
+          provider: job.providerInfo.id.toString(),
+          digests: job.digests.length,
+        })
+      }
+    }
+  }
+
   // Republish location claim for each shard
   for (const shardCID of shards) {
     try {
@@ -487,19 +574,9 @@ export async function republishLocationClaims({
         console.log(`    ✓ ${shardCID}: using provided location (newly uploaded index shard)`)
       } else {
         // Otherwise, construct the URL and verify it exists in R2
-        if (protocol === 'store') {
-          // Store Protocol (CAR files)
-          // URL format: {carpark}/{cid}/{cid}.car
-          locationURI = `${config.storage.carparkPublicUrl}/${shardCID}/${shardCID}.car`
-          providerAddrBytes = config.addresses.storeProtocolBlobAddr.bytes
-        } else {
-          // Blob Protocol (Raw blobs)
-          // URL format: {carpark}/{digest}/{digest}.blob
-          locationURI = `${config.storage.carparkPublicUrl}/${base58btc.encode(
-            digest.bytes
-          )}/${base58btc.encode(digest.bytes)}.blob`
-          providerAddrBytes = config.addresses.blobProtocolBlobAddr.bytes
-        }
+        const shardLocation = getShardLocation(shardCID, protocol)
+        locationURI = shardLocation.locationURI
+        providerAddrBytes = shardLocation.providerAddr.bytes
 
         const resourceCheck = await verifyResource(locationURI)
         if (!resourceCheck.exists) {
@@ -597,7 +674,14 @@ export async function republishLocationClaims({
       }
 
       const claimCID = CID.parse(claim.link().toString())
-      console.log(`      ✓ Claim cached: ${claimCID}`)
+      emitEvent('claim:published', {
+        shard: shardCID,
+        claim: claimCID.toString(),
+        protocol,
+        size,
+        location: locationURI,
+        claimSpace: space,
+      })
 
       const meta = new LocationCommitmentMetadata({
         shard: cid,
@@ -625,36 +709,159 @@ export async function republishLocationClaims({
                 config.addresses.storeProtocolBlobAddr,
               ],
             }
-      // Get singleton IPNI publishing queue instance
-      const queue = getIPNIPublishingQueue(protocol)
-      await queue.sendJob({
+      // Batch on the singleton IPNI publishing queue instance
+      let batch = ipniBatches.get(protocol)
+      if (!batch) {
+        batch = getIPNIPublishingQueue(protocol).batch()
+        ipniBatches.set(protocol, batch)
+      }
+      batch.add({
         providerInfo,
         contextID,
         digests: [digest],
         metadata: await meta.marshalBinary(),
       })
-
-      console.log(`    ✓ ${shardCID}`)
+      shardByDigest.set(Buffer.from(digest.bytes).toString('base64'), shardCID)
     } catch (error) {
       console.error(`    ✗ ${shardCID}: ${getErrorMessage(error)}`)
+      // Claims cached for earlier shards now have the space, so a retry skips
+      // those shards: their IPNI jobs have to be sent now or never
+      await sendIPNIJobs().catch(() => {})
       throw error
     }
   }
 
+  await sendIPNIJobs()
+
   console.log(`    ✓ Successfully republished ${shards.length} location claims`)
 }
 
+/**
+ * @typedef {{success: boolean, skipped: boolean, reason: string}} GatewayAuthResult
+ */
+
+/**
+ * Gateway authorization results of this run, by space
+ *
+ * Holds the pending promise so concurrent uploads of the same space share one
+ * authorization. Failed publishes are evicted so a later upload can retry.
+ *
+ * @type {Map<string, Promise<GatewayAuthResult>>}
+ */
+const gatewayAuthBySpace = new Map()
+
+/**
+ * Check that a delegation authorizes the gateway to serve content of a space
+ *
+ * @param {import('@ucanto/interface').Delegation} delegation
+ * @param {string} space - Space DID
+ * @returns {boolean}
+ */
+export function isValidGatewayAuth(delegation, space) {
+  const gatewayDID = DID.parse(config.services.gatewayServiceDID).did()
+  const now = Math.floor(Date.now() / 1000)
+  return (
+    delegation.audience.did() === gatewayDID &&
+    delegation.expiration > now &&
+    delegation.capabilities.some(
+      (capability) =>
+        capability.can === SpaceCapabilities.contentServe.can &&
+        capability.with === space
+    )
+  )
+}
+
+/**
+ * Find an existing gateway authorization for a space
+ *
+ * Checks the authorizations of this run first, then the content/serve
+ * delegation recorded in the space's migration progress record.
+ *
+ * @param {string} space - Space DID
+ * @param {string} [customer] - Customer DID (looked up from the consumer table if not given)
+ * @returns {Promise<GatewayAuthResult | null>}
+ */
+export async function findGatewayAuth(space, customer) {
+  const pending = gatewayAuthBySpace.get(space)
+  if (pending) {
+    const result = await pending
+    return result.success ? result : null
+  }
+
+  customer ??= (await getCustomerForSpace(space)) ?? undefined
+  if (!customer) {
+    return null
+  }
+
+  const progress = await getSpaceProgress(customer, space)
+  if (!progress?.gatewayAuthDelegation) {
+    return null
+  }
+
+  const { ok: delegation } = await Delegation.extract(
+    Buffer.from(progress.gatewayAuthDelegation, 'base64')
+  )
+  if (!delegation || !isValidGatewayAuth(delegation, space)) {
+    return null
+  }
+
+  /** @type {GatewayAuthResult} */
+  const result = { success: true, skipped: true, reason: 'already-authorized' }
+  gatewayAuthBySpace.set(space, Promise.resolve(result))
+  return result
+}
+
 /**
  * Create gateway authorization for a space using agent authorization pattern
  *
- * **Idempotency Note**: Multiple calls create multiple KV entries with different CIDs.
- * Safe but not optimal. Future improvement: check existing delegations before creating new ones.
+ * Runs at most once per space: skipped when this run already authorized the
+ * space, or when the space's progress record holds a content/serve delegation
+ * for the gateway that is still valid.
+ *
+ * @param {object} params
+ * @param {import('@storacha/access').SpaceDID} params.space - Space DID
+ * @param {string} [params.customer] - Customer DID (looked up from the consumer table if not given)
+ * @returns {Promise<GatewayAuthResult>}
+ */
+export async function createGatewayAuth({ space, customer }) {
+  const pending = gatewayAuthBySpace.get(space)
+  if (pending) {
+    const result = await pending
+    if (!result.success) {
+      return result
+    }
+    console.log('  ⏭  Gateway authorization already exists for this space')
+    return { success: true, skipped: true, reason: 'already-authorized' }
+  }
+
+  const authorization = (async () => {
+    const existing = await findGatewayAuth(space, customer)
+    if (existing) {
+      console.log('  ⏭  Gateway authorization already exists for this space')
+      emitEvent('gateway-auth', existing)
+      return existing
+    }
+    return publishGatewayAuth({ space, customer })
+  })()
+  gatewayAuthBySpace.set(space, authorization)
+
+  const result = await authorization
+  if (!result.success && result.reason !== 'no-delegation-found') {
+    gatewayAuthBySpace.delete(space)
+  }
+  return result
+}
+
+/**
+ * Publish the content/serve delegation and attestations for a space to the
+ * gateway, then record the delegation in the space's progress record
  *
  * @param {object} params
  * @param {import('@storacha/access').SpaceDID} params.space - Space DID
- * @returns {Promise<{success: boolean, skipped: boolean, reason: string}>}
+ * @param {string} [params.customer] - Customer DID
+ * @returns {Promise<GatewayAuthResult>}
  */
-export async function createGatewayAuth({ space }) {
+async function publishGatewayAuth({ space, customer }) {
   console.log('  Creating gateway authorization...')
 
   // Setup signers and connections
@@ -665,7 +872,7 @@ export async function createGatewayAuth({ space }) {
   const gatewayConnection = connect({
     id: migrationSigner, // Connect as agent
     codec: CAR.outbound,
-    channel: HTTP.open({ url: new URL(config.services.gatewayServiceURL) }),
+    channel: HTTP.open({ url: new URL(config.services.gatewayServiceURL), fetch: httpFetch }),
   })
 
   // Gateway DID (audience for the delegation)
@@ -689,6 +896,11 @@ export async function createGatewayAuth({ space }) {
       console.log(
         '       Gateway authorization will be skipped for this space.'
       )
+      emitEvent('gateway-auth', {
+        success: false,
+        skipped: true,
+        reason: 'no-delegation-found',
+      })
       return {
         success: false,
         skipped: true,
@@ -801,6 +1013,24 @@ export async function createGatewayAuth({ space }) {
     }
 
     console.log('    ✓ Gateway authorization published successfully')
+    emitEvent('gateway-auth', { success: true, skipped: false, account: accountDID })
+
+    try {
+      customer ??= (await getCustomerForSpace(space)) ?? undefined
+      const archive = await contentServeDelegation.archive()
+      if (customer && archive.ok) {
+        await recordGatewayAuth({
+          customer,
+          space,
+          delegation: Buffer.from(archive.ok).toString('base64'),
+        })
+      }
+    } catch (error) {
+      // The gateway already has the delegation, a later run will just publish it again
+      console.warn(
+        `    ⚠️  Failed to record gateway authorization: ${getErrorMessage(error)}`
+      )
+    }
     return { success: true, skipped: false, reason: '' }
   } catch (error) {
     console.error(error)
@@ -812,6 +1042,12 @@ export async function createGatewayAuth({ space }) {
       '    This can be retried independently without affecting other migration steps'
     )
     // Don't throw - allow migration to continue
+    emitEvent('gateway-auth', {
+      success: false,
+      skipped: true,
+      reason: 'Failed to publish gateway delegation',
+      error: getErrorMessage(error),
+    })
     return {
       success: false,
       skipped: true,
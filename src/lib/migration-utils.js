@@ -45,6 +45,14 @@ export const FAILURE_REASON = {
    */
   INDEX_GENERATION_FAILED: 'INDEX_GENERATION_FAILED',
   
+  /** Generated index failed validation and was not uploaded or registered
+   * Common causes:
+   * - A shard has no slices (truncated or partial shard index)
+   * - Slices outside the shard size or overlapping each other
+   * - Root block not found in any shard
+   */
+  INDEX_INVALID: 'INDEX_INVALID',
+  
   /** Failed to republish location claims with space information
    * Common causes:
    * - Failed to query shard sizes from DynamoDB (shard X not found in allocations or store table for space Y)
@@ -106,6 +114,70 @@ export const FAILURE_REASON = {
   INDEXING_SERVICE_500: 'INDEXING_SERVICE_500',
 }
 
+/**
+ * Map the step a migration threw in to a failure reason
+ *
+ * Errors carrying a FAILURE_REASON as their `code` keep that reason.
+ *
+ * @param {string} step - STEP constant
+ * @param {unknown} [error] - The error thrown
+ * @returns {string} - FAILURE_REASON constant
+ */
+export function getStepFailureReason(step, error) {
+  const code = /** @type {{code?: unknown} | undefined} */ (error)?.code
+  if (typeof code === 'string' && Object.values(FAILURE_REASON).includes(code)) {
+    return code
+  }
+  switch (step) {
+    case STEP.ANALYZE:
+      return FAILURE_REASON.ANALYSIS_FAILED
+    case STEP.INDEX_GENERATION:
+      return FAILURE_REASON.INDEX_GENERATION_FAILED
+    case STEP.LOCATION_CLAIMS:
+      return FAILURE_REASON.LOCATION_CLAIM_FAILED
+    case STEP.GATEWAY_AUTH:
+      return FAILURE_REASON.GATEWAY_AUTH_FAILED
+    default:
+      return FAILURE_REASON.UNKNOWN_ERROR
+  }
+}
+
+/**
+ * Map a failed verification to a failure reason
+ *
+ * A failed gateway authorization is the root cause of a failed verification,
+ * so it takes precedence over the verification checks.
+ *
+ * @param {object} verification - verifyMigration() result
+ * @param {boolean} verification.success
+ * @param {boolean} verification.indexVerified
+ * @param {boolean} verification.locationClaimsVerified
+ * @param {boolean} verification.allShardsHaveSpace
+ * @param {{success: boolean, reason?: string} | null} [gatewayAuthResult] - createGatewayAuth() result
+ * @returns {string | undefined} - FAILURE_REASON constant, undefined when verification succeeded
+ */
+export function getVerificationFailureReason(verification, gatewayAuthResult) {
+  if (verification.success) {
+    return undefined
+  }
+  if (gatewayAuthResult?.reason === 'no-delegation-found') {
+    return FAILURE_REASON.MISSING_DELEGATION
+  }
+  if (gatewayAuthResult?.success === false) {
+    return FAILURE_REASON.GATEWAY_AUTH_FAILED
+  }
+  if (!verification.indexVerified) {
+    return FAILURE_REASON.INDEX_MISSING
+  }
+  if (!verification.locationClaimsVerified) {
+    return FAILURE_REASON.LOCATION_CLAIMS_MISSING
+  }
+  if (!verification.allShardsHaveSpace) {
+    return FAILURE_REASON.SPACE_INFO_MISSING
+  }
+  return FAILURE_REASON.VERIFICATION_FAILED
+}
+
 import { sha256 } from 'multiformats/hashes/sha2'
 import * as Link from 'multiformats/link'
 import { Space } from '@storacha/access'
@@ -113,6 +185,8 @@ import { OwnedSpace } from '@storacha/access/space'
 import * as Signer from '@ucanto/principal/ed25519'
 import { delegate } from '@ucanto/core'
 import { generateShardedIndex } from './index-worker.js'
+import { getCachedIndex, putCachedIndex } from './stores/index-cache.js'
+import { validateShardedIndex } from './index-validation.js'
 import { getShardInfo } from './tables/shard-data-table.js'
 import {
   getMigrationSpace,
@@ -123,6 +197,7 @@ import { provisionSpace } from './tables/consumer-table.js'
 import { encryptPrivateKey, decryptPrivateKey } from './crypto-utils.js'
 import { storeDelegations } from './tables/delegations-table.js'
 import { getErrorMessage } from './error-utils.js'
+import { httpFetch } from './http-client.js'
 
 /**
  * Get or create migration space for a customer
@@ -269,8 +344,11 @@ export async function delegateMigrationSpaceToCustomer({
  *   indexBytes: Uint8Array,
  *   indexCID: import('@storacha/access').CARLink,
  *   indexDigest: import('multiformats').MultihashDigest,
- *   shards: Array<{cid: string, size: number}>
- * }>}
+ *   shards: Array<{cid: string, size: number}>,
+ *   cached: boolean,
+ *   requests: number
+ * }>} cached: whether the index came from the index cache, requests: index
+ *   worker requests made to generate it
  */
 export async function generateDAGIndex(upload) {
   console.log(`  Generating DAG index for ${upload.root}...`)
@@ -288,10 +366,24 @@ export async function generateDAGIndex(upload) {
     console.log(`    ✓ ${shardCIDString}: ${info.size} bytes (${info.protocol})`)
   }
   
-  // Generate index using worker
-  // Worker only needs cid and size
-  const result = await generateShardedIndex(upload.root, shards)
-  const indexBytes = result.indexBytes
+  // Reuse an index generated by a previous attempt if it still matches the shards
+  let indexBytes = await getCachedIndex(upload.root, shards)
+  if (indexBytes && !validateShardedIndex(indexBytes, { root: upload.root, shards }).valid) {
+    console.log(`    ⚠️  Cached index no longer matches the shards, regenerating`)
+    indexBytes = null
+  }
+  const cached = Boolean(indexBytes)
+  let requests = 0
+  if (indexBytes) {
+    console.log(`    ✓ Reusing cached index (${indexBytes.length} bytes)`)
+  } else {
+    // Generate index using worker
+    // Worker only needs cid and size
+    const result = await generateShardedIndex(upload.root, shards)
+    indexBytes = result.indexBytes
+    requests = result.totalRequests
+    await putCachedIndex(upload.root, shards, indexBytes)
+  }
   
   // Calculate index CID
   const indexDigest = await sha256.digest(indexBytes)
@@ -300,7 +392,7 @@ export async function generateDAGIndex(upload) {
   console.log(`    ✓ Generated index: ${indexCID} (${indexBytes.length} bytes)`)
   
   // Return shards with sizes for reuse downstream (avoids re-querying DynamoDB)
-  return { indexBytes, indexCID, indexDigest, shards }
+  return { indexBytes, indexCID, indexDigest, shards, cached, requests }
 }
 
 /**
@@ -318,7 +410,7 @@ export async function generateDAGIndex(upload) {
  */
 export async function verifyResourceExists(locationURI) {
   try {
-    const headRes = await fetch(locationURI, { method: 'HEAD' })
+    const headRes = await httpFetch(locationURI, { method: 'HEAD' })
     if (!headRes.ok) {
       return { exists: false, error: `HTTP ${headRes.status}` }
     }
@@ -4,10 +4,12 @@
  */
 import { queryIndexingService } from './indexing-service.js'
 import { getErrorMessage } from './error-utils.js'
+import { httpFetch } from './http-client.js'
 import { CID } from 'multiformats/cid'
 import { base58btc } from 'multiformats/bases/base58'
 import { claimHasSpace, findClaimsForShard } from './claim-utils.js'
 import { config } from '../config.js'
+import { emitEvent } from './events.js'
 
 /**
  * Verify that all migration steps completed successfully
@@ -129,15 +131,15 @@ export async function verifyMigration({ upload, gatewayAuthResult, testGatewayRe
       console.log(`  Gateway retrieval:     ${gatewayRetrievalVerified ? '✓ verified' : '✗ failed'}`)
     }
     
-    if (success) {
-      console.log(`\n  ${'━'.repeat(35)}`)
-      console.log(`  ✅ Result: COMPLETED`)
-      console.log(`  ${'━'.repeat(35)}`)
-    } else {
-      console.log(`\n  ${'━'.repeat(35)}`)
-      console.log(`  ❌ Result: FAILED`)
-      console.log(`  ${'━'.repeat(35)}`)
-    }
+    emitEvent('verification', {
+      success,
+      indexVerified,
+      locationClaimsVerified,
+      allShardsHaveSpace,
+      gatewayAuthVerified,
+      gatewayRetrievalVerified,
+      details: details || 'All verification checks passed',
+    })
     
     return {
       success,
@@ -151,6 +153,10 @@ export async function verifyMigration({ upload, gatewayAuthResult, testGatewayRe
     }
   } catch (error) {
     console.error(`    ✗ Verification failed: ${getErrorMessage(error)}`, { cause: error })
+    emitEvent('verification', {
+      success: false,
+      error: getErrorMessage(error),
+    })
     return {
       success: false,
       indexVerified: false,
@@ -189,15 +195,8 @@ export async function verifyGatewayRetrieval({ rootCID, gatewayUrl }) {
     console.log(`    Verifying gateway retrieval: ${url}`)
     
     // Use HEAD request to avoid downloading content
-    const controller = new AbortController()
-    const timeoutId = setTimeout(() => controller.abort(), 3000) // 3 second timeout
-
     try {
-      const response = await fetch(url, {
-        method: 'HEAD',
-        signal: controller.signal,
-      })
-      clearTimeout(timeoutId)
+      const response = await httpFetch(url, { method: 'HEAD' })
       
       const contentLength = response.headers.get('content-length')
       const statusCode = response.status
@@ -225,8 +224,6 @@ export async function verifyGatewayRetrieval({ rootCID, gatewayUrl }) {
         }
       }
     } catch (error) {
-      clearTimeout(timeoutId)
-      
       console.log(`    ✗ Gateway retrieval error: ${getErrorMessage(error)}`)
       return {
         success: false,
@@ -256,8 +253,13 @@ export async function verifyGatewayRetrieval({ rootCID, gatewayUrl }) {
  * @param {string} cidStr 
  * @returns {string}
  */
-function getSubdomainGatewayUrl(gatewayUrl, cidStr) {
+export function getSubdomainGatewayUrl(gatewayUrl, cidStr) {
     const url = new URL(gatewayUrl)
+
+    // Gateways other than w3s.link (e.g. the local stand-in) only get the path format
+    if (!url.hostname.endsWith('w3s.link')) {
+      return `${url.origin}/ipfs/${cidStr}`
+    }
     
     // CIDv0 starts with "Qm" and uses base58btc which is case-sensitive
     // Subdomain format lowercases the CID, breaking CIDv0
@@ -0,0 +1,86 @@
+/**
+ * Upload progress tracking for concurrent space migration
+ *
+ * Uploads of a space are started in table order but may finish in any order
+ * when processed by the worker pool. The tracker keeps a count of finished
+ * uploads and a checkpoint: the last upload for which every earlier upload
+ * has also finished. Only the checkpoint is safe to resume from, together
+ * with the number of uploads up to it and the reasons those that failed did.
+ */
+
+export class SpaceProgressTracker {
+  /**
+   * @param {object} [resume] - Progress of a previous run to continue from
+   * @param {number} [resume.processed] - Uploads up to and including the checkpoint
+   * @param {string} [resume.checkpoint] - Root CID of the last checkpointed upload
+   * @param {Record<string, number>} [resume.failures] - Failure reasons of the uploads up to the checkpoint
+   */
+  constructor({ processed = 0, checkpoint, failures = {} } = {}) {
+    /** Sequence number assigned to the next started upload */
+    this.nextSequence = processed
+    /** Highest sequence number below which every upload has finished */
+    this.watermark = processed - 1
+    /** Number of finished uploads (successful or failed) */
+    this.processed = processed
+    /** @type {Map<number, string>} Root CIDs of uploads above the watermark */
+    this.roots = new Map()
+    /** @type {Map<number, string | undefined>} Finished uploads above the watermark, with their failure reason */
+    this.finished = new Map()
+    /** @type {string | undefined} Root CID of the upload at the watermark */
+    this.checkpoint = checkpoint
+    /** @type {Record<string, number>} Failure reasons of the uploads up to the watermark */
+    this.checkpointFailures = { ...failures }
+  }
+
+  /**
+   * Register an upload as started
+   *
+   * @param {string} root - Upload root CID
+   * @returns {number} - Sequence number to pass to finish()
+   */
+  start(root) {
+    const sequence = this.nextSequence++
+    this.roots.set(sequence, root)
+    return sequence
+  }
+
+  /**
+   * Register an upload as finished and advance the checkpoint if possible
+   *
+   * @param {number} sequence - Sequence number returned by start()
+   * @param {string} [failureReason] - Why the upload failed, if it did
+   */
+  finish(sequence, failureReason) {
+    this.processed++
+    this.finished.set(sequence, failureReason)
+
+    while (this.finished.has(this.watermark + 1)) {
+      this.watermark++
+      const reason = this.finished.get(this.watermark)
+      if (reason) {
+        this.checkpointFailures[reason] = (this.checkpointFailures[reason] || 0) + 1
+      }
+      this.finished.delete(this.watermark)
+      this.checkpoint = this.roots.get(this.watermark)
+      this.roots.delete(this.watermark)
+    }
+  }
+
+  /**
+   * Number of uploads up to and including the checkpoint
+   *
+   * @returns {number}
+   */
+  get checkpointed() {
+    return this.watermark + 1
+  }
+
+  /**
+   * Number of uploads started but not yet finished
+   *
+   * @returns {number}
+   */
+  get inFlight() {
+    return this.nextSequence - this.processed
+  }
+}
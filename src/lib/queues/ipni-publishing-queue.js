@@ -105,6 +105,21 @@ export function getStorePublishingQueue() {
   return storeQueueInstance
 }
 
+/**
+ * Use the given SQS and S3 clients for both publishing queues
+ * (in-memory SQS/S3 for the local environment and tests)
+ *
+ * @param {object} clients
+ * @param {SQSClient | null} clients.sqsClient
+ * @param {S3Client | null} clients.s3Client
+ */
+export function setIPNIPublishingClients(clients) {
+  sqsClient = clients.sqsClient
+  s3Client = clients.s3Client
+  blobQueueInstance = null
+  storeQueueInstance = null
+}
+
 /**
  * Reset the queue instance (useful for testing)
  * @param {'blob' | 'store'} protocol - Protocol type for the queue
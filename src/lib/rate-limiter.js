@@ -0,0 +1,152 @@
+/**
+ * Per-service request rate limits
+ *
+ * Each target service (indexing service, index worker, upload service,
+ * gateway, carpark) can get a token bucket refilled at its configured rate
+ * (config.services.rateLimits, requests per second). The shared HTTP client
+ * takes a token from the bucket of the service a request goes to before
+ * sending it. Services without a rate are not limited.
+ */
+import { config } from '../config.js'
+
+/**
+ * @typedef {'indexingService' | 'indexWorker' | 'uploadService' | 'gatewayService' | 'carpark'} ServiceName
+ *
+ * @typedef {object} TokenBucket
+ * @property {number} rate - Tokens added per second
+ * @property {number} burst - Bucket size
+ * @property {() => Promise<number>} take - Wait for a token, resolves to the ms waited
+ *
+ * @typedef {object} RateLimitStats
+ * @property {number} rate - Requests per second
+ * @property {number} requests - Requests let through
+ * @property {number} throttled - Requests that had to wait for a token
+ * @property {number} waitedMs - Time spent waiting for tokens
+ */
+
+/**
+ * Create a token bucket
+ *
+ * Waiters are served in arrival order.
+ *
+ * @param {object} options
+ * @param {number} options.rate - Tokens added per second
+ * @param {number} [options.burst] - Bucket size (default: one second of tokens, at least 1)
+ * @returns {TokenBucket}
+ */
+export function createTokenBucket({ rate, burst = Math.max(1, rate) }) {
+  let tokens = burst
+  let updatedAt = performance.now()
+  /** @type {Promise<unknown>} */
+  let turn = Promise.resolve()
+
+  function refill() {
+    const now = performance.now()
+    tokens = Math.min(burst, tokens + ((now - updatedAt) / 1000) * rate)
+    updatedAt = now
+  }
+
+  return {
+    rate,
+    burst,
+    take() {
+      const taken = turn.then(async () => {
+        refill()
+        let waited = 0
+        if (tokens < 1) {
+          waited = ((1 - tokens) / rate) * 1000
+          await new Promise((resolve) => setTimeout(resolve, waited))
+          refill()
+        }
+        tokens -= 1
+        return waited
+      })
+      turn = taken
+      return taken
+    },
+  }
+}
+
+/**
+ * Base URLs of each service, matched against request hosts
+ *
+ * @returns {Record<ServiceName, Array<string | undefined>>}
+ */
+function getServiceURLs() {
+  return {
+    indexingService: [config.services.indexingServiceURL],
+    indexWorker: [config.services.indexWorkerURL],
+    uploadService: [config.services.uploadServiceURL],
+    gatewayService: [config.services.gatewayServiceURL],
+    carpark: [config.storage.carparkPublicUrl, config.migration.indexerSource],
+  }
+}
+
+/** @type {Array<{service: ServiceName, hosts: string[], bucket: TokenBucket, stats: RateLimitStats}>} */
+let limiters = []
+
+/**
+ * Set the rate limits for this run
+ *
+ * @param {Partial<Record<ServiceName, number>>} [rates] - Requests per second per service, 0 for no limit (default: config.services.rateLimits)
+ */
+export function configureRateLimits(rates = config.services.rateLimits) {
+  const urls = getServiceURLs()
+  limiters = []
+  for (const [service, rate] of Object.entries(rates)) {
+    if (!rate || rate <= 0) continue
+    const hosts = (urls[/** @type {ServiceName} */ (service)] ?? [])
+      .filter((url) => url && /^https?:\/\//.test(url))
+      .map((url) => new URL(/** @type {string} */ (url)).host)
+    limiters.push({
+      service: /** @type {ServiceName} */ (service),
+      hosts,
+      bucket: createTokenBucket({ rate }),
+      stats: { rate, requests: 0, throttled: 0, waitedMs: 0 },
+    })
+  }
+}
+
+configureRateLimits()
+
+/**
+ * Find the rate limiter of the service a URL belongs to
+ *
+ * Subdomains count as the service's host (e.g. `<cid>.ipfs.w3s.link` for a
+ * gateway at `w3s.link`).
+ *
+ * @param {URL} url
+ */
+function findLimiter(url) {
+  return limiters.find(({ hosts }) =>
+    hosts.some((host) => url.host === host || url.host.endsWith(`.${host}`))
+  )
+}
+
+/**
+ * Wait until a request to the URL is allowed by its service's rate limit
+ *
+ * @param {URL} url
+ * @returns {Promise<void>}
+ */
+export async function acquireRateLimit(url) {
+  const limiter = findLimiter(url)
+  if (!limiter) {
+    return
+  }
+  const waited = await limiter.bucket.take()
+  limiter.stats.requests++
+  if (waited > 0) {
+    limiter.stats.throttled++
+    limiter.stats.waitedMs += waited
+  }
+}
+
+/**
+ * Rate limited services and how much they throttled
+ *
+ * @returns {Partial<Record<ServiceName, RateLimitStats>>}
+ */
+export function getRateLimitStats() {
+  return Object.fromEntries(limiters.map(({ service, stats }) => [service, { ...stats }]))
+}
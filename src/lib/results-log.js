@@ -0,0 +1,53 @@
+/**
+ * Results logs of migrate.js
+ *
+ * Every run saves the result of each upload it processed to
+ * logs/<timestamp>_<mode>_<filter>.json. `--from-log` reads one back to re-run
+ * (a subset of) its uploads.
+ */
+import { readFile } from 'fs/promises'
+
+/**
+ * Load upload keys from a results log written by a previous run
+ * (logs/<timestamp>_<mode>_<filter>.json)
+ *
+ * @param {string} filePath - Path to results log file
+ * @param {object} [filter]
+ * @param {boolean} [filter.onlyFailed] - Only uploads that failed
+ * @param {boolean} [filter.onlyRepaired] - Only uploads that were repaired
+ * @param {string} [filter.failureReason] - Only uploads that failed with this FAILURE_REASON
+ * @returns {Promise<Array<{space: string, root: string}>>} - Unique (space, root) pairs in log order
+ */
+export async function loadUploadsFromLog(filePath, filter = {}) {
+  const content = await readFile(filePath, 'utf-8')
+  const data = JSON.parse(content)
+
+  if (!Array.isArray(data)) {
+    throw new Error('Log file must contain an array of migration results')
+  }
+
+  const seen = new Set()
+  const entries = []
+  let missingKeys = 0
+  for (const result of data) {
+    if (filter.onlyFailed && result.success) continue
+    // Logs written before `repaired` was set on full migrations only have `repairMode`
+    if (filter.onlyRepaired && !(result.repaired || result.repairMode)) continue
+    if (filter.failureReason && result.failureReason !== filter.failureReason) continue
+
+    if (!result.space || !result.upload) {
+      missingKeys++
+      continue
+    }
+    const key = `${result.space}/${result.upload}`
+    if (seen.has(key)) continue
+    seen.add(key)
+    entries.push({ space: result.space, root: result.upload })
+  }
+
+  if (missingKeys > 0) {
+    console.warn(`⚠️  Skipped ${missingKeys} log entries without space/upload`)
+  }
+
+  return entries
+}
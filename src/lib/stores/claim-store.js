@@ -38,6 +38,16 @@ function getS3Client() {
   return cachedS3Client
 }
 
+/**
+ * Use the given S3 client for the claim store
+ * (in-memory S3 for the local environment and tests)
+ *
+ * @param {S3Client | null} client
+ */
+export function setClaimStoreClient(client) {
+  cachedS3Client = client
+}
+
 /**
  * Create claim S3 key in piri format
  *
@@ -0,0 +1,142 @@
+/**
+ * Checkpoints of the customer discovery of setup-distribution.js
+ *
+ * Discovery scans the consumer table (customer -> spaces) in parallel
+ * segments, then counts the uploads of every space. Both take hours on
+ * production, so their progress is kept in a local directory
+ * (`migration-state/discovery-<env>/`):
+ *
+ * - `scan-segment-<i>-of-<n>.json`: the LastEvaluatedKey a scan segment has
+ *   reached and the customer -> spaces mappings it found so far. An
+ *   interrupted scan resumes from there; a complete scan is reused until
+ *   it is older than the maximum scan age or cleared (--rescan).
+ * - `counts.json`: the upload count of every space counted, and the work
+ *   sample of every customer sampled (see ../work-estimate.js), with the
+ *   time they were taken. Re-runs count spaces they have no count for, or
+ *   whose count is older than the maximum age asked for; counts past their
+ *   freshness window get the uploads inserted since added to them.
+ *
+ * Mappings are stored before the migration policy and include filter apply, so a
+ * checkpoint is valid whatever filters a re-run uses.
+ */
+import fs from 'node:fs/promises'
+import path from 'node:path'
+
+/**
+ * @typedef {object} SegmentCheckpoint
+ * @property {number} segment
+ * @property {number} totalSegments
+ * @property {Record<string, any> | null} lastEvaluatedKey - Where the scan resumes (null before the first page)
+ * @property {boolean} done - The segment has been scanned to the end
+ * @property {number} scanned - Consumer records scanned
+ * @property {Record<string, string[]>} customerSpaces - Customer DID -> space DIDs
+ * @property {string} updatedAt - ISO timestamp
+ *
+ * @typedef {object} SpaceCount
+ * @property {number} uploads
+ * @property {string} countedAt - ISO timestamp of the full count
+ * @property {string} [checkedAt] - ISO timestamp up to which inserted uploads were added to the count
+ *
+ * @typedef {import('../work-estimate.js').WorkSample & {sampledAt: string}} CustomerSample
+ *
+ * @typedef {object} DiscoveryCounts
+ * @property {Record<string, SpaceCount>} spaces - Space DID -> upload count
+ * @property {Record<string, CustomerSample>} samples - Customer DID -> work sample
+ */
+
+/**
+ * Open the discovery checkpoints of a directory
+ *
+ * @param {object} options
+ * @param {string} options.dir - Checkpoint directory
+ * @param {number} options.totalSegments - Parallel scan segments (checkpoints of another segment count are not used)
+ */
+export function createDiscoveryCheckpoint({ dir, totalSegments }) {
+  /** @param {number} segment */
+  const segmentFile = (segment) => path.join(dir, `scan-segment-${segment}-of-${totalSegments}.json`)
+  const countsFile = path.join(dir, 'counts.json')
+
+  return {
+    dir,
+
+    /**
+     * Checkpoint of a scan segment
+     *
+     * @param {number} segment
+     * @returns {Promise<SegmentCheckpoint | null>}
+     */
+    async loadSegment(segment) {
+      return readJson(segmentFile(segment))
+    },
+
+    /**
+     * @param {SegmentCheckpoint} checkpoint
+     */
+    async saveSegment(checkpoint) {
+      await writeJson(segmentFile(checkpoint.segment), checkpoint)
+    },
+
+    /**
+     * Delete the scan checkpoints (of any segment count), keeping the counts
+     */
+    async clearScan() {
+      const files = await fs.readdir(dir).catch(() => /** @type {string[]} */ ([]))
+      await Promise.all(files
+        .filter((file) => file.startsWith('scan-segment-'))
+        .map((file) => fs.rm(path.join(dir, file), { force: true })))
+    },
+
+    /**
+     * @returns {Promise<DiscoveryCounts>}
+     */
+    async loadCounts() {
+      const counts = /** @type {DiscoveryCounts | null} */ (await readJson(countsFile))
+      return { spaces: counts?.spaces ?? {}, samples: counts?.samples ?? {} }
+    },
+
+    /**
+     * @param {DiscoveryCounts} counts
+     */
+    async saveCounts(counts) {
+      await writeJson(countsFile, counts)
+    },
+  }
+}
+
+/**
+ * Whether a count or sample taken at `takenAt` is too old to reuse
+ *
+ * @param {string} takenAt - ISO timestamp
+ * @param {number} [maxAge] - Maximum age (ms), no maximum when undefined
+ * @param {number} [now]
+ * @returns {boolean}
+ */
+export function isStale(takenAt, maxAge, now = Date.now()) {
+  if (maxAge === undefined) return false
+  const taken = Date.parse(takenAt)
+  return Number.isNaN(taken) || now - taken > maxAge
+}
+
+/**
+ * @param {string} file
+ * @returns {Promise<any>} - null when the file does not exist
+ */
+async function readJson(file) {
+  try {
+    return JSON.parse(await fs.readFile(file, 'utf-8'))
+  } catch (error) {
+    if (/** @type {NodeJS.ErrnoException} */ (error).code === 'ENOENT') return null
+    throw error
+  }
+}
+
+/**
+ * @param {string} file
+ * @param {unknown} data
+ */
+async function writeJson(file, data) {
+  await fs.mkdir(path.dirname(file), { recursive: true })
+  // Write then rename so an interrupted run never leaves a partial checkpoint behind
+  await fs.writeFile(`${file}.tmp`, JSON.stringify(data))
+  await fs.rename(`${file}.tmp`, file)
+}
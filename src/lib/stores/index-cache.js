@@ -0,0 +1,444 @@
+/**
+ * Cache of generated sharded DAG indexes
+ *
+ * Index generation is the most expensive step of a migration, so the archived
+ * index is kept until it has been registered: a retry after a failed
+ * upload/registration reuses it instead of indexing every shard again.
+ *
+ * Entries are keyed by root CID and shard set: `<root>/<shard set id>.car`,
+ * where the shard set id is the base32 sha256 of the sorted shard CIDs.
+ * The cache lives in a local directory or under an S3 prefix
+ * (`s3://<bucket>/<prefix>`), configured with INDEX_CACHE or --index-cache.
+ * It is off unless one of them is set: entries of uploads whose registration
+ * keeps failing stay until purged (see ../../index-cache.js), and nothing
+ * bounds the cache size.
+ *
+ * The cache also holds shard indexing checkpoints (`checkpoints/<shard>.json`):
+ * the offset reached and the slices found so far, so indexing a shard resumes
+ * where a failed attempt stopped.
+ */
+import {
+  PutObjectCommand,
+  GetObjectCommand,
+  DeleteObjectCommand,
+  ListObjectsV2Command,
+  S3Client,
+} from '@aws-sdk/client-s3'
+import fs from 'node:fs/promises'
+import path from 'node:path'
+import { base32 } from 'multiformats/bases/base32'
+import { sha256 } from 'multiformats/hashes/sha2'
+import * as dagJSON from '@ipld/dag-json'
+import { config } from '../../config.js'
+import { getErrorMessage } from '../error-utils.js'
+
+/**
+ * @typedef {object} CachedIndex
+ * @property {string} key - `<root>/<shard set id>.car`
+ * @property {string} root - Root CID
+ * @property {number} size - Index size in bytes
+ * @property {Date} modified - When the index was cached
+ *
+ * @typedef {object} ShardCheckpoint
+ * @property {number} offset - Shard offset indexed up to
+ * @property {Map<Uint8Array, [number, number]>} slices - Slices found so far: digest bytes -> [offset, length]
+ *
+ * @typedef {object} CacheBackend
+ * @property {string} location
+ * @property {(key: string) => Promise<Uint8Array | null>} get
+ * @property {(key: string, bytes: Uint8Array) => Promise<void>} put
+ * @property {(key: string) => Promise<void>} delete
+ * @property {() => Promise<Array<{key: string, size: number, modified: Date}>>} list
+ */
+
+/** @type {S3Client | null} */
+let cachedS3Client = null
+
+/**
+ * Get or create S3 client for an S3 index cache
+ */
+function getS3Client() {
+  if (!cachedS3Client) {
+    cachedS3Client = new S3Client({
+      region: config.aws.region,
+      credentials: config.aws.accessKeyId
+        ? {
+            accessKeyId: config.aws.accessKeyId,
+            secretAccessKey: config.aws.secretAccessKey || '',
+          }
+        : undefined,
+    })
+  }
+  return cachedS3Client
+}
+
+/**
+ * Use the given S3 client for an S3 index cache
+ * (in-memory S3 for the local environment and tests)
+ *
+ * @param {S3Client | null} client
+ */
+export function setIndexCacheClient(client) {
+  cachedS3Client = client
+}
+
+/**
+ * Index cache in a local directory
+ *
+ * @param {string} dir
+ * @returns {CacheBackend}
+ */
+function directoryBackend(dir) {
+  return {
+    location: dir,
+    async get(key) {
+      try {
+        return new Uint8Array(await fs.readFile(path.join(dir, key)))
+      } catch (error) {
+        if (/** @type {NodeJS.ErrnoException} */ (error).code === 'ENOENT') {
+          return null
+        }
+        throw error
+      }
+    },
+    async put(key, bytes) {
+      const file = path.join(dir, key)
+      await fs.mkdir(path.dirname(file), { recursive: true })
+      // Write then rename so a crash never leaves a partial index behind
+      await fs.writeFile(`${file}.tmp`, bytes)
+      await fs.rename(`${file}.tmp`, file)
+    },
+    async delete(key) {
+      await fs.rm(path.join(dir, key), { force: true })
+      await fs.rmdir(path.dirname(path.join(dir, key))).catch(() => {})
+    },
+    async list() {
+      const entries = []
+      const roots = await fs.readdir(dir, { withFileTypes: true }).catch(() => [])
+      for (const root of roots.filter((entry) => entry.isDirectory())) {
+        for (const name of await fs.readdir(path.join(dir, root.name))) {
+          if (name.endsWith('.tmp')) continue
+          const stat = await fs.stat(path.join(dir, root.name, name))
+          entries.push({ key: `${root.name}/${name}`, size: stat.size, modified: stat.mtime })
+        }
+      }
+      return entries
+    },
+  }
+}
+
+/**
+ * Index cache under an S3 prefix
+ *
+ * @param {string} bucket
+ * @param {string} prefix - Empty or ending in '/'
+ * @returns {CacheBackend}
+ */
+function s3Backend(bucket, prefix) {
+  return {
+    location: `s3://${bucket}/${prefix}`,
+    async get(key) {
+      try {
+        const object = await getS3Client().send(
+          new GetObjectCommand({ Bucket: bucket, Key: `${prefix}${key}` })
+        )
+        return object.Body ? await object.Body.transformToByteArray() : null
+      } catch (error) {
+        if (/** @type {Error} */ (error).name === 'NoSuchKey') {
+          return null
+        }
+        throw error
+      }
+    },
+    async put(key, bytes) {
+      await getS3Client().send(
+        new PutObjectCommand({
+          Bucket: bucket,
+          Key: `${prefix}${key}`,
+          Body: bytes,
+          ContentType: 'application/vnd.ipld.car',
+        })
+      )
+    },
+    async delete(key) {
+      await getS3Client().send(
+        new DeleteObjectCommand({ Bucket: bucket, Key: `${prefix}${key}` })
+      )
+    },
+    async list() {
+      const entries = []
+      /** @type {string | undefined} */
+      let continuationToken
+      do {
+        const response = await getS3Client().send(
+          new ListObjectsV2Command({
+            Bucket: bucket,
+            Prefix: prefix,
+            ContinuationToken: continuationToken,
+          })
+        )
+        for (const object of response.Contents ?? []) {
+          if (!object.Key) continue
+          entries.push({
+            key: object.Key.slice(prefix.length),
+            size: object.Size ?? 0,
+            modified: object.LastModified ?? new Date(0),
+          })
+        }
+        continuationToken = response.NextContinuationToken
+      } while (continuationToken)
+      return entries
+    },
+  }
+}
+
+/**
+ * Create the backend for a cache location
+ *
+ * @param {string | undefined} location - Directory, `s3://<bucket>/<prefix>` or 'off'
+ * @returns {CacheBackend | null}
+ */
+function createBackend(location) {
+  if (!location || location === 'off') {
+    return null
+  }
+  const s3 = location.match(/^s3:\/\/([^/]+)\/?(.*)$/)
+  if (s3) {
+    const prefix = s3[2] && !s3[2].endsWith('/') ? `${s3[2]}/` : s3[2]
+    return s3Backend(s3[1], prefix)
+  }
+  return directoryBackend(location)
+}
+
+/** @type {CacheBackend | null} */
+let backend = createBackend(config.migration.indexCache)
+
+/**
+ * Select the index cache location for this run
+ *
+ * @param {string | undefined} location - Directory, `s3://<bucket>/<prefix>` or 'off'
+ */
+export function configureIndexCache(location) {
+  backend = createBackend(location)
+}
+
+/**
+ * Where the index cache lives, or null when it is disabled
+ *
+ * @returns {string | null}
+ */
+export function getIndexCacheLocation() {
+  return backend?.location ?? null
+}
+
+/**
+ * Cache key for an index of the given root and shards
+ *
+ * @param {string} root - Root CID
+ * @param {Array<{cid: string}>} shards
+ * @returns {Promise<string>}
+ */
+export async function getIndexCacheKey(root, shards) {
+  const shardSet = shards.map((shard) => shard.cid).sort().join('\n')
+  const digest = await sha256.digest(new TextEncoder().encode(shardSet))
+  return `${root}/${base32.baseEncode(digest.digest)}.car`
+}
+
+/**
+ * Get a cached index
+ *
+ * Cache errors are logged and treated as a miss.
+ *
+ * @param {string} root - Root CID
+ * @param {Array<{cid: string}>} shards
+ * @returns {Promise<Uint8Array | null>}
+ */
+export async function getCachedIndex(root, shards) {
+  if (!backend) {
+    return null
+  }
+  try {
+    return await backend.get(await getIndexCacheKey(root, shards))
+  } catch (error) {
+    console.warn(`    ⚠️  Failed to read index cache: ${getErrorMessage(error)}`)
+    return null
+  }
+}
+
+/**
+ * Cache a generated index
+ *
+ * Cache errors are logged, the migration carries on without the cache.
+ *
+ * @param {string} root - Root CID
+ * @param {Array<{cid: string}>} shards
+ * @param {Uint8Array} bytes - Archived index
+ * @returns {Promise<void>}
+ */
+export async function putCachedIndex(root, shards, bytes) {
+  if (!backend) {
+    return
+  }
+  try {
+    await backend.put(await getIndexCacheKey(root, shards), bytes)
+  } catch (error) {
+    console.warn(`    ⚠️  Failed to write index cache: ${getErrorMessage(error)}`)
+  }
+}
+
+/**
+ * Remove a cached index once it has been registered
+ *
+ * @param {string} root - Root CID
+ * @param {Array<{cid: string}>} shards
+ * @returns {Promise<void>}
+ */
+export async function deleteCachedIndex(root, shards) {
+  if (!backend) {
+    return
+  }
+  try {
+    await backend.delete(await getIndexCacheKey(root, shards))
+  } catch (error) {
+    console.warn(`    ⚠️  Failed to remove cached index: ${getErrorMessage(error)}`)
+  }
+}
+
+/**
+ * List the cached indexes, oldest first
+ *
+ * @returns {Promise<CachedIndex[]>}
+ */
+export async function listCachedIndexes() {
+  if (!backend) {
+    return []
+  }
+  const entries = await backend.list()
+  return entries
+    .filter((entry) => entry.key.endsWith('.car'))
+    .map((entry) => ({ ...entry, root: entry.key.split('/')[0] }))
+    .sort((a, b) => a.modified.getTime() - b.modified.getTime())
+}
+
+/**
+ * Remove cached indexes
+ *
+ * Shard checkpoints are removed with them unless a root is given.
+ *
+ * @param {object} [filter]
+ * @param {string} [filter.root] - Only indexes of this root CID
+ * @param {Date} [filter.before] - Only indexes cached before this date
+ * @returns {Promise<CachedIndex[]>} - The removed indexes and checkpoints
+ */
+export async function purgeCachedIndexes({ root, before } = {}) {
+  if (!backend) {
+    return []
+  }
+  const entries = [...(await listCachedIndexes())]
+  if (!root) {
+    entries.push(...(await listShardCheckpoints()))
+  }
+  const purged = entries.filter(
+    (entry) =>
+      (!root || entry.root === root) &&
+      (!before || entry.modified < before)
+  )
+  for (const entry of purged) {
+    await backend.delete(entry.key)
+  }
+  return purged
+}
+
+/** Directory of the shard indexing checkpoints within the cache */
+const CHECKPOINT_DIR = 'checkpoints'
+
+/**
+ * Cache key of a shard indexing checkpoint
+ *
+ * @param {string} shard - Shard CID
+ */
+function getCheckpointKey(shard) {
+  return `${CHECKPOINT_DIR}/${shard}.json`
+}
+
+/**
+ * Get the indexing checkpoint of a shard
+ *
+ * Cache errors are logged and treated as no checkpoint.
+ *
+ * @param {string} shard - Shard CID
+ * @returns {Promise<ShardCheckpoint | null>}
+ */
+export async function getShardCheckpoint(shard) {
+  if (!backend) {
+    return null
+  }
+  try {
+    const bytes = await backend.get(getCheckpointKey(shard))
+    if (!bytes) {
+      return null
+    }
+    /** @type {{offset: number, slices: Array<[Uint8Array, [number, number]]>}} */
+    const checkpoint = dagJSON.decode(bytes)
+    return { offset: checkpoint.offset, slices: new Map(checkpoint.slices) }
+  } catch (error) {
+    console.warn(`    ⚠️  Failed to read shard checkpoint: ${getErrorMessage(error)}`)
+    return null
+  }
+}
+
+/**
+ * Save the indexing checkpoint of a shard
+ *
+ * @param {string} shard - Shard CID
+ * @param {ShardCheckpoint} checkpoint
+ * @returns {Promise<void>}
+ */
+export async function putShardCheckpoint(shard, { offset, slices }) {
+  if (!backend) {
+    return
+  }
+  try {
+    await backend.put(
+      getCheckpointKey(shard),
+      dagJSON.encode({ offset, slices: [...slices.entries()] })
+    )
+  } catch (error) {
+    console.warn(`    ⚠️  Failed to write shard checkpoint: ${getErrorMessage(error)}`)
+  }
+}
+
+/**
+ * Remove the indexing checkpoint of a shard once its index has been generated
+ *
+ * @param {string} shard - Shard CID
+ * @returns {Promise<void>}
+ */
+export async function deleteShardCheckpoint(shard) {
+  if (!backend) {
+    return
+  }
+  try {
+    await backend.delete(getCheckpointKey(shard))
+  } catch (error) {
+    console.warn(`    ⚠️  Failed to remove shard checkpoint: ${getErrorMessage(error)}`)
+  }
+}
+
+/**
+ * List the shard indexing checkpoints, oldest first
+ *
+ * `root` is 'checkpoints' for every entry.
+ *
+ * @returns {Promise<CachedIndex[]>}
+ */
+export async function listShardCheckpoints() {
+  if (!backend) {
+    return []
+  }
+  const entries = await backend.list()
+  return entries
+    .filter((entry) => entry.key.startsWith(`${CHECKPOINT_DIR}/`) && entry.key.endsWith('.json'))
+    .map((entry) => ({ ...entry, root: CHECKPOINT_DIR }))
+    .sort((a, b) => a.modified.getTime() - b.modified.getTime())
+}
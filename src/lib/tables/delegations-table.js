@@ -66,6 +66,19 @@ function getR2Client() {
   return cachedR2Client
 }
 
+/**
+ * Use the given S3 and R2 clients for delegation storage
+ * (in-memory S3 for the local environment and tests)
+ *
+ * @param {object} clients
+ * @param {import('@aws-sdk/client-s3').S3Client | null} clients.s3Client
+ * @param {import('@aws-sdk/client-s3').S3Client | null} clients.r2Client
+ */
+export function setDelegationStoreClients({ s3Client, r2Client }) {
+  cachedS3Client = s3Client
+  cachedR2Client = r2Client
+}
+
 /**
  * Create delegation S3 key in w3infra format
  * 
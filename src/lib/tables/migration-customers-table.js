@@ -5,14 +5,16 @@
  * 
  * Table Schema:
  * - PK: customer (string) - Customer DID (did:mailto:...)
- * - status (string) - 'pending' | 'in-progress' | 'completed' | 'failed'
+ * - status (string) - 'pending' | 'in-progress' | 'completed' | 'failed' | 'skipped'
  * - totalSpaces (number) - Total spaces for this customer
  * - completedSpaces (number) - Number of spaces migrated
  * - totalUploads (number) - Total uploads across all spaces
  * - completedUploads (number) - Number of uploads migrated
- * - instanceId (string) - EC2 instance assigned to this customer
+ * - instanceId (string) - EC2 instance assigned to (or that claimed) this customer
  * - filter (string) - Filter used when assigning (e.g., 'storacha.network')
- * - error (string) - Error code/summary if failed
+ * - error (string) - Error code/summary if failed, policy reason if skipped
+ * - leaseOwner (string) - instanceId/workerId migrating the customer (see ../leases.js)
+ * - leaseExpiresAt (string) - ISO timestamp after which another worker may claim the customer
  * - assignedAt (string) - ISO timestamp when assigned
  * - updatedAt (string) - ISO timestamp of last update
  * - completedAt (string) - ISO timestamp when completed
@@ -27,18 +29,21 @@ import {
   PutCommand, 
   UpdateCommand,
   QueryCommand,
-  ScanCommand,
-  BatchWriteCommand
+  ScanCommand
 } from '@aws-sdk/lib-dynamodb'
 import { config } from '../../config.js'
 import { getDynamoClient } from '../dynamo-client.js'
+import { getLeaseOwner, getLeaseExpiry, isLeaseActive } from '../leases.js'
 
 const CUSTOMERS_TABLE = config.tables.migrationCustomers
 
+// Customers read per status-index page while looking for one to claim
+const CLAIM_PAGE_SIZE = 25
+
 /**
  * @typedef {object} MigrationCustomer
  * @property {string} customer - Customer DID
- * @property {'pending'|'in-progress'|'completed'|'failed'} status
+ * @property {'pending'|'in-progress'|'completed'|'failed'|'skipped'} status
  * @property {number} totalSpaces
  * @property {number} completedSpaces
  * @property {number} totalUploads
@@ -46,6 +51,8 @@ const CUSTOMERS_TABLE = config.tables.migrationCustomers
  * @property {string} [instanceId]
  * @property {string} [filter]
  * @property {string} [error]
+ * @property {string} [leaseOwner]
+ * @property {string} [leaseExpiresAt]
  * @property {string} assignedAt
  * @property {string} updatedAt
  * @property {string} [completedAt]
@@ -107,52 +114,78 @@ export async function assignCustomer({ customer, totalSpaces, totalUploads, inst
 /**
  * Batch assign multiple customers (used by setup-distribution)
  * 
- * @param {Array<{customer: string, totalSpaces: number, totalUploads: number, instanceId: number, filter?: string}>} customers
- * @returns {Promise<void>}
+ * Customers without an instanceId go to the work queue, to be claimed by
+ * whichever instance gets to them first (see claimNextCustomer).
+ * 
+ * Only new and still pending customers are written: re-running the
+ * distribution must not reset customers that a worker has started, finished,
+ * failed or skipped. Each put is conditional, so they are sent one by one
+ * (BatchWriteItem has no conditions), BATCH_SIZE at a time.
+ * 
+ * @param {Array<{customer: string, totalSpaces: number, totalUploads: number, instanceId?: number, filter?: string}>} customers
+ * @returns {Promise<number>} - Customers written (the others were left as they are)
  */
 export async function batchAssignCustomers(customers) {
   const client = getDynamoClient()
   const now = new Date().toISOString()
   
-  // DynamoDB batch write limit is 25 items
   const BATCH_SIZE = 25
+  let assigned = 0
   
   for (let i = 0; i < customers.length; i += BATCH_SIZE) {
     const batch = customers.slice(i, i + BATCH_SIZE)
     
-    const command = new BatchWriteCommand({
-      RequestItems: {
-        [CUSTOMERS_TABLE]: batch.map(c => ({
-          PutRequest: {
-            Item: {
-              customer: c.customer,
-              status: 'pending',
-              totalSpaces: c.totalSpaces,
-              completedSpaces: 0,
-              totalUploads: c.totalUploads,
-              completedUploads: 0,
-              instanceId: String(c.instanceId),
-              filter: c.filter || null,
-              assignedAt: now,
-              updatedAt: now,
-            }
-          }
-        }))
+    await Promise.all(batch.map(async (c) => {
+      const command = new PutCommand({
+        TableName: CUSTOMERS_TABLE,
+        Item: {
+          customer: c.customer,
+          status: 'pending',
+          totalSpaces: c.totalSpaces,
+          completedSpaces: 0,
+          totalUploads: c.totalUploads,
+          completedUploads: 0,
+          ...(c.instanceId !== undefined && { instanceId: String(c.instanceId) }),
+          filter: c.filter || null,
+          assignedAt: now,
+          updatedAt: now,
+        },
+        ConditionExpression: 'attribute_not_exists(customer) OR #status = :pending',
+        ExpressionAttributeNames: {
+          '#status': 'status',
+        },
+        ExpressionAttributeValues: {
+          ':pending': 'pending',
+        },
+      })
+      
+      try {
+        await client.send(command)
+        assigned++
+      } catch (error) {
+        // @ts-expect-error - error is unknown
+        if (error.name !== 'ConditionalCheckFailedException') {
+          throw error
+        }
       }
-    })
-    
-    await client.send(command)
+    }))
   }
+  
+  return assigned
 }
 
 /**
- * Mark customer as in-progress (creates record if it doesn't exist)
+ * Mark customer as in-progress and take its lease (creates record if it doesn't exist)
+ * 
+ * The customer is left untouched when another worker holds a live lease on it.
  * 
  * @param {string} customer - Customer DID
  * @param {object} [options] - Optional parameters for new records
  * @param {number} [options.totalSpaces] - Total spaces for customer
  * @param {number} [options.totalUploads] - Total uploads for customer
- * @returns {Promise<void>}
+ * @param {{instanceId: string, workerId: string}} [options.owner] - Lease holder
+ * @param {number} [options.leaseDuration] - Lease duration (ms)
+ * @returns {Promise<boolean>} - false when another worker holds the customer
  */
 export async function markCustomerInProgress(customer, options = {}) {
   const client = getDynamoClient()
@@ -163,59 +196,213 @@ export async function markCustomerInProgress(customer, options = {}) {
     TableName: CUSTOMERS_TABLE,
     Key: { customer },
     UpdateExpression: `SET #status = :status, updatedAt = :now, 
+      leaseOwner = :owner, leaseExpiresAt = :expires,
       assignedAt = if_not_exists(assignedAt, :now),
       totalSpaces = if_not_exists(totalSpaces, :totalSpaces),
       completedSpaces = if_not_exists(completedSpaces, :zero),
       totalUploads = if_not_exists(totalUploads, :totalUploads),
       completedUploads = if_not_exists(completedUploads, :zero)`,
+    ConditionExpression: 'attribute_not_exists(leaseExpiresAt) OR leaseExpiresAt < :now OR leaseOwner = :owner',
     ExpressionAttributeNames: {
       '#status': 'status',
     },
     ExpressionAttributeValues: {
       ':status': 'in-progress',
       ':now': now,
+      ':owner': getLeaseOwner(options.owner ?? { instanceId: 'local', workerId: '1' }),
+      ':expires': getLeaseExpiry(options.leaseDuration),
       ':totalSpaces': options.totalSpaces || 0,
       ':totalUploads': options.totalUploads || 0,
       ':zero': 0,
     },
   })
   
-  await client.send(command)
+  try {
+    await client.send(command)
+    return true
+  } catch (error) {
+    // @ts-expect-error - error is unknown
+    if (error.name === 'ConditionalCheckFailedException') {
+      return false
+    }
+    throw error
+  }
 }
 
 /**
- * Update customer progress
+ * Extend the lease of a customer held by this worker
  * 
+ * @param {string} customer - Customer DID
+ * @param {{instanceId: string, workerId: string}} owner - Lease holder
+ * @param {number} [leaseDuration] - Lease duration (ms)
+ * @returns {Promise<boolean>} - false when another worker claimed the customer
+ */
+export async function renewCustomerLease(customer, owner, leaseDuration) {
+  const client = getDynamoClient()
+  
+  const command = new UpdateCommand({
+    TableName: CUSTOMERS_TABLE,
+    Key: { customer },
+    UpdateExpression: 'SET leaseExpiresAt = :expires',
+    ConditionExpression: 'leaseOwner = :owner',
+    ExpressionAttributeValues: {
+      ':owner': getLeaseOwner(owner),
+      ':expires': getLeaseExpiry(leaseDuration),
+    },
+  })
+  
+  try {
+    await client.send(command)
+    return true
+  } catch (error) {
+    // @ts-expect-error - error is unknown
+    if (error.name === 'ConditionalCheckFailedException') {
+      return false
+    }
+    throw error
+  }
+}
+
+/**
+ * Claim the next customer of the work queue
+ *
+ * Instances run with `--queue` pull customers from this table instead of a
+ * distribution file. Pending customers are taken oldest first from the
+ * status-index, each with a conditional write so that two workers never claim
+ * the same one. Once none is pending, in-progress customers whose lease has
+ * expired (their worker crashed or hung) are reclaimed.
+ *
+ * @param {object} params
+ * @param {{instanceId: string, workerId: string}} params.owner - Lease holder
+ * @param {number} [params.leaseDuration] - Lease duration (ms)
+ * @returns {Promise<MigrationCustomer | null>} - null when no customer is left to claim
+ */
+export async function claimNextCustomer({ owner, leaseDuration }) {
+  const client = getDynamoClient()
+
+  for (const status of /** @type {const} */ (['pending', 'in-progress'])) {
+    /** @type {Record<string, any> | undefined} */
+    let lastEvaluatedKey = undefined
+
+    do {
+      /** @type {import('@aws-sdk/lib-dynamodb').QueryCommandOutput} */
+      const response = await client.send(new QueryCommand({
+        TableName: CUSTOMERS_TABLE,
+        IndexName: 'status-index',
+        KeyConditionExpression: '#status = :status',
+        ExpressionAttributeNames: {
+          '#status': 'status',
+        },
+        ExpressionAttributeValues: {
+          ':status': status,
+        },
+        Limit: CLAIM_PAGE_SIZE,
+        ExclusiveStartKey: lastEvaluatedKey,
+      }))
+
+      for (const candidate of /** @type {MigrationCustomer[]} */ (response.Items || [])) {
+        if (isLeaseActive(candidate)) continue
+        const claimed = await claimCustomer(candidate.customer, status, owner, leaseDuration)
+        if (claimed) return claimed
+      }
+      lastEvaluatedKey = response.LastEvaluatedKey
+    } while (lastEvaluatedKey)
+  }
+
+  return null
+}
+
+/**
+ * Take a customer that is still in the expected status and not leased
+ *
+ * @param {string} customer - Customer DID
+ * @param {'pending'|'in-progress'} expectedStatus
+ * @param {{instanceId: string, workerId: string}} owner - Lease holder
+ * @param {number} [leaseDuration] - Lease duration (ms)
+ * @returns {Promise<MigrationCustomer | null>} - null when another worker got there first
+ */
+async function claimCustomer(customer, expectedStatus, owner, leaseDuration) {
+  const client = getDynamoClient()
+  const now = new Date().toISOString()
+
+  const command = new UpdateCommand({
+    TableName: CUSTOMERS_TABLE,
+    Key: { customer },
+    UpdateExpression: `SET #status = :status, updatedAt = :now, instanceId = :instanceId,
+      leaseOwner = :owner, leaseExpiresAt = :expires`,
+    ConditionExpression: '#status = :expected AND (attribute_not_exists(leaseExpiresAt) OR leaseExpiresAt < :now)',
+    ExpressionAttributeNames: {
+      '#status': 'status',
+    },
+    ExpressionAttributeValues: {
+      ':status': 'in-progress',
+      ':expected': expectedStatus,
+      ':now': now,
+      ':instanceId': owner.instanceId,
+      ':owner': getLeaseOwner(owner),
+      ':expires': getLeaseExpiry(leaseDuration),
+    },
+    ReturnValues: 'ALL_NEW',
+  })
+
+  try {
+    const response = await client.send(command)
+    return /** @type {MigrationCustomer} */ (response.Attributes)
+  } catch (error) {
+    // @ts-expect-error - error is unknown
+    if (error.name === 'ConditionalCheckFailedException') {
+      return null
+    }
+    throw error
+  }
+}
+
+/**
+ * Update progress of a customer held by this worker
+ *
  * @param {object} params
  * @param {string} params.customer - Customer DID
+ * @param {{instanceId: string, workerId: string}} params.owner - Lease holder
  * @param {number} params.completedSpaces - Number of spaces completed
  * @param {number} params.completedUploads - Number of uploads completed
- * @returns {Promise<void>}
+ * @returns {Promise<boolean>} - false when the lease was lost to another worker
  */
-export async function updateCustomerProgress({ customer, completedSpaces, completedUploads }) {
+export async function updateCustomerProgress({ customer, owner, completedSpaces, completedUploads }) {
   const client = getDynamoClient()
   
   const command = new UpdateCommand({
     TableName: CUSTOMERS_TABLE,
     Key: { customer },
     UpdateExpression: 'SET completedSpaces = :spaces, completedUploads = :uploads, updatedAt = :now',
+    ConditionExpression: 'leaseOwner = :owner',
     ExpressionAttributeValues: {
       ':spaces': completedSpaces,
       ':uploads': completedUploads,
+      ':owner': getLeaseOwner(owner),
       ':now': new Date().toISOString(),
     },
   })
   
-  await client.send(command)
+  try {
+    await client.send(command)
+    return true
+  } catch (error) {
+    // @ts-expect-error - error is unknown
+    if (error.name === 'ConditionalCheckFailedException') {
+      return false
+    }
+    throw error
+  }
 }
 
 /**
- * Mark customer as completed
+ * Mark customer as completed and release its lease
  * 
  * @param {string} customer - Customer DID
- * @returns {Promise<void>}
+ * @param {{instanceId: string, workerId: string}} owner - Lease holder
+ * @returns {Promise<boolean>} - false when the lease was lost to another worker
  */
-export async function markCustomerCompleted(customer) {
+export async function markCustomerCompleted(customer, owner) {
   const client = getDynamoClient()
   
   const now = new Date().toISOString()
@@ -223,35 +410,48 @@ export async function markCustomerCompleted(customer) {
   const command = new UpdateCommand({
     TableName: CUSTOMERS_TABLE,
     Key: { customer },
-    UpdateExpression: 'SET #status = :status, updatedAt = :now, completedAt = :now, #error = :empty',
+    UpdateExpression: 'SET #status = :status, updatedAt = :now, completedAt = :now, #error = :empty REMOVE leaseOwner, leaseExpiresAt',
+    ConditionExpression: 'leaseOwner = :owner',
     ExpressionAttributeNames: {
       '#status': 'status',
       '#error': 'error',
     },
     ExpressionAttributeValues: {
       ':status': 'completed',
+      ':owner': getLeaseOwner(owner),
       ':now': now,
       ':empty': '',
     },
   })
   
-  await client.send(command)
+  try {
+    await client.send(command)
+    return true
+  } catch (error) {
+    // @ts-expect-error - error is unknown
+    if (error.name === 'ConditionalCheckFailedException') {
+      return false
+    }
+    throw error
+  }
 }
 
 /**
- * Mark customer as failed with error
+ * Mark customer as failed with error and release its lease
  * 
  * @param {string} customer - Customer DID
  * @param {string} error - Error code/summary
- * @returns {Promise<void>}
+ * @param {{instanceId: string, workerId: string}} owner - Lease holder
+ * @returns {Promise<boolean>} - false when the lease was lost to another worker
  */
-export async function markCustomerFailed(customer, error) {
+export async function markCustomerFailed(customer, error, owner) {
   const client = getDynamoClient()
   
   const command = new UpdateCommand({
     TableName: CUSTOMERS_TABLE,
     Key: { customer },
-    UpdateExpression: 'SET #status = :status, #error = :error, updatedAt = :now',
+    UpdateExpression: 'SET #status = :status, #error = :error, updatedAt = :now REMOVE leaseOwner, leaseExpiresAt',
+    ConditionExpression: 'leaseOwner = :owner',
     ExpressionAttributeNames: {
       '#status': 'status',
       '#error': 'error',
@@ -259,36 +459,101 @@ export async function markCustomerFailed(customer, error) {
     ExpressionAttributeValues: {
       ':status': 'failed',
       ':error': error,
+      ':owner': getLeaseOwner(owner),
       ':now': new Date().toISOString(),
     },
   })
   
-  await client.send(command)
+  try {
+    await client.send(command)
+    return true
+  } catch (err) {
+    // @ts-expect-error - error is unknown
+    if (err.name === 'ConditionalCheckFailedException') {
+      return false
+    }
+    throw err
+  }
 }
 
 /**
- * Get customers by status
+ * Mark customer as skipped by the migration policy and release its lease
  * 
- * @param {'pending'|'in-progress'|'completed'|'failed'} status
- * @returns {Promise<MigrationCustomer[]>}
+ * Skipped customers are not claimed from the work queue again, and are not
+ * reported as failed.
+ * 
+ * @param {string} customer - Customer DID
+ * @param {string} reason - Why the policy skips the customer
+ * @param {{instanceId: string, workerId: string}} owner - Lease holder
+ * @returns {Promise<boolean>} - false when the lease was lost to another worker
  */
-export async function getCustomersByStatus(status) {
+export async function markCustomerSkipped(customer, reason, owner) {
   const client = getDynamoClient()
   
-  const command = new QueryCommand({
+  const command = new UpdateCommand({
     TableName: CUSTOMERS_TABLE,
-    IndexName: 'status-index',
-    KeyConditionExpression: '#status = :status',
+    Key: { customer },
+    UpdateExpression: 'SET #status = :status, #error = :reason, updatedAt = :now REMOVE leaseOwner, leaseExpiresAt',
+    ConditionExpression: 'leaseOwner = :owner',
     ExpressionAttributeNames: {
       '#status': 'status',
+      '#error': 'error',
     },
     ExpressionAttributeValues: {
-      ':status': status,
+      ':status': 'skipped',
+      ':reason': reason,
+      ':owner': getLeaseOwner(owner),
+      ':now': new Date().toISOString(),
     },
   })
   
-  const response = await client.send(command)
-  return /** @type {MigrationCustomer[]} */ (response.Items || [])
+  try {
+    await client.send(command)
+    return true
+  } catch (err) {
+    // @ts-expect-error - error is unknown
+    if (err.name === 'ConditionalCheckFailedException') {
+      return false
+    }
+    throw err
+  }
+}
+
+/**
+ * Get customers by status
+ * 
+ * @param {'pending'|'in-progress'|'completed'|'failed'|'skipped'} status
+ * @returns {Promise<MigrationCustomer[]>}
+ */
+export async function getCustomersByStatus(status) {
+  const client = getDynamoClient()
+  
+  /** @type {MigrationCustomer[]} */
+  const items = []
+  /** @type {Record<string, any> | undefined} */
+  let lastEvaluatedKey = undefined
+  
+  do {
+    const command = new QueryCommand({
+      TableName: CUSTOMERS_TABLE,
+      IndexName: 'status-index',
+      KeyConditionExpression: '#status = :status',
+      ExpressionAttributeNames: {
+        '#status': 'status',
+      },
+      ExpressionAttributeValues: {
+        ':status': status,
+      },
+      ExclusiveStartKey: lastEvaluatedKey,
+    })
+    
+    /** @type {import('@aws-sdk/lib-dynamodb').QueryCommandOutput} */
+    const response = await client.send(command)
+    items.push(.../** @type {MigrationCustomer[]} */ (response.Items || []))
+    lastEvaluatedKey = response.LastEvaluatedKey
+  } while (lastEvaluatedKey)
+  
+  return items
 }
 
 /**
@@ -10,9 +10,15 @@
  * - totalUploads (number) - Total uploads in this space
  * - completedUploads (number) - Number of uploads migrated
  * - lastProcessedUpload (string) - Last upload CID processed
+ * - checkpointedUploads (number) - Uploads up to and including lastProcessedUpload
+ * - checkpointFailures (string) - JSON failure summary of the uploads up to lastProcessedUpload
  * - instanceId (string) - EC2 instance processing this space
  * - workerId (string) - Worker ID processing this space
  * - error (string) - Error message if failed
+ * - leaseOwner (string) - instanceId/workerId holding the space (see ../leases.js)
+ * - leaseExpiresAt (string) - ISO timestamp after which another worker may claim the space
+ * - gatewayAuthDelegation (string) - Base64 CAR archive of the content/serve delegation issued to the gateway
+ * - gatewayAuthAt (string) - ISO timestamp of the gateway authorization
  * - createdAt (string) - ISO timestamp
  * - updatedAt (string) - ISO timestamp
  * 
@@ -23,13 +29,13 @@
 
 import { 
   GetCommand, 
-  PutCommand, 
   UpdateCommand,
   QueryCommand,
   ScanCommand 
 } from '@aws-sdk/lib-dynamodb'
 import { config } from '../../config.js'
 import { getDynamoClient } from '../dynamo-client.js'
+import { getLeaseOwner, getLeaseExpiry } from '../leases.js'
 
 const PROGRESS_TABLE = config.tables.migrationProgress
 
@@ -38,7 +44,7 @@ const PROGRESS_TABLE = config.tables.migrationProgress
  * 
  * @param {string} customer - Customer DID
  * @param {string} space - Space DID
- * @returns {Promise<{customer: string, space: string, status: string, totalUploads?: number, completedUploads?: number, lastProcessedUpload?: string, instanceId?: string, workerId?: string, error?: string, createdAt: string, updatedAt: string} | null>}
+ * @returns {Promise<{customer: string, space: string, status: string, totalUploads?: number, completedUploads?: number, lastProcessedUpload?: string, checkpointedUploads?: number, checkpointFailures?: string, instanceId?: string, workerId?: string, error?: string, gatewayAuthDelegation?: string, gatewayAuthAt?: string, leaseOwner?: string, leaseExpiresAt?: string, createdAt: string, updatedAt: string} | null>}
  */
 export async function getSpaceProgress(customer, space) {
   const client = getDynamoClient()
@@ -54,7 +60,11 @@ export async function getSpaceProgress(customer, space) {
 }
 
 /**
- * Create initial progress record for a space
+ * Create the progress record of a space, or resume it, and take its lease
+ * 
+ * The lease is only taken when no other worker holds a live one: the record
+ * is left untouched otherwise. Totals and progress of an existing record are
+ * kept.
  * 
  * @param {object} params
  * @param {string} params.customer - Customer DID
@@ -62,120 +72,237 @@ export async function getSpaceProgress(customer, space) {
  * @param {number} params.totalUploads - Total uploads in space
  * @param {string} params.instanceId - EC2 instance ID
  * @param {string} params.workerId - Worker ID
- * @returns {Promise<void>}
+ * @param {number} [params.leaseDuration] - Lease duration (ms)
+ * @returns {Promise<boolean>} - false when another worker holds the space
  */
-export async function createSpaceProgress({ customer, space, totalUploads, instanceId, workerId }) {
+export async function createSpaceProgress({ customer, space, totalUploads, instanceId, workerId, leaseDuration }) {
   const client = getDynamoClient()
   
   const now = new Date().toISOString()
   
-  const command = new PutCommand({
+  const command = new UpdateCommand({
+    TableName: PROGRESS_TABLE,
+    Key: { customer, space },
+    UpdateExpression: `SET #status = :status, instanceId = :instanceId, workerId = :workerId,
+      leaseOwner = :owner, leaseExpiresAt = :expires, updatedAt = :now,
+      totalUploads = if_not_exists(totalUploads, :totalUploads),
+      completedUploads = if_not_exists(completedUploads, :zero),
+      createdAt = if_not_exists(createdAt, :now)`,
+    ConditionExpression: 'attribute_not_exists(leaseExpiresAt) OR leaseExpiresAt < :now OR leaseOwner = :owner',
+    ExpressionAttributeNames: {
+      '#status': 'status',
+    },
+    ExpressionAttributeValues: {
+      ':status': 'in-progress',
+      ':instanceId': instanceId,
+      ':workerId': workerId,
+      ':owner': getLeaseOwner({ instanceId, workerId }),
+      ':expires': getLeaseExpiry(leaseDuration),
+      ':now': now,
+      ':totalUploads': totalUploads,
+      ':zero': 0,
+    },
+  })
+  
+  try {
+    await client.send(command)
+    return true
+  } catch (error) {
+    // @ts-expect-error - error is unknown
+    if (error.name === 'ConditionalCheckFailedException') {
+      return false
+    }
+    throw error
+  }
+}
+
+/**
+ * Extend the lease of a space held by this worker
+ * 
+ * @param {object} params
+ * @param {string} params.customer - Customer DID
+ * @param {string} params.space - Space DID
+ * @param {{instanceId: string, workerId: string}} params.owner - Lease holder
+ * @param {number} [params.leaseDuration] - Lease duration (ms)
+ * @returns {Promise<boolean>} - false when another worker claimed the space
+ */
+export async function renewSpaceLease({ customer, space, owner, leaseDuration }) {
+  const client = getDynamoClient()
+  
+  const command = new UpdateCommand({
     TableName: PROGRESS_TABLE,
-    Item: {
-      customer,
-      space,
-      status: 'in-progress',
-      totalUploads,
-      completedUploads: 0,
-      instanceId,
-      workerId,
-      createdAt: now,
-      updatedAt: now,
+    Key: { customer, space },
+    UpdateExpression: 'SET leaseExpiresAt = :expires',
+    ConditionExpression: 'leaseOwner = :owner',
+    ExpressionAttributeValues: {
+      ':owner': getLeaseOwner(owner),
+      ':expires': getLeaseExpiry(leaseDuration),
     },
-    ConditionExpression: 'attribute_not_exists(customer)',
   })
   
   try {
     await client.send(command)
+    return true
   } catch (error) {
-    // @ts-expect-error - If already exists, that's OK (resume scenario)
+    // @ts-expect-error - error is unknown
     if (error.name === 'ConditionalCheckFailedException') {
-      return
+      return false
     }
     throw error
   }
 }
 
 /**
- * Update progress for a space
+ * Update progress for a space held by this worker
+ * 
+ * The checkpoint is written with the number of uploads up to it and the
+ * failures among them, which is what a resumed run starts from.
  * 
  * @param {object} params
  * @param {string} params.customer - Customer DID
  * @param {string} params.space - Space DID
+ * @param {{instanceId: string, workerId: string}} params.owner - Lease holder
  * @param {number} params.completedUploads - Number of uploads completed
  * @param {string} [params.lastProcessedUpload] - Last upload CID processed
- * @returns {Promise<void>}
+ * @param {number} [params.checkpointedUploads] - Uploads up to and including lastProcessedUpload
+ * @param {Record<string, number>} [params.checkpointFailures] - Failure reasons of the uploads up to lastProcessedUpload
+ * @returns {Promise<boolean>} - false when the lease was lost to another worker
  */
-export async function updateSpaceProgress({ customer, space, completedUploads, lastProcessedUpload }) {
+export async function updateSpaceProgress({ customer, space, owner, completedUploads, lastProcessedUpload, checkpointedUploads = 0, checkpointFailures = {} }) {
   const client = getDynamoClient()
   
   const updateExpression = lastProcessedUpload
-    ? 'SET completedUploads = :completed, lastProcessedUpload = :lastUpload, updatedAt = :now'
+    ? 'SET completedUploads = :completed, lastProcessedUpload = :lastUpload, checkpointedUploads = :checkpointed, checkpointFailures = :failures, updatedAt = :now'
     : 'SET completedUploads = :completed, updatedAt = :now'
   
+  /** @type {Record<string, any>} */
   const expressionValues = {
     ':completed': completedUploads,
+    ':owner': getLeaseOwner(owner),
     ':now': new Date().toISOString(),
   }
   
   if (lastProcessedUpload) {
-    // @ts-expect-error - Property ':lastUpload' does not exist on type '{ ':completed': number; ':now': string; }'.
     expressionValues[':lastUpload'] = lastProcessedUpload
+    expressionValues[':checkpointed'] = checkpointedUploads
+    expressionValues[':failures'] = JSON.stringify(checkpointFailures)
   }
   
   const command = new UpdateCommand({
     TableName: PROGRESS_TABLE,
     Key: { customer, space },
     UpdateExpression: updateExpression,
+    ConditionExpression: 'leaseOwner = :owner',
     ExpressionAttributeValues: expressionValues,
   })
   
-  await client.send(command)
+  try {
+    await client.send(command)
+    return true
+  } catch (error) {
+    // @ts-expect-error - error is unknown
+    if (error.name === 'ConditionalCheckFailedException') {
+      return false
+    }
+    throw error
+  }
 }
 
 /**
- * Mark space as completed
+ * Record the gateway authorization of a space
+ * 
+ * Only updates an existing progress record, so spaces migrated outside of a
+ * customer run (e.g. --space/--cid) are not given a status-less record.
+ * 
+ * @param {object} params
+ * @param {string} params.customer - Customer DID
+ * @param {string} params.space - Space DID
+ * @param {string} params.delegation - Base64 CAR archive of the content/serve delegation
+ * @returns {Promise<boolean>} - false when the space has no progress record
+ */
+export async function recordGatewayAuth({ customer, space, delegation }) {
+  const client = getDynamoClient()
+  
+  const command = new UpdateCommand({
+    TableName: PROGRESS_TABLE,
+    Key: { customer, space },
+    UpdateExpression: 'SET gatewayAuthDelegation = :delegation, gatewayAuthAt = :now',
+    ConditionExpression: 'attribute_exists(customer)',
+    ExpressionAttributeValues: {
+      ':delegation': delegation,
+      ':now': new Date().toISOString(),
+    },
+  })
+  
+  try {
+    await client.send(command)
+    return true
+  } catch (error) {
+    // @ts-expect-error - error is unknown
+    if (error.name === 'ConditionalCheckFailedException') {
+      return false
+    }
+    throw error
+  }
+}
+
+/**
+ * Mark space as completed and release its lease
  * 
  * @param {string} customer - Customer DID
  * @param {string} space - Space DID
- * @returns {Promise<void>}
+ * @param {{instanceId: string, workerId: string}} owner - Lease holder
+ * @returns {Promise<boolean>} - false when the lease was lost to another worker
  */
-export async function markSpaceCompleted(customer, space) {
+export async function markSpaceCompleted(customer, space, owner) {
   const client = getDynamoClient()
   
   const command = new UpdateCommand({
     TableName: PROGRESS_TABLE,
     Key: { customer, space },
-    UpdateExpression: 'SET #status = :status, updatedAt = :now, #error = :empty',
+    UpdateExpression: 'SET #status = :status, updatedAt = :now, #error = :empty REMOVE leaseOwner, leaseExpiresAt',
+    ConditionExpression: 'leaseOwner = :owner',
     ExpressionAttributeNames: {
       '#status': 'status',
       '#error': 'error',
     },
     ExpressionAttributeValues: {
       ':status': 'completed',
+      ':owner': getLeaseOwner(owner),
       ':now': new Date().toISOString(),
       ':empty': '',
     },
   })
   
-  await client.send(command)
+  try {
+    await client.send(command)
+    return true
+  } catch (error) {
+    // @ts-expect-error - error is unknown
+    if (error.name === 'ConditionalCheckFailedException') {
+      return false
+    }
+    throw error
+  }
 }
 
 /**
- * Mark space as failed
+ * Mark space as failed and release its lease
  * 
  * @param {string} customer - Customer DID
  * @param {string} space - Space DID
  * @param {string} error - Error message
- * @returns {Promise<void>}
+ * @param {{instanceId: string, workerId: string}} owner - Lease holder
+ * @returns {Promise<boolean>} - false when the lease was lost to another worker
  */
-export async function markSpaceFailed(customer, space, error) {
+export async function markSpaceFailed(customer, space, error, owner) {
   const client = getDynamoClient()
   
   const command = new UpdateCommand({
     TableName: PROGRESS_TABLE,
     Key: { customer, space },
-    UpdateExpression: 'SET #status = :status, #error = :error, updatedAt = :now',
+    UpdateExpression: 'SET #status = :status, #error = :error, updatedAt = :now REMOVE leaseOwner, leaseExpiresAt',
+    ConditionExpression: 'leaseOwner = :owner',
     ExpressionAttributeNames: {
       '#status': 'status',
       '#error': 'error',
@@ -183,18 +310,28 @@ export async function markSpaceFailed(customer, space, error) {
     ExpressionAttributeValues: {
       ':status': 'failed',
       ':error': error,
+      ':owner': getLeaseOwner(owner),
       ':now': new Date().toISOString(),
     },
   })
   
-  await client.send(command)
+  try {
+    await client.send(command)
+    return true
+  } catch (err) {
+    // @ts-expect-error - error is unknown
+    if (err.name === 'ConditionalCheckFailedException') {
+      return false
+    }
+    throw err
+  }
 }
 
 /**
  * Get all spaces for a customer
  * 
  * @param {string} customer - Customer DID
- * @returns {Promise<Array<{customer: string, space: string, status: string, totalUploads?: number, completedUploads?: number, instanceId?: string, workerId?: string, error?: string, updatedAt?: string}>>}
+ * @returns {Promise<Array<{customer: string, space: string, status: string, totalUploads?: number, completedUploads?: number, instanceId?: string, workerId?: string, error?: string, leaseOwner?: string, leaseExpiresAt?: string, updatedAt?: string}>>}
  */
 export async function getCustomerSpaces(customer) {
   const client = getDynamoClient()
@@ -220,53 +357,80 @@ export async function getCustomerSpaces(customer) {
 export async function getFailedMigrations() {
   const client = getDynamoClient()
   
-  const command = new ScanCommand({
-    TableName: PROGRESS_TABLE,
-    FilterExpression: '#status = :failed',
-    ExpressionAttributeNames: {
-      '#status': 'status',
-    },
-    ExpressionAttributeValues: {
-      ':failed': 'failed',
-    },
-  })
+  /** @type {any[]} */
+  const items = []
+  /** @type {Record<string, any> | undefined} */
+  let lastEvaluatedKey = undefined
   
-  const response = await client.send(command)
-  // @ts-expect-error - DynamoDB returns Record<string, any>[] but we know the shape
-  return response.Items || []
+  do {
+    const command = new ScanCommand({
+      TableName: PROGRESS_TABLE,
+      FilterExpression: '#status = :failed',
+      ExpressionAttributeNames: {
+        '#status': 'status',
+      },
+      ExpressionAttributeValues: {
+        ':failed': 'failed',
+      },
+      ExclusiveStartKey: lastEvaluatedKey,
+    })
+    
+    /** @type {import('@aws-sdk/lib-dynamodb').ScanCommandOutput} */
+    const response = await client.send(command)
+    items.push(...(response.Items || []))
+    lastEvaluatedKey = response.LastEvaluatedKey
+  } while (lastEvaluatedKey)
+  
+  return items
 }
 
 /**
- * Get stuck migrations (in-progress for >1 hour)
+ * Get stuck migrations: in-progress spaces whose lease expired, or without a
+ * lease (records from before leases) and not updated for over an hour
+ * 
+ * Their worker crashed or hung; any worker may claim them.
  * 
- * @returns {Promise<Array<{customer: string, space: string, status: string, instanceId?: string, workerId?: string, completedUploads?: number, totalUploads?: number, updatedAt: string}>>}
+ * @returns {Promise<Array<{customer: string, space: string, status: string, instanceId?: string, workerId?: string, completedUploads?: number, totalUploads?: number, leaseOwner?: string, leaseExpiresAt?: string, updatedAt: string}>>}
  */
 export async function getStuckMigrations() {
   const client = getDynamoClient()
+  const now = new Date().toISOString()
   const oneHourAgo = new Date(Date.now() - 60 * 60 * 1000).toISOString()
   
-  const command = new ScanCommand({
-    TableName: PROGRESS_TABLE,
-    FilterExpression: '#status = :inProgress AND updatedAt < :threshold',
-    ExpressionAttributeNames: {
-      '#status': 'status',
-    },
-    ExpressionAttributeValues: {
-      ':inProgress': 'in-progress',
-      ':threshold': oneHourAgo,
-    },
-  })
+  /** @type {any[]} */
+  const items = []
+  /** @type {Record<string, any> | undefined} */
+  let lastEvaluatedKey = undefined
   
-  const response = await client.send(command)
-  // @ts-expect-error - DynamoDB returns Record<string, any>[] but we know the shape
-  return response.Items || []
+  do {
+    const command = new ScanCommand({
+      TableName: PROGRESS_TABLE,
+      FilterExpression: '#status = :inProgress AND (leaseExpiresAt < :now OR (attribute_not_exists(leaseExpiresAt) AND updatedAt < :threshold))',
+      ExpressionAttributeNames: {
+        '#status': 'status',
+      },
+      ExpressionAttributeValues: {
+        ':inProgress': 'in-progress',
+        ':now': now,
+        ':threshold': oneHourAgo,
+      },
+      ExclusiveStartKey: lastEvaluatedKey,
+    })
+    
+    /** @type {import('@aws-sdk/lib-dynamodb').ScanCommandOutput} */
+    const response = await client.send(command)
+    items.push(...(response.Items || []))
+    lastEvaluatedKey = response.LastEvaluatedKey
+  } while (lastEvaluatedKey)
+  
+  return items
 }
 
 /**
  * Get spaces by instance
  * 
  * @param {string} instanceId - Instance ID
- * @returns {Promise<Array<{customer: string, space: string, status: string, totalUploads?: number, completedUploads?: number, workerId?: string}>>}
+ * @returns {Promise<Array<{customer: string, space: string, status: string, totalUploads?: number, completedUploads?: number, workerId?: string, createdAt?: string, updatedAt?: string}>>}
  */
 export async function getInstanceSpaces(instanceId) {
   const client = getDynamoClient()
@@ -289,7 +453,7 @@ export async function getInstanceSpaces(instanceId) {
  * 
  * @param {object} [options]
  * @param {Record<string, any>} [options.lastEvaluatedKey] - For pagination
- * @returns {Promise<{items: Array<{customer: string, space: string, status: string, totalUploads?: number, completedUploads?: number, instanceId?: string, workerId?: string}>, lastEvaluatedKey?: Record<string, any>}>}
+ * @returns {Promise<{items: Array<{customer: string, space: string, status: string, totalUploads?: number, completedUploads?: number, instanceId?: string, workerId?: string, leaseOwner?: string, leaseExpiresAt?: string, createdAt?: string, updatedAt?: string}>, lastEvaluatedKey?: Record<string, any>}>}
  */
 export async function scanAllProgress(options = {}) {
   const client = getDynamoClient()
@@ -0,0 +1,270 @@
+/**
+ * Migration Uploads Table operations
+ *
+ * Tracks upload-level migration state so failed uploads can be found and
+ * retried without digging through per-instance log files
+ *
+ * Table Schema:
+ * - PK: space (string) - Space DID
+ * - SK: root (string) - Upload root CID
+ * - customer (string) - Customer DID owning the space
+ * - status (string) - 'in-progress' | 'completed' | 'failed'
+ * - failureReason (string) - FAILURE_REASON code if failed
+ * - error (string) - Error message if failed
+ * - step (string) - Last STEP reached by the migration
+ * - indexCID (string) - CID of the generated or existing index
+ * - attempts (number) - Number of migration attempts
+ * - instanceId (string) - EC2 instance that last processed this upload
+ * - workerId (string) - Worker ID that last processed this upload
+ * - createdAt (string) - ISO timestamp of the first attempt
+ * - updatedAt (string) - ISO timestamp of last update
+ * - completedAt (string) - ISO timestamp when completed
+ *
+ * GSI: status-index
+ * - PK: status
+ * - SK: updatedAt
+ */
+
+import { GetCommand, UpdateCommand, QueryCommand } from '@aws-sdk/lib-dynamodb'
+import { config } from '../../config.js'
+import { getDynamoClient } from '../dynamo-client.js'
+
+const UPLOADS_TABLE = config.tables.migrationUploads
+
+/**
+ * @typedef {object} MigrationUpload
+ * @property {string} space - Space DID
+ * @property {string} root - Upload root CID
+ * @property {string} [customer] - Customer DID
+ * @property {'in-progress'|'completed'|'failed'} status
+ * @property {string} [failureReason]
+ * @property {string} [error]
+ * @property {string} [step]
+ * @property {string} [indexCID]
+ * @property {number} attempts
+ * @property {string} [instanceId]
+ * @property {string} [workerId]
+ * @property {string} createdAt
+ * @property {string} updatedAt
+ * @property {string} [completedAt]
+ */
+
+/**
+ * Get the migration state of an upload
+ *
+ * @param {string} space - Space DID
+ * @param {string} root - Upload root CID
+ * @returns {Promise<MigrationUpload | null>}
+ */
+export async function getUploadState(space, root) {
+  const client = getDynamoClient()
+
+  const command = new GetCommand({
+    TableName: UPLOADS_TABLE,
+    Key: { space, root },
+  })
+
+  const response = await client.send(command)
+  return /** @type {MigrationUpload | null} */ (response.Item || null)
+}
+
+/**
+ * Mark an upload as in-progress and count the attempt
+ * Creates the record on the first attempt
+ *
+ * @param {object} params
+ * @param {string} params.space - Space DID
+ * @param {string} params.root - Upload root CID
+ * @param {string} [params.customer] - Customer DID
+ * @param {string} [params.instanceId] - EC2 instance ID
+ * @param {string} [params.workerId] - Worker ID
+ * @returns {Promise<void>}
+ */
+export async function markUploadStarted({ space, root, customer, instanceId, workerId }) {
+  const client = getDynamoClient()
+  const now = new Date().toISOString()
+
+  /** @type {Record<string, any>} */
+  const expressionValues = {
+    ':status': 'in-progress',
+    ':now': now,
+    ':zero': 0,
+    ':one': 1,
+    ':instanceId': instanceId || 'local',
+    ':workerId': workerId || '1',
+  }
+  // Keep the recorded customer when the caller doesn't know it (e.g. re-runs from a log file)
+  if (customer) {
+    expressionValues[':customer'] = customer
+  }
+
+  const command = new UpdateCommand({
+    TableName: UPLOADS_TABLE,
+    Key: { space, root },
+    UpdateExpression: `SET #status = :status, updatedAt = :now,
+      createdAt = if_not_exists(createdAt, :now),
+      attempts = if_not_exists(attempts, :zero) + :one,
+      instanceId = :instanceId, workerId = :workerId${customer ? ', customer = :customer' : ''}`,
+    ExpressionAttributeNames: {
+      '#status': 'status',
+    },
+    ExpressionAttributeValues: expressionValues,
+  })
+
+  await client.send(command)
+}
+
+/**
+ * Mark an upload as completed
+ *
+ * @param {object} params
+ * @param {string} params.space - Space DID
+ * @param {string} params.root - Upload root CID
+ * @param {string} params.step - Last step reached
+ * @param {string} [params.indexCID] - Index CID
+ * @returns {Promise<void>}
+ */
+export async function markUploadCompleted({ space, root, step, indexCID }) {
+  const client = getDynamoClient()
+  const now = new Date().toISOString()
+
+  const command = new UpdateCommand({
+    TableName: UPLOADS_TABLE,
+    Key: { space, root },
+    UpdateExpression: `SET #status = :status, step = :step, indexCID = :indexCID,
+      updatedAt = :now, completedAt = :now, failureReason = :empty, #error = :empty`,
+    ExpressionAttributeNames: {
+      '#status': 'status',
+      '#error': 'error',
+    },
+    ExpressionAttributeValues: {
+      ':status': 'completed',
+      ':step': step,
+      ':indexCID': indexCID || '',
+      ':now': now,
+      ':empty': '',
+    },
+  })
+
+  await client.send(command)
+}
+
+/**
+ * Mark an upload as failed
+ *
+ * @param {object} params
+ * @param {string} params.space - Space DID
+ * @param {string} params.root - Upload root CID
+ * @param {string} params.step - Step the migration failed in
+ * @param {string} params.failureReason - FAILURE_REASON code
+ * @param {string} [params.error] - Error message
+ * @param {string} [params.indexCID] - Index CID (if one was generated before failing)
+ * @returns {Promise<void>}
+ */
+export async function markUploadFailed({ space, root, step, failureReason, error, indexCID }) {
+  const client = getDynamoClient()
+
+  const command = new UpdateCommand({
+    TableName: UPLOADS_TABLE,
+    Key: { space, root },
+    UpdateExpression: `SET #status = :status, step = :step, failureReason = :reason,
+      #error = :error, indexCID = :indexCID, updatedAt = :now`,
+    ExpressionAttributeNames: {
+      '#status': 'status',
+      '#error': 'error',
+    },
+    ExpressionAttributeValues: {
+      ':status': 'failed',
+      ':step': step,
+      ':reason': failureReason,
+      ':error': error || '',
+      ':indexCID': indexCID || '',
+      ':now': new Date().toISOString(),
+    },
+  })
+
+  await client.send(command)
+}
+
+/**
+ * List failed uploads, optionally filtered by space, customer or failure reason
+ *
+ * Uploads left `in-progress` since before `staleBefore` (the worker crashed or
+ * was stopped mid-upload) are listed too, unless a failure reason is asked for.
+ * Queries the space partition when a space is given, otherwise the status-index GSI.
+ *
+ * @param {object} [filter]
+ * @param {string} [filter.space] - Only uploads in this space
+ * @param {string} [filter.customer] - Only uploads of this customer
+ * @param {string} [filter.failureReason] - Only uploads that failed with this FAILURE_REASON
+ * @param {string} [filter.staleBefore] - ISO timestamp: also list uploads in progress since before it
+ * @returns {AsyncGenerator<MigrationUpload>}
+ */
+export async function* listFailedUploads({ space, customer, failureReason, staleBefore } = {}) {
+  const client = getDynamoClient()
+
+  /** @type {Record<string, string>} */
+  const names = { '#status': 'status' }
+  /** @type {Record<string, any>} */
+  const values = { ':failed': 'failed' }
+  const filters = []
+
+  if (customer) {
+    filters.push('customer = :customer')
+    values[':customer'] = customer
+  }
+  if (failureReason) {
+    filters.push('failureReason = :reason')
+    values[':reason'] = failureReason
+  }
+
+  // Status conditions: failed uploads, and stale in-progress ones
+  const statuses = ['#status = :failed']
+  if (staleBefore && !failureReason) {
+    values[':inProgress'] = 'in-progress'
+    values[':staleBefore'] = staleBefore
+    statuses.push('#status = :inProgress AND updatedAt < :staleBefore')
+  }
+
+  if (space) {
+    yield* paginate(client, {
+      TableName: UPLOADS_TABLE,
+      KeyConditionExpression: '#space = :space',
+      FilterExpression: [`(${statuses.map((status) => `(${status})`).join(' OR ')})`, ...filters].join(' AND '),
+      ExpressionAttributeNames: { ...names, '#space': 'space' },
+      ExpressionAttributeValues: { ...values, ':space': space },
+    })
+    return
+  }
+
+  for (const status of statuses) {
+    yield* paginate(client, {
+      TableName: UPLOADS_TABLE,
+      IndexName: 'status-index',
+      KeyConditionExpression: status,
+      FilterExpression: filters.length > 0 ? filters.join(' AND ') : undefined,
+      ExpressionAttributeNames: names,
+      ExpressionAttributeValues: values,
+    })
+  }
+}
+
+/**
+ * Run a query page by page
+ *
+ * @param {import('@aws-sdk/lib-dynamodb').DynamoDBDocumentClient} client
+ * @param {import('@aws-sdk/lib-dynamodb').QueryCommandInput} input
+ * @returns {AsyncGenerator<MigrationUpload>}
+ */
+async function* paginate(client, input) {
+  /** @type {Record<string, any> | undefined} */
+  let lastEvaluatedKey
+  do {
+    /** @type {import('@aws-sdk/lib-dynamodb').QueryCommandOutput} */
+    const response = await client.send(new QueryCommand({ ...input, ExclusiveStartKey: lastEvaluatedKey }))
+    for (const item of response.Items || []) {
+      yield /** @type {MigrationUpload} */ (item)
+    }
+    lastEvaluatedKey = response.LastEvaluatedKey
+  } while (lastEvaluatedKey)
+}
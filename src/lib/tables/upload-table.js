@@ -11,13 +11,18 @@ import { getDynamoClient } from '../dynamo-client.js'
  * @param {object} options
  * @param {number} [options.limit] - Maximum number of uploads to return (default: Infinity)
  * @param {string} [options.space] - Space DID to get uploads for (optional, scans all if not provided)
+ * @param {string} [options.startAfter] - Root CID to resume after (requires space; used as the (space, root) ExclusiveStartKey)
  * @returns {AsyncGenerator<{space: string, root: string, shards: string[], insertedAt: string, updatedAt: string}>}
  */
-export async function* getUploadsForSpace({ limit = Infinity, space }) {
+export async function* getUploadsForSpace({ limit = Infinity, space, startAfter }) {
+  if (startAfter && !space) {
+    throw new Error('startAfter requires a space')
+  }
+
   const client = getDynamoClient()
   let count = 0
   /** @type {Record<string, any> | undefined} */
-  let lastEvaluatedKey
+  let lastEvaluatedKey = startAfter ? { space, root: startAfter } : undefined
   
   while (count < limit) {
     /** @type {QueryCommand | ScanCommand} */
@@ -0,0 +1,144 @@
+/**
+ * Throughput and ETA estimates for the migration monitor
+ *
+ * Rates are averaged over the time an instance has been working: from its
+ * first progress record (createdAt) until now, or until its last update when
+ * it has nothing left to do. Progress records are only updated every so many
+ * uploads, so rates are only meaningful once an instance has been running
+ * for a while.
+ */
+
+/** One hour in ms */
+const HOUR = 60 * 60 * 1000
+
+/**
+ * @typedef {object} WorkProgress
+ * @property {number} totalUploads
+ * @property {number} completedUploads
+ * @property {number} totalSpaces
+ * @property {number} completedSpaces
+ * @property {number} [startedAt] - Earliest progress record (ms since epoch)
+ * @property {number} [updatedAt] - Latest progress update (ms since epoch)
+ *
+ * @typedef {object} Throughput
+ * @property {number} uploadsPerHour
+ * @property {number} spacesPerHour
+ * @property {number} remainingUploads
+ * @property {number | null} etaMs - Time left at the current rate (null when nothing completed yet)
+ */
+
+/**
+ * Widen a time window with a progress record's timestamps
+ *
+ * @param {WorkProgress} progress
+ * @param {{createdAt?: string, updatedAt?: string}} item
+ */
+export function addActivity(progress, { createdAt, updatedAt }) {
+  const started = createdAt ? Date.parse(createdAt) : NaN
+  const updated = updatedAt ? Date.parse(updatedAt) : NaN
+  if (!Number.isNaN(started)) {
+    progress.startedAt = Math.min(progress.startedAt ?? started, started)
+  }
+  if (!Number.isNaN(updated)) {
+    progress.updatedAt = Math.max(progress.updatedAt ?? updated, updated)
+  }
+}
+
+/**
+ * Estimate throughput and time left
+ *
+ * @param {WorkProgress} progress
+ * @param {number} [now]
+ * @returns {Throughput}
+ */
+export function estimateThroughput(progress, now = Date.now()) {
+  const remainingUploads = Math.max(0, progress.totalUploads - progress.completedUploads)
+  const remainingSpaces = Math.max(0, progress.totalSpaces - progress.completedSpaces)
+  const done = remainingUploads === 0 && remainingSpaces === 0
+  // A stalled instance keeps losing throughput, a finished one keeps its rate
+  const end = done ? (progress.updatedAt ?? now) : now
+  const elapsedHours = progress.startedAt === undefined ? 0 : (end - progress.startedAt) / HOUR
+
+  const uploadsPerHour = elapsedHours > 0 ? progress.completedUploads / elapsedHours : 0
+  const spacesPerHour = elapsedHours > 0 ? progress.completedSpaces / elapsedHours : 0
+
+  /** @type {number | null} */
+  let etaMs = null
+  if (done) {
+    etaMs = 0
+  } else if (uploadsPerHour > 0 && remainingUploads > 0) {
+    etaMs = (remainingUploads / uploadsPerHour) * HOUR
+  } else if (spacesPerHour > 0) {
+    // Upload totals unknown (or already reached): go by spaces
+    etaMs = (remainingSpaces / spacesPerHour) * HOUR
+  }
+  return { uploadsPerHour, spacesPerHour, remainingUploads, etaMs }
+}
+
+/**
+ * Estimate the fleet's throughput and ETA from its instances
+ *
+ * The fleet rate is the sum of the instance rates. The fleet is done when its
+ * slowest instance is, so the ETA is the longest instance ETA; `balancedEtaMs`
+ * is the time left if the remaining work were spread over every instance.
+ * Work still in the queue goes to whichever instance claims it, so it only
+ * counts towards the balanced ETA, and the fleet is not done before that.
+ *
+ * @param {Record<string, WorkProgress>} instances
+ * @param {number} [now]
+ * @param {number} [queuedUploads] - Uploads of customers no instance has claimed yet
+ * @returns {Throughput & {balancedEtaMs: number | null, slowestInstance: string | null}}
+ */
+export function estimateFleetThroughput(instances, now = Date.now(), queuedUploads = 0) {
+  let uploadsPerHour = 0
+  let spacesPerHour = 0
+  /** @type {number | null} */
+  let etaMs = 0
+  /** @type {string | null} */
+  let slowestInstance = null
+  let remainingUploads = queuedUploads
+
+  for (const [instanceId, progress] of Object.entries(instances)) {
+    const instance = estimateThroughput(progress, now)
+    uploadsPerHour += instance.uploadsPerHour
+    spacesPerHour += instance.spacesPerHour
+    remainingUploads += instance.remainingUploads
+    if (etaMs === null) continue
+    if (instance.etaMs === null) {
+      // An instance that has not completed anything has no ETA, nor has the fleet
+      etaMs = null
+      slowestInstance = instanceId
+    } else if (instance.etaMs > etaMs) {
+      etaMs = instance.etaMs
+      slowestInstance = instanceId
+    }
+  }
+
+  const balancedEtaMs = remainingUploads === 0
+    ? 0
+    : uploadsPerHour > 0
+      ? (remainingUploads / uploadsPerHour) * HOUR
+      : null
+  if (queuedUploads > 0 && etaMs !== null) {
+    etaMs = balancedEtaMs === null ? null : Math.max(etaMs, balancedEtaMs)
+  }
+  return { uploadsPerHour, spacesPerHour, remainingUploads, etaMs, balancedEtaMs, slowestInstance }
+}
+
+/**
+ * Format a duration for the monitor ("3d 4h", "2h 15m", "12m")
+ *
+ * @param {number | null} ms
+ * @returns {string}
+ */
+export function formatEta(ms) {
+  if (ms === null) return 'unknown'
+  const minutes = Math.round(ms / 60_000)
+  if (minutes === 0) return ms === 0 ? 'done' : '<1m'
+  const days = Math.floor(minutes / (24 * 60))
+  const hours = Math.floor((minutes % (24 * 60)) / 60)
+  const mins = minutes % 60
+  if (days > 0) return `${days}d ${hours}h`
+  if (hours > 0) return `${hours}h ${mins}m`
+  return `${mins}m`
+}
@@ -0,0 +1,156 @@
+/**
+ * Estimated migration work of customers
+ *
+ * Upload counts alone are a poor measure of how long a customer takes: an
+ * upload's index is built with one index worker request per shard read, and
+ * the worker reads the whole CAR, so big multi-shard uploads cost far more
+ * than small ones, while uploads that already have an index claim skip index
+ * generation altogether. setup-distribution.js samples a few uploads of each
+ * customer (shard count, shard bytes from the allocations/store tables and
+ * whether an index claim exists) and turns the sample into worker-seconds
+ * with a simple cost model, which it uses to balance instances and estimate
+ * the migration time.
+ */
+import { getUploadsForSpace } from './tables/upload-table.js'
+import { getShardInfo } from './tables/shard-data-table.js'
+import { queryIndexingService } from './indexing-service.js'
+
+/** Bytes in a GiB */
+const GIB = 1024 ** 3
+
+/**
+ * Cost model, in seconds of one worker
+ *
+ * Rough figures: `fallbackPerUpload` is the measured average of ~27 uploads/min
+ * per worker, used when nothing could be sampled.
+ */
+export const WORK_MODEL = {
+  // Claims check, location claims, gateway auth and verification
+  perUpload: 1.5,
+  // Shard lookup and index worker request
+  perShard: 0.5,
+  // Index worker reading the CAR
+  perGiB: 20,
+  fallbackPerUpload: 60 / 27,
+}
+
+/**
+ * @typedef {typeof WORK_MODEL} WorkModel
+ *
+ * @typedef {object} WorkSample
+ * @property {number} uploads - Uploads sampled
+ * @property {number} shards - Shards of the sampled uploads
+ * @property {number} bytes - Bytes of the sampled shards (shards without a known size count 0)
+ * @property {number} indexed - Sampled uploads that already have an index claim
+ */
+
+/**
+ * Look up the shards of an upload and whether it is already indexed
+ *
+ * @param {{space: string, root: string, shards: string[]}} upload
+ * @param {object} [options]
+ * @param {boolean} [options.checkIndex] - Query the indexing service for an index claim
+ * @returns {Promise<{shards: Array<{cid: string, size: number}>, missingShards: number, indexed: boolean}>}
+ */
+export async function sampleUpload(upload, { checkIndex = true } = {}) {
+  const shards = []
+  let missingShards = 0
+  for (const cid of upload.shards) {
+    try {
+      const { size } = await getShardInfo(upload.space, cid)
+      shards.push({ cid, size })
+    } catch {
+      missingShards++
+    }
+  }
+
+  let indexed = false
+  if (checkIndex) {
+    try {
+      indexed = (await queryIndexingService(upload.root)).hasIndexClaim
+    } catch {
+      // Unknown: assume the index still has to be built
+    }
+  }
+  return { shards, missingShards, indexed }
+}
+
+/**
+ * Sample the uploads of a customer's spaces
+ *
+ * Takes up to `limit` uploads, spread over the spaces.
+ *
+ * @param {string[]} spaces - Spaces with uploads
+ * @param {object} [options]
+ * @param {number} [options.limit] - Uploads to sample
+ * @param {boolean} [options.checkIndex] - Query the indexing service for index claims
+ * @returns {Promise<WorkSample>}
+ */
+export async function sampleCustomerWork(spaces, { limit = 3, checkIndex = true } = {}) {
+  /** @type {WorkSample} */
+  const sample = { uploads: 0, shards: 0, bytes: 0, indexed: 0 }
+  if (spaces.length === 0 || limit <= 0) return sample
+
+  const perSpace = Math.max(1, Math.ceil(limit / spaces.length))
+  for (const space of spaces) {
+    for await (const upload of getUploadsForSpace({ space, limit: Math.min(perSpace, limit - sample.uploads) })) {
+      const { shards, missingShards, indexed } = await sampleUpload(upload, { checkIndex })
+      sample.uploads++
+      sample.shards += shards.length + missingShards
+      sample.bytes += shards.reduce((sum, { size }) => sum + size, 0)
+      if (indexed) sample.indexed++
+    }
+    if (sample.uploads >= limit) break
+  }
+  return sample
+}
+
+/**
+ * Add up samples
+ *
+ * @param {Array<WorkSample | undefined>} samples
+ * @returns {WorkSample}
+ */
+export function combineSamples(samples) {
+  /** @type {WorkSample} */
+  const total = { uploads: 0, shards: 0, bytes: 0, indexed: 0 }
+  for (const sample of samples) {
+    if (!sample) continue
+    total.uploads += sample.uploads
+    total.shards += sample.shards
+    total.bytes += sample.bytes
+    total.indexed += sample.indexed
+  }
+  return total
+}
+
+/**
+ * Estimated worker-seconds per upload of a sample
+ *
+ * @param {WorkSample | undefined} sample
+ * @param {WorkModel} [model]
+ * @returns {number}
+ */
+export function estimateSecondsPerUpload(sample, model = WORK_MODEL) {
+  if (!sample || sample.uploads === 0) return model.fallbackPerUpload
+  const toIndex = 1 - sample.indexed / sample.uploads
+  const indexing = (sample.shards / sample.uploads) * model.perShard +
+    (sample.bytes / sample.uploads / GIB) * model.perGiB
+  return model.perUpload + toIndex * indexing
+}
+
+/**
+ * Estimated worker-seconds to migrate a customer
+ *
+ * Customers without a sample of their own are estimated from the fleet-wide
+ * sample.
+ *
+ * @param {{uploadCount: number, work?: WorkSample}} customer
+ * @param {WorkSample} [fleetSample]
+ * @param {WorkModel} [model]
+ * @returns {number}
+ */
+export function estimateCustomerSeconds({ uploadCount, work }, fleetSample, model = WORK_MODEL) {
+  const sample = work && work.uploads > 0 ? work : fleetSample
+  return uploadCount * estimateSecondsPerUpload(sample, model)
+}
@@ -5,14 +5,25 @@
  * Wrapper around migrate.js to process a specific instance's customer list.
  * generated by setup-distribution.js
  * 
+ * With --queue the instance instead claims customers from the work queue in
+ * the migration-customers table until none remain, so instances that finish
+ * early keep taking work off the slower ones.
+ *
+ * Customers skipped by the migration policy (see lib/migration-policy.js) are
+ * left out of the instance's customer list; migrate.js enforces the same
+ * policy on the spaces and uploads it processes.
+ *
  * Usage:
  *   node src/migrate-instance.js --instance 1
+ *   node src/migrate-instance.js --instance 1 --queue
+ *   node src/migrate-instance.js --instance 1 --policy policies/production.json
  */
 import { parseArgs } from 'node:util'
 import { readFile, writeFile, unlink } from 'fs/promises'
 import path from 'path'
 import { spawn } from 'child_process'
 import { config } from './config.js'
+import { loadMigrationPolicy, printSkippedItems } from './lib/migration-policy.js'
 
 const DISTRIBUTION_DIR = 'migration-state'
 
@@ -30,11 +41,25 @@ async function main() {
         default: '10',
         description: 'Concurrency level',
       },
+      'space-concurrency': {
+        type: 'string',
+        default: '1',
+        description: 'Number of spaces processed concurrently',
+      },
       'verify-only': {
         type: 'boolean',
         default: false,
         description: 'Verify migration status without making changes',
-      }
+      },
+      queue: {
+        type: 'boolean',
+        default: false,
+        description: 'Claim customers from the work queue instead of the instance file',
+      },
+      policy: {
+        type: 'string',
+        description: 'Policy file of customers, spaces and uploads to skip (default: migration-policy.json; also MIGRATION_POLICY)',
+      },
     },
   })
 
@@ -47,6 +72,29 @@ async function main() {
   const concurrency = values.concurrency
   const verifyOnly = values['verify-only']
   const env = config.environment
+  // Loaded here too so a bad policy file fails before migrate.js starts
+  const policy = await loadMigrationPolicy(values.policy)
+  const policyArgs = values.policy ? ['--policy', values.policy] : []
+
+  if (values.queue) {
+    if (verifyOnly) {
+      console.error('Error: --queue cannot be combined with --verify-only')
+      process.exit(1)
+    }
+    console.log(`Instance ${instanceId}: claiming customers from the work queue`)
+    console.log(`Starting migration with concurrency ${concurrency}...`)
+    console.log('='.repeat(50))
+    console.log()
+
+    runMigrate(instanceId, [
+      '--queue',
+      '--concurrency', concurrency,
+      '--space-concurrency', values['space-concurrency'],
+      '--instance-id', instanceId,
+      ...policyArgs,
+    ])
+    return
+  }
   
   // Read instance file
   const instanceFile = path.join(DISTRIBUTION_DIR, `instance-${instanceId}-customers-${env}.json`)
@@ -64,9 +112,16 @@ async function main() {
 
   console.log(`Instance ${instanceId}: Found ${instanceData.customers.length} customers to process`)
   
+  // The policy may have changed since the distribution was generated
+  const customers = instanceData.customers.filter((/** @type {string} */ customer) => policy.check('customer', customer) === null)
+  if (customers.length < instanceData.customers.length) {
+    printSkippedItems(policy)
+    console.log(`Instance ${instanceId}: ${customers.length} customers left after the policy (${policy.source})`)
+  }
+  
   // Create temp flat file for migrate.js
   const tempFile = path.join(DISTRIBUTION_DIR, `temp-instance-${instanceId}-customers.json`)
-  await writeFile(tempFile, JSON.stringify(instanceData.customers, null, 2))
+  await writeFile(tempFile, JSON.stringify(customers, null, 2))
   
   console.log(`Created temporary customer list at ${tempFile}`)
   console.log(`Starting migration with concurrency ${concurrency}...`)
@@ -75,28 +130,42 @@ async function main() {
 
   // Build args for migrate.js
   const migrateArgs = [
-    'src/migrate.js',
     '--customers-file', tempFile,
     '--concurrency', concurrency,
-    '--instance-id', instanceId
+    '--space-concurrency', values['space-concurrency'],
+    '--instance-id', instanceId,
+    ...policyArgs,
   ]
   
   if (verifyOnly) {
     migrateArgs.push('--verify-only')
   }
 
+  runMigrate(instanceId, migrateArgs, tempFile)
+}
+
+/**
+ * Run migrate.js and exit with its exit code
+ *
+ * @param {string} instanceId
+ * @param {string[]} migrateArgs - Arguments for migrate.js
+ * @param {string} [tempFile] - Temporary customer list to clean up
+ */
+function runMigrate(instanceId, migrateArgs, tempFile) {
   // Spawn migrate.js
-  const migrateProcess = spawn('node', migrateArgs, {
+  const migrateProcess = spawn('node', ['src/migrate.js', ...migrateArgs], {
     stdio: 'inherit',
     env: { ...process.env }
   })
 
   migrateProcess.on('close', async (code) => {
     // Cleanup temp file
-    try {
-      await unlink(tempFile)
-    } catch (e) {
-      // Ignore cleanup error
+    if (tempFile) {
+      try {
+        await unlink(tempFile)
+      } catch (e) {
+        // Ignore cleanup error
+      }
     }
     
     if (code === 0) {
@@ -24,26 +24,58 @@
  *   # Migrate all uploads for a customer (unlimited by default):
  *   node src/migrate.js --customer did:mailto:...
  *   node src/migrate.js --customer did:mailto:... --concurrency 5
+ *   node src/migrate.js --customer did:mailto:... --concurrency 10 --space-concurrency 2
+ *   node src/migrate.js --customer did:mailto:... --concurrency 20 --adaptive-concurrency
  *
  *   # Migrate using customer list from file (unlimited by default):
  *   node src/migrate.js --customers-file customers.json
  *   node src/migrate.js --customers-file customers.json --limit 1000
  *
+ *   # Pull customers from the work queue until none remain (see setup-distribution.js --queue):
+ *   node src/migrate.js --queue --instance-id 1 --worker-id 1
+ *
  *   # Test modes (limit to 10 for testing):
  *   node src/migrate.js --test-index --limit 10
  *   node src/migrate.js --test-location-claims --limit 10
  *   node src/migrate.js --test-gateway-auth --limit 10
  *
+ *   # Index shards locally from the carpark (or a directory) instead of the index worker:
+ *   node src/migrate.js --customer did:mailto:... --indexer local
+ *   node src/migrate.js --customer did:mailto:... --indexer local --indexer-source /mnt/carpark
+ *
+ *   # Keep generated indexes in S3 until registered (list/purge with src/index-cache.js):
+ *   node src/migrate.js --customer did:mailto:... --index-cache s3://my-bucket/index-cache
+ *
+ *   # Retry only the uploads that failed (by space, customer and/or failure reason):
+ *   node src/migrate.js --retry-failed --customer did:mailto:...
+ *   node src/migrate.js --retry-failed --failure-reason LOCATION_CLAIM_FAILED
+ *
+ *   # Re-run uploads from a previous results log:
+ *   node src/migrate.js --from-log logs/2025-12-08T15-00-00_migrate_sample.json --only-failed
+ *   node src/migrate.js --from-log logs/...json --failure-reason MISSING_DELEGATION --verify-only
+ *
+ *   # Skip customers, spaces and uploads with another policy file (default: migration-policy.json):
+ *   node src/migrate.js --customers-file customers.json --policy policies/production.json
+ *
+ *   # Dry run: print and save the actions each upload would take (no writes):
+ *   node src/migrate.js --dry-run --customer did:mailto:...
+ *   DRY_RUN=true node src/migrate.js --space did:key:z6Mk...
+ *
  *   # Verify migration only (no changes, includes gateway retrieval test):
  *   node src/migrate.js --verify-only --space did:key:z6Mk...
  *   node src/migrate.js --verify-only --customer did:mailto:...
  *   node src/migrate.js --verify-only --space did:key:z6Mk... --cid bafybeib...
  */
 import dotenv from 'dotenv'
-const envFile = process.env.STORACHA_ENV === 'production' ? '.env-production' : '.env-staging'
+const envFile = process.env.STORACHA_ENV === 'production'
+  ? '.env-production'
+  : process.env.STORACHA_ENV === 'local'
+    ? '.env-local'
+    : '.env-staging'
 dotenv.config({ path: envFile, override: true })
 import { parseArgs } from 'node:util'
 import { readFile } from 'fs/promises'
+import PQueue from 'p-queue'
 import { validateConfig, config } from './config.js'
 import { getUploadsForSpace } from './lib/tables/upload-table.js'
 import {
@@ -53,6 +85,7 @@ import {
   createGatewayAuth,
 } from './lib/migration-steps.js'
 import { verifyMigration } from './lib/migration-verify.js'
+import { planUploadMigration, printMigrationPlan } from './lib/migration-plan.js'
 import { getErrorMessage } from './lib/error-utils.js'
 import { SpaceDID } from '@storacha/capabilities/utils'
 import { getCustomerForSpace } from './lib/tables/consumer-table.js'
@@ -60,6 +93,8 @@ import {
   getOrCreateMigrationSpaceForCustomer,
   STEP,
   FAILURE_REASON,
+  getStepFailureReason,
+  getVerificationFailureReason,
 } from './lib/migration-utils.js'
 import { getUpload, countUploadsForSpace } from './lib/tables/upload-table.js'
 import {
@@ -67,24 +102,55 @@ import {
   updateSpaceProgress,
   markSpaceCompleted,
   markSpaceFailed,
-  getSpaceProgress
+  getSpaceProgress,
+  getCustomerSpaces,
+  renewSpaceLease,
 } from './lib/tables/migration-progress-table.js'
 import {
   markCustomerInProgress,
   markCustomerCompleted,
   markCustomerFailed,
+  markCustomerSkipped,
   updateCustomerProgress,
-  getCustomerStatus
+  getCustomerStatus,
+  renewCustomerLease,
+  claimNextCustomer,
 } from './lib/tables/migration-customers-table.js'
+import {
+  markUploadStarted,
+  markUploadCompleted,
+  markUploadFailed,
+  listFailedUploads,
+} from './lib/tables/migration-uploads-table.js'
+import { SpaceProgressTracker } from './lib/progress-tracker.js'
+import { configureIndexer } from './lib/index-worker.js'
+import { getHttpMetrics } from './lib/http-client.js'
+import { getRateLimitStats } from './lib/rate-limiter.js'
+import { createAdaptiveConcurrency } from './lib/adaptive-concurrency.js'
+import { indexingServiceBreaker } from './lib/indexing-service.js'
+import { startMetricsServer } from './lib/metrics.js'
+import { createLeaseHeartbeat } from './lib/leases.js'
+import { configureIndexCache, getIndexCacheLocation } from './lib/stores/index-cache.js'
+import { loadMigrationPolicy, printSkippedItems } from './lib/migration-policy.js'
+import { loadUploadsFromLog } from './lib/results-log.js'
+import {
+  configureEvents,
+  closeEvents,
+  createStepTimer,
+  emitEvent,
+  withEventContext,
+} from './lib/events.js'
 
 /**
  * @typedef {object} SpaceProgress
  * @property {string} customer
  * @property {string} space
- * @property {'pending'|'in-progress'|'completed'|'failed'} status
+ * @property {'pending'|'in-progress'|'completed'|'failed'|'skipped'} status
  * @property {number} totalUploads
  * @property {number} completedUploads
  * @property {string} [lastProcessedUpload]
+ * @property {number} [checkpointedUploads]
+ * @property {string} [checkpointFailures] - JSON failure summary of the uploads up to lastProcessedUpload
  * @property {string} [instanceId]
  * @property {string} [workerId]
  * @property {string} [error]
@@ -110,6 +176,24 @@ async function loadCustomersFromFile(filePath) {
   return data
 }
 
+/**
+ * Claim customers from the work queue (migration-customers table) until none remain
+ *
+ * @param {{instanceId: string, workerId: string}} owner - Lease holder
+ * @returns {AsyncGenerator<string>} - Customer DIDs, each leased to this worker
+ */
+async function* claimCustomers(owner) {
+  while (true) {
+    const claimed = await claimNextCustomer({ owner })
+    if (!claimed) {
+      console.log('\nWork queue is empty: no pending customers left to claim')
+      return
+    }
+    console.log(`\nClaimed customer ${claimed.customer} from the work queue`)
+    yield claimed.customer
+  }
+}
+
 /**
  * Resolve target spaces based on filter options
  * 
@@ -117,13 +201,19 @@ async function loadCustomersFromFile(filePath) {
  * @param {string} [options.space] - Single space DID
  * @param {string} [options.customer] - Single customer DID
  * @param {string[]} [options.customers] - Array of customer DIDs from file
+ * @param {import('./lib/migration-policy.js').MigrationPolicy} options.policy - Customers and spaces to skip
  * @returns {Promise<string[] | undefined>} - Array of space DIDs to migrate, or undefined for no filter
  */
-async function resolveTargetSpaces({ space, customer, customers }) {
+async function resolveTargetSpaces({ space, customer, customers, policy }) {
   const { getSpacesForCustomer } = await import('./lib/tables/consumer-table.js')
   
   // Single space mode
   if (space) {
+    const reason = (customer ? policy.check('customer', customer) : null) ?? policy.check('space', space)
+    if (reason !== null) {
+      console.log(`Space ${space} skipped by policy: ${reason}`)
+      return []
+    }
     return [space]
   }
   
@@ -141,7 +231,13 @@ async function resolveTargetSpaces({ space, customer, customers }) {
     const allSpaces = []
     
     for (const customerDID of customerSet) {
-      const customerSpaces = await getSpacesForCustomer(customerDID)
+      const reason = policy.check('customer', customerDID)
+      if (reason !== null) {
+        console.log(`  ${customerDID}: skipped by policy (${reason})`)
+        continue
+      }
+      const customerSpaces = (await getSpacesForCustomer(customerDID))
+        .filter((space) => policy.check('space', space) === null)
       console.log(`  ${customerDID}: ${customerSpaces.length} spaces`)
       allSpaces.push(...customerSpaces)
     }
@@ -163,12 +259,14 @@ async function resolveTargetSpaces({ space, customer, customers }) {
  * @param {object} options - Migration options
  * @param {string} [options.testMode] - Test mode: 'index' | 'location-claims' | 'gateway-auth' | null (null = full migration)
  * @param {boolean} [options.verifyOnly] - If true, only verify migration status without making changes (also tests gateway retrieval)
+ * @param {boolean} [options.dryRun] - If true, only plan the migration and print the actions it would take (no writes)
  * @param {boolean} [options.repair] - If true, force republish location claims for uploads with INDEXING_SERVICE_500 errors
+ * @param {string} [options.customer] - Customer DID of the upload's space (looked up when needed if not given)
  * @param {number} [options.uploadNumber] - Current upload number (for logging)
  * @param {number} [options.totalUploads] - Total uploads being processed (for logging)
  */
 async function migrateUpload(upload, options = {}) {
-  const { uploadNumber, totalUploads, verifyOnly = false, repair = false } = options
+  const { uploadNumber, totalUploads, verifyOnly = false, dryRun = false, repair = false } = options
 
   // Add spacing before each upload
   if (uploadNumber && uploadNumber > 1) {
@@ -251,9 +349,42 @@ async function migrateUpload(upload, options = {}) {
     }
   }
 
+  // Dry run: describe what the migration would do instead of doing it
+  if (dryRun) {
+    try {
+      const plan = await planUploadMigration(upload, {
+        testMode: options.testMode,
+        repair,
+      })
+      printMigrationPlan(plan)
+      return {
+        success: plan.problems.length === 0,
+        dryRun: true,
+        alreadyMigrated: plan.alreadyMigrated,
+        upload: upload.root,
+        space: upload.space,
+        failureReason: plan.failureReason,
+        error: plan.problems.length > 0 ? plan.problems.join('; ') : undefined,
+        plan,
+      }
+    } catch (error) {
+      console.error(`\n❌ Planning failed for ${upload.root}:`, getErrorMessage(error))
+      return {
+        success: false,
+        dryRun: true,
+        upload: upload.root,
+        space: upload.space,
+        failureReason: FAILURE_REASON.ANALYSIS_FAILED,
+        error: getErrorMessage(error),
+      }
+    }
+  }
+
     // Track current step for error reporting
     let currentStep = STEP.INIT
     let repairMode = false // Track if we're in repair mode for this upload
+    const steps = createStepTimer()
+    let threw = false
 
     try {
     // Test gateway retrieval BEFORE migration (baseline)
@@ -267,6 +398,8 @@ async function migrateUpload(upload, options = {}) {
 
     // If verify-only mode, skip to verification
     if (verifyOnly) {
+      currentStep = STEP.VERIFY
+      steps.start(currentStep)
       console.log(`>>> Checking migration status...`)
       // Pass null for gatewayAuthResult to indicate it should be skipped in verify-only mode
       const verificationResult = await verifyMigration({
@@ -276,6 +409,7 @@ async function migrateUpload(upload, options = {}) {
       })
 
       return {
+        step: currentStep,
         success: verificationResult.success,
         verifyOnly: true,
         upload: upload.root,
@@ -292,7 +426,7 @@ async function migrateUpload(upload, options = {}) {
 
     // Step 1: Check what migration steps are needed
     currentStep = STEP.ANALYZE
-    console.log(`\nSTEP 1: Analyze Migration Status ${'─'.repeat(35)}`)
+    steps.start(currentStep)
     
     let status
     try {
@@ -313,6 +447,7 @@ async function migrateUpload(upload, options = {}) {
             needsIndexRegistration: false,
             needsLocationClaims: true, // Force republish
             needsGatewayAuth: false, // Skip gateway auth - focus on fixing claims
+            gatewayAuth: null,
             hasIndexClaim: true, // Assume index exists (we're repairing, not creating)
             hasLocationClaim: false, // Claims are NOT retrievable from indexer (that's why we're repairing)
             locationHasSpace: false, // Force republish
@@ -322,6 +457,7 @@ async function migrateUpload(upload, options = {}) {
           repairMode = true
         } else {
           return {
+            step: currentStep,
             success: false,
             failureReason: FAILURE_REASON.INDEXING_SERVICE_500,
             error: err.message,
@@ -380,8 +516,11 @@ async function migrateUpload(upload, options = {}) {
     ) {
       console.log(`\n✅ Upload already fully migrated!`)
       return {
+        step: currentStep,
         success: true,
         alreadyMigrated: true,
+        upload: upload.root,
+        space: upload.space,
         status,
       }
     }
@@ -394,7 +533,7 @@ async function migrateUpload(upload, options = {}) {
     currentStep = STEP.INDEX_GENERATION
     const shouldRunIndex = !options.testMode || options.testMode === 'index'
 
-    console.log(`\nSTEP 2: Generate and Register Index ${'─'.repeat(33)}`)
+    steps.start(currentStep)
     if (status.needsIndexGeneration && shouldRunIndex) {
       const result = await buildAndMigrateIndex({ upload,  })
       shardsWithSizes = result.shards
@@ -412,6 +551,7 @@ async function migrateUpload(upload, options = {}) {
       if (options.testMode === 'index') {
         console.log(`\n⏸ Test mode: Index only`)
         return {
+          step: currentStep,
           success: true,
           testMode: 'index',
           upload: upload.root,
@@ -443,7 +583,7 @@ async function migrateUpload(upload, options = {}) {
     const shouldRunLocationClaims =
       !options.testMode || options.testMode === 'location-claims'
 
-    console.log(`\nSTEP 3: Republish Location Claims ${'─'.repeat(34)}`)
+    steps.start(currentStep)
     if (status.needsLocationClaims && shouldRunLocationClaims) {
       console.log(
         `  Shards to republish:   ${status.shardsNeedingLocationClaims.length}`
@@ -473,6 +613,7 @@ async function migrateUpload(upload, options = {}) {
       if (options.testMode === 'location-claims') {
         console.log(`\n⏸ Test mode: Location claims only`)
         return {
+          step: currentStep,
           success: true,
           testMode: 'location-claims',
           upload: upload.root,
@@ -495,7 +636,7 @@ async function migrateUpload(upload, options = {}) {
       !options.testMode || options.testMode === 'gateway-auth'
     let gatewayAuthResult = null
 
-    console.log(`\nSTEP 4: Create Gateway Authorization ${'─'.repeat(32)}`)
+    steps.start(currentStep)
     if (status.needsGatewayAuth && shouldRunGatewayAuth) {
       // Use Migration Space for gateway auth
       if (!migrationSpace) {
@@ -503,18 +644,14 @@ async function migrateUpload(upload, options = {}) {
       }
       gatewayAuthResult = await createGatewayAuth({
         space: SpaceDID.from(upload.space),
+        customer: options.customer,
       })
 
-      if (gatewayAuthResult.success) {
-        console.log(`\n  Result: ✓ COMPLETE`)
-      } else {
-        console.log(`\n  Result: ✗ FAILED`)
-      }
-
       // If test mode, stop here
       if (options.testMode === 'gateway-auth') {
         console.log(`\n⏸  Test mode: Gateway auth only`)
         return {
+          step: currentStep,
           success: true,
           testMode: 'gateway-auth',
           upload: upload.root,
@@ -544,7 +681,7 @@ async function migrateUpload(upload, options = {}) {
 
     // Step 5: Verify migration completed successfully
     currentStep = STEP.VERIFY
-    console.log(`\nSTEP 5: Verify Migration ${'─'.repeat(43)}`)
+    steps.start(currentStep)
     
     // In repair mode, skip verification to avoid indexer cache issues
     // The indexer cache may still have old corrupted claim references
@@ -573,27 +710,10 @@ async function migrateUpload(upload, options = {}) {
     }
     
     // Determine failure reason if verification failed
-    let failureReason = undefined
-    if (!verificationResult.success) {
-      if (!verificationResult.indexVerified) {
-        failureReason = FAILURE_REASON.INDEX_MISSING
-      } else if (!verificationResult.locationClaimsVerified) {
-        failureReason = FAILURE_REASON.LOCATION_CLAIMS_MISSING 
-      } else if (!verificationResult.allShardsHaveSpace) {
-        failureReason = FAILURE_REASON.SPACE_INFO_MISSING
-      } else {
-        failureReason = FAILURE_REASON.VERIFICATION_FAILED
-      }
-      
-      // If gateway auth failed, that's a more specific root cause for some verification failures
-      if (gatewayAuthResult?.reason === 'no-delegation-found') {
-        failureReason = FAILURE_REASON.MISSING_DELEGATION
-      } else if (gatewayAuthResult?.success === false) {
-        failureReason = FAILURE_REASON.GATEWAY_AUTH_FAILED
-      }
-    }
+    const failureReason = getVerificationFailureReason(verificationResult, gatewayAuthResult)
 
     return {
+      step: currentStep,
       success: verificationResult.success,
       upload: upload.root,
       space: upload.space,
@@ -606,30 +726,449 @@ async function migrateUpload(upload, options = {}) {
       verification: verificationResult,
       failureReason,
       repairMode, // Track if this was a repair operation
+      repaired: repairMode, // Track if this upload was actually repaired
       error: verificationResult.success
         ? undefined
         : verificationResult.details,
     }
   } catch (error) {
+    threw = true
     console.error(`\n❌ Migration failed for ${upload.root}:`, getErrorMessage(error))
     if (error instanceof Error) {
       console.error(error.stack)
     }
 
-    // Map step to failure reason
-    let failureReason = FAILURE_REASON.UNKNOWN_ERROR
-    if (currentStep === STEP.INDEX_GENERATION) failureReason = FAILURE_REASON.INDEX_GENERATION_FAILED
-    else if (currentStep === STEP.LOCATION_CLAIMS) failureReason = FAILURE_REASON.LOCATION_CLAIM_FAILED
-    else if (currentStep === STEP.GATEWAY_AUTH) failureReason = FAILURE_REASON.GATEWAY_AUTH_FAILED
-    else if (currentStep === STEP.ANALYZE) failureReason = FAILURE_REASON.ANALYSIS_FAILED
-
     return {
+      step: currentStep,
       success: false,
       upload: upload.root,
       space: upload.space,
-      failureReason,
+      failureReason: getStepFailureReason(currentStep, error),
       error: getErrorMessage(error),
     }
+  } finally {
+    steps.end(threw ? 'error' : 'ok')
+  }
+}
+
+/**
+ * Determine where to resume a space that a previous run did not finish
+ *
+ * Only spaces left `in-progress` with a checkpointed upload are resumed;
+ * uploads up to and including the checkpoint are not revisited, but their
+ * count and the failures among them are carried over so the space still ends
+ * up `failed` when one of them failed. A `failed` space starts over instead,
+ * as do records written without the checkpoint count (their failures are
+ * unknown).
+ *
+ * @param {SpaceProgress | null} progress - Space progress record
+ * @returns {ResumePoint | undefined}
+ */
+function getResumePoint(progress) {
+  if (!progress?.lastProcessedUpload || progress.checkpointedUploads === undefined) {
+    return undefined
+  }
+  if (progress.status !== 'in-progress') {
+    return undefined
+  }
+  return {
+    processed: progress.checkpointedUploads,
+    checkpoint: progress.lastProcessedUpload,
+    failures: progress.checkpointFailures ? JSON.parse(progress.checkpointFailures) : {},
+  }
+}
+
+/**
+ * @typedef {object} ResumePoint
+ * @property {number} processed - Uploads up to and including the checkpoint
+ * @property {string} checkpoint - Root CID of the last checkpointed upload
+ * @property {Record<string, number>} failures - Failure reasons of the uploads up to the checkpoint
+ */
+
+/**
+ * Shared state for a migration run
+ *
+ * @typedef {object} RunContext
+ * @property {PQueue} uploadQueue - Worker pool bounding in-flight uploads across all spaces
+ * @property {number} concurrency - Upload concurrency (size of the worker pool)
+ * @property {number} limit - Maximum number of uploads to process
+ * @property {{processed: number}} counters - Uploads dispatched so far (shared across spaces)
+ * @property {Array<any>} results - Collected upload results
+ * @property {Set<string>} processedSpaces
+ * @property {Set<string>} spacesWithFailures
+ * @property {{testMode?: string, verifyOnly: boolean, dryRun: boolean, repair: boolean}} migrateOptions - Options passed to migrateUpload
+ * @property {boolean} recordState - Whether to record upload state in the migration-uploads table
+ * @property {{instanceId: string, workerId: string}} owner - Instance and worker processing this run
+ * @property {ReturnType<typeof createLeaseHeartbeat>} leases - Renews the space and customer leases held by this run
+ * @property {import('./lib/migration-policy.js').MigrationPolicy} policy - Customers, spaces and uploads skipped by this run
+ */
+
+/**
+ * Check whether the run has dispatched as many uploads as the limit allows
+ *
+ * @param {RunContext} run
+ * @returns {boolean}
+ */
+function limitReached(run) {
+  return run.limit !== Infinity && run.counters.processed >= run.limit
+}
+
+/**
+ * Migrate a single upload and record its outcome in the upload state table
+ *
+ * Unexpected errors are turned into UNKNOWN_ERROR results so a single upload
+ * can't take down the worker pool. Failures to write upload state are logged
+ * and ignored.
+ *
+ * @param {{space: string, root: string, shards: string[]}} upload - Upload from Upload Table
+ * @param {string | null | undefined} customer - Customer DID owning the space
+ * @param {number} uploadNumber - Upload number (for logging)
+ * @param {RunContext} run
+ * @returns {Promise<any>} - Migration result
+ */
+async function runUpload(upload, customer, uploadNumber, run) {
+  if (run.recordState) {
+    try {
+      await markUploadStarted({
+        space: upload.space,
+        root: upload.root,
+        customer: customer || undefined,
+        ...run.owner,
+      })
+    } catch (err) {
+      console.warn(`Failed to record upload state for ${upload.root}:`, getErrorMessage(err))
+    }
+  }
+
+  const startedAt = performance.now()
+  emitEvent('upload:start', { upload: upload.root, space: upload.space, customer, uploadNumber })
+
+  /** @type {any} */
+  let result
+  for (;;) {
+    try {
+      result = await withEventContext(
+        { upload: upload.root, space: upload.space, customer },
+        () => migrateUpload(upload, {
+          ...run.migrateOptions,
+          customer: customer || undefined,
+          uploadNumber,
+          totalUploads: run.limit,
+        })
+      )
+    } catch (error) {
+      console.error(`\n❌ Unexpected error migrating ${upload.root}:`, getErrorMessage(error))
+      result = {
+        success: false,
+        upload: upload.root,
+        space: upload.space,
+        failureReason: FAILURE_REASON.UNKNOWN_ERROR,
+        error: getErrorMessage(error),
+      }
+    }
+    // The 5xx responses passed on before the circuit opens are the outage, not
+    // this upload: run it again once the indexing service is back
+    if (result.success || !await indexingServiceBreaker.isDown()) {
+      break
+    }
+    console.warn(`  🔌 ${upload.root} failed while the indexing service was down (${result.failureReason}), retrying once it recovers`)
+    emitEvent('upload:retry', { upload: upload.root, space: upload.space, failureReason: result.failureReason })
+    await indexingServiceBreaker.whenClosed()
+  }
+
+  if (run.recordState) {
+    const step = result.step || STEP.INIT
+    const indexCID = result.indexCID ?? result.status?.indexCID?.toString()
+    try {
+      if (result.success) {
+        await markUploadCompleted({ space: upload.space, root: upload.root, step, indexCID })
+      } else {
+        await markUploadFailed({
+          space: upload.space,
+          root: upload.root,
+          step,
+          indexCID,
+          failureReason: result.failureReason || FAILURE_REASON.UNKNOWN_ERROR,
+          error: result.error,
+        })
+      }
+    } catch (err) {
+      console.warn(`Failed to record upload state for ${upload.root}:`, getErrorMessage(err))
+    }
+  }
+
+  emitEvent('upload:end', {
+    upload: upload.root,
+    space: upload.space,
+    customer,
+    success: result.success,
+    alreadyMigrated: Boolean(result.alreadyMigrated),
+    step: result.step,
+    failureReason: result.failureReason,
+    durationMs: Math.round(performance.now() - startedAt),
+  })
+
+  return result
+}
+
+/**
+ * Why the policy skips an upload: its customer (when known), space or root
+ *
+ * @param {{space: string, root: string, customer?: string | null}} upload
+ * @param {import('./lib/migration-policy.js').MigrationPolicy} policy
+ * @returns {string | null}
+ */
+function skipReason({ customer, space, root }, policy) {
+  return (customer ? policy.check('customer', customer) : null) ??
+    policy.check('space', space) ??
+    policy.check('upload', root)
+}
+
+/**
+ * Migrate a list of uploads identified by (space, root) through the worker pool
+ *
+ * The current upload record is fetched with `getUpload` so the migration
+ * always runs against the latest shard list. Keys without a customer (e.g.
+ * from a results log) get the customer of their space, so customer policy
+ * rules apply to them too.
+ *
+ * @param {AsyncIterable<{space: string, root: string, customer?: string}> | Iterable<{space: string, root: string, customer?: string}>} keys - Uploads to migrate
+ * @param {RunContext} run
+ * @returns {Promise<Map<string, string | null>>} - Customer of every space an upload was dispatched for
+ */
+async function migrateUploadsByKey(keys, run) {
+  /** @type {Promise<void>[]} */
+  const pending = []
+  /** @type {Map<string, string | null>} */
+  const spaces = new Map()
+
+  for await (const key of keys) {
+    if (limitReached(run)) {
+      break
+    }
+
+    const customer = key.customer ?? await getCustomerForSpace(key.space)
+    const reason = skipReason({ ...key, customer }, run.policy)
+    if (reason !== null) {
+      console.log(`⏭  Upload ${key.root} in space ${key.space} skipped by policy: ${reason}`)
+      continue
+    }
+
+    const upload = await getUpload(key.space, key.root)
+    if (!upload) {
+      console.warn(`⚠️  Upload ${key.root} no longer exists in space ${key.space}. Skipping.`)
+      continue
+    }
+
+    // Backpressure: don't read further ahead than the pool can absorb
+    await run.uploadQueue.onSizeLessThan(run.concurrency)
+    // Pause while the indexing service is down
+    await indexingServiceBreaker.whenClosed()
+
+    run.counters.processed++
+    run.processedSpaces.add(upload.space)
+    spaces.set(upload.space, customer)
+    const uploadNumber = run.counters.processed
+
+    pending.push(run.uploadQueue.add(async () => {
+      const result = await runUpload(upload, customer, uploadNumber, run)
+      if (!result.success) {
+        run.spacesWithFailures.add(upload.space)
+      }
+      run.results.push(result)
+    }))
+  }
+
+  await Promise.all(pending)
+  return spaces
+}
+
+/**
+ * Mark `failed` spaces completed once a retry left them without failed uploads
+ *
+ * A space is only re-marked when none of its uploads failed again and none is
+ * left failed or stale in the upload state table (e.g. ones another failure
+ * reason or --limit kept out of the retry). A `failed` customer whose spaces
+ * are then all completed is marked completed too. Spaces and customers held by
+ * another worker are left to it.
+ *
+ * @param {Map<string, string | null>} spaces - Retried spaces and their customer
+ * @param {string} staleBefore - ISO timestamp: uploads in progress since before it count as failed
+ * @param {RunContext} run
+ * @returns {Promise<void>}
+ */
+async function markRetriedSpaces(spaces, staleBefore, run) {
+  /** @type {Set<string>} */
+  const customers = new Set()
+
+  for (const [space, customer] of spaces) {
+    if (!customer || run.spacesWithFailures.has(space)) {
+      continue
+    }
+    try {
+      const progress = /** @type {SpaceProgress|null} */ (await getSpaceProgress(customer, space))
+      if (progress?.status !== 'failed') {
+        continue
+      }
+      const { value: remaining } = await listFailedUploads({ space, staleBefore }).next()
+      if (remaining) {
+        console.log(`  Space ${space} still has failed uploads, leaving it failed`)
+        continue
+      }
+      const leased = await createSpaceProgress({ customer, space, totalUploads: progress.totalUploads, ...run.owner })
+      if (leased && await markSpaceCompleted(customer, space, run.owner)) {
+        console.log(`  ✅ Space ${space} has no failed uploads left, marked completed`)
+        customers.add(customer)
+      }
+    } catch (err) {
+      console.warn(`  Failed to update the status of space ${space}:`, getErrorMessage(err))
+    }
+  }
+
+  for (const customer of customers) {
+    try {
+      const status = await getCustomerStatus(customer)
+      const customerSpaces = await getCustomerSpaces(customer)
+      if (status?.status !== 'failed' || customerSpaces.some((space) => space.status !== 'completed')) {
+        continue
+      }
+      if (!await markCustomerInProgress(customer, { owner: run.owner })) {
+        continue
+      }
+      await updateCustomerProgress({
+        customer,
+        owner: run.owner,
+        completedSpaces: customerSpaces.length,
+        completedUploads: customerSpaces.reduce((sum, space) => sum + (space.completedUploads || 0), 0),
+      })
+      if (await markCustomerCompleted(customer, run.owner)) {
+        console.log(`  ✅ Customer ${customer} has no failed spaces left, marked completed`)
+      }
+    } catch (err) {
+      console.warn(`  Failed to update the status of customer ${customer}:`, getErrorMessage(err))
+    }
+  }
+}
+
+/**
+ * Migrate the uploads of one space through the shared upload worker pool
+ *
+ * Uploads are dispatched in table order and may finish out of order. Space
+ * progress is written through a serialized chain so that DynamoDB always ends
+ * up with the latest counts, and `lastProcessedUpload` only ever advances to
+ * an upload whose predecessors have all finished.
+ *
+ * @param {object} params
+ * @param {string} params.space - Space DID
+ * @param {string | null} [params.customer] - Customer DID (progress is only written when set and `trackProgress` is true)
+ * @param {number} params.totalUploadsInSpace - Total uploads in the space (caps completedUploads)
+ * @param {boolean} params.trackProgress - Whether to write space progress to DynamoDB
+ * @param {number} params.progressInterval - Write space progress every N finished uploads
+ * @param {ResumePoint} [params.resumeFrom] - Continue after the checkpointed upload of a previous run
+ * @param {import('./lib/leases.js').Lease} [params.lease] - Lease on the space: no more uploads are dispatched once it is lost
+ * @param {RunContext} run
+ * @returns {Promise<{processed: number, failed: boolean, failureSummary: Record<string, number>}>}
+ */
+async function migrateSpaceUploads({ space, customer, totalUploadsInSpace, trackProgress, progressInterval, resumeFrom, lease }, run) {
+  const tracker = new SpaceProgressTracker(resumeFrom)
+  /** @type {Record<string, number>} */
+  const failureSummary = { ...resumeFrom?.failures }
+  if (Object.keys(failureSummary).length > 0) {
+    run.spacesWithFailures.add(space)
+  }
+  /** @type {Set<Promise<void>>} */
+  const pending = new Set()
+  let progressWrite = Promise.resolve()
+
+  const writeProgress = () => {
+    // Once the lease is lost the space's progress belongs to its new owner
+    if (!trackProgress || !customer || lease?.lost) return
+    progressWrite = progressWrite.then(async () => {
+      try {
+        // Cap completedUploads at totalUploads to prevent negative failed count in repair mode
+        const held = await updateSpaceProgress({
+          customer,
+          space,
+          owner: run.owner,
+          completedUploads: Math.min(tracker.processed, totalUploadsInSpace),
+          lastProcessedUpload: tracker.checkpoint,
+          checkpointedUploads: tracker.checkpointed,
+          checkpointFailures: tracker.checkpointFailures,
+        })
+        if (!held && lease && !lease.lost) {
+          lease.lost = true
+          console.warn(`  ⚠️  Lease on ${space} was claimed by another worker, stopping work on it`)
+        }
+      } catch (e) {
+        // Ignore progress update errors to avoid stopping migration
+      }
+    })
+  }
+
+  if (resumeFrom) {
+    const failed = Object.values(resumeFrom.failures).reduce((sum, count) => sum + count, 0)
+    console.log(`  Resuming space ${space} after ${resumeFrom.checkpoint} (${resumeFrom.processed} uploads already processed, ${failed} failed)`)
+  }
+
+  for await (const upload of getUploadsForSpace({
+    limit: run.limit,
+    space,
+    startAfter: resumeFrom?.checkpoint,
+  })) {
+    if (limitReached(run) || lease?.lost) {
+      break
+    }
+
+    const reason = run.policy.check('upload', upload.root)
+    if (reason !== null) {
+      console.log(`  ⏭  Upload ${upload.root} skipped by policy: ${reason}`)
+      continue
+    }
+
+    // Backpressure: don't read further ahead than the pool can absorb
+    await run.uploadQueue.onSizeLessThan(run.concurrency)
+    // Pause while the indexing service is down
+    await indexingServiceBreaker.whenClosed()
+
+    run.counters.processed++
+    run.processedSpaces.add(space)
+    const uploadNumber = run.counters.processed
+    const sequence = tracker.start(upload.root)
+
+    const task = run.uploadQueue.add(async () => {
+      const result = await runUpload(upload, customer, uploadNumber, run)
+
+      // Determine if this upload failed and why
+      const failureReason = result.success
+        ? undefined
+        : result.failureReason || result.error || FAILURE_REASON.UNKNOWN_ERROR
+      if (failureReason) {
+        run.spacesWithFailures.add(space)
+        failureSummary[failureReason] = (failureSummary[failureReason] || 0) + 1
+      }
+
+      run.results.push(result)
+      tracker.finish(sequence, failureReason)
+
+      if (tracker.processed % progressInterval === 0) {
+        writeProgress()
+      }
+    })
+
+    const tracked = task.finally(() => pending.delete(tracked))
+    pending.add(tracked)
+  }
+
+  await Promise.all(pending)
+  if (tracker.processed % progressInterval !== 0) {
+    writeProgress()
+  }
+  await progressWrite
+
+  return {
+    processed: tracker.processed,
+    failed: Object.keys(failureSummary).length > 0,
+    failureSummary,
   }
 }
 
@@ -639,9 +1178,34 @@ async function migrateUpload(upload, options = {}) {
  */
 async function runMigrationMode(values) {
   // Determine test mode
+  /** @type {string | undefined} */
   let testMode
   let modeLabel = 'Full Migration'
   const verifyOnly = values['verify-only'] || false
+  const dryRun = values['dry-run'] || config.migration.dryRun
+
+  const failureReason = values['failure-reason']
+  if (failureReason && !Object.values(FAILURE_REASON).includes(failureReason)) {
+    console.error(`❌ Unknown failure reason: ${failureReason}`)
+    console.error(`   Valid reasons: ${Object.values(FAILURE_REASON).join(', ')}`)
+    process.exit(1)
+  }
+
+  if (verifyOnly && dryRun) {
+    console.error('❌ --dry-run cannot be combined with --verify-only')
+    process.exit(1)
+  }
+
+  // Claiming a customer writes its lease, which only full migrations may do
+  const queue = values.queue || false
+  if (queue && (verifyOnly || dryRun || values['test-index'] || values['test-location-claims'] || values['test-gateway-auth'])) {
+    console.error('❌ --queue only runs full migrations (no --dry-run, --verify-only or test modes)')
+    process.exit(1)
+  }
+  if (queue && (values.space || values.customer || values['customers-file'] || values.cid || values['retry-failed'] || values['from-log'])) {
+    console.error('❌ --queue cannot be combined with --space, --customer, --customers-file, --cid, --retry-failed or --from-log')
+    process.exit(1)
+  }
 
   if (verifyOnly) {
     modeLabel = 'Verification Only'
@@ -655,15 +1219,46 @@ async function runMigrationMode(values) {
     testMode = 'gateway-auth'
     modeLabel = 'Gateway Auth Only'
   }
+  if (dryRun) {
+    modeLabel = `Dry Run - ${modeLabel}`
+  }
 
   console.log(`Legacy Content Migration - ${modeLabel}`)
   console.log('='.repeat(70))
   console.log()
 
+  const eventLog = values['event-log'] || config.migration.eventLog
+  configureEvents({
+    instanceId: values['instance-id'],
+    workerId: values['worker-id'],
+    eventLog,
+  })
+  const metricsPort = values['metrics-port'] ? parseInt(values['metrics-port'], 10) : config.migration.metricsPort
+  const metricsServer = metricsPort !== undefined ? await startMetricsServer(metricsPort) : null
+  if (metricsServer) {
+    console.log(`📈 Metrics: http://localhost:${metricsServer.port}/metrics`)
+  }
+
+  configureIndexer({
+    backend: values.indexer || config.migration.indexer,
+    source: values['indexer-source'] || config.migration.indexerSource,
+    shardConcurrency: values['shard-concurrency']
+      ? parseInt(values['shard-concurrency'], 10)
+      : config.migration.shardConcurrency,
+  })
+  if (values['index-cache']) {
+    configureIndexCache(values['index-cache'])
+  }
+  console.log(`Index cache: ${getIndexCacheLocation() ?? 'off'}`)
+
+  // Progress is only tracked for full migrations that actually write
+  const trackProgress = !verifyOnly && !testMode && !dryRun
+
   // Default limit: 10 for sampling, unlimited for space/customer filtering
-  const hasFilter = values.space || values.customer || values['customers-file']
+  const hasFilter = values.space || values.customer || values['customers-file'] || queue || values['retry-failed'] || values['from-log']
   const limit = values.limit ? parseInt(values.limit, 10) : (hasFilter ? Infinity : 10)
-  const concurrency = parseInt(values.concurrency || '1', 10)
+  const concurrency = Math.max(1, parseInt(values.concurrency || '1', 10))
+  const spaceConcurrency = Math.max(1, parseInt(values['space-concurrency'] || '1', 10))
 
   // Load customers from file if --customers-file is provided
   /** @type {string[] | undefined} */
@@ -672,23 +1267,74 @@ async function runMigrationMode(values) {
     customers = await loadCustomersFromFile(values['customers-file'])
   }
 
+  const policy = await loadMigrationPolicy(values.policy)
+
   console.log('Configuration:')
   console.log(`  Mode: ${modeLabel}`)
   console.log(`  Limit: ${limit === Infinity ? 'unlimited' : `${limit} uploads`}`)
-  console.log(`  Concurrency: ${concurrency}`)
+  const adaptiveConcurrency = values['adaptive-concurrency'] || config.migration.adaptiveConcurrency
+  const minConcurrency = Math.min(
+    concurrency,
+    Math.max(1, parseInt(values['min-concurrency'] || String(config.migration.minConcurrency), 10))
+  )
+  console.log(`  Concurrency: ${adaptiveConcurrency ? `adaptive, ${minConcurrency}-${concurrency}` : concurrency}`)
+  console.log(`  Space concurrency: ${spaceConcurrency}`)
+  console.log(`  Shard concurrency: ${values['shard-concurrency'] || config.migration.shardConcurrency}`)
+  console.log(`  Policy: ${policy.describe()}`)
   if (values['customers-file'])
     console.log(
       `  Customers file: ${values['customers-file']} (${customers?.length} customers)`
     )
+  if (queue) console.log(`  Customers: work queue (${config.tables.migrationCustomers})`)
   if (values.space) console.log(`  Space filter: ${values.space}`)
   if (values.customer) console.log(`  Customer filter: ${values.customer}`)
+  if (values['retry-failed']) {
+    console.log(`  Retry failed: ${failureReason || 'all failure reasons'}`)
+  }
+  if (values['from-log']) console.log(`  From log: ${values['from-log']}`)
+  const rateLimits = Object.entries(getRateLimitStats())
+  if (rateLimits.length > 0) {
+    console.log(`  Rate limits: ${rateLimits.map(([service, { rate }]) => `${service} ${rate}/s`).join(', ')}`)
+  }
   console.log()
 
+  /** @type {any[]} */
   const results = []
-  let processed = 0
   const processedSpaces = new Set()
   const spacesWithFailures = new Set()
 
+  /** @type {RunContext} */
+  const run = {
+    uploadQueue: new PQueue({ concurrency }),
+    concurrency,
+    limit,
+    counters: { processed: 0 },
+    results,
+    processedSpaces,
+    spacesWithFailures,
+    migrateOptions: { testMode, verifyOnly, dryRun, repair: values.repair },
+    recordState: trackProgress,
+    owner: {
+      instanceId: values['instance-id'] || 'local',
+      workerId: values['worker-id'] || '1',
+    },
+    leases: createLeaseHeartbeat(),
+    policy,
+  }
+  const spaceQueue = new PQueue({ concurrency: spaceConcurrency })
+
+  // --concurrency is the ceiling, the controller moves between it and --min-concurrency
+  const concurrencyController = adaptiveConcurrency
+    ? createAdaptiveConcurrency({
+        queue: run.uploadQueue,
+        max: concurrency,
+        min: minConcurrency,
+        maxErrorRate: config.migration.maxErrorRate,
+        maxLatency: config.migration.maxLatency,
+      })
+    : null
+  concurrencyController?.start()
+
   // If --cid is provided, fetch and process that single upload
   if (values.cid) {
     console.log(`Fetching specific upload: ${values.cid}`)
@@ -712,30 +1358,80 @@ async function runMigrationMode(values) {
       process.exit(1)
     }
 
-    const result = await migrateUpload(upload, {
-      testMode,
-      verifyOnly,
-      repair: values.repair,
-    })
+    const customer = values.customer ?? await getCustomerForSpace(upload.space)
+    const reason = skipReason({ ...upload, customer }, policy)
+    if (reason !== null) {
+      console.log(`⏭  Upload ${upload.root} skipped by policy: ${reason}`)
+    } else {
+      run.counters.processed++
+      const result = await runUpload(upload, customer, run.counters.processed, run)
 
-    // Track the space
-    processedSpaces.add(upload.space)
-    if (!result.success) {
-      spacesWithFailures.add(upload.space)
-    }
+      // Track the space
+      processedSpaces.add(upload.space)
+      if (!result.success) {
+        spacesWithFailures.add(upload.space)
+      }
 
-    results.push(result)
+      results.push(result)
+    }
+  } else if (values['retry-failed']) {
+    // Re-run only uploads recorded as failed (or left in progress by a crashed worker)
+    console.log('Retrying failed uploads...')
+    const staleBefore = new Date(Date.now() - config.migration.staleUploadAfter).toISOString()
+    const retriedSpaces = await migrateUploadsByKey(listFailedUploads({
+      space: values.space,
+      customer: values.customer,
+      failureReason,
+      staleBefore,
+    }), run)
+    if (trackProgress) {
+      await markRetriedSpaces(retriedSpaces, staleBefore, run)
+    }
+  } else if (values['from-log']) {
+    // Re-run the uploads of a previous results log
+    const entries = await loadUploadsFromLog(values['from-log'], {
+      onlyFailed: values['only-failed'],
+      onlyRepaired: values['only-repaired'],
+      failureReason,
+    })
+    console.log(`Re-running ${entries.length} upload(s) from ${values['from-log']}...`)
+    await migrateUploadsByKey(entries, run)
   } else {
-    // Process by customer when using customers file for proper customer-level tracking
-    if (customers && customers.length > 0) {
+    // Process by customer when using customers file or work queue for proper customer-level tracking
+    if (queue || (customers && customers.length > 0)) {
       const { getSpacesForCustomer } = await import('./lib/tables/consumer-table.js')
       
-      console.log(`Processing ${customers.length} customer(s)...`)
+      /** @type {Iterable<string> | AsyncIterable<string>} */
+      let customerSource
+      if (queue) {
+        console.log('Claiming customers from the work queue...')
+        customerSource = claimCustomers(run.owner)
+      } else {
+        console.log(`Processing ${customers?.length} customer(s)...`)
+        customerSource = customers ?? []
+      }
       
-      for (const customerDID of customers) {
-        // Get spaces for this customer first (needed for tracking)
-        const customerSpaces = await getSpacesForCustomer(customerDID)
+      for await (const customerDID of customerSource) {
+        const reason = policy.check('customer', customerDID)
+        if (reason !== null) {
+          console.log(`Customer ${customerDID} skipped by policy: ${reason}`)
+          // A claimed customer would otherwise be claimed again once its lease expires
+          if (queue) {
+            try {
+              await markCustomerSkipped(customerDID, reason, run.owner)
+            } catch (err) {
+              console.warn(`Failed to update customer status for ${customerDID}:`, getErrorMessage(err))
+            }
+          }
+          continue
+        }
+
+        // Get spaces for this customer first (needed for tracking), without those the policy skips
+        const customerSpaces = (await getSpacesForCustomer(customerDID))
+          .filter((space) => policy.check('space', space) === null)
         
+        /** @type {import('./lib/leases.js').Lease | undefined} */
+        let customerLease
         // Check if customer is already completed in DynamoDB
         // In repair mode, skip this check to allow reprocessing of failed uploads
         try {
@@ -748,11 +1444,17 @@ async function runMigrationMode(values) {
             console.log(`Customer ${customerDID} marked completed but repair mode active - will reprocess failed uploads`)
           }
           
-          // Mark customer as in-progress (creates record if it doesn't exist)
-          if (!verifyOnly && !testMode) {
-            await markCustomerInProgress(customerDID, {
+          // Mark customer as in-progress (creates record if it doesn't exist) and lease it
+          if (trackProgress) {
+            const leased = await markCustomerInProgress(customerDID, {
               totalSpaces: customerSpaces.length,
+              owner: run.owner,
             })
+            if (!leased) {
+              console.log(`Customer ${customerDID} is being migrated by another worker. Skipping.`)
+              continue
+            }
+            customerLease = run.leases.hold(customerDID, () => renewCustomerLease(customerDID, run.owner))
           }
         } catch (err) {
           console.warn(`Failed to check/update customer status for ${customerDID}:`, getErrorMessage(err))
@@ -762,11 +1464,21 @@ async function runMigrationMode(values) {
         let customerCompletedSpaces = 0
         let customerCompletedUploads = 0
         let customerFailed = false
+        // Spaces leased by other workers or left for a later run: the customer is not done until they are
+        let customerLeasedSpaces = 0
         /** @type {Record<string, number>} */
         const customerFailureSummary = {}
         
-        for (const space of customerSpaces) {
+        await Promise.all(customerSpaces.map((space) => spaceQueue.add(async () => {
+          if (limitReached(run)) {
+            return
+          }
+
           let totalUploadsInSpace = 0
+          /** @type {ResumePoint | undefined} */
+          let resumeFrom
+          /** @type {import('./lib/leases.js').Lease | undefined} */
+          let spaceLease
           
           // Check if space is already completed
           try {
@@ -775,7 +1487,7 @@ async function runMigrationMode(values) {
               console.log(`  Space ${space} already completed. Skipping.`)
               customerCompletedSpaces++
               customerCompletedUploads += progress.completedUploads || 0
-              continue
+              return
             }
             if (progress && progress.status === 'completed' && values.repair) {
               const failedCount = progress.totalUploads - progress.completedUploads
@@ -784,125 +1496,107 @@ async function runMigrationMode(values) {
             
             // Calculate total uploads if not already known
             totalUploadsInSpace = progress ? progress.totalUploads : await countUploadsForSpace(space)
+            if (!values.repair && !verifyOnly) {
+              resumeFrom = getResumePoint(progress)
+            }
             
-            if (!progress && !verifyOnly && !testMode) {
-              await createSpaceProgress({
+            if (trackProgress) {
+              const leased = await createSpaceProgress({
                 customer: customerDID,
                 space,
                 totalUploads: totalUploadsInSpace,
-                instanceId: values['instance-id'] || 'local',
-                workerId: values['worker-id'] || '1'
+                ...run.owner,
               })
+              if (!leased) {
+                console.log(`  Space ${space} is being migrated by another worker. Skipping.`)
+                customerLeasedSpaces++
+                return
+              }
+              spaceLease = run.leases.hold(space, () => renewSpaceLease({ customer: customerDID, space, owner: run.owner }))
             }
           } catch (err) {
             console.warn(`  Failed to track progress for space ${space}:`, getErrorMessage(err))
-          }
-
-          let spaceProcessed = 0
-          let spaceFailed = false
-          /** @type {Record<string, number>} */
-          const spaceFailureSummary = {}
-          
-          for await (const upload of getUploadsForSpace({
-            limit: limit,
-            space: space,
-          })) {
-            processed++
-            spaceProcessed++
-            processedSpaces.add(space)
-
-            const result = await migrateUpload(upload, {
-              testMode,
-              verifyOnly,
-              repair: values.repair,
-              uploadNumber: processed,
-              totalUploads: limit,
-            })
-
-            // Determine if this upload failed and why
-            let failureReason = null
-            if (!result.success) {
-              failureReason = result.failureReason || result.error || FAILURE_REASON.UNKNOWN_ERROR
-            }
-            
-            if (failureReason) {
-              spacesWithFailures.add(space)
-              spaceFailed = true
-              customerFailed = true
-              spaceFailureSummary[failureReason] = (spaceFailureSummary[failureReason] || 0) + 1
-              customerFailureSummary[failureReason] = (customerFailureSummary[failureReason] || 0) + 1
+            // Without its lease another worker could migrate the space at the same time
+            if (trackProgress) {
+              console.warn(`  Skipping space ${space}: it will run again with the customer`)
+              customerLeasedSpaces++
+              return
             }
+          }
 
-            results.push(result)
-
-            // Update space progress periodically
-            if (!verifyOnly && !testMode && spaceProcessed % 10 === 0) {
-               try {
-                 // Cap completedUploads at totalUploads to prevent negative failed count in repair mode
-                 const completedUploads = Math.min(spaceProcessed, totalUploadsInSpace)
-                 await updateSpaceProgress({
-                   customer: customerDID,
-                   space,
-                   completedUploads,
-                   lastProcessedUpload: upload.root
-                 })
-               } catch (e) {
-                 // Ignore progress update errors
-               }
-            }
+          const spaceResult = await migrateSpaceUploads({
+            space,
+            customer: customerDID,
+            totalUploadsInSpace,
+            trackProgress,
+            resumeFrom,
+            progressInterval: 10,
+            lease: spaceLease,
+          }, run)
+          run.leases.release(space)
+          if (spaceLease?.lost) {
+            customerLeasedSpaces++
+            return
+          }
 
-            if (limit !== Infinity && processed >= limit) {
-              break
+          if (spaceResult.failed) {
+            customerFailed = true
+            for (const [reason, count] of Object.entries(spaceResult.failureSummary)) {
+              customerFailureSummary[reason] = (customerFailureSummary[reason] || 0) + count
             }
-
-            // Small delay between uploads
-            await new Promise((resolve) => setTimeout(resolve, 100))
           }
           
           // Mark space status at the end
-          if (!verifyOnly && !testMode) {
+          if (trackProgress) {
              try {
-               if (spaceFailed) {
-                 const errorSummary = JSON.stringify(spaceFailureSummary)
-                 await markSpaceFailed(customerDID, space, errorSummary)
-               } else {
-                 await markSpaceCompleted(customerDID, space)
+               const held = spaceResult.failed
+                 ? await markSpaceFailed(customerDID, space, JSON.stringify(spaceResult.failureSummary), run.owner)
+                 : await markSpaceCompleted(customerDID, space, run.owner)
+               if (!held) {
+                 console.warn(`  ⚠️  Lease on ${space} was claimed by another worker, leaving its status to it`)
+                 customerLeasedSpaces++
+                 return
+               }
+               if (!spaceResult.failed) {
                  customerCompletedSpaces++
                }
-               customerCompletedUploads += spaceProcessed
+               customerCompletedUploads += spaceResult.processed
              } catch (e) {
                // Ignore
              }
           }
-          
-          if (limit !== Infinity && processed >= limit) {
-            break
-          }
-        }
+        })))
         
         // Update customer status after processing all their spaces
-        if (!verifyOnly && !testMode) {
+        run.leases.release(customerDID)
+        if (customerLeasedSpaces > 0) {
+          console.log(`Customer ${customerDID}: ${customerLeasedSpaces} space(s) left to other workers or a later run, not marking it done`)
+        }
+        if (trackProgress && !customerLease?.lost && customerLeasedSpaces === 0) {
           try {
             // Update customer progress
-            await updateCustomerProgress({
+            const held = await updateCustomerProgress({
               customer: customerDID,
+              owner: run.owner,
               completedSpaces: customerCompletedSpaces,
               completedUploads: customerCompletedUploads
             })
             
             // Mark customer completed or failed
-            if (customerFailed) {
+            if (!held) {
+              console.warn(`⚠️  Lease on ${customerDID} was claimed by another worker, leaving its status to it`)
+            } else if (customerFailed) {
               const errorSummary = JSON.stringify(customerFailureSummary)
-              await markCustomerFailed(customerDID, errorSummary)
+              await markCustomerFailed(customerDID, errorSummary, run.owner)
             } else {
-              await markCustomerCompleted(customerDID)
+              await markCustomerCompleted(customerDID, run.owner)
             }
           } catch (err) {
             console.warn(`Failed to update customer status for ${customerDID}:`, getErrorMessage(err))
           }
         }
         
-        if (limit !== Infinity && processed >= limit) {
+        if (limitReached(run)) {
           break
         }
       }
@@ -912,14 +1606,25 @@ async function runMigrationMode(values) {
         space: values.space,
         customer: values.customer,
         customers,
+        policy,
       })
 
       // Track customer in migration-customers table if --customer flag is used
-      if (values.customer && !verifyOnly && !testMode) {
+      // Without the customer's lease the spaces still run under their own leases
+      let customerLeased = false
+      // Spaces leased by other workers or left for a later run: the customer is not done until they are
+      let leasedSpaces = 0
+      if (values.customer && trackProgress && policy.check('customer', values.customer) === null) {
         try {
-          await markCustomerInProgress(values.customer, {
+          customerLeased = await markCustomerInProgress(values.customer, {
             totalSpaces: targetSpaces?.length || 0,
+            owner: run.owner,
           })
+          if (customerLeased) {
+            run.leases.hold(values.customer, () => renewCustomerLease(values.customer, run.owner))
+          } else {
+            console.log(`Customer ${values.customer} is being migrated by another worker: only its free spaces will run`)
+          }
         } catch (err) {
           console.warn(`Failed to track customer ${values.customer}:`, getErrorMessage(err))
         }
@@ -927,14 +1632,27 @@ async function runMigrationMode(values) {
 
       // Process uploads from target spaces
       if (targetSpaces && targetSpaces.length > 0) {
-        // Iterate through each space to sample uploads based on the specified limit
-        for (const space of targetSpaces) {
+        // Spaces run through the space pool; their uploads share the upload pool
+        await Promise.all(targetSpaces.map((space) => spaceQueue.add(async () => {
+          if (limitReached(run)) {
+            return
+          }
+
           let totalUploadsInSpace = 0
+          /** @type {ResumePoint | undefined} */
+          let resumeFrom
+          /** @type {import('./lib/leases.js').Lease | undefined} */
+          let spaceLease
           
           // Initialize or resume progress tracking for this space
           let customer = values.customer
           if (!customer) {
             customer = await getCustomerForSpace(space)
+            const reason = customer ? policy.check('customer', customer) : null
+            if (reason !== null) {
+              console.log(`Space ${space} skipped by policy: customer ${customer} (${reason})`)
+              return
+            }
           }
           
           // Skip migration status lookup in verify-only mode - we want to actually verify
@@ -945,7 +1663,7 @@ async function runMigrationMode(values) {
               const progress = /** @type {SpaceProgress|null} */ (await getSpaceProgress(customer, space))
               if (progress && progress.status === 'completed' && !values.repair) {
                 console.log(`Space ${space} already completed. Skipping.`)
-                continue
+                return
               }
               if (progress && progress.status === 'completed' && values.repair) {
                 const failedCount = progress.totalUploads - progress.completedUploads
@@ -954,115 +1672,93 @@ async function runMigrationMode(values) {
               
               // Calculate total uploads if not already known
               totalUploadsInSpace = progress ? progress.totalUploads : await countUploadsForSpace(space)
+              if (!values.repair && !verifyOnly) {
+                resumeFrom = getResumePoint(progress)
+              }
               
-              if (!progress) {
-                await createSpaceProgress({
+              if (trackProgress) {
+                const leased = await createSpaceProgress({
                   customer,
                   space,
                   totalUploads: totalUploadsInSpace,
-                  instanceId: values['instance-id'] || 'local',
-                  workerId: values['worker-id'] || '1'
+                  ...run.owner,
                 })
+                if (!leased) {
+                  console.log(`Space ${space} is being migrated by another worker. Skipping.`)
+                  leasedSpaces++
+                  return
+                }
+                const spaceCustomer = customer
+                spaceLease = run.leases.hold(space, () => renewSpaceLease({ customer: spaceCustomer, space, owner: run.owner }))
               }
             } catch (err) {
               console.warn(`Failed to track progress for space ${space}:`, getErrorMessage(err))
+              // Without its lease another worker could migrate the space at the same time
+              if (trackProgress) {
+                console.warn(`Skipping space ${space}: re-run it once the progress table is reachable`)
+                leasedSpaces++
+                return
+              }
             }
           }
 
-          let spaceProcessed = 0
-          let spaceFailed = false
-          /** @type {Record<string, number>} */
-          const spaceFailureSummary = {}
-          
-          for await (const upload of getUploadsForSpace({
-            limit: limit,
-            space: space,
-          })) {
-            processed++
-            spaceProcessed++
-            processedSpaces.add(space)
-
-            const result = await migrateUpload(upload, {
-              testMode,
-              verifyOnly,
-              repair: values.repair,
-              uploadNumber: processed,
-              totalUploads: limit,
-            })
-
-            // Determine if this upload failed and why
-            let failureReason = null
-            if (!result.success) {
-              failureReason = result.failureReason || result.error || FAILURE_REASON.UNKNOWN_ERROR
-            }
-            
-            if (failureReason) {
-              spacesWithFailures.add(space)
-              spaceFailed = true
-              spaceFailureSummary[failureReason] = (spaceFailureSummary[failureReason] || 0) + 1
-            }
-
-            results.push(result)
-
-            // Update progress periodically (every 10 uploads or if failed)
-            if (customer && !verifyOnly && !testMode) {
-               try {
-                 // Cap completedUploads at totalUploads to prevent negative failed count in repair mode
-                 const completedUploads = Math.min(spaceProcessed, totalUploadsInSpace)
-                 await updateSpaceProgress({
-                   customer,
-                   space,
-                   completedUploads,
-                   lastProcessedUpload: upload.root
-                 })
-               } catch (e) {
-                 // Ignore progress update errors to avoid stopping migration
-               }
-            }
-
-            if (limit !== Infinity && processed >= limit) {
-              break
-            }
-
-            // Small delay between uploads to avoid overwhelming services
-            await new Promise((resolve) => setTimeout(resolve, 100))
+          const spaceResult = await migrateSpaceUploads({
+            space,
+            customer,
+            totalUploadsInSpace,
+            trackProgress,
+            resumeFrom,
+            progressInterval: 1,
+            lease: spaceLease,
+          }, run)
+          run.leases.release(space)
+          if (spaceLease?.lost) {
+            leasedSpaces++
+            return
           }
           
           // Mark space status at the end
-          if (customer && !verifyOnly && !testMode) {
-             if (spaceFailed) {
-               const errorSummary = JSON.stringify(spaceFailureSummary)
-               await markSpaceFailed(customer, space, errorSummary)
-             } else {
-               await markSpaceCompleted(customer, space)
+          if (customer && trackProgress) {
+             const held = spaceResult.failed
+               ? await markSpaceFailed(customer, space, JSON.stringify(spaceResult.failureSummary), run.owner)
+               : await markSpaceCompleted(customer, space, run.owner)
+             if (!held) {
+               console.warn(`⚠️  Lease on ${space} was claimed by another worker, leaving its status to it`)
+               leasedSpaces++
              }
           }
-          
-          if (limit !== Infinity && processed >= limit) {
-            break
-          }
-        }
+        })))
         
         // Mark customer as completed or failed at the end of processing
-        if (values.customer && !verifyOnly && !testMode) {
+        if (values.customer) {
+          run.leases.release(values.customer)
+        }
+        if (leasedSpaces > 0) {
+          console.log(`${leasedSpaces} space(s) left to other workers or a later run`)
+        } else if (values.customer && trackProgress && customerLeased) {
           try {
             const hasFailed = spacesWithFailures.size > 0
-            if (hasFailed) {
-              await markCustomerFailed(values.customer, `${spacesWithFailures.size} space(s) with failures`)
-            } else {
-              await markCustomerCompleted(values.customer)
+            const held = hasFailed
+              ? await markCustomerFailed(values.customer, `${spacesWithFailures.size} space(s) with failures`, run.owner)
+              : await markCustomerCompleted(values.customer, run.owner)
+            if (!held) {
+              console.warn(`⚠️  Lease on ${values.customer} was claimed by another worker, leaving its status to it`)
             }
           } catch (err) {
             console.warn(`Failed to update customer completion status:`, getErrorMessage(err))
           }
         }
       } else {
+        printSkippedItems(policy)
         console.log("No target spaces found. Exiting.")
         process.exit(0)
       }
     }
   }
 
+  concurrencyController?.stop()
+  run.leases.stop()
+
   // Calculate statistics
   const successful = results.filter((r) => r.success).length
   const failed = results.filter((r) => !r.success).length
@@ -1165,6 +1861,24 @@ async function runMigrationMode(values) {
       console.log(`  ✅ ALL VERIFICATIONS PASSED!!!`)
       console.log(`  ${'='.repeat(30)}`)
     }
+  } else if (dryRun) {
+    console.log(`  📝 Planned:           ${successful - alreadyMigrated}`)
+    console.log(`  ${failed > 0 ? '❌' : 'x'} Would fail:        ${failed} (${failureRate}%)`)
+    console.log(`  ⏭  Already migrated: ${alreadyMigrated}`)
+
+    /** @type {Record<string, number>} */
+    const actionCounts = {}
+    for (const r of results) {
+      for (const action of r.plan?.actions || []) {
+        actionCounts[action.action] = (actionCounts[action.action] || 0) + 1
+      }
+    }
+    if (Object.keys(actionCounts).length > 0) {
+      console.log(`\nPlanned actions:`)
+      for (const [action, count] of Object.entries(actionCounts)) {
+        console.log(`  ${action}: ${count}`)
+      }
+    }
   } else if (testMode) {
     console.log(`  Mode: Test (${testMode})`)
     console.log(`  ${successful > 0 ? '✅' : '✓'} Successful:        ${successful} (${successRate}%)`)
@@ -1178,6 +1892,30 @@ async function runMigrationMode(values) {
     }
   }
 
+  printSkippedItems(policy)
+
+  const httpMetrics = Object.entries(getHttpMetrics())
+  if (httpMetrics.length > 0) {
+    console.log(`\nHTTP requests:`)
+    for (const [host, metrics] of httpMetrics) {
+      const responses = Object.values(metrics.statuses).reduce((sum, count) => sum + count, 0)
+      const statuses = Object.entries(metrics.statuses).map(([status, count]) => `${status}×${count}`).join(' ')
+      console.log(
+        `  🌐 ${host}: ${metrics.requests} requests (${metrics.retries} retries, ${metrics.errors} errors, ${metrics.timeouts} timeouts), ` +
+          `avg ${Math.round(metrics.totalMs / Math.max(1, metrics.requests))}ms, max ${metrics.maxMs}ms${responses ? `, ${statuses}` : ''}`
+      )
+    }
+  }
+  const { opened, pausedMs } = indexingServiceBreaker.stats
+  if (opened > 0) {
+    console.log(`  🔌 Indexing service outages: ${opened}, run paused ${(pausedMs / 1000).toFixed(0)}s`)
+  }
+  for (const [service, stats] of Object.entries(getRateLimitStats())) {
+    if (stats.throttled > 0) {
+      console.log(`  🚦 ${service}: ${stats.throttled} of ${stats.requests} requests throttled, ${(stats.waitedMs / 1000).toFixed(1)}s waited`)
+    }
+  }
+
   // Save results to file with timestamp in logs folder
   const fs = await import('fs/promises')
   const path = await import('path')
@@ -1188,7 +1926,7 @@ async function runMigrationMode(values) {
   
   // Generate filename with timestamp and identifiers
   const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, -5) // 2025-12-08T15-00-00
-  const mode = values['verify-only'] ? 'verify' : 'migrate'
+  const mode = values['verify-only'] ? 'verify' : dryRun ? 'dry-run' : values['retry-failed'] ? 'retry' : 'migrate'
   
   // Build descriptive filter part
   let filterPart = 'sample'
@@ -1210,7 +1948,12 @@ async function runMigrationMode(values) {
   
   await fs.writeFile(outputPath, JSON.stringify(results, null, 2))
   console.log()
-  console.log(`Results saved to: ${outputPath}`)
+  console.log(`${dryRun ? 'Plan' : 'Results'} saved to: ${outputPath}`)
+  if (eventLog && eventLog !== '-') {
+    console.log(`Events saved to: ${eventLog}`)
+  }
+  await closeEvents()
+  await metricsServer?.close()
 
   console.log('='.repeat(70))
 }
@@ -1265,10 +2008,29 @@ async function main() {
         description:
           'Path to customers JSON file (filters migration to these customers)',
       },
+      queue: {
+        type: 'boolean',
+        default: false,
+        description: 'Claim pending customers from the migration-customers table one at a time until none remain, instead of a customers file',
+      },
       concurrency: {
         type: 'string',
         default: '1',
-        description: 'Number of concurrent migrations',
+        description: 'Number of uploads migrated concurrently',
+      },
+      'adaptive-concurrency': {
+        type: 'boolean',
+        default: false,
+        description: 'Lower upload concurrency when services return errors or slow down, raise it back up to --concurrency when healthy (also ADAPTIVE_CONCURRENCY=true)',
+      },
+      'min-concurrency': {
+        type: 'string',
+        description: 'With --adaptive-concurrency: lowest upload concurrency (default: 1; also MIN_CONCURRENCY)',
+      },
+      'space-concurrency': {
+        type: 'string',
+        default: '1',
+        description: 'Number of spaces processed concurrently (uploads still share the --concurrency pool)',
       },
       'instance-id': {
         type: 'string',
@@ -1278,6 +2040,62 @@ async function main() {
         type: 'string',
         description: 'Worker ID (for progress tracking)',
       },
+      'retry-failed': {
+        type: 'boolean',
+        default: false,
+        description: 'Re-run only uploads in the failed state (filter with --space, --customer and/or --failure-reason)',
+      },
+      'failure-reason': {
+        type: 'string',
+        description: 'With --retry-failed or --from-log: only re-run uploads that failed with this FAILURE_REASON',
+      },
+      'from-log': {
+        type: 'string',
+        description: 'Re-run the uploads listed in a previous results log (logs/*.json)',
+      },
+      'only-failed': {
+        type: 'boolean',
+        default: false,
+        description: 'With --from-log: only re-run uploads that failed',
+      },
+      'only-repaired': {
+        type: 'boolean',
+        default: false,
+        description: 'With --from-log: only re-run uploads that were repaired',
+      },
+      'event-log': {
+        type: 'string',
+        description: "Write structured NDJSON events to this file ('-' for stdout; also EVENT_LOG)",
+      },
+      'metrics-port': {
+        type: 'string',
+        description: 'Serve Prometheus metrics on http://localhost:<port>/metrics while the run lasts (also METRICS_PORT)',
+      },
+      indexer: {
+        type: 'string',
+        description: "Shard indexer: 'worker' (index worker, default) or 'local' (stream and index CARs locally; also INDEXER)",
+      },
+      'indexer-source': {
+        type: 'string',
+        description: 'With --indexer local: carpark URL or directory to read shard CARs from (default: CARPARK_PUBLIC_URL; also INDEXER_SOURCE)',
+      },
+      'shard-concurrency': {
+        type: 'string',
+        description: 'Number of shards of an upload indexed concurrently (default: 10; also SHARD_CONCURRENCY)',
+      },
+      'index-cache': {
+        type: 'string',
+        description: "Where generated indexes are kept until registered: directory, s3://bucket/prefix or 'off' (default: off; also INDEX_CACHE)",
+      },
+      policy: {
+        type: 'string',
+        description: 'Policy file of customers, spaces and uploads to skip (default: migration-policy.json; also MIGRATION_POLICY)',
+      },
+      'dry-run': {
+        type: 'boolean',
+        default: false,
+        description: 'Plan the migration and save the actions each upload would take, without writing anything (also enabled by DRY_RUN=true)',
+      },
       'repair': {
         type: 'boolean',
         default: false,
@@ -1288,6 +2106,11 @@ async function main() {
 
   validateConfig()
 
+  // STORACHA_ENV=local: run against in-process stand-ins (no network, no confirmation)
+  const local = config.environment === 'local'
+    ? await (await import('./lib/local/index.js')).startLocalEnvironment()
+    : null
+
   // Display environment information
   console.log()
   console.log('Environment Configuration')
@@ -1311,27 +2134,33 @@ async function main() {
   console.log()
 
   // Ask for confirmation
-  const readline = await import('readline')
-  const rl = readline.createInterface({
-    input: process.stdin,
-    output: process.stdout
-  })
-
-  try {
-    const answer = await new Promise(resolve => {
-      rl.question('Do you want to proceed with this configuration? (y/N) ', resolve)
+  if (!local) {
+    const readline = await import('readline')
+    const rl = readline.createInterface({
+      input: process.stdin,
+      output: process.stdout
     })
 
-    if (answer.toLowerCase() !== 'y') {
-      console.log('Aborted by user.')
-      process.exit(0)
+    try {
+      const answer = await new Promise(resolve => {
+        rl.question('Do you want to proceed with this configuration? (y/N) ', resolve)
+      })
+
+      if (answer.toLowerCase() !== 'y') {
+        console.log('Aborted by user.')
+        process.exit(0)
+      }
+    } finally {
+      rl.close()
     }
-  } finally {
-    rl.close()
   }
 
   // Run migration mode (handles all cases including test modes)
-  await runMigrationMode(values)
+  try {
+    await runMigrationMode(values)
+  } finally {
+    await local?.stop()
+  }
 }
 
 main().catch((error) => {
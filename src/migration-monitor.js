@@ -8,8 +8,9 @@
  *   node src/migration-monitor.js --customer <did>          # Customer progress
  *   node src/migration-monitor.js --space <did>             # Space status (requires --customer)
  *   node src/migration-monitor.js --instance <N>            # Instance progress
- *   node src/migration-monitor.js --failed                  # Show failed migrations
- *   node src/migration-monitor.js --stuck                   # Show stuck migrations (>1 hour)
+ *   node src/migration-monitor.js --failed                  # Failures by reason, top customers and spaces
+ *   node src/migration-monitor.js --reason <REASON>         # Spaces and customers that failed with REASON
+ *   node src/migration-monitor.js --stuck                   # Show stuck migrations (lease expired)
  *   node src/migration-monitor.js --watch                   # Live monitoring (refresh every 30s)
  */
 
@@ -17,6 +18,7 @@ import dotenv from 'dotenv'
 const envFile = process.env.STORACHA_ENV === 'production' ? '.env-production' : '.env-staging'
 dotenv.config({ path: envFile, override: true })
 import { parseArgs } from 'node:util'
+import { writeFile } from 'node:fs/promises'
 import { validateConfig, config } from './config.js'
 import {
   getSpaceProgress,
@@ -26,30 +28,71 @@ import {
   getInstanceSpaces,
   scanAllProgress,
 } from './lib/tables/migration-progress-table.js'
+import { getAllCustomers, getFailedCustomers } from './lib/tables/migration-customers-table.js'
+import { addActivity, estimateThroughput, estimateFleetThroughput, formatEta } from './lib/throughput.js'
+import { getErrorMessage } from './lib/error-utils.js'
+import { groupFailuresByReason } from './lib/failure-report.js'
+import { isLeaseActive } from './lib/leases.js'
+
+/**
+ * Describe the lease on a space or customer
+ *
+ * @param {import('./lib/leases.js').LeaseRecord} record
+ * @returns {string | null} null when not leased
+ */
+function formatLease(record) {
+  if (!record.leaseOwner || !record.leaseExpiresAt) return null
+  const expires = new Date(record.leaseExpiresAt).toLocaleString()
+  return isLeaseActive(record)
+    ? `held by ${record.leaseOwner} until ${expires}`
+    : `expired ${expires} (was ${record.leaseOwner}), reclaimable`
+}
+
+/**
+ * @typedef {object} InstanceStats
+ * @property {number} total - Spaces started
+ * @property {number} completed
+ * @property {number} failed
+ * @property {number} uploads
+ * @property {number} completedUploads
+ * @property {import('./lib/throughput.js').WorkProgress} work - Assigned work and activity window
+ *
+ * @typedef {object} OverallStats
+ * @property {number} total
+ * @property {number} pending
+ * @property {number} inProgress
+ * @property {number} completed
+ * @property {number} failed
+ * @property {number} totalUploads
+ * @property {number} completedUploads
+ * @property {Record<string, InstanceStats>} byInstance
+ * @property {Record<string, number>} leaseHolders - Spaces leased by each instanceId/workerId
+ * @property {number} expiredLeases - In-progress spaces whose lease expired
+ * @property {{customers: number, uploads: number}} queued - Pending customers no instance has claimed yet
+ * @property {number} skippedCustomers - Customers claimed from the work queue and skipped by the migration policy
+ */
 
 /**
  * Get overall migration statistics
  * 
- * @returns {Promise<{
- *   total: number,
- *   pending: number,
- *   inProgress: number,
- *   completed: number,
- *   failed: number,
- *   totalUploads: number,
- *   completedUploads: number,
- *   byInstance: Record<string, {total: number, completed: number, failed: number, uploads: number, completedUploads: number}>
- * }>}
+ * @returns {Promise<OverallStats>}
  */
 async function getOverallStats() {
   /** @type {Record<string, any> | undefined} */
   let lastEvaluatedKey
 
-  /** @type {{total: number, completed: number, failed: number, uploads: number, completedUploads: number}} */
-  const instanceStatsTemplate = { total: 0, completed: 0, failed: 0, uploads: 0, completedUploads: 0 }
-  
-  /** @type {Record<string, typeof instanceStatsTemplate>} */
+  /** @type {Record<string, InstanceStats>} */
   const byInstance = {}
+  /** @param {string} instanceId */
+  const getInstance = (instanceId) =>
+    (byInstance[instanceId] ??= {
+      total: 0,
+      completed: 0,
+      failed: 0,
+      uploads: 0,
+      completedUploads: 0,
+      work: { totalUploads: 0, completedUploads: 0, totalSpaces: 0, completedSpaces: 0 },
+    })
   
   const stats = {
     total: 0,
@@ -60,6 +103,11 @@ async function getOverallStats() {
     totalUploads: 0,
     completedUploads: 0,
     byInstance,
+    /** @type {Record<string, number>} */
+    leaseHolders: {},
+    expiredLeases: 0,
+    queued: { customers: 0, uploads: 0 },
+    skippedCustomers: 0,
   }
 
   do {
@@ -76,45 +124,88 @@ async function getOverallStats() {
       else if (item.status === 'completed') stats.completed++
       else if (item.status === 'failed') stats.failed++
 
+      // Leases are released when a space completes or fails
+      if (item.leaseOwner) {
+        if (isLeaseActive(item)) {
+          stats.leaseHolders[item.leaseOwner] = (stats.leaseHolders[item.leaseOwner] ?? 0) + 1
+        } else if (item.status === 'in-progress') {
+          stats.expiredLeases++
+        }
+      }
+
       // Count by instance
       if (item.instanceId) {
-        if (!stats.byInstance[item.instanceId]) {
-          stats.byInstance[item.instanceId] = {
-            total: 0,
-            completed: 0,
-            failed: 0,
-            uploads: 0,
-            completedUploads: 0,
-          }
-        }
-        stats.byInstance[item.instanceId].total++
-        if (item.status === 'completed') stats.byInstance[item.instanceId].completed++
-        if (item.status === 'failed') stats.byInstance[item.instanceId].failed++
-        stats.byInstance[item.instanceId].uploads += item.totalUploads || 0
-        stats.byInstance[item.instanceId].completedUploads += item.completedUploads || 0
+        const instance = getInstance(item.instanceId)
+        instance.total++
+        if (item.status === 'completed') instance.completed++
+        if (item.status === 'failed') instance.failed++
+        instance.uploads += item.totalUploads || 0
+        instance.completedUploads += item.completedUploads || 0
+        addActivity(instance.work, item)
       }
     }
 
     lastEvaluatedKey = nextKey
   } while (lastEvaluatedKey)
 
+  // The progress table only knows spaces that have started: the work left
+  // comes from the customers assigned to (or claimed by) each instance
+  /** @type {Record<string, {spaces: number, uploads: number}>} */
+  const assigned = {}
+  try {
+    for (const customer of await getAllCustomers()) {
+      // Nothing left to migrate for customers the policy skips
+      if (customer.status === 'skipped') {
+        stats.skippedCustomers++
+        continue
+      }
+      if (customer.instanceId === undefined) {
+        // Left in the work queue (setup-distribution.js --queue)
+        if (customer.status === 'pending') {
+          stats.queued.customers++
+          stats.queued.uploads += customer.totalUploads || 0
+        }
+        continue
+      }
+      const entry = (assigned[String(customer.instanceId)] ??= { spaces: 0, uploads: 0 })
+      entry.spaces += customer.totalSpaces || 0
+      entry.uploads += customer.totalUploads || 0
+    }
+  } catch (error) {
+    console.warn(`⚠️  Could not read customer assignments, ETAs only cover started spaces: ${getErrorMessage(error)}`)
+  }
+
+  for (const [instanceId, { spaces, uploads }] of Object.entries(assigned)) {
+    const { work } = getInstance(instanceId)
+    work.totalSpaces = spaces
+    work.totalUploads = uploads
+  }
+  for (const instance of Object.values(byInstance)) {
+    const { work } = instance
+    work.completedSpaces = instance.completed
+    work.completedUploads = instance.completedUploads
+    work.totalSpaces = Math.max(work.totalSpaces, instance.total)
+    work.totalUploads = Math.max(work.totalUploads, instance.uploads)
+  }
+
   return stats
 }
 
+/**
+ * Print throughput and ETA
+ *
+ * @param {import('./lib/throughput.js').Throughput} throughput
+ * @param {string} indent
+ */
+function printThroughput({ uploadsPerHour, spacesPerHour, etaMs }, indent) {
+  console.log(`${indent}Throughput: ${Math.round(uploadsPerHour).toLocaleString()} uploads/h, ${spacesPerHour.toFixed(1)} spaces/h`)
+  console.log(`${indent}ETA: ${formatEta(etaMs)}`)
+}
 
 /**
  * Print overall statistics
  * 
- * @param {{
- *   total: number,
- *   pending: number,
- *   inProgress: number,
- *   completed: number,
- *   failed: number,
- *   totalUploads: number,
- *   completedUploads: number,
- *   byInstance: Record<string, {total: number, completed: number, failed: number, uploads: number, completedUploads: number}>
- * }} stats
+ * @param {OverallStats} stats
  */
 function printOverallStats(stats) {
   console.log()
@@ -138,6 +229,39 @@ function printOverallStats(stats) {
   console.log(`Total Uploads: ${stats.totalUploads.toLocaleString()}`)
   console.log(`  🟢 Completed: ${stats.completedUploads.toLocaleString()} (${uploadPct}%)`)
   console.log()
+
+  const holders = Object.entries(stats.leaseHolders).sort()
+  if (holders.length > 0 || stats.expiredLeases > 0) {
+    console.log(`Lease Holders: ${holders.length} workers`)
+    for (const [owner, spaces] of holders) {
+      console.log(`  🔒 ${owner}: ${spaces.toLocaleString()} spaces`)
+    }
+    if (stats.expiredLeases > 0) {
+      console.log(`  ⚠️  Expired leases: ${stats.expiredLeases.toLocaleString()} spaces (see --stuck)`)
+    }
+    console.log()
+  }
+
+  const now = Date.now()
+  const instances = Object.fromEntries(
+    Object.entries(stats.byInstance).map(([instanceId, instance]) => [instanceId, instance.work])
+  )
+  if (Object.keys(instances).length > 0) {
+    const fleet = estimateFleetThroughput(instances, now, stats.queued.uploads)
+    console.log('Fleet:')
+    printThroughput(fleet, '  ⏱️  ')
+    if (fleet.slowestInstance !== null && fleet.etaMs !== 0) {
+      console.log(`  ⏱️  Slowest instance: ${fleet.slowestInstance}`)
+    }
+    console.log(`  ⏱️  ETA if balanced: ${formatEta(fleet.balancedEtaMs)} (${fleet.remainingUploads.toLocaleString()} uploads left)`)
+    if (stats.queued.customers > 0) {
+      console.log(`  📥 Work queue: ${stats.queued.customers.toLocaleString()} customers (${stats.queued.uploads.toLocaleString()} uploads) not claimed yet`)
+    }
+    if (stats.skippedCustomers > 0) {
+      console.log(`  ⏭  Skipped by policy: ${stats.skippedCustomers.toLocaleString()} customers`)
+    }
+    console.log()
+  }
   
   if (Object.keys(stats.byInstance).length > 0) {
     console.log('Progress by Instance:')
@@ -154,6 +278,7 @@ function printOverallStats(stats) {
       if (instanceStats.failed > 0) {
         console.log(`  Failed: ${instanceStats.failed.toLocaleString()}`)
       }
+      printThroughput(estimateThroughput(instanceStats.work, now), '  ')
     }
   }
   
@@ -164,7 +289,7 @@ function printOverallStats(stats) {
  * Print customer progress
  * 
  * @param {string} customer
- * @param {Array<{space: string, status: string, totalUploads?: number, completedUploads?: number, instanceId?: string, workerId?: string, error?: string, updatedAt?: string}>} spaces
+ * @param {Array<{space: string, status: string, totalUploads?: number, completedUploads?: number, instanceId?: string, workerId?: string, error?: string, leaseOwner?: string, leaseExpiresAt?: string, updatedAt?: string}>} spaces
  */
 function printCustomerProgress(customer, spaces) {
   console.log()
@@ -205,6 +330,8 @@ function printCustomerProgress(customer, spaces) {
     if (space.status === 'in-progress') {
       console.log(`     Instance: ${space.instanceId}, Worker: ${space.workerId}`)
       console.log(`     Updated: ${space.updatedAt ? new Date(space.updatedAt).toLocaleString() : 'N/A'}`)
+      const lease = formatLease(space)
+      if (lease) console.log(`     Lease: ${lease}`)
     }
     if (space.status === 'failed' && space.error) {
       console.log(`     Error: ${space.error}`)
@@ -221,7 +348,7 @@ function printCustomerProgress(customer, spaces) {
 /**
  * Print space status
  * 
- * @param {{space: string, customer: string, status: string, totalUploads?: number, completedUploads?: number, instanceId?: string, workerId?: string, createdAt: string, updatedAt: string, lastProcessedUpload?: string, error?: string} | null} space
+ * @param {{space: string, customer: string, status: string, totalUploads?: number, completedUploads?: number, instanceId?: string, workerId?: string, createdAt: string, updatedAt: string, lastProcessedUpload?: string, error?: string, leaseOwner?: string, leaseExpiresAt?: string} | null} space
  */
 function printSpaceStatus(space) {
   console.log()
@@ -250,6 +377,10 @@ function printSpaceStatus(space) {
   if (space.workerId) {
     console.log(`Worker: ${space.workerId}`)
   }
+  const lease = formatLease(space)
+  if (lease) {
+    console.log(`Lease: ${lease}`)
+  }
   
   console.log()
   console.log(`Created: ${new Date(space.createdAt).toLocaleString()}`)
@@ -267,35 +398,95 @@ function printSpaceStatus(space) {
   console.log()
 }
 
+/** Customers and spaces listed per reason in the breakdown */
+const TOP_FAILURES = 5
+
 /**
- * Print failed migrations
+ * Print failed migrations, grouped by failure reason
  * 
  * @param {Array<{space: string, customer: string, instanceId?: string, workerId?: string, error?: string, updatedAt: string}>} failed
+ * @param {Array<{customer: string, error?: string}>} failedCustomers
  */
-function printFailedMigrations(failed) {
+function printFailedMigrations(failed, failedCustomers) {
   console.log()
   console.log('Failed Migrations')
   console.log('='.repeat(70))
   console.log()
-  console.log(`Total Failed: ${failed.length}`)
+  console.log(`Total Failed: ${failed.length} spaces, ${failedCustomers.length} customers`)
   console.log()
   
-  if (failed.length === 0) {
+  if (failed.length === 0 && failedCustomers.length === 0) {
     console.log('No failed migrations found.')
     return
   }
   
-  for (const item of failed.slice(0, 20)) {
-    console.log(`🔴 ${item.space}`)
-    console.log(`  Customer: ${item.customer}`)
-    console.log(`  Instance: ${item.instanceId}, Worker: ${item.workerId}`)
-    console.log(`  Error: ${item.error || 'Unknown error'}`)
-    console.log(`  Updated: ${new Date(item.updatedAt).toLocaleString()}`)
+  const breakdown = groupFailuresByReason(failed, failedCustomers)
+  const totalUploads = breakdown.reduce((sum, { uploads }) => sum + uploads, 0)
+  console.log('Failures by Reason:')
+  console.log('-'.repeat(70))
+  for (const { reason, uploads, spaces, customers } of breakdown) {
+    const pct = ((uploads / totalUploads) * 100).toFixed(1)
     console.log()
+    console.log(`🔴 ${reason}: ${uploads.toLocaleString()} uploads (${pct}%), ${spaces.length} spaces, ${customers.length} customers`)
+    console.log('  Top customers:')
+    for (const customer of customers.slice(0, TOP_FAILURES)) {
+      console.log(`    ${customer.customer}: ${customer.uploads.toLocaleString()} uploads in ${customer.spaces} spaces`)
+    }
+    console.log('  Top spaces:')
+    for (const space of spaces.slice(0, TOP_FAILURES)) {
+      console.log(`    ${space.space}: ${space.uploads.toLocaleString()} uploads (${space.customer})`)
+    }
   }
   
-  if (failed.length > 20) {
-    console.log(`... and ${failed.length - 20} more failed migrations`)
+  console.log()
+  console.log('Drill down with --reason <FAILURE_REASON>')
+  console.log()
+}
+
+/**
+ * Print the spaces and customers that failed with one reason
+ * 
+ * @param {string} reason - FAILURE_REASON
+ * @param {Array<{space: string, customer: string, instanceId?: string, workerId?: string, error?: string, updatedAt: string}>} failed
+ * @param {Array<{customer: string, error?: string}>} failedCustomers
+ * @param {string} [exportPath] - Write the affected customers to this customers file
+ */
+async function printFailureReason(reason, failed, failedCustomers, exportPath) {
+  console.log()
+  console.log(`Failed Migrations: ${reason}`)
+  console.log('='.repeat(70))
+  console.log()
+  
+  const breakdown = groupFailuresByReason(failed, failedCustomers).find((entry) => entry.reason === reason)
+  if (!breakdown) {
+    console.log(`No failed migrations found with reason ${reason}.`)
+    return
+  }
+  
+  const { uploads, spaces, customers } = breakdown
+  console.log(`Failed Uploads: ${uploads.toLocaleString()}`)
+  console.log()
+  console.log(`Customers (${customers.length}):`)
+  console.log('-'.repeat(70))
+  for (const customer of customers) {
+    console.log(`  ${customer.customer}: ${customer.uploads.toLocaleString()} uploads in ${customer.spaces} spaces`)
+  }
+  console.log()
+  console.log(`Spaces (${spaces.length}):`)
+  console.log('-'.repeat(70))
+  const spaceDetails = new Map(failed.map((item) => [`${item.customer}/${item.space}`, item]))
+  for (const space of spaces) {
+    const item = spaceDetails.get(`${space.customer}/${space.space}`)
+    console.log(`  🔴 ${space.space}: ${space.uploads.toLocaleString()} uploads`)
+    console.log(`     Customer: ${space.customer}`)
+    console.log(`     Instance: ${item?.instanceId}, Worker: ${item?.workerId}, Updated: ${item ? new Date(item.updatedAt).toLocaleString() : 'N/A'}`)
+  }
+  
+  if (exportPath) {
+    await writeFile(exportPath, `${JSON.stringify(customers.map(({ customer }) => customer), null, 2)}\n`)
+    console.log()
+    console.log(`✓ ${customers.length} customers written to ${exportPath}`)
+    console.log(`  Re-run them with: node src/migrate.js --customers-file ${exportPath}`)
   }
   
   console.log()
@@ -304,11 +495,11 @@ function printFailedMigrations(failed) {
 /**
  * Print stuck migrations
  * 
- * @param {Array<{space: string, customer: string, instanceId?: string, workerId?: string, completedUploads?: number, totalUploads?: number, updatedAt: string}>} stuck
+ * @param {Array<{space: string, customer: string, instanceId?: string, workerId?: string, completedUploads?: number, totalUploads?: number, leaseOwner?: string, leaseExpiresAt?: string, updatedAt: string}>} stuck
  */
 function printStuckMigrations(stuck) {
   console.log()
-  console.log('Stuck Migrations (in-progress >1 hour)')
+  console.log('Stuck Migrations (lease expired, or no lease and in-progress >1 hour)')
   console.log('='.repeat(70))
   console.log()
   console.log(`Total Stuck: ${stuck.length}`)
@@ -327,6 +518,8 @@ function printStuckMigrations(stuck) {
     console.log(`  Stuck for: ${stuckDuration} minutes`)
     console.log(`  Progress: ${item.completedUploads}/${item.totalUploads} uploads`)
     console.log(`  Last Update: ${new Date(item.updatedAt).toLocaleString()}`)
+    const lease = formatLease(item)
+    if (lease) console.log(`  Lease: ${lease}`)
     console.log()
   }
   
@@ -422,12 +615,20 @@ async function main() {
       failed: {
         type: 'boolean',
         default: false,
-        description: 'Show failed migrations',
+        description: 'Show failed migrations by failure reason',
+      },
+      reason: {
+        type: 'string',
+        description: 'List the spaces and customers that failed with this FAILURE_REASON',
+      },
+      'export-customers': {
+        type: 'string',
+        description: 'With --reason: write the affected customers to this file (for migrate.js --customers-file)',
       },
       stuck: {
         type: 'boolean',
         default: false,
-        description: 'Show stuck migrations (>1 hour)',
+        description: 'Show stuck migrations (lease expired, or >1 hour without a lease)',
       },
       watch: {
         type: 'boolean',
@@ -451,9 +652,12 @@ async function main() {
       } else if (values.instance) {
         const spaces = await getInstanceSpaces(values.instance)
         printInstanceProgress(values.instance, spaces)
+      } else if (values.reason) {
+        const [failed, failedCustomers] = await Promise.all([getFailedMigrations(), getFailedCustomers()])
+        await printFailureReason(values.reason, failed, failedCustomers, values['export-customers'])
       } else if (values.failed) {
-        const failed = await getFailedMigrations()
-        printFailedMigrations(failed)
+        const [failed, failedCustomers] = await Promise.all([getFailedMigrations(), getFailedCustomers()])
+        printFailedMigrations(failed, failedCustomers)
       } else if (values.stuck) {
         const stuck = await getStuckMigrations()
         printStuckMigrations(stuck)
@@ -3,7 +3,8 @@
  * Setup Distribution Script
  * 
  * Discovers all customers from the Upload Table and distributes them
- * across multiple EC2 instances for parallel migration.
+ * across multiple EC2 instances for parallel migration, balanced on the
+ * estimated work of each customer (see lib/work-estimate.js).
  * 
  * Uses parallel DynamoDB scan (4 segments by default) for faster discovery.
  * 
@@ -22,6 +23,25 @@
  * 
  *   # Estimate with different worker counts
  *   node src/setup-distribution.js --instances 5 --workers-per-instance 15
+ * 
+ *   # Sample more uploads per customer for the work estimates (0: balance on upload counts)
+ *   node src/setup-distribution.js --instances 5 --sample-uploads 10
+ * 
+ *   # Interrupted runs resume from migration-state/discovery-<env>/; pick up new spaces
+ *   # and recount spaces counted more than a day ago
+ *   node src/setup-distribution.js --instances 5 --rescan --recount-older-than 24
+ * 
+ *   # Reuse a complete scan for up to a week (default: 24 hours)
+ *   node src/setup-distribution.js --instances 5 --rescan-older-than 168
+ * 
+ *   # Trust space counts for a week before counting their new uploads (default: 24 hours)
+ *   node src/setup-distribution.js --instances 5 --reuse-counts-for 168
+ * 
+ *   # Queue customers for instances to claim (the greedy split is only printed as a plan)
+ *   node src/setup-distribution.js --instances 5 --queue
+ * 
+ *   # Skip customers and spaces with another policy file (default: migration-policy.json)
+ *   node src/setup-distribution.js --instances 5 --policy policies/production.json
  */
 import dotenv from 'dotenv'
 const envFile = process.env.STORACHA_ENV === 'production' ? '.env-production' : '.env-staging'
@@ -31,29 +51,25 @@ import { ScanCommand, QueryCommand } from '@aws-sdk/lib-dynamodb'
 import { validateConfig, config } from './config.js'
 import { getDynamoClient } from './lib/dynamo-client.js'
 import { batchAssignCustomers } from './lib/tables/migration-customers-table.js'
+import { createDiscoveryCheckpoint, isStale } from './lib/stores/discovery-checkpoint.js'
+import { loadMigrationPolicy, printSkippedItems } from './lib/migration-policy.js'
+import {
+  sampleCustomerWork,
+  combineSamples,
+  estimateCustomerSeconds,
+  estimateSecondsPerUpload,
+} from './lib/work-estimate.js'
 import fs from 'fs/promises'
 import path from 'path'
 
 const DISTRIBUTION_DIR = 'migration-state'
 
+// Consumer table pages (1000 records each) between two scan checkpoints
+const SCAN_CHECKPOINT_PAGES = 10
+
 /**
- * Skip list for customers to exclude from migration
- * Can be exact matches or prefixes (without trailing colon)
- * Examples:
- *   'did:mailto:mailslurp.biz' - skips all mailslurp.biz customers
- *   'did:mailto:mailslurp.com' - skips all mailslurp.com customers  
- *   'did:mailto:mailslurp.net' - skips all mailslurp.net customers
- *   'did:mailto:gmail.com:testuser' - skips specific user
+ * @typedef {import('./lib/work-estimate.js').WorkSample} WorkSample
  */
-const SKIP_LIST = [
-  // CI accounts
-  'did:mailto:mailslurp.biz',
-  'did:mailto:mailslurp.com',
-  'did:mailto:mailslurp.net',
-  // Customer Accounts that are blocked due to space ownership transfer
-  'did:mailto:weatherxm.com:weatherxmdev',
-  'did:mailto:textile.io:ops+basin',
-]
 
 /**
  * Include list for filtering customers (set at runtime via --filter)
@@ -61,20 +77,6 @@ const SKIP_LIST = [
  */
 let INCLUDE_LIST = []
 
-/**
- * Check if a customer should be skipped based on skip list
- * @param {string} customer - Customer DID
- * @returns {boolean} True if customer should be skipped
- */
-function shouldSkipCustomer(customer) {
-  for (const pattern of SKIP_LIST) {
-    if (customer === pattern || customer.startsWith(pattern + ':')) {
-      return true
-    }
-  }
-  return false
-}
-
 /**
  * Check if a customer matches the include filter
  * @param {string} customer - Customer DID
@@ -95,22 +97,54 @@ function matchesIncludeFilter(customer) {
 /**
  * Scan consumer table to get space -> customer mappings
  * 
+ * Resumes from the segment's checkpoint and saves a new one every
+ * SCAN_CHECKPOINT_PAGES pages. A complete segment is reused while it is younger
+ * than `maxScanAge`, and scanned again afterwards so that new customers and spaces
+ * are found. Mappings are not filtered here (see discoverCustomers).
+ * 
  * @param {number} segment - Segment number (0-based)
  * @param {number} totalSegments - Total number of segments
- * @returns {Promise<{segment: number, scanned: number, skipped: number, customerSpacesMap: Map<string, Set<string>>}>} Map of customer -> Set of spaces
+ * @param {ReturnType<typeof createDiscoveryCheckpoint>} checkpoint - Discovery checkpoints
+ * @param {number} [maxScanAge] - Maximum age of a complete segment to reuse (ms)
+ * @returns {Promise<{segment: number, scanned: number, customerSpacesMap: Map<string, Set<string>>}>} Map of customer -> Set of spaces
  */
-async function scanConsumerSegment(segment, totalSegments) {
+async function scanConsumerSegment(segment, totalSegments, checkpoint, maxScanAge) {
   const client = getDynamoClient()
+  let saved = await checkpoint.loadSegment(segment)
+  if (saved?.done && isStale(saved.updatedAt, maxScanAge)) {
+    console.log(`  [Segment ${segment}] Scan from ${saved.updatedAt} is too old, scanning again`)
+    saved = null
+  }
   /** @type {Map<string, Set<string>>} */
-  const customerSpacesMap = new Map() // customer -> Set(spaces)
+  const customerSpacesMap = new Map( // customer -> Set(spaces)
+    Object.entries(saved?.customerSpaces ?? {}).map(([customer, spaces]) => [customer, new Set(spaces)])
+  )
   
-  let scanned = 0
-  let skipped = 0
+  let scanned = saved?.scanned ?? 0
   /** @type {Record<string, any> | undefined} */
-  let lastEvaluatedKey
+  let lastEvaluatedKey = saved?.lastEvaluatedKey ?? undefined
+  let pages = 0
   const startTime = Date.now()
   
-  console.log(`  [Segment ${segment}] Scanning consumer table...`)
+  if (saved?.done) {
+    console.log(`  [Segment ${segment}] Already scanned: ${scanned.toLocaleString()} records (checkpoint from ${saved.updatedAt})`)
+    return { segment, scanned, customerSpacesMap }
+  }
+  
+  /** @param {boolean} done */
+  const saveCheckpoint = (done) => checkpoint.saveSegment({
+    segment,
+    totalSegments,
+    lastEvaluatedKey: lastEvaluatedKey ?? null,
+    done,
+    scanned,
+    customerSpaces: Object.fromEntries([...customerSpacesMap].map(([customer, spaces]) => [customer, [...spaces]])),
+    updatedAt: new Date().toISOString(),
+  })
+  
+  console.log(saved
+    ? `  [Segment ${segment}] Resuming scan after ${scanned.toLocaleString()} records...`
+    : `  [Segment ${segment}] Scanning consumer table...`)
   
   while (true) {
     /** @type {import('@aws-sdk/lib-dynamodb').ScanCommandInput} */
@@ -133,16 +167,6 @@ async function scanConsumerSegment(segment, totalSegments) {
     
     for (const record of response.Items) {
       if (record.consumer && record.customer) {
-        // Skip customers in skip list
-        if (shouldSkipCustomer(record.customer)) {
-          skipped++
-          continue
-        }
-        // Check include filter
-        if (!matchesIncludeFilter(record.customer)) {
-          skipped++
-          continue
-        }
         if (!customerSpacesMap.has(record.customer)) {
           customerSpacesMap.set(record.customer, new Set())
         }
@@ -157,12 +181,18 @@ async function scanConsumerSegment(segment, totalSegments) {
     if (!lastEvaluatedKey) {
       break
     }
+    
+    if (++pages % SCAN_CHECKPOINT_PAGES === 0) {
+      await saveCheckpoint(false)
+    }
   }
   
+  await saveCheckpoint(true)
+  
   const elapsed = ((Date.now() - startTime) / 1000).toFixed(1)
-  console.log(`  [Segment ${segment}] Complete: ${scanned.toLocaleString()} records, ${skipped.toLocaleString()} skipped in ${elapsed}s`)
+  console.log(`  [Segment ${segment}] Complete: ${scanned.toLocaleString()} records in ${elapsed}s`)
   
-  return { segment, scanned, skipped, customerSpacesMap }
+  return { segment, scanned, customerSpacesMap }
 }
 
 /**
@@ -170,9 +200,10 @@ async function scanConsumerSegment(segment, totalSegments) {
  * 
  * @param {import('@aws-sdk/lib-dynamodb').DynamoDBDocumentClient} client - Reusable DynamoDB client
  * @param {string} space - Space DID
+ * @param {string} [insertedAfter] - Only count uploads inserted after this ISO timestamp
  * @returns {Promise<number>} Upload count (0 if space is empty)
  */
-async function countUploadsForSpace(client, space) {
+async function countUploadsForSpace(client, space, insertedAfter) {
   const maxRetries = 5
   const baseDelay = 1000 // 1 second
   
@@ -201,6 +232,13 @@ async function countUploadsForSpace(client, space) {
     }
   }
   
+  const filter = insertedAfter
+    ? {
+        FilterExpression: 'insertedAt > :insertedAfter',
+        ExpressionAttributeValues: { ':space': space, ':insertedAfter': insertedAfter },
+      }
+    : {}
+  
   // First query to check if space has any uploads
   const command = new QueryCommand({
     TableName: config.tables.upload,
@@ -213,17 +251,18 @@ async function countUploadsForSpace(client, space) {
     },
     Select: 'COUNT',
     Limit: 1, // Just check if space has any uploads
+    ...filter,
   })
   
   const response = await executeWithRetry(command)
   
-  // If space is empty, return 0 immediately
-  if (!response.Count || response.Count === 0) {
+  // If space is empty, return 0 immediately (with a filter, the first upload read may not match)
+  if (!insertedAfter && (!response.Count || response.Count === 0)) {
     return 0
   }
   
   // If space has uploads and needs pagination, continue counting
-  let count = response.Count
+  let count = response.Count || 0
   let lastEvaluatedKey = response.LastEvaluatedKey
   
   while (lastEvaluatedKey) {
@@ -238,6 +277,7 @@ async function countUploadsForSpace(client, space) {
       },
       Select: 'COUNT',
       ExclusiveStartKey: lastEvaluatedKey,
+      ...filter,
     })
     
     const paginatedResponse = await executeWithRetry(paginatedCommand)
@@ -251,22 +291,45 @@ async function countUploadsForSpace(client, space) {
 /**
  * Discover all unique customers and their upload counts using parallel scan
  * 
+ * Scan segments and space counts are checkpointed under migration-state/ (see
+ * lib/stores/discovery-checkpoint.js): an interrupted run resumes where it stopped,
+ * and re-runs only count spaces that have no count yet or whose count is too old.
+ * Counts younger than `freshCountAge` are used as they are; older ones get the
+ * uploads inserted since they were last brought up to date added to them.
+ * 
  * @param {object} options
  * @param {number} [options.minUploads] - Minimum uploads to include customer
  * @param {number} [options.parallelSegments] - Number of parallel scan segments
- * @returns {Promise<Array<{customer: string, uploadCount: number, spaceCount: number}>>}
+ * @param {number} [options.sampleUploads] - Uploads sampled per customer to estimate its work (0: estimate from upload counts)
+ * @param {boolean} [options.rescan] - Scan the consumer table again instead of reusing a complete scan
+ * @param {number} [options.maxScanAge] - Scan the consumer table again when the complete scan is older than this (ms)
+ * @param {number} [options.freshCountAge] - Use space counts younger than this without querying the upload table (ms)
+ * @param {number} [options.maxCountAge] - Recount spaces (and resample customers) counted longer ago than this (ms)
+ * @param {import('./lib/migration-policy.js').MigrationPolicy} options.policy - Customers and spaces to skip
+ * @returns {Promise<Array<{customer: string, uploadCount: number, spaceCount: number, emptySpaceCount: number, totalSpaceCount: number, work?: WorkSample}>>}
  */
-async function discoverCustomers({ minUploads = 0, parallelSegments = 4 } = {}) {
+async function discoverCustomers({ minUploads = 0, parallelSegments = 4, sampleUploads = 0, rescan = false, maxScanAge, freshCountAge, maxCountAge, policy }) {
+  const checkpoint = createDiscoveryCheckpoint({
+    dir: path.join(DISTRIBUTION_DIR, `discovery-${config.environment}`),
+    totalSegments: parallelSegments,
+  })
+  
   console.log('Step 1: Scanning Consumer Table for customer->space mappings...')
   console.log(`Using ${parallelSegments} parallel segments for faster scanning`)
+  console.log(`Checkpoints: ${checkpoint.dir}/`)
   console.log('='.repeat(70))
   
+  if (rescan) {
+    await checkpoint.clearScan()
+    console.log('  Starting a new scan (--rescan), space counts are kept')
+  }
+  
   const startTime = Date.now()
   
   // Launch parallel scans of consumer table
   const scanPromises = []
   for (let i = 0; i < parallelSegments; i++) {
-    scanPromises.push(scanConsumerSegment(i, parallelSegments))
+    scanPromises.push(scanConsumerSegment(i, parallelSegments, checkpoint, maxScanAge))
   }
   
   // Progress monitoring
@@ -276,24 +339,39 @@ async function discoverCustomers({ minUploads = 0, parallelSegments = 4 } = {})
   }, 10000) // Update every 10 seconds
   
   // Wait for all segments to complete
-  const results = await Promise.all(scanPromises)
-  clearInterval(progressInterval)
+  const results = await Promise.all(scanPromises).finally(() => clearInterval(progressInterval))
   
   // Merge results from all segments
+  /** @type {Map<string, Set<string>>} */
   const customerSpacesMap = new Map() // customer -> Set(spaces)
   let totalConsumerRecords = 0
   let totalSkipped = 0
   
   for (const result of results) {
     totalConsumerRecords += result.scanned
-    totalSkipped += result.skipped
     
     for (const [customer, spaces] of result.customerSpacesMap.entries()) {
       if (!customerSpacesMap.has(customer)) {
         customerSpacesMap.set(customer, new Set())
       }
       for (const space of spaces) {
-        customerSpacesMap.get(customer).add(space)
+        customerSpacesMap.get(customer)?.add(space)
+      }
+    }
+  }
+  
+  // Policy and include filter apply after the scan, so checkpoints hold every customer
+  let skippedSpaces = 0
+  for (const [customer, spaces] of customerSpacesMap) {
+    if (policy.check('customer', customer) !== null || !matchesIncludeFilter(customer)) {
+      customerSpacesMap.delete(customer)
+      totalSkipped++
+      continue
+    }
+    for (const space of spaces) {
+      if (policy.check('space', space) !== null) {
+        spaces.delete(space)
+        skippedSpaces++
       }
     }
   }
@@ -302,17 +380,30 @@ async function discoverCustomers({ minUploads = 0, parallelSegments = 4 } = {})
   console.log()
   console.log(`✓ Consumer table scan complete in ${scanElapsed}s`)
   console.log(`✓ Total consumer records scanned: ${totalConsumerRecords.toLocaleString()}`)
-  console.log(`✓ Skipped (skip list): ${totalSkipped.toLocaleString()}`)
+  console.log(`✓ Skipped customers (policy/filter): ${totalSkipped.toLocaleString()}`)
+  if (skippedSpaces > 0) {
+    console.log(`✓ Skipped spaces (policy): ${skippedSpaces.toLocaleString()}`)
+  }
   console.log(`✓ Unique customers found: ${customerSpacesMap.size.toLocaleString()}`)
   console.log()
   
   // Step 2: Count uploads for each customer's spaces (in parallel)
-  console.log('Step 2: Counting uploads per customer...')
+  console.log(sampleUploads > 0
+    ? `Step 2: Counting uploads per customer and sampling ${sampleUploads} upload(s) each...`
+    : 'Step 2: Counting uploads per customer...')
   console.log('='.repeat(70))
   
   const totalCustomers = customerSpacesMap.size
   const concurrency = 20 // Process 20 customers in parallel (reduced to avoid overwhelming DynamoDB)
   
+  // Counts of previous runs: spaces without a (fresh enough) count or with uploads inserted since are counted again
+  const counts = await checkpoint.loadCounts()
+  const knownSpaces = Object.keys(counts.spaces).length
+  if (knownSpaces > 0) {
+    const fresh = `, adding new uploads to those older than ${((freshCountAge ?? 0) / 3600000).toFixed(1)}h`
+    const age = maxCountAge === undefined ? '' : ` and recounting those older than ${(maxCountAge / 3600000).toFixed(1)}h`
+    console.log(`Reusing counts of ${knownSpaces.toLocaleString()} spaces from previous runs${fresh}${age}`)
+  }
   console.log(`Processing ${totalCustomers.toLocaleString()} customers with concurrency ${concurrency}...`)
   console.log()
   
@@ -320,32 +411,15 @@ async function discoverCustomers({ minUploads = 0, parallelSegments = 4 } = {})
   const customers = []
   let processedCustomers = 0
   let totalSpacesProcessed = 0
+  let cachedSpaces = 0
   
   // Get the singleton DynamoDB Document Client
   const client = getDynamoClient()
   
   const countStartTime = Date.now()
   
-  // Checkpoint file for resume capability
-  const checkpointFile = path.join(DISTRIBUTION_DIR, 'counting-checkpoint.json')
-  /** @type {{processedCustomers: number, customers: Array<any>}} */
-  let checkpoint = { processedCustomers: 0, customers: [] }
-  
-  // Try to load existing checkpoint
-  try {
-    await fs.mkdir(DISTRIBUTION_DIR, { recursive: true })
-    const checkpointData = await fs.readFile(checkpointFile, 'utf-8')
-    checkpoint = JSON.parse(checkpointData)
-    console.log(`Resuming from checkpoint: ${checkpoint.processedCustomers} customers already processed`)
-    customers.push(...checkpoint.customers)
-    processedCustomers = checkpoint.processedCustomers
-    console.log()
-  } catch (error) {
-    // No checkpoint exists, start fresh
-  }
-  
   // Process customers in batches
-  for (let i = checkpoint.processedCustomers; i < customerEntries.length; i += concurrency) {
+  for (let i = 0; i < customerEntries.length; i += concurrency) {
     const batch = customerEntries.slice(i, i + concurrency)
     
     const batchStartTime = Date.now()
@@ -356,10 +430,31 @@ async function discoverCustomers({ minUploads = 0, parallelSegments = 4 } = {})
         let spacesProcessed = 0
         let emptySpaces = 0
         let spacesWithUploads = 0
+        /** @type {string[]} */
+        const nonEmptySpaces = []
+        // Whether any count differs from the previous run's
+        let changed = false
         
         // Count uploads for each space sequentially per customer to avoid too many parallel queries
         for (const space of spaces) {
-          const count = await countUploadsForSpace(client, space)
+          const cached = counts.spaces[space]
+          // Uploads inserted while counting are picked up by the next run
+          const now = new Date().toISOString()
+          let count
+          if (!cached || isStale(cached.countedAt, maxCountAge)) {
+            count = await countUploadsForSpace(client, space)
+            counts.spaces[space] = { uploads: count, countedAt: now }
+            changed ||= cached?.uploads !== count
+          } else if (isStale(cached.checkedAt ?? cached.countedAt, freshCountAge)) {
+            // One filtered query for the uploads inserted since, instead of a full recount
+            const added = await countUploadsForSpace(client, space, cached.checkedAt ?? cached.countedAt)
+            count = cached.uploads + added
+            counts.spaces[space] = { ...cached, uploads: count, checkedAt: now }
+            changed ||= added > 0
+          } else {
+            count = cached.uploads
+            cachedSpaces++
+          }
           totalUploads += count
           spacesProcessed++
           
@@ -367,6 +462,7 @@ async function discoverCustomers({ minUploads = 0, parallelSegments = 4 } = {})
             emptySpaces++
           } else {
             spacesWithUploads++
+            nonEmptySpaces.push(space)
           }
           
           // Log progress for customers with many spaces
@@ -376,12 +472,29 @@ async function discoverCustomers({ minUploads = 0, parallelSegments = 4 } = {})
           }
         }
         
+        // Shards, bytes and existing indexes of a few uploads (see lib/work-estimate.js),
+        // sampled again when the customer's spaces changed
+        /** @type {WorkSample | undefined} */
+        let work
+        if (sampleUploads > 0) {
+          const cached = counts.samples[customer]
+          if (cached && !changed && !isStale(cached.sampledAt, maxCountAge) &&
+              cached.uploads >= Math.min(sampleUploads, totalUploads)) {
+            const { sampledAt, ...sample } = cached
+            work = sample
+          } else {
+            work = await sampleCustomerWork(nonEmptySpaces, { limit: sampleUploads })
+            counts.samples[customer] = { ...work, sampledAt: new Date().toISOString() }
+          }
+        }
+        
         return {
           customer,
           uploadCount: totalUploads,
           spaceCount: spacesWithUploads, // Spaces with uploads
           emptySpaceCount: emptySpaces, // Spaces without uploads
           totalSpaceCount: spaces.size, // All spaces
+          work,
         }
       })
     )
@@ -390,34 +503,24 @@ async function discoverCustomers({ minUploads = 0, parallelSegments = 4 } = {})
     
     customers.push(...batchResults)
     processedCustomers += batch.length
-    // @ts-ignore - batch is array of entries [customer, spaces]
     totalSpacesProcessed += batch.reduce((sum, [, spaces]) => sum + spaces.size, 0)
     
     const pct = ((processedCustomers / totalCustomers) * 100).toFixed(1)
     const elapsed = ((Date.now() - countStartTime) / 1000).toFixed(1)
     const rate = (processedCustomers / (Date.now() - countStartTime) * 1000).toFixed(1)
-    console.log(`  ${processedCustomers.toLocaleString()}/${totalCustomers.toLocaleString()} customers (${pct}%) | ${totalSpacesProcessed.toLocaleString()} spaces | ${elapsed}s | ${rate} customers/s | batch: ${batchElapsed}s`)
+    console.log(`  ${processedCustomers.toLocaleString()}/${totalCustomers.toLocaleString()} customers (${pct}%) | ${totalSpacesProcessed.toLocaleString()} spaces (${cachedSpaces.toLocaleString()} cached) | ${elapsed}s | ${rate} customers/s | batch: ${batchElapsed}s`)
     
-    // Save checkpoint every 10 batches
+    // Save counts every 10 batches
     if (processedCustomers % (concurrency * 10) === 0) {
-      await fs.writeFile(checkpointFile, JSON.stringify({
-        processedCustomers,
-        customers,
-        timestamp: new Date().toISOString()
-      }, null, 2))
+      await checkpoint.saveCounts(counts)
     }
   }
   
-  // Clean up checkpoint file on completion
-  try {
-    await fs.unlink(checkpointFile)
-  } catch (error) {
-    // Ignore if file doesn't exist
-  }
+  await checkpoint.saveCounts(counts)
   
   const totalElapsed = ((Date.now() - startTime) / 1000).toFixed(1)
   console.log()
-  console.log(`✓ Upload counting complete in ${totalElapsed}s`)
+  console.log(`✓ Upload counting complete in ${totalElapsed}s (${cachedSpaces.toLocaleString()} space counts reused)`)
   console.log()
   
   // Filter and sort
@@ -436,7 +539,7 @@ async function discoverCustomers({ minUploads = 0, parallelSegments = 4 } = {})
 
 /**
  * Analyze customer distribution statistics
- * @param {Array<{customer: string, uploadCount: number, spaceCount: number, emptySpaceCount?: number, totalSpaceCount?: number}>} customers
+ * @param {Array<{customer: string, uploadCount: number, spaceCount: number, emptySpaceCount?: number, totalSpaceCount?: number, work?: WorkSample}>} customers
  */
 function analyzeDistribution(customers) {
   console.log('Customer Distribution Analysis')
@@ -460,6 +563,20 @@ function analyzeDistribution(customers) {
   console.log(`Average spaces/customer: ${avgSpacesPerCustomer.toFixed(1)}`)
   console.log()
   
+  // Work model from the sampled uploads
+  const sample = combineSamples(customers.map(c => c.work))
+  if (sample.uploads > 0) {
+    const sampled = customers.filter(c => c.work && c.work.uploads > 0).length
+    console.log(`Sampled uploads: ${sample.uploads.toLocaleString()} (${sampled.toLocaleString()} customers)`)
+    console.log(`  Avg shards/upload: ${(sample.shards / sample.uploads).toFixed(2)}`)
+    console.log(`  Avg shard bytes/upload: ${(sample.bytes / sample.uploads / 1024 / 1024).toFixed(1)} MiB`)
+    console.log(`  Already indexed: ${((sample.indexed / sample.uploads) * 100).toFixed(1)}%`)
+    console.log(`  Estimated time/upload: ${estimateSecondsPerUpload(sample).toFixed(2)}s per worker`)
+  } else {
+    console.log(`No uploads sampled: estimating ${estimateSecondsPerUpload(undefined).toFixed(2)}s per upload per worker`)
+  }
+  console.log()
+  
   // Top customers
   console.log('Top 100 Customers by Upload Count:')
   console.log('-'.repeat(70))
@@ -493,13 +610,17 @@ function analyzeDistribution(customers) {
 /**
  * Distribute customers across instances using greedy load balancing
  * 
- * @param {Array<{customer: string, uploadCount: number, spaceCount: number, emptySpaceCount?: number, totalSpaceCount?: number}>} customers - Array of customer objects
+ * Customers are balanced on their estimated worker time (see lib/work-estimate.js):
+ * the longest customers are placed first, each on the instance with the least
+ * work so far. Customers without a sample are estimated from the fleet-wide sample.
+ * 
+ * @param {Array<{customer: string, uploadCount: number, spaceCount: number, emptySpaceCount?: number, totalSpaceCount?: number, work?: WorkSample}>} customers - Array of customer objects
  * @param {number} numInstances - Number of instances
- * @returns {Array<{instanceId: number, customers: Array<string>, totalUploads: number, totalSpaces: number, totalEmptySpaces: number, totalAllSpaces: number}>}
+ * @returns {Array<{instanceId: number, customers: Array<string>, totalUploads: number, totalSpaces: number, totalEmptySpaces: number, totalAllSpaces: number, estimatedSeconds: number}>}
  */
 function distributeCustomers(customers, numInstances) {
   // Initialize instances
-  /** @type {Array<{instanceId: number, customers: Array<string>, totalUploads: number, totalSpaces: number, totalEmptySpaces: number, totalAllSpaces: number}>} */
+  /** @type {Array<{instanceId: number, customers: Array<string>, totalUploads: number, totalSpaces: number, totalEmptySpaces: number, totalAllSpaces: number, estimatedSeconds: number}>} */
   const instances = Array(numInstances).fill(null).map((_, i) => ({
     instanceId: i + 1,
     customers: [],
@@ -507,12 +628,18 @@ function distributeCustomers(customers, numInstances) {
     totalSpaces: 0,
     totalEmptySpaces: 0,
     totalAllSpaces: 0,
+    estimatedSeconds: 0,
   }))
   
-  // Greedy assignment: assign each customer to instance with least load
-  for (const customer of customers) {
+  const fleetSample = combineSamples(customers.map(c => c.work))
+  const byEstimate = customers
+    .map(customer => ({ customer, seconds: estimateCustomerSeconds(customer, fleetSample) }))
+    .sort((a, b) => b.seconds - a.seconds)
+  
+  // Greedy assignment: assign each customer to instance with least estimated work
+  for (const { customer, seconds } of byEstimate) {
     const lightestInstance = instances.reduce((minIdx, inst, idx) => 
-      inst.totalUploads < instances[minIdx].totalUploads ? idx : minIdx
+      inst.estimatedSeconds < instances[minIdx].estimatedSeconds ? idx : minIdx
     , 0)
     
     instances[lightestInstance].customers.push(customer.customer)
@@ -520,6 +647,7 @@ function distributeCustomers(customers, numInstances) {
     instances[lightestInstance].totalSpaces += customer.spaceCount
     instances[lightestInstance].totalEmptySpaces += customer.emptySpaceCount || 0
     instances[lightestInstance].totalAllSpaces += customer.totalSpaceCount || customer.spaceCount
+    instances[lightestInstance].estimatedSeconds += seconds
   }
   
   return instances
@@ -527,7 +655,7 @@ function distributeCustomers(customers, numInstances) {
 
 /**
  * Print distribution summary
- * @param {Array<{instanceId: number, customers: Array<string>, totalUploads: number, totalSpaces: number, totalEmptySpaces: number, totalAllSpaces: number}>} distribution 
+ * @param {Array<{instanceId: number, customers: Array<string>, totalUploads: number, totalSpaces: number, totalEmptySpaces: number, totalAllSpaces: number, estimatedSeconds: number}>} distribution 
  * @param {number} totalUploads 
  * @param {number} workersPerInstance 
  */
@@ -535,8 +663,6 @@ function printDistributionSummary(distribution, totalUploads, workersPerInstance
   console.log('Instance Distribution')
   console.log('='.repeat(70))
   
-  const UPLOADS_PER_MIN_PER_WORKER = 27
-  
   for (const instance of distribution) {
     const pct = totalUploads > 0 ? ((instance.totalUploads / totalUploads) * 100).toFixed(1) : '0.0'
     const avgUploadsPerCustomer = instance.customers.length > 0 ? Math.round(instance.totalUploads / instance.customers.length) : 0
@@ -545,9 +671,7 @@ function printDistributionSummary(distribution, totalUploads, workersPerInstance
       : '0.0'
     
     // Time estimate for this instance
-    const uploadsPerWorker = instance.totalUploads / workersPerInstance
-    const minutesRequired = uploadsPerWorker / UPLOADS_PER_MIN_PER_WORKER
-    const hoursRequired = minutesRequired / 60
+    const hoursRequired = instance.estimatedSeconds / workersPerInstance / 3600
     const daysRequired = hoursRequired / 24
     
     console.log(`Instance ${instance.instanceId}:`)
@@ -566,45 +690,56 @@ function printDistributionSummary(distribution, totalUploads, workersPerInstance
   const minUploads = Math.min(...uploadsPerInstance)
   const maxUploads = Math.max(...uploadsPerInstance)
   const avgUploads = uploadsPerInstance.length > 0 ? uploadsPerInstance.reduce((a, b) => a + b, 0) / uploadsPerInstance.length : 0
-  const variance = avgUploads > 0 ? ((maxUploads - minUploads) / avgUploads * 100).toFixed(1) : '0.0'
+  const hoursPerInstance = distribution.map(i => i.estimatedSeconds / workersPerInstance / 3600)
+  const minHours = Math.min(...hoursPerInstance)
+  const maxHours = Math.max(...hoursPerInstance)
+  const avgHours = hoursPerInstance.length > 0 ? hoursPerInstance.reduce((a, b) => a + b, 0) / hoursPerInstance.length : 0
+  const variance = avgHours > 0 ? ((maxHours - minHours) / avgHours * 100).toFixed(1) : '0.0'
   
   console.log('Load Balance:')
   console.log(`  Min uploads/instance: ${minUploads.toLocaleString()}`)
   console.log(`  Max uploads/instance: ${maxUploads.toLocaleString()}`)
   console.log(`  Avg uploads/instance: ${Math.round(avgUploads).toLocaleString()}`)
+  console.log(`  Estimated time/instance: ${minHours.toFixed(1)}-${maxHours.toFixed(1)} hours`)
   console.log(`  Variance: ${variance}%`)
   console.log()
 }
 
 /**
  * Estimate migration time
- * @param {Array<{instanceId: number, customers: Array<string>, totalUploads: number}>} distribution 
+ * 
+ * Uses the estimated worker time of the customers (see lib/work-estimate.js),
+ * the same model distributeCustomers balances instances on.
+ * 
+ * @param {Array<{instanceId: number, customers: Array<string>, totalUploads: number, estimatedSeconds: number}>} distribution 
  * @param {number} workersPerInstance 
  */
 function estimateMigrationTime(distribution, workersPerInstance = 10) {
   console.log('Migration Time Estimate')
   console.log('='.repeat(70))
   
-  // From previous measurements: ~27 uploads/min per worker
-  const UPLOADS_PER_MIN_PER_WORKER = 27
+  const totalUploads = distribution.reduce((sum, i) => sum + i.totalUploads, 0)
+  const totalSeconds = distribution.reduce((sum, i) => sum + i.estimatedSeconds, 0)
+  const secondsPerUpload = totalUploads > 0 ? totalSeconds / totalUploads : 0
   
   const totalWorkers = distribution.length * workersPerInstance
-  const throughput = totalWorkers * UPLOADS_PER_MIN_PER_WORKER
+  const throughput = secondsPerUpload > 0 ? Math.round(totalWorkers * 60 / secondsPerUpload) : 0
   
   // Find the instance with most work (critical path)
-  const maxUploads = Math.max(...distribution.map(i => i.totalUploads))
-  const uploadsPerWorker = maxUploads / workersPerInstance
-  const minutesRequired = uploadsPerWorker / UPLOADS_PER_MIN_PER_WORKER
+  const critical = distribution.reduce((max, i) => i.estimatedSeconds > max.estimatedSeconds ? i : max, distribution[0])
+  const minutesRequired = critical.estimatedSeconds / workersPerInstance / 60
   const hoursRequired = minutesRequired / 60
   const daysRequired = hoursRequired / 24
   
   console.log(`Workers per instance: ${workersPerInstance}`)
   console.log(`Total workers: ${totalWorkers}`)
+  console.log(`Estimated time/upload: ${secondsPerUpload.toFixed(2)}s per worker`)
   console.log(`Combined throughput: ${throughput.toLocaleString()} uploads/min`)
   console.log()
   console.log(`Critical path (slowest instance):`)
-  console.log(`  Uploads: ${maxUploads.toLocaleString()}`)
-  console.log(`  Time: ${minutesRequired.toLocaleString()} minutes`)
+  console.log(`  Instance: ${critical.instanceId}`)
+  console.log(`  Uploads: ${critical.totalUploads.toLocaleString()}`)
+  console.log(`  Time: ${Math.round(minutesRequired).toLocaleString()} minutes`)
   console.log(`       = ${hoursRequired.toFixed(1)} hours`)
   console.log(`       = ${daysRequired.toFixed(1)} days`)
   console.log()
@@ -613,8 +748,7 @@ function estimateMigrationTime(distribution, workersPerInstance = 10) {
   console.log('Time estimates for different worker counts:')
   console.log('-'.repeat(70))
   for (const workers of [5, 10, 15, 20]) {
-    const mins = (maxUploads / workers) / UPLOADS_PER_MIN_PER_WORKER
-    const hours = mins / 60
+    const hours = critical.estimatedSeconds / workers / 3600
     const days = hours / 24
     console.log(`  ${String(workers).padStart(2)} workers/instance: ${String(days.toFixed(1)).padStart(5)} days (${String(hours.toFixed(1)).padStart(6)} hours) | Total workers: ${workers * distribution.length}`)
   }
@@ -633,14 +767,15 @@ function estimateMigrationTime(distribution, workersPerInstance = 10) {
     { instances: 10, workers: 15, name: 'Double Instances + More Workers' },
   ]
   
+  // Assumes the work balances as well as in this distribution
+  const imbalance = totalSeconds > 0 ? critical.estimatedSeconds / (totalSeconds / distribution.length) : 1
+  
   for (const scenario of scenarios) {
     const totalWorkers = scenario.instances * scenario.workers
-    const uploadsPerInstance = maxUploads // Assumes similar distribution
-    const uploadsPerWorker = uploadsPerInstance / scenario.workers
-    const mins = uploadsPerWorker / UPLOADS_PER_MIN_PER_WORKER
-    const hours = mins / 60
+    const secondsPerInstance = (totalSeconds / scenario.instances) * imbalance
+    const hours = secondsPerInstance / scenario.workers / 3600
     const days = hours / 24
-    const throughput = totalWorkers * UPLOADS_PER_MIN_PER_WORKER
+    const throughput = secondsPerUpload > 0 ? Math.round(totalWorkers * 60 / secondsPerUpload) : 0
     
     console.log(`Scenario: ${scenario.name}`)
     console.log(`  Configuration: ${scenario.instances} instances × ${scenario.workers} workers = ${totalWorkers} total workers`)
@@ -653,8 +788,8 @@ function estimateMigrationTime(distribution, workersPerInstance = 10) {
 
 /**
  * Save distribution to files and DynamoDB
- * @param {Array<{instanceId: number, customers: Array<string>, totalUploads: number, totalSpaces: number, totalEmptySpaces: number, totalAllSpaces: number}>} distribution 
- * @param {Array<{customer: string, uploadCount: number, spaceCount: number, emptySpaceCount?: number, totalSpaceCount?: number}>} customerData - Full customer data for DynamoDB
+ * @param {Array<{instanceId: number, customers: Array<string>, totalUploads: number, totalSpaces: number, totalEmptySpaces: number, totalAllSpaces: number, estimatedSeconds: number}>} distribution 
+ * @param {Array<{customer: string, uploadCount: number, spaceCount: number, emptySpaceCount?: number, totalSpaceCount?: number, work?: WorkSample}>} customerData - Full customer data for DynamoDB
  * @param {string} [filter] - Filter used (e.g., 'storacha.network')
  */
 async function saveDistribution(distribution, customerData, filter) {
@@ -714,8 +849,9 @@ async function saveDistribution(distribution, customerData, filter) {
     }
     
     // Batch write to DynamoDB
-    await batchAssignCustomers(allCustomerRecords)
-    console.log(`✓ ${allCustomerRecords.length} customers saved to DynamoDB (${config.tables.migrationCustomers})`)
+    const assigned = await batchAssignCustomers(allCustomerRecords)
+    console.log(`✓ ${assigned} customers saved to DynamoDB (${config.tables.migrationCustomers})`)
+    printKeptCustomers(allCustomerRecords.length - assigned)
   } catch (error) {
     console.error(`⚠ Failed to save to DynamoDB: ${/** @type {Error} */ (error).message}`)
     console.error('  Local files were saved successfully. You can retry DynamoDB later.')
@@ -724,11 +860,53 @@ async function saveDistribution(distribution, customerData, filter) {
   console.log()
 }
 
+/**
+ * Report customers a previous distribution already handed to a worker
+ * 
+ * @param {number} kept - Customers left as they are (not pending anymore)
+ */
+function printKeptCustomers(kept) {
+  if (kept > 0) {
+    console.log(`  ${kept} customers already started, completed, failed or skipped were left as they are`)
+  }
+}
+
+/**
+ * Save customers to the work queue in DynamoDB
+ * 
+ * Customers are stored as pending without an instance: each instance run with
+ * --queue claims the next pending customer when it is ready for more work.
+ * 
+ * @param {Array<{customer: string, uploadCount: number, spaceCount: number, emptySpaceCount?: number, totalSpaceCount?: number, work?: WorkSample}>} customerData
+ * @param {string} [filter] - Filter used (e.g., 'storacha.network')
+ */
+async function saveWorkQueue(customerData, filter) {
+  console.log('Saving customers to the work queue in DynamoDB...')
+  console.log('='.repeat(70))
+  
+  try {
+    const queued = await batchAssignCustomers(customerData.map(data => ({
+      customer: data.customer,
+      totalSpaces: data.totalSpaceCount || data.spaceCount,
+      totalUploads: data.uploadCount,
+      filter: filter || undefined,
+    })))
+    console.log(`✓ ${queued} customers queued in DynamoDB (${config.tables.migrationCustomers})`)
+    printKeptCustomers(customerData.length - queued)
+  } catch (error) {
+    console.error(`⚠ Failed to save to DynamoDB: ${/** @type {Error} */ (error).message}`)
+    process.exit(1)
+  }
+  
+  console.log()
+}
+
 /**
  * Print usage instructions
  * @param {number} numInstances 
+ * @param {boolean} [queue] - Instances claim customers from the work queue
  */
-function printUsageInstructions(numInstances) {
+function printUsageInstructions(numInstances, queue = false) {
   console.log('Next Steps')
   console.log('='.repeat(70))
   console.log()
@@ -736,7 +914,7 @@ function printUsageInstructions(numInstances) {
   console.log()
   
   for (let i = 1; i <= numInstances; i++) {
-    console.log(`  EC2 Instance ${i}: node src/migrate-instance.js --instance ${i}`)
+    console.log(`  EC2 Instance ${i}: node src/migrate-instance.js --instance ${i}${queue ? ' --queue' : ''}`)
   }
   
   console.log()
@@ -766,6 +944,30 @@ async function main() {
         default: '0',
         description: 'Minimum uploads to include customer',
       },
+      'sample-uploads': {
+        type: 'string',
+        default: '3',
+        description: 'Uploads sampled per customer (shards, bytes, existing index) to estimate its work; 0 balances on upload counts',
+      },
+      rescan: {
+        type: 'boolean',
+        default: false,
+        description: 'Scan the consumer table again instead of reusing the last complete scan (space counts are kept)',
+      },
+      'rescan-older-than': {
+        type: 'string',
+        default: '24',
+        description: 'Scan the consumer table again when the last complete scan is more than this many hours old',
+      },
+      'reuse-counts-for': {
+        type: 'string',
+        default: '24',
+        description: 'Use space counts younger than this many hours as they are; older ones get their new uploads added',
+      },
+      'recount-older-than': {
+        type: 'string',
+        description: 'Recount spaces counted more than this many hours ago (default: never, new uploads are added to the count; 0 recounts all)',
+      },
       'workers-per-instance': {
         type: 'string',
         short: 'w',
@@ -783,6 +985,15 @@ async function main() {
         short: 'f',
         description: 'Only include customers matching pattern (e.g., storacha.network)',
       },
+      queue: {
+        type: 'boolean',
+        default: false,
+        description: 'Queue customers in DynamoDB for instances to claim instead of writing per-instance files',
+      },
+      policy: {
+        type: 'string',
+        description: 'Policy file of customers and spaces to skip (default: migration-policy.json; also MIGRATION_POLICY)',
+      },
     },
   })
   
@@ -793,11 +1004,18 @@ async function main() {
   const minUploads = parseInt(values['min-uploads'], 10)
   const parallelSegments = Math.max(1, Math.min(10, parseInt(values['parallel-segments'], 10)))
   const workersPerInstance = parseInt(values['workers-per-instance'], 10)
+  const sampleUploads = Math.max(0, parseInt(values['sample-uploads'], 10))
+  const maxScanAge = parseFloat(values['rescan-older-than']) * 60 * 60 * 1000
+  const freshCountAge = parseFloat(values['reuse-counts-for']) * 60 * 60 * 1000
+  const maxCountAge = values['recount-older-than'] !== undefined
+    ? parseFloat(values['recount-older-than']) * 60 * 60 * 1000
+    : undefined
   
   // Set include filter if provided
   if (values.filter) {
     INCLUDE_LIST = values.filter.split(',').map(f => f.trim())
   }
+  const policy = await loadMigrationPolicy(values.policy)
   
   console.log()
   console.log('Legacy Content Migration - Setup Distribution')
@@ -806,8 +1024,9 @@ async function main() {
   console.log(`Region: ${config.aws.region}`)
   console.log(`Consumer Table: ${config.tables.consumer}`)
   console.log(`Upload Table: ${config.tables.upload}`)
-  console.log(`Skip List: ${SKIP_LIST.length > 0 ? SKIP_LIST.join(', ') : '(none)'}`)
+  console.log(`Policy: ${policy.describe()}`)
   console.log(`Include Filter: ${INCLUDE_LIST.length > 0 ? INCLUDE_LIST.join(', ') : '(all customers)'}`)
+  console.log(`Sampled uploads/customer: ${sampleUploads > 0 ? sampleUploads : '(none, balance on upload counts)'}`)
   console.log()
 
   // Ask for confirmation
@@ -831,7 +1050,18 @@ async function main() {
   }
   
   // Discover customers
-  const customers = await discoverCustomers({ minUploads, parallelSegments })
+  const customers = await discoverCustomers({
+    minUploads,
+    parallelSegments,
+    sampleUploads,
+    rescan: values.rescan,
+    maxScanAge,
+    freshCountAge,
+    maxCountAge,
+    policy,
+  })
+  printSkippedItems(policy)
+  console.log()
   
   // Analyze distribution
   const stats = analyzeDistribution(customers)
@@ -849,16 +1079,21 @@ async function main() {
     return
   }
   
+  // With --queue the greedy split is only a plan: instances claim customers as they go
   const distribution = distributeCustomers(customers, numInstances)
   printDistributionSummary(distribution, stats.totalUploads, workersPerInstance)
   estimateMigrationTime(distribution, workersPerInstance)
   
   // Save to files and DynamoDB
   const filterStr = INCLUDE_LIST.length > 0 ? INCLUDE_LIST.join(',') : undefined
-  await saveDistribution(distribution, customers, filterStr)
+  if (values.queue) {
+    await saveWorkQueue(customers, filterStr)
+  } else {
+    await saveDistribution(distribution, customers, filterStr)
+  }
   
   // Print usage instructions
-  printUsageInstructions(numInstances)
+  printUsageInstructions(numInstances, values.queue)
 }
 
 main().catch(error => {
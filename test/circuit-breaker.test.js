@@ -0,0 +1,151 @@
+import { describe, it, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { config } from '../src/config.js'
+import { createCircuitBreaker } from '../src/lib/circuit-breaker.js'
+import { configureHttp } from '../src/lib/http-client.js'
+import { indexingServiceBreaker, indexingServiceFetch } from '../src/lib/indexing-service.js'
+import { mockFetch, quiet } from './helpers.js'
+
+/**
+ * @param {number[]} statuses - Status of each response, in order
+ */
+function respondWith(statuses) {
+  return async () => new Response(null, { status: statuses.shift() ?? 200 })
+}
+
+describe('createCircuitBreaker', () => {
+  it('passes 5xx responses through below the threshold', async () => {
+    const breaker = createCircuitBreaker({ name: 'Test', threshold: 3, probeInterval: 1, probe: async () => true })
+    const fetch = breaker.wrap(respondWith([500, 500, 200, 500, 500]))
+
+    assert.deepEqual(
+      [await fetch(), await fetch(), await fetch(), await fetch(), await fetch()].map((response) => response.status),
+      [500, 500, 200, 500, 500]
+    )
+    // The success reset the count
+    assert.equal(breaker.state, 'closed')
+  })
+
+  it('opens after consecutive 5xx responses and resends once a probe succeeds', async (t) => {
+    quiet(t)
+    let healthy = false
+    const probes = [false, true]
+    const breaker = createCircuitBreaker({
+      name: 'Test',
+      threshold: 2,
+      probeInterval: 5,
+      probe: async () => (healthy = /** @type {boolean} */ (probes.shift())),
+    })
+    const fetch = breaker.wrap(async () => new Response(null, { status: healthy ? 200 : 503 }))
+
+    // The first 5xx goes to the caller, the second opens the circuit and waits
+    assert.equal((await fetch()).status, 503)
+    const pending = fetch()
+    await new Promise((resolve) => setImmediate(resolve))
+    assert.equal(breaker.state, 'open')
+    // New requests wait too
+    const waiting = fetch()
+
+    assert.deepEqual([(await pending).status, (await waiting).status], [200, 200])
+    assert.equal(breaker.state, 'closed')
+    assert.equal(probes.length, 0)
+    assert.equal(breaker.stats.opened, 1)
+  })
+
+  it('counts requests without a response as failures', async (t) => {
+    quiet(t)
+    const breaker = createCircuitBreaker({ name: 'Test', threshold: 2, probeInterval: 5, probe: async () => true })
+    let calls = 0
+    const fetch = breaker.wrap(async () => {
+      if (++calls <= 2) throw new TypeError('fetch failed')
+      return new Response('ok')
+    })
+
+    await assert.rejects(fetch(), /fetch failed/)
+    assert.equal(await (await fetch()).text(), 'ok')
+    assert.equal(breaker.stats.opened, 1)
+  })
+  it('returns responses that arrive while the circuit is open', async (t) => {
+    quiet(t)
+    const breaker = createCircuitBreaker({ name: 'Test', threshold: 1, probeInterval: 5, probe: async () => true })
+    /** @type {(response: Response) => void} */
+    let respond = () => {}
+    let calls = 0
+    const fetch = breaker.wrap(async () => {
+      if (++calls === 1) return new Promise((resolve) => { respond = resolve })
+      return new Response(null, { status: calls === 2 ? 503 : 200 })
+    })
+
+    const inFlight = fetch()
+    // The second request opens the circuit, then the first one succeeds
+    const resent = fetch()
+    await new Promise((resolve) => setImmediate(resolve))
+    assert.equal(breaker.state, 'open')
+    respond(new Response('ok'))
+
+    assert.equal(await (await inFlight).text(), 'ok')
+    assert.equal((await resent).status, 200)
+    // Only the 503 was resent
+    assert.equal(calls, 3)
+  })
+
+  it('tells a caller whether the 5xx it got was the service being down', async (t) => {
+    quiet(t)
+    const probes = [true, false]
+    const breaker = createCircuitBreaker({
+      name: 'Test',
+      threshold: 3,
+      probeInterval: 5,
+      probe: async () => /** @type {boolean} */ (probes.shift() ?? true),
+    })
+    const fetch = breaker.wrap(respondWith([500, 500, 500]))
+
+    // Nothing counted: the failure was not the service
+    assert.equal(await breaker.isDown(), false)
+    assert.equal(probes.length, 2)
+
+    // The service answers the probe: the 500 was the request's own
+    assert.equal((await fetch()).status, 500)
+    assert.equal(await breaker.isDown(), false)
+    assert.equal(breaker.state, 'closed')
+
+    // It doesn't: the failed probe counts toward the threshold, the next 500 opens the circuit
+    assert.equal((await fetch()).status, 500)
+    assert.equal(await breaker.isDown(), true)
+    const resent = fetch()
+    await new Promise((resolve) => setImmediate(resolve))
+    assert.equal(breaker.state, 'open')
+    assert.equal(await breaker.isDown(), true)
+
+    assert.equal((await resent).status, 200)
+    assert.equal(await breaker.isDown(), false)
+  })
+})
+
+describe('indexing service circuit breaker', () => {
+  before(() => {
+    configureHttp({ retries: 0 })
+    indexingServiceBreaker.configure({ threshold: 2, probeInterval: 5 })
+  })
+  after(() => {
+    configureHttp(config.http)
+    indexingServiceBreaker.configure(config.services.circuitBreaker)
+  })
+
+  it('pauses indexing service requests during an outage', async (t) => {
+    quiet(t)
+    const claims = `${config.services.indexingServiceURL}/claims?multihash=z`
+    // 2 failed queries, 2 probes (the service comes back on the second), the resent query
+    const statuses = [500, 500, 502, 200, 200]
+    const requests = mockFetch(t, async () => new Response(null, { status: statuses.shift() }))
+
+    assert.equal((await indexingServiceFetch(claims)).status, 500)
+    assert.equal((await indexingServiceFetch(claims)).status, 200)
+
+    assert.equal(indexingServiceBreaker.state, 'closed')
+    assert.equal(indexingServiceBreaker.stats.opened, 1)
+    assert.equal(requests.length, 5)
+    // Probes query claims like the migration does, not the root URL
+    assert.deepEqual(requests.map(({ url }) => url.pathname), Array(5).fill('/claims'))
+  })
+})
@@ -0,0 +1,82 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { base58btc } from 'multiformats/bases/base58'
+import { CID } from 'multiformats/cid'
+import { sha256 } from 'multiformats/hashes/sha2'
+import * as ed25519 from '@ucanto/principal/ed25519'
+import { DID } from '@ucanto/core'
+import { claimHasSpace, getSpaceFromCapability, findClaimsForShard } from '../src/lib/claim-utils.js'
+
+const space = await ed25519.generate()
+const other = await ed25519.generate()
+
+/** Space as multicodec public key bytes, the way some claims carry it */
+const spaceBytes = base58btc.decode(space.did().slice('did:key:'.length))
+
+describe('claimHasSpace', () => {
+  it('matches a string space', () => {
+    assert.equal(claimHasSpace({ space: space.did() }, space.did()), true)
+    assert.equal(claimHasSpace({ space: other.did() }, space.did()), false)
+  })
+
+  it('matches a space given as public key bytes', () => {
+    assert.equal(claimHasSpace({ space: spaceBytes }, space.did()), true)
+    assert.equal(claimHasSpace({ space: spaceBytes }, other.did()), false)
+  })
+
+  it('matches a principal with did()', () => {
+    assert.equal(claimHasSpace({ space: DID.parse(space.did()) }, space.did()), true)
+    assert.equal(claimHasSpace({ space: DID.parse(other.did()) }, space.did()), false)
+  })
+
+  it('matches an object with a did string', () => {
+    assert.equal(claimHasSpace({ space: { did: space.did() } }, space.did()), true)
+  })
+
+  it('is false without a space', () => {
+    assert.equal(claimHasSpace({}, space.did()), false)
+    assert.equal(claimHasSpace({ space: null }, space.did()), false)
+    assert.equal(claimHasSpace({ space: 42 }, space.did()), false)
+  })
+})
+
+describe('getSpaceFromCapability', () => {
+  it('extracts every space format', () => {
+    assert.equal(getSpaceFromCapability({ nb: { space: space.did() } }), space.did())
+    assert.equal(getSpaceFromCapability({ nb: { space: spaceBytes } }), space.did())
+    assert.equal(getSpaceFromCapability({ nb: { space: DID.parse(space.did()) } }), space.did())
+    assert.equal(getSpaceFromCapability({ nb: { space: { did: space.did() } } }), space.did())
+  })
+
+  it('is null without a space', () => {
+    assert.equal(getSpaceFromCapability({}), null)
+    assert.equal(getSpaceFromCapability({ nb: {} }), null)
+  })
+})
+
+describe('findClaimsForShard', async () => {
+  const shard = CID.create(1, 0x0202, await sha256.digest(new TextEncoder().encode('shard')))
+  const otherShard = CID.create(1, 0x0202, await sha256.digest(new TextEncoder().encode('other')))
+
+  it('matches content by multihash, digest or raw digest bytes', () => {
+    const claims = [
+      { id: 'multihash', content: { multihash: shard.multihash } },
+      { id: 'digest', content: { digest: shard.multihash } },
+      { id: 'raw', content: { digest: shard.multihash.bytes } },
+      { id: 'other', content: { multihash: otherShard.multihash } },
+      { id: 'no-content' },
+      { id: 'empty-content', content: {} },
+    ]
+    assert.deepEqual(
+      findClaimsForShard(claims, shard.toString()).map((claim) => claim.id),
+      ['multihash', 'digest', 'raw']
+    )
+  })
+
+  it('matches a shard given as a CIDv0 or with another codec', () => {
+    const claims = [{ content: { multihash: shard.multihash } }]
+    const v0 = CID.createV0(/** @type {any} */ (shard.multihash))
+    assert.equal(findClaimsForShard(claims, v0.toString()).length, 1)
+    assert.equal(findClaimsForShard(claims, CID.create(1, 0x55, shard.multihash).toString()).length, 1)
+  })
+})
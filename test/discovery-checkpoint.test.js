@@ -0,0 +1,55 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { mkdtemp, rm, readdir } from 'node:fs/promises'
+import { tmpdir } from 'node:os'
+import path from 'node:path'
+import { createDiscoveryCheckpoint, isStale } from '../src/lib/stores/discovery-checkpoint.js'
+
+describe('discovery checkpoints', () => {
+  it('keeps scan segments and counts across runs', async (t) => {
+    const dir = await mkdtemp(path.join(tmpdir(), 'discovery-'))
+    t.after(() => rm(dir, { recursive: true, force: true }))
+    const checkpoint = createDiscoveryCheckpoint({ dir, totalSegments: 4 })
+
+    assert.equal(await checkpoint.loadSegment(1), null)
+    assert.deepEqual(await checkpoint.loadCounts(), { spaces: {}, samples: {} })
+
+    /** @type {import('../src/lib/stores/discovery-checkpoint.js').SegmentCheckpoint} */
+    const segment = {
+      segment: 1,
+      totalSegments: 4,
+      lastEvaluatedKey: { subscription: 'sub-1', provider: 'did:web:up.storacha.network' },
+      done: false,
+      scanned: 1000,
+      customerSpaces: { 'did:mailto:example.com:alice': ['did:key:a1', 'did:key:a2'] },
+      updatedAt: '2025-12-10T12:00:00.000Z',
+    }
+    await checkpoint.saveSegment(segment)
+    const counts = {
+      spaces: { 'did:key:a1': { uploads: 3, countedAt: '2025-12-10T12:00:00.000Z' } },
+      samples: {},
+    }
+    await checkpoint.saveCounts(counts)
+
+    // A new run with the same segment count resumes the segment
+    const rerun = createDiscoveryCheckpoint({ dir, totalSegments: 4 })
+    assert.deepEqual(await rerun.loadSegment(1), segment)
+    assert.deepEqual(await rerun.loadCounts(), counts)
+    // A different segment count scans again
+    assert.equal(await createDiscoveryCheckpoint({ dir, totalSegments: 8 }).loadSegment(1), null)
+
+    await rerun.clearScan()
+    assert.equal(await rerun.loadSegment(1), null)
+    assert.deepEqual(await rerun.loadCounts(), counts)
+    assert.deepEqual(await readdir(dir), ['counts.json'])
+  })
+
+  it('tells stale counts from fresh ones', () => {
+    const now = Date.parse('2025-12-10T12:00:00Z')
+    const hour = 60 * 60 * 1000
+    assert.equal(isStale('2025-12-09T12:00:00Z', undefined, now), false)
+    assert.equal(isStale('2025-12-09T12:00:00Z', 48 * hour, now), false)
+    assert.equal(isStale('2025-12-09T12:00:00Z', 24 * hour - 1, now), true)
+    assert.equal(isStale('2025-12-10T12:00:00Z', 0, now), false)
+  })
+})
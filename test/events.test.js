@@ -0,0 +1,29 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { configureEvents, closeEvents, emitEvent } from '../src/lib/events.js'
+
+describe('event log', () => {
+  it('writes NDJSON to stdout and moves console.log to stderr until closed', async (t) => {
+    const log = console.log
+    /** @type {string[]} */
+    const written = []
+    const write = t.mock.method(process.stdout, 'write', (/** @type {string} */ chunk) => {
+      written.push(chunk)
+      return true
+    })
+
+    configureEvents({ instanceId: 'i-1', workerId: '2', eventLog: '-' })
+    assert.equal(console.log, console.error)
+    emitEvent('upload:start', { upload: 'bafyroot1' })
+    write.mock.restore()
+
+    assert.equal(written.length, 1)
+    assert.deepEqual(
+      { ...JSON.parse(written[0]), ts: undefined },
+      { ts: undefined, type: 'upload:start', instanceId: 'i-1', workerId: '2', upload: 'bafyroot1' }
+    )
+
+    await closeEvents()
+    assert.equal(console.log, log)
+  })
+})
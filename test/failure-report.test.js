@@ -0,0 +1,68 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { FAILURE_REASON } from '../src/lib/migration-utils.js'
+import { parseFailureSummary, groupFailuresByReason } from '../src/lib/failure-report.js'
+
+describe('parseFailureSummary', () => {
+  it('parses the failure summary of a space or customer', () => {
+    assert.deepEqual(
+      parseFailureSummary(JSON.stringify({ INDEX_INVALID: 2, LOCATION_CLAIM_FAILED: 1 })),
+      { INDEX_INVALID: 2, LOCATION_CLAIM_FAILED: 1 }
+    )
+  })
+
+  it('counts free-form errors as one unknown error', () => {
+    const unknown = { [FAILURE_REASON.UNKNOWN_ERROR]: 1 }
+    assert.deepEqual(parseFailureSummary('3 space(s) with failures'), unknown)
+    assert.deepEqual(parseFailureSummary('[1, 2]'), unknown)
+    assert.deepEqual(parseFailureSummary(undefined), unknown)
+  })
+})
+
+describe('groupFailuresByReason', () => {
+  it('groups failed spaces by reason, most failures first', () => {
+    const breakdown = groupFailuresByReason([
+      { customer: 'did:mailto:a', space: 'did:key:a1', error: JSON.stringify({ INDEX_INVALID: 1, LOCATION_CLAIM_FAILED: 5 }) },
+      { customer: 'did:mailto:a', space: 'did:key:a2', error: JSON.stringify({ LOCATION_CLAIM_FAILED: 2 }) },
+      { customer: 'did:mailto:b', space: 'did:key:b1', error: JSON.stringify({ LOCATION_CLAIM_FAILED: 10 }) },
+    ])
+
+    assert.deepEqual(breakdown.map(({ reason, uploads }) => [reason, uploads]), [
+      ['LOCATION_CLAIM_FAILED', 17],
+      ['INDEX_INVALID', 1],
+    ])
+    const [claims] = breakdown
+    assert.deepEqual(claims.customers, [
+      { customer: 'did:mailto:b', spaces: 1, uploads: 10 },
+      { customer: 'did:mailto:a', spaces: 2, uploads: 7 },
+    ])
+    assert.deepEqual(claims.spaces.map(({ space }) => space), ['did:key:b1', 'did:key:a1', 'did:key:a2'])
+  })
+
+  it('adds the failures of failed customers their failed spaces do not account for', () => {
+    const breakdown = groupFailuresByReason(
+      [{ customer: 'did:mailto:a', space: 'did:key:a1', error: JSON.stringify({ LOCATION_CLAIM_FAILED: 5 }) }],
+      [
+        // a1 and a space whose progress record is gone
+        { customer: 'did:mailto:a', error: JSON.stringify({ LOCATION_CLAIM_FAILED: 8, INDEX_INVALID: 1 }) },
+        { customer: 'did:mailto:b', error: JSON.stringify({ LOCATION_CLAIM_FAILED: 2 }) },
+        { customer: 'did:mailto:c', error: 'Lease lost' },
+        // Free-form errors of customers with failed spaces are already broken down
+        { customer: 'did:mailto:a', error: '1 space(s) with failures' },
+      ]
+    )
+
+    assert.deepEqual(breakdown.map(({ reason, uploads }) => [reason, uploads]), [
+      ['LOCATION_CLAIM_FAILED', 10],
+      ['INDEX_INVALID', 1],
+      ['UNKNOWN_ERROR', 1],
+    ])
+    const [claims] = breakdown
+    assert.deepEqual(claims.customers, [
+      { customer: 'did:mailto:a', spaces: 1, uploads: 8 },
+      { customer: 'did:mailto:b', spaces: 0, uploads: 2 },
+    ])
+    assert.deepEqual(claims.spaces.map(({ space }) => space), ['did:key:a1'])
+    assert.deepEqual(breakdown[2].customers, [{ customer: 'did:mailto:c', spaces: 0, uploads: 1 }])
+  })
+})
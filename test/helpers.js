@@ -0,0 +1,107 @@
+/**
+ * Test helpers
+ *
+ * Tests run with STORACHA_ENV=local (see the `test` script) and swap the AWS
+ * clients for the in-memory ones from src/lib/local. HTTP services are faked
+ * by mocking the global fetch, or with the local stand-ins for end-to-end
+ * step tests.
+ */
+import { CarWriter } from '@ipld/car/writer'
+import * as dagCBOR from '@ipld/dag-cbor'
+import { CID } from 'multiformats/cid'
+import * as raw from 'multiformats/codecs/raw'
+import { sha256 } from 'multiformats/hashes/sha2'
+import { MemoryDynamoDB, migrationTableSchemas } from '../src/lib/local/memory-dynamodb.js'
+import { MemoryS3, MemorySQS } from '../src/lib/local/memory-s3.js'
+import { setDynamoClient } from '../src/lib/dynamo-client.js'
+import { setClaimStoreClient } from '../src/lib/stores/claim-store.js'
+import { setDelegationStoreClients } from '../src/lib/tables/delegations-table.js'
+import { setIPNIPublishingClients } from '../src/lib/queues/ipni-publishing-queue.js'
+
+/**
+ * Use fresh in-memory DynamoDB tables
+ *
+ * @returns {MemoryDynamoDB}
+ */
+export function useMemoryTables() {
+  const dynamo = new MemoryDynamoDB(migrationTableSchemas())
+  setDynamoClient(/** @type {any} */ (dynamo))
+  return dynamo
+}
+
+/**
+ * Use fresh in-memory S3/R2 buckets and SQS queues
+ *
+ * @returns {{s3: MemoryS3, sqs: MemorySQS}}
+ */
+export function useMemoryBuckets() {
+  const s3 = new MemoryS3()
+  const sqs = new MemorySQS()
+  setClaimStoreClient(/** @type {any} */ (s3))
+  setDelegationStoreClients({ s3Client: /** @type {any} */ (s3), r2Client: /** @type {any} */ (s3) })
+  setIPNIPublishingClients({ sqsClient: /** @type {any} */ (sqs), s3Client: /** @type {any} */ (s3) })
+  return { s3, sqs }
+}
+
+/**
+ * Replace the global fetch for the duration of a test
+ *
+ * @param {import('node:test').TestContext} t
+ * @param {(url: URL, init?: RequestInit) => Response | Promise<Response>} handler
+ * @returns {Array<{url: URL, method: string}>} - Requests made, in order
+ */
+export function mockFetch(t, handler) {
+  /** @type {Array<{url: URL, method: string}>} */
+  const requests = []
+  t.mock.method(globalThis, 'fetch', async (/** @type {any} */ input, /** @type {RequestInit} */ init) => {
+    const url = new URL(input instanceof Request ? input.url : String(input))
+    requests.push({ url, method: init?.method ?? 'GET' })
+    return handler(url, init)
+  })
+  return requests
+}
+
+/**
+ * Silence the migration's console output for the duration of a test
+ *
+ * @param {import('node:test').TestContext} t
+ */
+export function quiet(t) {
+  for (const method of /** @type {const} */ (['log', 'warn', 'error'])) {
+    t.mock.method(console, method, () => {})
+  }
+}
+
+/**
+ * Create a CAR shard: raw blocks plus a dag-cbor root linking to them
+ *
+ * @param {number} [blockCount]
+ * @returns {Promise<{root: CID, shard: CID, car: Uint8Array, blocks: Array<{cid: CID, bytes: Uint8Array}>}>}
+ */
+export async function createShard(blockCount = 5) {
+  const blocks = []
+  for (let i = 0; i < blockCount; i++) {
+    const bytes = new TextEncoder().encode(`block ${i} ${Math.random()}`)
+    blocks.push({ cid: CID.create(1, raw.code, await sha256.digest(bytes)), bytes })
+  }
+  const rootBytes = dagCBOR.encode({ blocks: blocks.map((block) => block.cid) })
+  const root = CID.create(1, dagCBOR.code, await sha256.digest(rootBytes))
+  blocks.unshift({ cid: root, bytes: rootBytes })
+
+  const { writer, out } = CarWriter.create([root])
+  const chunks = []
+  const collect = (async () => {
+    for await (const chunk of out) {
+      chunks.push(chunk)
+    }
+  })()
+  for (const block of blocks) {
+    await writer.put(block)
+  }
+  await writer.close()
+  await collect
+
+  const car = new Uint8Array(Buffer.concat(chunks))
+  const shard = CID.create(1, 0x0202, await sha256.digest(car))
+  return { root, shard, car, blocks }
+}
@@ -0,0 +1,120 @@
+import { describe, it, before, after, beforeEach } from 'node:test'
+import assert from 'node:assert/strict'
+import { config } from '../src/config.js'
+import {
+  httpFetch,
+  configureHttp,
+  getRetryDelay,
+  getHttpMetrics,
+  resetHttpMetrics,
+} from '../src/lib/http-client.js'
+import { mockFetch, quiet } from './helpers.js'
+
+describe('httpFetch', () => {
+  before(() => configureHttp({ retries: 3, minRetryDelay: 1, maxRetryDelay: 5 }))
+  after(() => configureHttp(config.http))
+  beforeEach(() => resetHttpMetrics())
+
+  it('retries 429 and 5xx responses until one succeeds', async (t) => {
+    quiet(t)
+    const statuses = [503, 429, 200]
+    const requests = mockFetch(t, () => new Response('ok', { status: statuses.shift() }))
+
+    const response = await httpFetch('https://worker.example/index/key', { method: 'HEAD' })
+
+    assert.equal(response.status, 200)
+    assert.equal(requests.length, 3)
+    assert.ok(requests.every((request) => request.method === 'HEAD'))
+    assert.deepEqual(getHttpMetrics()['worker.example'].statuses, { 503: 1, 429: 1, 200: 1 })
+    assert.equal(getHttpMetrics()['worker.example'].retries, 2)
+  })
+
+  it('returns the last response once the retries are used up', async (t) => {
+    quiet(t)
+    const requests = mockFetch(t, () => new Response('down', { status: 500 }))
+
+    const response = await httpFetch('https://worker.example/', { retries: 1 })
+
+    assert.equal(response.status, 500)
+    assert.equal(await response.text(), 'down')
+    assert.equal(requests.length, 2)
+  })
+
+  it('does not retry other responses', async (t) => {
+    const requests = mockFetch(t, () => new Response(null, { status: 404 }))
+
+    const response = await httpFetch('https://carpark.example/missing.car', { method: 'HEAD' })
+
+    assert.equal(response.status, 404)
+    assert.equal(requests.length, 1)
+  })
+
+  it('retries network errors and timeouts', async (t) => {
+    quiet(t)
+    let calls = 0
+    mockFetch(t, async (url, init) => {
+      calls++
+      if (calls === 1) throw new TypeError('fetch failed')
+      if (calls === 2) {
+        // Hangs until the attempt times out
+        return new Promise((resolve, reject) => {
+          const pending = setTimeout(resolve, 10_000)
+          init?.signal?.addEventListener('abort', () => {
+            clearTimeout(pending)
+            reject(init.signal?.reason)
+          })
+        })
+      }
+      return new Response('ok')
+    })
+
+    const response = await httpFetch('https://gateway.example/', { timeout: 20 })
+
+    assert.equal(await response.text(), 'ok')
+    const { requests, errors, timeouts } = getHttpMetrics()['gateway.example']
+    assert.deepEqual({ requests, errors, timeouts }, { requests: 3, errors: 2, timeouts: 1 })
+  })
+
+  it('does not retry when the caller aborts', async (t) => {
+    const controller = new AbortController()
+    const requests = mockFetch(t, async (url, init) => {
+      controller.abort()
+      throw init?.signal?.reason
+    })
+
+    await assert.rejects(httpFetch('https://worker.example/', { signal: controller.signal }), { name: 'AbortError' })
+    assert.equal(requests.length, 1)
+  })
+
+  it('does not retry requests with a streaming body', async (t) => {
+    const requests = mockFetch(t, () => new Response(null, { status: 503 }))
+
+    const response = await httpFetch('https://upload.example/', {
+      method: 'PUT',
+      body: new ReadableStream({ start: (controller) => controller.close() }),
+      // @ts-ignore - required by fetch for streaming bodies
+      duplex: 'half',
+    })
+
+    assert.equal(response.status, 503)
+    assert.equal(requests.length, 1)
+  })
+})
+
+describe('getRetryDelay', () => {
+  before(() => configureHttp({ minRetryDelay: 100, maxRetryDelay: 1000 }))
+  after(() => configureHttp(config.http))
+
+  it('jitters over an exponentially growing window', () => {
+    for (let i = 0; i < 20; i++) {
+      assert.ok(getRetryDelay(1) < 100)
+      assert.ok(getRetryDelay(3) < 400)
+      assert.ok(getRetryDelay(10) < 1000)
+    }
+  })
+
+  it('honours Retry-After up to the maximum delay', () => {
+    assert.equal(getRetryDelay(1, new Response(null, { status: 429, headers: { 'retry-after': '0.5' } })), 500)
+    assert.equal(getRetryDelay(1, new Response(null, { status: 429, headers: { 'retry-after': '60' } })), 1000)
+  })
+})
@@ -0,0 +1,165 @@
+import { describe, it, before, after, beforeEach } from 'node:test'
+import assert from 'node:assert/strict'
+import { mkdtemp, rm, readdir } from 'node:fs/promises'
+import { tmpdir } from 'node:os'
+import path from 'node:path'
+import { CarIndexer } from '@ipld/car/indexer'
+import * as dagJSON from '@ipld/dag-json'
+import { config } from '../src/config.js'
+import { MemoryS3 } from '../src/lib/local/memory-s3.js'
+import {
+  configureIndexCache,
+  getIndexCacheLocation,
+  setIndexCacheClient,
+  getIndexCacheKey,
+  getCachedIndex,
+  putCachedIndex,
+  deleteCachedIndex,
+  listCachedIndexes,
+  purgeCachedIndexes,
+} from '../src/lib/stores/index-cache.js'
+import { generateDAGIndex } from '../src/lib/migration-utils.js'
+import { createShard, mockFetch, quiet, useMemoryTables } from './helpers.js'
+
+const root = 'bafyreigdmqpykrgxyaxtlafqpqhzrb7qy2rh75nldvfd4tucqmqqme5yje'
+const shards = [{ cid: 'bagbaieraone' }, { cid: 'bagbaieratwo' }]
+const bytes = new Uint8Array([1, 2, 3])
+
+/**
+ * The same cache behaviour for each backend
+ *
+ * @param {() => string} location
+ */
+function behavesLikeAnIndexCache(location) {
+  beforeEach(() => configureIndexCache(location()))
+
+  it('stores indexes by root and shard set', async () => {
+    assert.equal(await getCachedIndex(root, shards), null)
+
+    await putCachedIndex(root, shards, bytes)
+
+    assert.deepEqual(await getCachedIndex(root, shards), bytes)
+    // Shard order doesn't matter, the shard set does
+    assert.deepEqual(await getCachedIndex(root, [...shards].reverse()), bytes)
+    assert.equal(await getCachedIndex(root, shards.slice(0, 1)), null)
+
+    await deleteCachedIndex(root, shards)
+    assert.equal(await getCachedIndex(root, shards), null)
+  })
+
+  it('lists and purges cached indexes', async () => {
+    await putCachedIndex(root, shards, bytes)
+    await putCachedIndex(root, shards.slice(0, 1), bytes)
+    await putCachedIndex('bafyother', shards, new Uint8Array(10))
+
+    const entries = await listCachedIndexes()
+    assert.equal(entries.length, 3)
+    assert.deepEqual(entries.map((entry) => entry.root).sort(), ['bafyother', root, root])
+    assert.ok(entries.some((entry) => entry.size === 10))
+
+    assert.equal((await purgeCachedIndexes({ before: new Date(0) })).length, 0)
+    assert.equal((await purgeCachedIndexes({ root })).length, 2)
+    assert.deepEqual((await listCachedIndexes()).map((entry) => entry.root), ['bafyother'])
+    assert.equal((await purgeCachedIndexes()).length, 1)
+    assert.deepEqual(await listCachedIndexes(), [])
+  })
+}
+
+describe('index cache', () => {
+  after(() => configureIndexCache(config.migration.indexCache))
+
+  it('is off unless a location is configured', { skip: process.env.INDEX_CACHE !== undefined }, async () => {
+    configureIndexCache(config.migration.indexCache)
+    assert.equal(getIndexCacheLocation(), null)
+
+    await putCachedIndex(root, shards, bytes)
+    assert.equal(await getCachedIndex(root, shards), null)
+    assert.deepEqual(await listCachedIndexes(), [])
+  })
+
+  describe('in a directory', () => {
+    /** @type {string} */
+    let dir
+    before(async () => {
+      dir = await mkdtemp(path.join(tmpdir(), 'index-cache-'))
+    })
+    after(() => rm(dir, { recursive: true, force: true }))
+
+    behavesLikeAnIndexCache(() => dir)
+
+    it('leaves no empty root directories behind', async () => {
+      await putCachedIndex(root, shards, bytes)
+      await deleteCachedIndex(root, shards)
+      assert.deepEqual(await readdir(dir), [])
+    })
+  })
+
+  describe('under an S3 prefix', () => {
+    const s3 = new MemoryS3()
+    before(() => setIndexCacheClient(/** @type {any} */ (s3)))
+    after(() => setIndexCacheClient(null))
+
+    behavesLikeAnIndexCache(() => 's3://index-bucket/cache')
+
+    it('keys objects under the prefix', async () => {
+      await putCachedIndex(root, shards, bytes)
+      assert.deepEqual([...s3.bucket('index-bucket').keys()], [`cache/${await getIndexCacheKey(root, shards)}`])
+      await purgeCachedIndexes()
+    })
+  })
+
+  it('does nothing when off', async () => {
+    configureIndexCache('off')
+    await putCachedIndex(root, shards, bytes)
+    assert.equal(await getCachedIndex(root, shards), null)
+    assert.deepEqual(await listCachedIndexes(), [])
+  })
+})
+
+describe('generateDAGIndex with the index cache', () => {
+  /** @type {string} */
+  let dir
+  before(async () => {
+    dir = await mkdtemp(path.join(tmpdir(), 'index-cache-'))
+  })
+  after(async () => {
+    configureIndexCache(config.migration.indexCache)
+    await rm(dir, { recursive: true, force: true })
+  })
+
+  it('reuses a cached index that still matches the shards', async (t) => {
+    quiet(t)
+    configureIndexCache(dir)
+    const dynamo = useMemoryTables()
+    const space = 'did:key:z6MkhaXgBZDvotDkL5257faiztiGiC2QtKLGpbnnEGta2doK'
+    const { root, shard, car } = await createShard(3)
+    dynamo.seed(config.tables.store, [{ space, link: shard.toString(), size: car.length }])
+    const upload = { space, root: root.toString(), shards: [shard.toString()] }
+
+    // First attempt: indexed by the worker and cached
+    const requests = mockFetch(t, async (url, init) => {
+      if (init?.method === 'HEAD') return new Response(null, { status: 200 })
+      const lines = []
+      for await (const entry of await CarIndexer.fromBytes(car)) {
+        lines.push(`${dagJSON.stringify([entry.cid.multihash.bytes, [entry.blockOffset, entry.blockLength]])}\n`)
+      }
+      return new Response(lines.join(''))
+    })
+    const first = await generateDAGIndex(upload)
+    const workerRequests = requests.length
+    assert.ok(workerRequests > 0)
+    assert.equal((await listCachedIndexes()).length, 1)
+
+    // Retry: no worker requests
+    const second = await generateDAGIndex(upload)
+    assert.equal(requests.length, workerRequests)
+    assert.deepEqual(second.indexBytes, first.indexBytes)
+    assert.equal(second.indexCID.toString(), first.indexCID.toString())
+
+    // A cached index that no longer validates is regenerated
+    await putCachedIndex(upload.root, second.shards, new Uint8Array([1, 2, 3]))
+    const third = await generateDAGIndex(upload)
+    assert.ok(requests.length > workerRequests)
+    assert.deepEqual(third.indexBytes, first.indexBytes)
+  })
+})
@@ -0,0 +1,120 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { CarIndexer } from '@ipld/car/indexer'
+import { ShardedDAGIndex } from '@storacha/blob-index'
+import { validateShardedIndex, assertValidShardedIndex } from '../src/lib/index-validation.js'
+import { FAILURE_REASON, STEP, getStepFailureReason } from '../src/lib/migration-utils.js'
+import { createShard } from './helpers.js'
+
+/**
+ * Archive an index of the given shards, the way generateShardedIndex builds it
+ *
+ * @param {import('multiformats').CID} root
+ * @param {Array<{shard: import('multiformats').CID, car: Uint8Array}>} shards
+ * @param {(slices: Array<{digest: import('multiformats').MultihashDigest, position: [number, number]}>) => typeof slices} [edit] - Change the block slices of each shard
+ */
+async function archiveIndex(root, shards, edit = (slices) => slices) {
+  const index = ShardedDAGIndex.create(root)
+  for (const { shard, car } of shards) {
+    index.setSlice(shard.multihash, shard.multihash, [0, car.length])
+    /** @type {Array<{digest: import('multiformats').MultihashDigest, position: [number, number]}>} */
+    const slices = []
+    for await (const entry of await CarIndexer.fromBytes(car)) {
+      slices.push({ digest: entry.cid.multihash, position: [entry.blockOffset, entry.blockLength] })
+    }
+    for (const { digest, position } of edit(slices)) {
+      index.setSlice(shard.multihash, digest, position)
+    }
+  }
+  const archive = await index.archive()
+  assert.ok(archive.ok)
+  return archive.ok
+}
+
+describe('validateShardedIndex', async () => {
+  const first = await createShard(4)
+  const second = await createShard(2)
+  const shards = [
+    { cid: first.shard.toString(), size: first.car.length },
+    { cid: second.shard.toString(), size: second.car.length },
+  ]
+
+  it('accepts a complete index', async () => {
+    const bytes = await archiveIndex(first.root, [first, second])
+
+    const result = validateShardedIndex(bytes, { root: first.root.toString(), shards })
+
+    assert.deepEqual(result.problems, [])
+    assert.equal(result.valid, true)
+    // 5 + 3 blocks plus a whole-shard slice each
+    assert.equal(result.slices, 10)
+  })
+
+  it('rejects a shard without slices', async () => {
+    const bytes = await archiveIndex(first.root, [first])
+
+    const result = validateShardedIndex(bytes, { root: first.root.toString(), shards })
+
+    assert.equal(result.valid, false)
+    assert.deepEqual(result.problems, [`Shard ${second.shard} has no slices`])
+  })
+
+  it('rejects slices outside the shard', async () => {
+    const bytes = await archiveIndex(first.root, [first, second], (slices) => [
+      ...slices.slice(0, -1),
+      { ...slices[slices.length - 1], position: [slices[slices.length - 1].position[0], 10_000] },
+    ])
+
+    const result = validateShardedIndex(bytes, { root: first.root.toString(), shards })
+
+    assert.equal(result.valid, false)
+    assert.equal(result.problems.length, 2)
+    assert.match(result.problems[0], /is outside the shard size/)
+  })
+
+  it('rejects overlapping slices', async () => {
+    const bytes = await archiveIndex(first.root, [first], (slices) =>
+      slices.map((slice, i) => (i === 1 ? { ...slice, position: [slices[0].position[0] + 1, slice.position[1]] } : slice))
+    )
+
+    const result = validateShardedIndex(bytes, { root: first.root.toString(), shards: shards.slice(0, 1) })
+
+    assert.equal(result.valid, false)
+    assert.equal(result.problems.length, 1)
+    assert.match(result.problems[0], /overlap/)
+  })
+
+  it('rejects an index without the root block', async () => {
+    const bytes = await archiveIndex(first.root, [first], (slices) => slices.slice(1))
+
+    const result = validateShardedIndex(bytes, { root: first.root.toString(), shards: shards.slice(0, 1) })
+
+    assert.deepEqual(result.problems, [`Root block ${first.root} is not in any shard`])
+  })
+
+  it('rejects an index for another root or that cannot be decoded', async () => {
+    const bytes = await archiveIndex(first.root, [first])
+
+    const result = validateShardedIndex(bytes, { root: second.root.toString(), shards: shards.slice(0, 1) })
+    assert.match(result.problems[0], /^Index is for /)
+
+    assert.equal(validateShardedIndex(new Uint8Array([1, 2, 3]), { root: first.root.toString(), shards }).valid, false)
+  })
+})
+
+describe('assertValidShardedIndex', async () => {
+  const { root, shard, car } = await createShard(2)
+
+  it('fails with the INDEX_INVALID failure reason', async () => {
+    const bytes = await archiveIndex(root, [{ shard, car }], () => [])
+
+    assert.throws(
+      () => assertValidShardedIndex(bytes, { root: root.toString(), shards: [{ cid: shard.toString(), size: car.length }] }),
+      (/** @type {any} */ error) => {
+        assert.equal(error.code, FAILURE_REASON.INDEX_INVALID)
+        assert.equal(getStepFailureReason(STEP.INDEX_GENERATION, error), FAILURE_REASON.INDEX_INVALID)
+        return true
+      }
+    )
+  })
+})
@@ -0,0 +1,396 @@
+import { describe, it, before, after, afterEach } from 'node:test'
+import assert from 'node:assert/strict'
+import { mkdtemp, mkdir, rm, writeFile } from 'node:fs/promises'
+import { tmpdir } from 'node:os'
+import path from 'node:path'
+import { CarIndexer } from '@ipld/car/indexer'
+import * as dagJSON from '@ipld/dag-json'
+import { ShardedDAGIndex } from '@storacha/blob-index'
+import { base58btc } from 'multiformats/bases/base58'
+import { config } from '../src/config.js'
+import { generateShardedIndex, configureIndexer } from '../src/lib/index-worker.js'
+import {
+  configureIndexCache,
+  getShardCheckpoint,
+  listShardCheckpoints,
+} from '../src/lib/stores/index-cache.js'
+import { configureHttp } from '../src/lib/http-client.js'
+import { createShard, mockFetch, quiet } from './helpers.js'
+
+/**
+ * Fake index worker serving the given carpark objects, a few blocks per response
+ *
+ * @param {Map<string, Uint8Array>} objects - Carpark key -> bytes
+ * @param {number} blocksPerResponse
+ * @returns {(url: URL, init?: RequestInit) => Promise<Response>}
+ */
+function indexWorker(objects, blocksPerResponse) {
+  return async (url, init) => {
+    assert.equal(url.origin, new URL(config.services.indexWorkerURL).origin)
+    const bytes = objects.get(url.pathname.slice('/index/'.length))
+    if (!bytes) {
+      return new Response('Not Found', { status: 404 })
+    }
+    if (init?.method === 'HEAD') {
+      return new Response(null, { status: 200 })
+    }
+    const offset = Number(url.searchParams.get('offset'))
+    const lines = []
+    for await (const entry of await CarIndexer.fromBytes(bytes)) {
+      if (entry.offset >= offset && lines.length < blocksPerResponse) {
+        lines.push(`${dagJSON.stringify([entry.cid.multihash.bytes, [entry.blockOffset, entry.blockLength]])}\n`)
+      }
+    }
+    return new Response(lines.join(''))
+  }
+}
+
+/**
+ * Block positions of a CAR, keyed by base58btc multihash
+ *
+ * @param {Uint8Array} car
+ */
+async function blockPositions(car) {
+  const positions = new Map()
+  for await (const entry of await CarIndexer.fromBytes(car)) {
+    positions.set(base58btc.encode(entry.cid.multihash.bytes), [entry.blockOffset, entry.blockLength])
+  }
+  return positions
+}
+
+/** @type {string} */
+let cacheDir
+before(async () => {
+  cacheDir = await mkdtemp(path.join(tmpdir(), 'index-worker-cache-'))
+  configureIndexCache(cacheDir)
+  configureHttp({ minRetryDelay: 1, maxRetryDelay: 5 })
+})
+after(async () => {
+  configureHttp({ minRetryDelay: config.http.minRetryDelay, maxRetryDelay: config.http.maxRetryDelay })
+  configureIndexCache(config.migration.indexCache)
+  await rm(cacheDir, { recursive: true, force: true })
+})
+
+/**
+ * Offsets of the index worker GET requests
+ *
+ * @param {Array<{method: string, url: URL}>} requests
+ * @param {string} [shard] - Only requests for this shard
+ */
+function getOffsets(requests, shard) {
+  return requests
+    .filter((request) => request.method === 'GET' && (!shard || request.url.pathname.includes(shard)))
+    .map((request) => Number(request.url.searchParams.get('offset')))
+}
+
+describe('generateShardedIndex', () => {
+  it('indexes a store protocol shard across several worker responses', async (t) => {
+    quiet(t)
+    const { root, shard, car } = await createShard(7)
+    const requests = mockFetch(t, indexWorker(new Map([[`${shard}/${shard}.car`, car]]), 3))
+
+    const result = await generateShardedIndex(root.toString(), [{ cid: shard.toString(), size: car.length }])
+
+    assert.equal(result.indexCID.toString(), root.toString())
+    // 8 blocks, 3 per response
+    assert.equal(result.totalRequests, 3)
+    // Each request resumes after the last block of the previous response
+    const offsets = getOffsets(requests)
+    assert.equal(offsets.length, 3)
+    assert.equal(offsets[0], 0)
+    assert.ok(offsets[0] < offsets[1] && offsets[1] < offsets[2])
+
+    const index = ShardedDAGIndex.extract(result.indexBytes)
+    assert.ok(index.ok)
+    assert.equal(index.ok.content.toString(), root.toString())
+    const slices = index.ok.shards.get(shard.multihash)
+    assert.ok(slices)
+
+    const expected = await blockPositions(car)
+    // The shard itself is indexed as a slice covering the whole CAR
+    expected.set(base58btc.encode(shard.multihash.bytes), [0, car.length])
+    assert.equal(slices.size, expected.size)
+    for (const [digest, position] of slices.entries()) {
+      assert.deepEqual(position, expected.get(base58btc.encode(digest.bytes)))
+    }
+  })
+
+  it('finds blob protocol shards by multihash', async (t) => {
+    quiet(t)
+    const { root, shard, car } = await createShard(2)
+    const key = base58btc.encode(shard.multihash.bytes)
+    const requests = mockFetch(t, indexWorker(new Map([[`${key}/${key}.blob`, car]]), 100))
+
+    const result = await generateShardedIndex(root.toString(), [{ cid: shard.toString(), size: car.length }])
+
+    assert.equal(result.totalRequests, 1)
+    // Probed in order: CID .car, CID .blob, multihash .car, multihash .blob
+    assert.deepEqual(
+      requests.filter((request) => request.method === 'HEAD').map((request) => request.url.pathname),
+      [
+        `/index/${shard}/${shard}.car`,
+        `/index/${shard}/${shard}.blob`,
+        `/index/${key}/${key}.car`,
+        `/index/${key}/${key}.blob`,
+      ]
+    )
+  })
+
+  it('indexes every shard of a multi-shard upload', async (t) => {
+    quiet(t)
+    const first = await createShard(2)
+    const second = await createShard(3)
+    mockFetch(
+      t,
+      indexWorker(
+        new Map([
+          [`${first.shard}/${first.shard}.car`, first.car],
+          [`${second.shard}/${second.shard}.car`, second.car],
+        ]),
+        100
+      )
+    )
+
+    const result = await generateShardedIndex(first.root.toString(), [
+      { cid: first.shard.toString(), size: first.car.length },
+      { cid: second.shard.toString(), size: second.car.length },
+    ])
+
+    const index = ShardedDAGIndex.extract(result.indexBytes)
+    assert.ok(index.ok)
+    assert.equal(index.ok.shards.size, 2)
+    assert.equal(index.ok.shards.get(second.shard.multihash)?.size, 5)
+  })
+
+  it('fails when the shard is not in the carpark', async (t) => {
+    quiet(t)
+    const { root, shard, car } = await createShard(1)
+    mockFetch(t, indexWorker(new Map(), 100))
+
+    await assert.rejects(
+      generateShardedIndex(root.toString(), [{ cid: shard.toString(), size: car.length }]),
+      /Blob not found in carpark/
+    )
+  })
+
+  it('fails when the worker stops returning blocks before the end of the CAR', async (t) => {
+    quiet(t)
+    const { root, shard, car } = await createShard(1)
+    mockFetch(t, async (url, init) =>
+      init?.method === 'HEAD' ? new Response(null, { status: 200 }) : new Response('')
+    )
+
+    await assert.rejects(
+      generateShardedIndex(root.toString(), [{ cid: shard.toString(), size: car.length }]),
+      /server sent no more blocks/
+    )
+  })
+})
+
+describe('generateShardedIndex checkpoints and limits', () => {
+  afterEach(() => configureIndexer({ backend: 'worker' }))
+
+  it('resumes a failed shard from its checkpoint', async (t) => {
+    quiet(t)
+    const { root, shard, car } = await createShard(7)
+    const shards = [{ cid: shard.toString(), size: car.length }]
+    const worker = indexWorker(new Map([[`${shard}/${shard}.car`, car]]), 3)
+
+    // The worker fails after two responses
+    let gets = 0
+    mockFetch(t, async (url, init) =>
+      init?.method !== 'HEAD' && ++gets > 2 ? new Response('Internal Server Error', { status: 500 }) : worker(url, init)
+    )
+    await assert.rejects(generateShardedIndex(root.toString(), shards), /Worker returned 500/)
+    const checkpoint = await getShardCheckpoint(shard.toString())
+    assert.ok(checkpoint)
+    assert.equal(checkpoint.slices.size, 6)
+    t.mock.restoreAll()
+    quiet(t)
+
+    // The retry only asks for the rest of the shard
+    const requests = mockFetch(t, worker)
+    const result = await generateShardedIndex(root.toString(), shards)
+    assert.deepEqual(getOffsets(requests), [checkpoint.offset])
+    assert.equal(result.totalRequests, 1)
+
+    const index = ShardedDAGIndex.extract(result.indexBytes)
+    assert.ok(index.ok)
+    assert.equal(index.ok.shards.get(shard.multihash)?.size, 9)
+    assert.deepEqual(await listShardCheckpoints(), [])
+  })
+
+  it('reuses the shards a failed attempt completed', async (t) => {
+    quiet(t)
+    const first = await createShard(2)
+    const second = await createShard(3)
+    const shards = [
+      { cid: first.shard.toString(), size: first.car.length },
+      { cid: second.shard.toString(), size: second.car.length },
+    ]
+    const objects = new Map([[`${first.shard}/${first.shard}.car`, first.car]])
+    configureIndexer({ backend: 'worker', shardConcurrency: 1 })
+
+    // The second shard is missing from the carpark
+    mockFetch(t, indexWorker(objects, 100))
+    await assert.rejects(generateShardedIndex(first.root.toString(), shards), /Blob not found in carpark/)
+    assert.equal((await listShardCheckpoints()).length, 1)
+    t.mock.restoreAll()
+    quiet(t)
+
+    objects.set(`${second.shard}/${second.shard}.car`, second.car)
+    const requests = mockFetch(t, indexWorker(objects, 100))
+    const result = await generateShardedIndex(first.root.toString(), shards)
+    assert.deepEqual(getOffsets(requests, first.shard.toString()), [])
+    assert.deepEqual(getOffsets(requests, second.shard.toString()), [0])
+
+    const index = ShardedDAGIndex.extract(result.indexBytes)
+    assert.ok(index.ok)
+    assert.equal(index.ok.shards.size, 2)
+    assert.deepEqual(await listShardCheckpoints(), [])
+  })
+
+  it('indexes at most shardConcurrency shards at once', async (t) => {
+    quiet(t)
+    const uploads = await Promise.all([1, 2, 3, 4, 5].map(() => createShard(1)))
+    const worker = indexWorker(new Map(uploads.map(({ shard, car }) => [`${shard}/${shard}.car`, car])), 100)
+    let active = 0
+    let maxActive = 0
+    mockFetch(t, async (url, init) => {
+      if (init?.method === 'HEAD') return worker(url, init)
+      maxActive = Math.max(maxActive, ++active)
+      await new Promise((resolve) => setTimeout(resolve, 10))
+      active--
+      return worker(url, init)
+    })
+    configureIndexer({ backend: 'worker', shardConcurrency: 2 })
+
+    const result = await generateShardedIndex(
+      uploads[0].root.toString(),
+      uploads.map(({ shard, car }) => ({ cid: shard.toString(), size: car.length }))
+    )
+
+    assert.equal(result.totalRequests, 5)
+    assert.equal(maxActive, 2)
+  })
+
+  it('times out index worker requests', async (t) => {
+    quiet(t)
+    const { root, shard, car } = await createShard(1)
+    mockFetch(t, async (url, init) => {
+      if (init?.method === 'HEAD') return new Response(null, { status: 200 })
+      // Never responds, until aborted (the timer keeps the test alive: timeout signals are unref'd)
+      return new Promise((resolve, reject) => {
+        const pending = setTimeout(resolve, 10_000)
+        init?.signal?.addEventListener('abort', () => {
+          clearTimeout(pending)
+          reject(init.signal?.reason)
+        })
+      })
+    })
+    configureIndexer({ backend: 'worker', requestTimeout: 20 })
+
+    await assert.rejects(
+      generateShardedIndex(root.toString(), [{ cid: shard.toString(), size: car.length }]),
+      /Failed to index .*aborted due to timeout/
+    )
+  })
+})
+
+describe('generateShardedIndex with the local indexer', () => {
+  afterEach(() => configureIndexer({ backend: 'worker' }))
+
+  /**
+   * Index a shard with the worker and locally and compare the archived indexes
+   *
+   * @param {import('node:test').TestContext} t
+   * @param {(key: string, car: Uint8Array) => Promise<string>} store - Store the CAR under a carpark key, returns the source
+   */
+  async function compareWithWorker(t, store) {
+    const { root, shard, car } = await createShard(6)
+    const key = `${shard}/${shard}.car`
+    const shards = [{ cid: shard.toString(), size: car.length }]
+
+    mockFetch(t, indexWorker(new Map([[key, car]]), 2))
+    const fromWorker = await generateShardedIndex(root.toString(), shards)
+    t.mock.restoreAll()
+    quiet(t)
+
+    configureIndexer({ backend: 'local', source: await store(key, car) })
+    const local = await generateShardedIndex(root.toString(), shards)
+
+    assert.deepEqual(local.indexBytes, fromWorker.indexBytes)
+    return local
+  }
+
+  it('indexes a CAR from a carpark directory like the worker', async (t) => {
+    quiet(t)
+    const dir = await mkdtemp(path.join(tmpdir(), 'car-indexer-'))
+    t.after(() => rm(dir, { recursive: true, force: true }))
+
+    const result = await compareWithWorker(t, async (key, car) => {
+      await mkdir(path.dirname(path.join(dir, key)), { recursive: true })
+      await writeFile(path.join(dir, key), car)
+      return dir
+    })
+    assert.equal(result.totalRequests, 0)
+  })
+
+  it('streams a CAR from a carpark URL like the worker', async (t) => {
+    quiet(t)
+    /** @type {Map<string, Uint8Array>} */
+    const objects = new Map()
+
+    const result = await compareWithWorker(t, async (key, car) => {
+      objects.set(key, car)
+      const requests = mockFetch(t, (url) => {
+        const bytes = objects.get(url.pathname.slice(1))
+        return bytes ? new Response(bytes) : new Response('Not Found', { status: 404 })
+      })
+      t.after(() => assert.equal(requests[0].url.origin, 'https://carpark.example'))
+      return 'https://carpark.example/'
+    })
+    assert.equal(result.totalRequests, 1)
+  })
+
+  it('finds blob protocol shards by multihash', async (t) => {
+    quiet(t)
+    const dir = await mkdtemp(path.join(tmpdir(), 'car-indexer-'))
+    t.after(() => rm(dir, { recursive: true, force: true }))
+    const { root, shard, car } = await createShard(2)
+    const key = base58btc.encode(shard.multihash.bytes)
+    await mkdir(path.join(dir, key))
+    await writeFile(path.join(dir, key, `${key}.blob`), car)
+
+    configureIndexer({ backend: 'local', source: dir })
+    const result = await generateShardedIndex(root.toString(), [{ cid: shard.toString(), size: car.length }])
+
+    const index = ShardedDAGIndex.extract(result.indexBytes)
+    assert.ok(index.ok)
+    assert.equal(index.ok.shards.get(shard.multihash)?.size, 4)
+  })
+
+  it('fails when the shard is missing or truncated', async (t) => {
+    quiet(t)
+    const dir = await mkdtemp(path.join(tmpdir(), 'car-indexer-'))
+    t.after(() => rm(dir, { recursive: true, force: true }))
+    const { root, shard, car } = await createShard(3)
+    configureIndexer({ backend: 'local', source: dir })
+
+    await assert.rejects(
+      generateShardedIndex(root.toString(), [{ cid: shard.toString(), size: car.length }]),
+      /Blob not found in carpark/
+    )
+
+    await mkdir(path.join(dir, shard.toString()))
+    await writeFile(path.join(dir, shard.toString(), `${shard}.car`), car.subarray(0, car.length - 10))
+    await assert.rejects(
+      generateShardedIndex(root.toString(), [{ cid: shard.toString(), size: car.length }]),
+      /Failed to index/
+    )
+  })
+
+  it('rejects unknown indexers', () => {
+    assert.throws(() => configureIndexer({ backend: 'remote' }), /Unknown indexer: remote/)
+  })
+})
@@ -0,0 +1,191 @@
+/**
+ * Go compatibility: the IPNI encodings must match go-libstoracha byte for byte,
+ * otherwise adverts published by the migration won't match the ones published
+ * by the storage nodes. The vectors below were derived by hand from the Go
+ * definitions (varint + dag-cbor map with keys in canonical order).
+ */
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { CID } from 'multiformats/cid'
+import { sha256 } from 'multiformats/hashes/sha2'
+import { encodeUvarint } from '../src/lib/encoding.js'
+import { encodeContextID } from '../src/lib/ipni/advertisement.js'
+import { LocationCommitmentMetadata } from '../src/lib/ipni/location.js'
+import { SQSPublishingQueue } from '../src/lib/ipni/sqsqueue.js'
+import { config } from '../src/config.js'
+import { MemoryS3, MemorySQS } from '../src/lib/local/memory-s3.js'
+
+const SPACE = 'did:key:z6MkhaXgBZDvotDkL5257faiztiGiC2QtKLGpbnnEGta2doK'
+
+/** @param {string} text */
+const digestOf = (text) => sha256.digest(new TextEncoder().encode(text))
+
+/** @param {Uint8Array} bytes */
+const hex = (bytes) => Buffer.from(bytes).toString('hex')
+
+describe('encodeUvarint', () => {
+  it('matches Go binary.PutUvarint', () => {
+    assert.equal(hex(encodeUvarint(0)), '00')
+    assert.equal(hex(encodeUvarint(1)), '01')
+    assert.equal(hex(encodeUvarint(127)), '7f')
+    assert.equal(hex(encodeUvarint(128)), '8001')
+    assert.equal(hex(encodeUvarint(300)), 'ac02')
+    assert.equal(hex(encodeUvarint(0x3e0002)), '8280f801')
+  })
+})
+
+describe('encodeContextID', () => {
+  it('hashes the space DID followed by the multihash', async () => {
+    const digest = await digestOf('hello')
+    assert.equal(hex(digest.bytes), '12202cf24dba5fb0a30e26e83b2ac5b9e29e1b161e5c1fa7425e73043362938b9824')
+
+    const contextID = await encodeContextID(SPACE, digest.bytes)
+    assert.equal(hex(contextID), '1220f84cb6ab93aba02a8826ff572fd1031b3fdd093d834adec33aad6c8b10f5298b')
+  })
+
+  it('accepts a DID object', async () => {
+    const digest = await digestOf('hello')
+    const fromString = await encodeContextID(SPACE, digest.bytes)
+    const fromObject = await encodeContextID({ toString: () => SPACE }, digest.bytes)
+    assert.deepEqual(fromObject, fromString)
+  })
+})
+
+describe('LocationCommitmentMetadata', async () => {
+  const claim = CID.create(1, 0x71, await digestOf('claim'))
+  const shard = CID.create(1, 0x0202, await digestOf('shard'))
+
+  it('has the location commitment protocol ID', () => {
+    assert.equal(new LocationCommitmentMetadata({ claim, expiration: 0n }).id(), 0x3e0002)
+  })
+
+  it('encodes the required fields', async () => {
+    const meta = new LocationCommitmentMetadata({ claim, expiration: 1700000000n })
+    assert.equal(
+      hex(await meta.marshalBinary()),
+      [
+        '8280f801', // varint 0x3e0002
+        'a2', // map(2)
+        '6163', 'd82a5825', '00', '01711220dd1b3c312cf7d816130354452e9629ce39355b0c534129dd26a08cd9a4502ede', // c: claim
+        '6165', '1a6553f100', // e: 1700000000
+      ].join('')
+    )
+  })
+
+  it('encodes the optional shard and range', async () => {
+    const meta = new LocationCommitmentMetadata({
+      shard,
+      range: { offset: 0n, length: 1024n },
+      claim,
+      expiration: 1700000000n,
+    })
+    assert.equal(
+      hex(await meta.marshalBinary()),
+      [
+        '8280f801', // varint 0x3e0002
+        'a4', // map(4)
+        '6163', 'd82a5825', '00', '01711220dd1b3c312cf7d816130354452e9629ce39355b0c534129dd26a08cd9a4502ede', // c: claim
+        '6165', '1a6553f100', // e: 1700000000
+        '6172', '8200190400', // r: [0, 1024]
+        '6173', 'd82a5826', '00', '0182041220df3598cd66f1bb5bc4e2c17be89b7c7ecf0c81e53939f471a6b72db8d139edae', // s: shard
+      ].join('')
+    )
+  })
+
+  it('encodes a non-expiring claim as expiration 0', async () => {
+    const bytes = await new LocationCommitmentMetadata({ claim, expiration: 0n }).marshalBinary()
+    assert.equal(hex(bytes.subarray(-3)), '616500')
+  })
+})
+
+describe('PublishingBatch', () => {
+  const providerInfo = { id: config.addresses.peerID, addrs: [config.addresses.claimAddr] }
+
+  /** @param {number} [maxDigestsPerJob] */
+  function createQueue(maxDigestsPerJob) {
+    const s3 = new MemoryS3()
+    const sqs = new MemorySQS()
+    const queue = new SQSPublishingQueue({
+      queueUrl: 'queue',
+      bucketName: 'bucket',
+      sqsClient: /** @type {any} */ (sqs),
+      s3Client: /** @type {any} */ (s3),
+      maxDigestsPerJob,
+    })
+    return { queue, s3, sqs }
+  }
+
+  /**
+   * Digests in the extended data of a job message
+   *
+   * @param {MemoryS3} s3
+   * @param {{JobID: string}} body
+   */
+  const digestsOf = (s3, body) =>
+    JSON.parse(new TextDecoder().decode(s3.bucket('bucket').get(body.JobID)?.body))
+
+  it('sends one message per job, without merging jobs', async () => {
+    const { queue, s3, sqs } = createQueue()
+    const batch = queue.batch()
+    const metadata = new Uint8Array([2])
+    const [a, b] = await Promise.all([digestOf('a'), digestOf('b')])
+
+    // Location claim jobs: one per shard, each with its shard's context ID
+    batch.add({ providerInfo, contextID: new Uint8Array([1]), metadata, digests: [a] })
+    batch.add({ providerInfo, contextID: new Uint8Array([3]), metadata, digests: [b] })
+
+    const jobs = await batch.flush()
+
+    assert.deepEqual(jobs.map((job) => job.digests.length), [1, 1])
+    const messages = sqs.messages('queue')
+    assert.equal(messages.length, 2)
+    assert.equal(messages[0].MessageGroupId, Buffer.from([1]).toString('base64'))
+    assert.deepEqual(digestsOf(s3, JSON.parse(messages[0].Body)), [Array.from(a.bytes)])
+    assert.deepEqual(digestsOf(s3, JSON.parse(messages[1].Body)), [Array.from(b.bytes)])
+    // Flushing empties the batch
+    assert.deepEqual(await batch.flush(), [])
+    assert.equal(sqs.messages('queue').length, 2)
+  })
+
+  it('splits jobs over the digest limit', async () => {
+    const { queue, sqs } = createQueue(2)
+    const batch = queue.batch()
+    const digests = await Promise.all(['a', 'b', 'c', 'd', 'e'].map(digestOf))
+
+    batch.add({ providerInfo, contextID: new Uint8Array([1]), metadata: new Uint8Array([2]), digests })
+
+    const jobs = await batch.flush()
+    assert.deepEqual(jobs.map((job) => job.digests.length), [2, 2, 1])
+    assert.equal(sqs.messages('queue').length, 3)
+  })
+
+  it('sends at most 10 messages per SQS request', async (t) => {
+    const { queue, sqs } = createQueue()
+    const send = t.mock.method(sqs, 'send')
+    const batch = queue.batch()
+    for (let i = 0; i < 23; i++) {
+      batch.add({ providerInfo, contextID: new Uint8Array([i]), metadata: new Uint8Array([0]), digests: [await digestOf(`${i}`)] })
+    }
+
+    await batch.flush()
+
+    assert.equal(sqs.messages('queue').length, 23)
+    assert.deepEqual(send.mock.calls.map((call) => call.arguments[0].input.Entries.length), [10, 10, 3])
+  })
+
+  it('removes the extended data of jobs SQS rejects', async (t) => {
+    const { queue, s3, sqs } = createQueue()
+    t.mock.method(console, 'error', () => {})
+    t.mock.method(sqs, 'send', async (/** @type {any} */ command) => ({
+      Successful: [{ Id: '0' }],
+      Failed: command.input.Entries.slice(1).map((/** @type {any} */ entry) => ({ Id: entry.Id, Code: 'Throttled' })),
+    }))
+    const batch = queue.batch()
+    for (let i = 0; i < 3; i++) {
+      batch.add({ providerInfo, contextID: new Uint8Array([i]), metadata: new Uint8Array([0]), digests: [await digestOf(`${i}`)] })
+    }
+
+    await assert.rejects(batch.flush(), /Failed to send 2 of 3 publishing jobs/)
+    assert.equal(s3.bucket('bucket').size, 1)
+  })
+})
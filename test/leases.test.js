@@ -0,0 +1,50 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { createLeaseHeartbeat, getLeaseOwner, isLeaseActive } from '../src/lib/leases.js'
+import { quiet } from './helpers.js'
+
+describe('leases', () => {
+  it('tells live leases from expired ones', () => {
+    const now = Date.parse('2025-12-10T12:00:00Z')
+    assert.equal(getLeaseOwner({ instanceId: 'i-1', workerId: '2' }), 'i-1/2')
+    assert.equal(isLeaseActive({ leaseOwner: 'i-1/2', leaseExpiresAt: '2025-12-10T12:05:00Z' }, now), true)
+    assert.equal(isLeaseActive({ leaseOwner: 'i-1/2', leaseExpiresAt: '2025-12-10T11:55:00Z' }, now), false)
+    assert.equal(isLeaseActive({}, now), false)
+  })
+})
+
+describe('createLeaseHeartbeat', () => {
+  it('renews held leases until they are released', async (t) => {
+    const heartbeat = createLeaseHeartbeat({ interval: 5 })
+    t.after(() => heartbeat.stop())
+    let renewals = 0
+    heartbeat.hold('did:key:space', async () => {
+      renewals++
+      return true
+    })
+
+    await new Promise((resolve) => setTimeout(resolve, 30))
+    assert.ok(renewals >= 2)
+
+    heartbeat.release('did:key:space')
+    const released = renewals
+    await heartbeat.beat()
+    assert.equal(renewals, released)
+  })
+
+  it('marks a lease lost when another worker claimed it', async (t) => {
+    quiet(t)
+    const heartbeat = createLeaseHeartbeat({ interval: 60_000 })
+    t.after(() => heartbeat.stop())
+    const claimed = heartbeat.hold('did:key:claimed', async () => false)
+    const unreachable = heartbeat.hold('did:key:unreachable', async () => {
+      throw new Error('ProvisionedThroughputExceededException')
+    })
+
+    await heartbeat.beat()
+
+    assert.equal(claimed.lost, true)
+    // A failed renewal is retried on the next heartbeat
+    assert.equal(unreachable.lost, false)
+  })
+})
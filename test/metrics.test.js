@@ -0,0 +1,80 @@
+import { describe, it, beforeEach } from 'node:test'
+import assert from 'node:assert/strict'
+import { STEP } from '../src/lib/migration-utils.js'
+import { configureEvents, emitEvent } from '../src/lib/events.js'
+import { recordEvent, renderMetrics, resetMetrics, startMetricsServer } from '../src/lib/metrics.js'
+import { quiet } from './helpers.js'
+
+/**
+ * @param {string} type
+ * @param {Record<string, any>} [fields]
+ */
+const event = (type, fields = {}) => ({ ts: '', type, instanceId: 'i-1', workerId: '2', ...fields })
+
+describe('metrics', () => {
+  beforeEach(() => resetMetrics())
+
+  it('counts uploads by outcome and failure reason', () => {
+    recordEvent(event('upload:start'))
+    recordEvent(event('upload:start'))
+    recordEvent(event('upload:start'))
+    recordEvent(event('upload:end', { success: true, alreadyMigrated: false }))
+    recordEvent(event('upload:end', { success: false, failureReason: 'INDEX_WORKER_ERROR' }))
+
+    const text = renderMetrics()
+    assert.match(text, /^migration_uploads_total\{instance="i-1",worker="2",outcome="migrated",failure_reason=""\} 1$/m)
+    assert.match(text, /^migration_uploads_total\{instance="i-1",worker="2",outcome="failed",failure_reason="INDEX_WORKER_ERROR"\} 1$/m)
+    assert.match(text, /^migration_uploads_in_flight\{instance="i-1",worker="2"\} 1$/m)
+    assert.match(text, /^# TYPE migration_uploads_total counter$/m)
+  })
+
+  it('records step durations in a histogram', () => {
+    recordEvent(event('step:end', { step: STEP.INDEX_GENERATION, outcome: 'ok', durationMs: 700 }))
+    recordEvent(event('step:end', { step: STEP.INDEX_GENERATION, outcome: 'ok', durationMs: 45_000 }))
+
+    const text = renderMetrics()
+    const labels = `instance="i-1",worker="2",step="${STEP.INDEX_GENERATION}",outcome="ok"`
+    assert.match(text, new RegExp(`^migration_step_duration_seconds_bucket\\{${labels},le="0.5"\\} 0$`, 'm'))
+    assert.match(text, new RegExp(`^migration_step_duration_seconds_bucket\\{${labels},le="1"\\} 1$`, 'm'))
+    assert.match(text, new RegExp(`^migration_step_duration_seconds_bucket\\{${labels},le="60"\\} 2$`, 'm'))
+    assert.match(text, new RegExp(`^migration_step_duration_seconds_bucket\\{${labels},le="\\+Inf"\\} 2$`, 'm'))
+    assert.match(text, new RegExp(`^migration_step_duration_seconds_sum\\{${labels}\\} 45.7$`, 'm'))
+    assert.match(text, new RegExp(`^migration_step_duration_seconds_count\\{${labels}\\} 2$`, 'm'))
+  })
+
+  it('counts claims, IPNI jobs, index worker requests and bytes indexed', () => {
+    recordEvent(event('claim:published', { protocol: 'r2' }))
+    recordEvent(event('claim:published', { protocol: 'r2' }))
+    recordEvent(event('ipni:job-sent', { protocol: 'r2', digests: 3 }))
+    recordEvent(event('index:generated', { shards: 2, bytes: 2048, requests: 4, cached: false }))
+    recordEvent(event('index:generated', { shards: 1, bytes: 0, requests: 0, cached: true }))
+
+    const text = renderMetrics()
+    assert.match(text, /^migration_location_claims_published_total\{instance="i-1",worker="2",protocol="r2"\} 2$/m)
+    assert.match(text, /^migration_ipni_jobs_sent_total\{instance="i-1",worker="2",protocol="r2"\} 1$/m)
+    assert.match(text, /^migration_ipni_digests_sent_total\{instance="i-1",worker="2",protocol="r2"\} 3$/m)
+    assert.match(text, /^migration_index_worker_requests_total\{instance="i-1",worker="2"\} 4$/m)
+    assert.match(text, /^migration_bytes_indexed_total\{instance="i-1",worker="2"\} 2048$/m)
+  })
+
+  it('serves metrics collected from events on /metrics', async (t) => {
+    quiet(t)
+    configureEvents({ instanceId: 'i-9', workerId: '3' })
+    t.after(() => configureEvents({}))
+    const server = await startMetricsServer(0)
+
+    emitEvent('upload:start')
+    const response = await fetch(`http://127.0.0.1:${server.port}/metrics`)
+    const missing = await fetch(`http://127.0.0.1:${server.port}/other`)
+    await missing.body?.cancel()
+    await server.close()
+    // Events after the server is closed are not recorded
+    emitEvent('upload:end', { success: true })
+
+    assert.equal(response.status, 200)
+    assert.match(response.headers.get('content-type') ?? '', /^text\/plain; version=0.0.4/)
+    assert.match(await response.text(), /^migration_uploads_in_flight\{instance="i-9",worker="3"\} 1$/m)
+    assert.equal(missing.status, 404)
+    assert.doesNotMatch(renderMetrics(), /migration_uploads_total\{/)
+  })
+})
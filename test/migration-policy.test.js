@@ -0,0 +1,73 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { mkdtemp, rm, writeFile } from 'node:fs/promises'
+import { tmpdir } from 'node:os'
+import path from 'node:path'
+import { createMigrationPolicy, loadMigrationPolicy } from '../src/lib/migration-policy.js'
+
+const space = 'did:key:z6MkhaXgBZDvotDkL5257faiztiGiC2QtKLGpbnnEGta2doK'
+
+describe('migration policy', () => {
+  it('skips exact and prefix matches with their reason', () => {
+    const policy = createMigrationPolicy({
+      skip: [
+        { type: 'customer', match: 'prefix', value: 'did:mailto:mailslurp.com:', reason: 'CI account' },
+        { type: 'space', value: space, reason: 'Ownership transfer' },
+        { type: 'upload', value: 'bafyroot1' },
+      ],
+    })
+
+    assert.equal(policy.check('customer', 'did:mailto:mailslurp.com:ci-1'), 'CI account')
+    assert.equal(policy.check('customer', 'did:mailto:mailslurp.company:alice'), null)
+    assert.equal(policy.check('space', space), 'Ownership transfer')
+    assert.equal(policy.check('space', `${space}x`), null)
+    assert.equal(policy.check('upload', 'bafyroot1'), 'skip rule bafyroot1')
+    // Rules only apply to their type of item
+    assert.equal(policy.check('customer', space), null)
+
+    // Checked twice, reported once
+    policy.check('customer', 'did:mailto:mailslurp.com:ci-1')
+    assert.deepEqual(policy.skipped, [
+      { type: 'customer', value: 'did:mailto:mailslurp.com:ci-1', reason: 'CI account' },
+      { type: 'space', value: space, reason: 'Ownership transfer' },
+      { type: 'upload', value: 'bafyroot1', reason: 'skip rule bafyroot1' },
+    ])
+  })
+
+  it('skips items left out of the include rules of their type', () => {
+    const policy = createMigrationPolicy({
+      skip: [{ type: 'customer', value: 'did:mailto:storacha.network:ops', reason: 'Internal' }],
+      include: [{ type: 'customer', match: 'prefix', value: 'did:mailto:storacha.network:' }],
+    })
+
+    assert.equal(policy.check('customer', 'did:mailto:storacha.network:alice'), null)
+    assert.equal(policy.check('customer', 'did:mailto:example.com:bob'), 'customer not in the include rules')
+    // Skip rules win over include rules
+    assert.equal(policy.check('customer', 'did:mailto:storacha.network:ops'), 'Internal')
+    // No include rules for spaces: every space is included
+    assert.equal(policy.check('space', space), null)
+  })
+
+  it('loads the policy file', async (t) => {
+    const dir = await mkdtemp(path.join(tmpdir(), 'policy-'))
+    t.after(() => rm(dir, { recursive: true, force: true }))
+    const file = path.join(dir, 'policy.json')
+
+    await writeFile(file, JSON.stringify({ skip: [{ type: 'space', value: space, reason: 'Blocked' }] }))
+    const policy = await loadMigrationPolicy(file)
+    assert.equal(policy.check('space', space), 'Blocked')
+    assert.equal(policy.describe(), `${file} (1 skip rule(s), 0 include rule(s))`)
+
+    await writeFile(file, JSON.stringify({ skip: [{ type: 'account', value: 'did:mailto:example.com:bob' }] }))
+    await assert.rejects(loadMigrationPolicy(file), /skip\[0\]\.type must be one of customer, space, upload/)
+    await assert.rejects(loadMigrationPolicy(path.join(dir, 'missing.json')), /Cannot read migration policy/)
+  })
+
+  it('ships a default policy blocking CI and transferred accounts', async () => {
+    const policy = await loadMigrationPolicy('migration-policy.json')
+
+    assert.equal(policy.check('customer', 'did:mailto:mailslurp.biz:ci-1'), 'CI account')
+    assert.equal(policy.check('customer', 'did:mailto:textile.io:ops+basin'), 'Blocked due to space ownership transfer')
+    assert.equal(policy.check('customer', 'did:mailto:textile.io:alice'), null)
+  })
+})
@@ -0,0 +1,231 @@
+/**
+ * Runs each migration step for one upload against the local stand-ins
+ * (STORACHA_ENV=local, see docs/LOCAL.md).
+ */
+import { describe, it, before, after, beforeEach } from 'node:test'
+import assert from 'node:assert/strict'
+import { mkdtemp, rm } from 'node:fs/promises'
+import { tmpdir } from 'node:os'
+import path from 'node:path'
+import * as ed25519 from '@ucanto/principal/ed25519'
+import { Absentee } from '@ucanto/principal'
+import { delegate, DID } from '@ucanto/core'
+import { Space as SpaceCapabilities } from '@storacha/capabilities'
+import { config } from '../src/config.js'
+import { startLocalEnvironment } from '../src/lib/local/index.js'
+import { storeDelegations } from '../src/lib/tables/delegations-table.js'
+import { getMigrationSpace } from '../src/lib/tables/migration-spaces-table.js'
+import { getSpaceProgress } from '../src/lib/tables/migration-progress-table.js'
+import { listCachedIndexes } from '../src/lib/stores/index-cache.js'
+import {
+  checkMigrationNeeded,
+  buildAndMigrateIndex,
+  republishLocationClaims,
+  createGatewayAuth,
+  findGatewayAuth,
+  isValidGatewayAuth,
+} from '../src/lib/migration-steps.js'
+import { verifyMigration } from '../src/lib/migration-verify.js'
+import { FAILURE_REASON, getVerificationFailureReason } from '../src/lib/migration-utils.js'
+import { createShard, quiet } from './helpers.js'
+
+const customer = 'did:mailto:example.com:alice'
+
+describe('migration steps', async () => {
+  const fixturesDir = await mkdtemp(path.join(tmpdir(), 'migration-steps-'))
+  /** @type {import('../src/lib/local/index.js').LocalEnvironment} */
+  let env
+  /** @type {ed25519.EdSigner} */
+  let space
+  /** @type {{space: `did:key:${string}`, root: string, shards: string[]}} */
+  let upload
+  /** @type {number} */
+  let shardSize
+
+  before(async () => {
+    const { log, warn } = console
+    console.log = console.warn = () => {}
+    env = await startLocalEnvironment({ fixturesDir })
+    Object.assign(console, { log, warn })
+
+    space = await ed25519.generate()
+    const { root, shard, car } = await createShard(10)
+    shardSize = car.length
+    upload = { space: space.did(), root: root.toString(), shards: [shard.toString()] }
+
+    env.carpark.put(`${shard}/${shard}.car`, car)
+    env.dynamo.seed(config.tables.upload, [{ ...upload, insertedAt: new Date().toISOString() }])
+    env.dynamo.seed(config.tables.store, [{ space: space.did(), link: shard.toString(), size: car.length }])
+    env.dynamo.seed(config.tables.consumer, [
+      { subscription: 'sub', provider: config.services.uploadServiceDID, consumer: space.did(), customer },
+    ])
+    env.dynamo.seed(config.tables.migrationProgress, [{ customer, space: space.did(), status: 'in-progress' }])
+  })
+
+  after(async () => {
+    await env?.stop()
+    await rm(fixturesDir, { recursive: true, force: true })
+  })
+
+  beforeEach((t) => quiet(t))
+
+  it('analyzes a legacy upload as needing every step', async () => {
+    const status = await checkMigrationNeeded(upload)
+
+    assert.equal(status.needsIndexGeneration, true)
+    assert.equal(status.needsLocationClaims, true)
+    assert.equal(status.hasLocationClaim, false)
+    assert.deepEqual(status.shardsNeedingLocationClaims, upload.shards)
+    assert.equal(status.indexCID, null)
+    assert.equal(status.needsGatewayAuth, true)
+    assert.equal(status.gatewayAuth, null)
+  })
+
+  it('builds, uploads and registers the index in the customer migration space', async () => {
+    const result = await buildAndMigrateIndex({ upload })
+
+    // The index is stored as a CAR
+    assert.equal(result.indexCID.code, 0x0202)
+    assert.deepEqual(
+      result.shards.map(({ cid, size }) => ({ cid, size })),
+      [{ cid: upload.shards[0], size: shardSize }]
+    )
+
+    const migrationSpace = await getMigrationSpace(customer)
+    assert.equal(migrationSpace?.migrationSpace, result.migrationSpace)
+    // The index CAR's location claim is advertised with the blob protocol
+    assert.equal(env.sqs.messages(config.queues.ipniBlobPublishingQueue).length, 1)
+    // The registered index is no longer cached
+    assert.deepEqual(await listCachedIndexes(), [])
+
+    const status = await checkMigrationNeeded(upload)
+    assert.equal(status.needsIndexGeneration, false)
+    assert.equal(status.needsLocationClaims, true)
+  })
+
+  it('republishes location claims with the space', async () => {
+    await republishLocationClaims({ space: upload.space, root: upload.root, shards: upload.shards })
+
+    assert.equal(env.sqs.messages(config.queues.ipniStorePublishingQueue).length, 1)
+
+    const status = await checkMigrationNeeded(upload)
+    assert.equal(status.needsLocationClaims, false)
+    assert.equal(status.locationHasSpace, true)
+    assert.deepEqual(status.shardsNeedingLocationClaims, [])
+  })
+
+  it('still advertises the shards republished before a shard fails', async () => {
+    const other = await ed25519.generate()
+    const { shard, car } = await createShard(3)
+    const { shard: missing } = await createShard(3)
+    env.carpark.put(`${shard}/${shard}.car`, car)
+    env.dynamo.seed(config.tables.store, [{ space: other.did(), link: shard.toString(), size: car.length }])
+    const sent = env.sqs.messages(config.queues.ipniStorePublishingQueue).length
+
+    await assert.rejects(republishLocationClaims({
+      space: other.did(),
+      root: shard.toString(),
+      shards: [shard.toString(), missing.toString()],
+    }))
+
+    // The first shard's claim has the space, so a retry would not advertise it again
+    assert.equal(env.sqs.messages(config.queues.ipniStorePublishingQueue).length, sent + 1)
+  })
+
+  it('fails gateway authorization for a space without a delegation', async () => {
+    const orphan = await ed25519.generate()
+    const result = await createGatewayAuth({ space: orphan.did() })
+
+    assert.equal(result.success, false)
+    assert.equal(result.reason, 'no-delegation-found')
+    assert.equal(
+      getVerificationFailureReason({ success: false, indexVerified: true, locationClaimsVerified: true, allShardsHaveSpace: true }, result),
+      FAILURE_REASON.MISSING_DELEGATION
+    )
+  })
+
+  it('authorizes the gateway with the space owner delegation', async () => {
+    const delegation = await delegate({
+      issuer: space,
+      audience: Absentee.from({ id: customer }),
+      capabilities: [{ can: '*', with: space.did() }],
+      expiration: Infinity,
+    })
+    await storeDelegations([delegation])
+
+    const result = await createGatewayAuth({ space: upload.space })
+
+    assert.equal(result.success, true)
+    assert.equal(env.gateway.invocations.length, 1)
+    assert.equal(env.gateway.invocations[0].capabilities[0].can, 'access/delegate')
+    // The content/serve delegation is recorded with the space progress
+    const progress = await getSpaceProgress(customer, upload.space)
+    assert.ok(progress?.gatewayAuthDelegation)
+    assert.ok(progress?.gatewayAuthAt)
+  })
+
+  it('authorizes the gateway only once per space', async () => {
+    const result = await createGatewayAuth({ space: upload.space })
+
+    assert.equal(result.success, true)
+    assert.equal(result.skipped, true)
+    assert.equal(result.reason, 'already-authorized')
+    assert.equal(env.gateway.invocations.length, 1)
+
+    const status = await checkMigrationNeeded(upload)
+    assert.equal(status.needsGatewayAuth, false)
+    assert.equal(status.gatewayAuth?.success, true)
+  })
+
+  it('finds a gateway authorization recorded by a previous run', async () => {
+    const other = await ed25519.generate()
+    const gateway = { did: () => DID.parse(config.services.gatewayServiceDID).did() }
+    const contentServe = await SpaceCapabilities.contentServe.delegate({
+      issuer: other,
+      audience: gateway,
+      with: other.did(),
+      nb: {},
+      expiration: Infinity,
+    })
+    const archive = await contentServe.archive()
+    assert.ok(archive.ok)
+    env.dynamo.seed(config.tables.migrationProgress, [
+      {
+        customer,
+        space: other.did(),
+        status: 'in-progress',
+        gatewayAuthDelegation: Buffer.from(archive.ok).toString('base64'),
+      },
+    ])
+
+    assert.equal((await findGatewayAuth(other.did(), customer))?.reason, 'already-authorized')
+    const result = await createGatewayAuth({ space: other.did(), customer })
+    assert.equal(result.reason, 'already-authorized')
+    assert.equal(env.gateway.invocations.length, 1)
+  })
+
+  it('only accepts unexpired content/serve delegations to the gateway', async () => {
+    const gateway = { did: () => DID.parse(config.services.gatewayServiceDID).did() }
+    const contentServe = (/** @type {any} */ options) =>
+      SpaceCapabilities.contentServe.delegate({ issuer: space, with: space.did(), nb: {}, ...options })
+
+    assert.equal(isValidGatewayAuth(await contentServe({ audience: gateway, expiration: Infinity }), space.did()), true)
+    assert.equal(isValidGatewayAuth(await contentServe({ audience: gateway, expiration: Infinity }), upload.root), false)
+    assert.equal(isValidGatewayAuth(await contentServe({ audience: space, expiration: Infinity }), space.did()), false)
+    assert.equal(isValidGatewayAuth(await contentServe({ audience: gateway, expiration: 1 }), space.did()), false)
+  })
+
+  it('verifies the migrated upload', async () => {
+    const result = await verifyMigration({
+      upload,
+      gatewayAuthResult: { success: true },
+      testGatewayRetrieval: true,
+    })
+
+    assert.equal(result.success, true)
+    assert.equal(result.indexVerified, true)
+    assert.equal(result.locationClaimsVerified, true)
+    assert.equal(result.allShardsHaveSpace, true)
+    assert.equal(result.gatewayRetrievalVerified, true)
+  })
+})
@@ -0,0 +1,445 @@
+import { describe, it, beforeEach } from 'node:test'
+import assert from 'node:assert/strict'
+import { config } from '../src/config.js'
+import {
+  getSpaceProgress,
+  createSpaceProgress,
+  updateSpaceProgress,
+  markSpaceCompleted,
+  markSpaceFailed,
+  getCustomerSpaces,
+  getFailedMigrations,
+  getStuckMigrations,
+  getInstanceSpaces,
+  scanAllProgress,
+  renewSpaceLease,
+} from '../src/lib/tables/migration-progress-table.js'
+import {
+  getCustomerStatus,
+  assignCustomer,
+  batchAssignCustomers,
+  markCustomerInProgress,
+  updateCustomerProgress,
+  markCustomerCompleted,
+  markCustomerFailed,
+  markCustomerSkipped,
+  getCustomersByStatus,
+  getAllCustomers,
+  isCustomerCompleted,
+  renewCustomerLease,
+  claimNextCustomer,
+} from '../src/lib/tables/migration-customers-table.js'
+import { listFailedUploads } from '../src/lib/tables/migration-uploads-table.js'
+import { useMemoryTables } from './helpers.js'
+
+const customer = 'did:mailto:example.com:alice'
+const space = 'did:key:z6MkhaXgBZDvotDkL5257faiztiGiC2QtKLGpbnnEGta2doK'
+const otherSpace = 'did:key:z6MkjchhfUsD6mmvni8mCdXHw216Xrm9bQe2mBH1P5RDjVJG'
+
+describe('migration progress table', () => {
+  /** @type {import('../src/lib/local/memory-dynamodb.js').MemoryDynamoDB} */
+  let dynamo
+  beforeEach(() => {
+    dynamo = useMemoryTables()
+  })
+
+  it('creates a space in progress', async () => {
+    assert.equal(await getSpaceProgress(customer, space), null)
+
+    await createSpaceProgress({ customer, space, totalUploads: 10, instanceId: '1', workerId: '2' })
+
+    const progress = await getSpaceProgress(customer, space)
+    assert.ok(progress)
+    assert.equal(progress.status, 'in-progress')
+    assert.equal(progress.totalUploads, 10)
+    assert.equal(progress.completedUploads, 0)
+    assert.equal(progress.instanceId, '1')
+    assert.equal(progress.workerId, '2')
+  })
+
+  it('keeps the existing record when a space is resumed', async () => {
+    await createSpaceProgress({ customer, space, totalUploads: 10, instanceId: '1', workerId: '1' })
+    await updateSpaceProgress({ customer, space, owner: { instanceId: '1', workerId: '1' }, completedUploads: 4, lastProcessedUpload: 'bafy4' })
+
+    await createSpaceProgress({ customer, space, totalUploads: 12, instanceId: '2', workerId: '1' })
+
+    const progress = await getSpaceProgress(customer, space)
+    assert.equal(progress?.totalUploads, 10)
+    assert.equal(progress?.completedUploads, 4)
+    assert.equal(progress?.lastProcessedUpload, 'bafy4')
+  })
+
+  it('only moves the checkpoint when an upload is given', async () => {
+    await createSpaceProgress({ customer, space, totalUploads: 10, instanceId: '1', workerId: '1' })
+    await updateSpaceProgress({ customer, space, owner: { instanceId: '1', workerId: '1' }, completedUploads: 1, lastProcessedUpload: 'bafy1' })
+    await updateSpaceProgress({ customer, space, owner: { instanceId: '1', workerId: '1' }, completedUploads: 2 })
+
+    const progress = await getSpaceProgress(customer, space)
+    assert.equal(progress?.completedUploads, 2)
+    assert.equal(progress?.lastProcessedUpload, 'bafy1')
+  })
+
+  it('stores the count and failures up to the checkpoint with it', async () => {
+    const owner = { instanceId: '1', workerId: '1' }
+    await createSpaceProgress({ customer, space, totalUploads: 10, ...owner })
+    await updateSpaceProgress({
+      customer,
+      space,
+      owner,
+      completedUploads: 5,
+      lastProcessedUpload: 'bafy3',
+      checkpointedUploads: 3,
+      checkpointFailures: { INDEXING_SERVICE_500: 1 },
+    })
+
+    const progress = await getSpaceProgress(customer, space)
+    assert.equal(progress?.completedUploads, 5)
+    assert.equal(progress?.checkpointedUploads, 3)
+    assert.deepEqual(JSON.parse(progress?.checkpointFailures ?? ''), { INDEXING_SERVICE_500: 1 })
+  })
+
+  it('marks spaces failed and completed', async () => {
+    await createSpaceProgress({ customer, space, totalUploads: 1, instanceId: '1', workerId: '1' })
+    await createSpaceProgress({ customer, space: otherSpace, totalUploads: 1, instanceId: '2', workerId: '1' })
+
+    await markSpaceFailed(customer, space, 'boom', { instanceId: '1', workerId: '1' })
+    assert.equal((await getSpaceProgress(customer, space))?.error, 'boom')
+    assert.deepEqual((await getFailedMigrations()).map((item) => item.space), [space])
+
+    await createSpaceProgress({ customer, space, totalUploads: 1, instanceId: '1', workerId: '1' })
+    await markSpaceCompleted(customer, space, { instanceId: '1', workerId: '1' })
+    const progress = await getSpaceProgress(customer, space)
+    assert.equal(progress?.status, 'completed')
+    assert.equal(progress?.error, '')
+    assert.deepEqual(await getFailedMigrations(), [])
+
+    assert.deepEqual((await getCustomerSpaces(customer)).map((item) => item.space).sort(), [space, otherSpace].sort())
+    assert.deepEqual((await getInstanceSpaces('2')).map((item) => item.space), [otherSpace])
+  })
+
+  it('leases a space to one worker at a time', async () => {
+    assert.equal(await createSpaceProgress({ customer, space, totalUploads: 10, instanceId: '1', workerId: '1' }), true)
+    assert.equal(await createSpaceProgress({ customer, space, totalUploads: 10, instanceId: '2', workerId: '1' }), false)
+
+    const progress = await getSpaceProgress(customer, space)
+    assert.equal(progress?.leaseOwner, '1/1')
+    assert.equal(progress?.instanceId, '1')
+    assert.ok(Date.parse(progress?.leaseExpiresAt ?? '') > Date.now())
+    // The holder resumes its own lease after a restart
+    assert.equal(await createSpaceProgress({ customer, space, totalUploads: 10, instanceId: '1', workerId: '1' }), true)
+  })
+
+  it('lets another worker claim an expired lease', async () => {
+    await createSpaceProgress({ customer, space, totalUploads: 10, instanceId: '1', workerId: '1', leaseDuration: -1000 })
+    await updateSpaceProgress({ customer, space, owner: { instanceId: '1', workerId: '1' }, completedUploads: 4, lastProcessedUpload: 'bafy4' })
+    assert.deepEqual((await getStuckMigrations()).map((item) => item.space), [space])
+
+    assert.equal(await createSpaceProgress({ customer, space, totalUploads: 10, instanceId: '2', workerId: '3' }), true)
+
+    const progress = await getSpaceProgress(customer, space)
+    assert.equal(progress?.leaseOwner, '2/3')
+    assert.equal(progress?.completedUploads, 4)
+    assert.equal(progress?.lastProcessedUpload, 'bafy4')
+    assert.deepEqual(await getStuckMigrations(), [])
+    // The previous holder finds out on its next heartbeat
+    assert.equal(await renewSpaceLease({ customer, space, owner: { instanceId: '1', workerId: '1' } }), false)
+    assert.equal(await renewSpaceLease({ customer, space, owner: { instanceId: '2', workerId: '3' } }), true)
+  })
+
+  it('releases the lease when a space completes or fails', async () => {
+    await createSpaceProgress({ customer, space, totalUploads: 1, instanceId: '1', workerId: '1' })
+    await markSpaceFailed(customer, space, '{}', { instanceId: '1', workerId: '1' })
+    assert.equal((await getSpaceProgress(customer, space))?.leaseOwner, undefined)
+
+    assert.equal(await createSpaceProgress({ customer, space, totalUploads: 1, instanceId: '2', workerId: '1' }), true)
+    await markSpaceCompleted(customer, space, { instanceId: '2', workerId: '1' })
+    const progress = await getSpaceProgress(customer, space)
+    assert.equal(progress?.leaseOwner, undefined)
+    assert.equal(progress?.leaseExpiresAt, undefined)
+  })
+
+  it('rejects space writes from a worker that lost the lease', async () => {
+    const previous = { instanceId: '1', workerId: '1' }
+    await createSpaceProgress({ customer, space, totalUploads: 10, ...previous, leaseDuration: -1000 })
+    await createSpaceProgress({ customer, space, totalUploads: 10, instanceId: '2', workerId: '1' })
+
+    assert.equal(await updateSpaceProgress({ customer, space, owner: previous, completedUploads: 9, lastProcessedUpload: 'bafy9' }), false)
+    assert.equal(await markSpaceCompleted(customer, space, previous), false)
+    assert.equal(await markSpaceFailed(customer, space, '{}', previous), false)
+
+    const progress = await getSpaceProgress(customer, space)
+    assert.equal(progress?.status, 'in-progress')
+    assert.equal(progress?.completedUploads, 0)
+    assert.equal(progress?.leaseOwner, '2/1')
+  })
+
+  it('finds spaces in progress for over an hour', async () => {
+    const twoHoursAgo = new Date(Date.now() - 2 * 60 * 60 * 1000).toISOString()
+    dynamo.seed(config.tables.migrationProgress, [
+      { customer, space, status: 'in-progress', updatedAt: twoHoursAgo },
+      { customer, space: otherSpace, status: 'in-progress', updatedAt: new Date().toISOString() },
+    ])
+
+    assert.deepEqual((await getStuckMigrations()).map((item) => item.space), [space])
+  })
+
+  it('finds stuck spaces past the first page of the scan', async (t) => {
+    const expired = new Date(Date.now() - 1000).toISOString()
+    dynamo.seed(config.tables.migrationProgress, [
+      { customer, space, status: 'in-progress', leaseOwner: '1/1', leaseExpiresAt: expired },
+      { customer, space: otherSpace, status: 'in-progress', leaseOwner: '1/2', leaseExpiresAt: expired },
+    ])
+    // Pages of one record, as DynamoDB returns 1 MB pages of a large table
+    const send = dynamo.send.bind(dynamo)
+    t.mock.method(dynamo, 'send', (/** @type {any} */ command) => {
+      command.input.Limit = 1
+      return send(command)
+    })
+
+    assert.deepEqual((await getStuckMigrations()).map((item) => item.space).sort(), [space, otherSpace].sort())
+  })
+
+  it('pages through every record', async () => {
+    const pages = await scanAllProgress()
+    assert.deepEqual(pages.items, [])
+    assert.equal(pages.lastEvaluatedKey, undefined)
+
+    await createSpaceProgress({ customer, space, totalUploads: 1, instanceId: '1', workerId: '1' })
+    assert.equal((await scanAllProgress()).items.length, 1)
+  })
+})
+
+describe('migration customers table', () => {
+  beforeEach(() => {
+    useMemoryTables()
+  })
+
+  it('assigns customers to instances', async () => {
+    await assignCustomer({ customer, totalSpaces: 2, totalUploads: 20, instanceId: 3 })
+
+    const status = await getCustomerStatus(customer)
+    assert.equal(status?.status, 'pending')
+    assert.equal(status?.instanceId, '3')
+    assert.equal(status?.filter, null)
+    assert.equal(status?.completedSpaces, 0)
+  })
+
+  it('batch assigns more customers than fit in one batch write', async () => {
+    const customers = Array.from({ length: 30 }, (_, i) => ({
+      customer: `did:mailto:example.com:user${i}`,
+      totalSpaces: 1,
+      totalUploads: i,
+      instanceId: i % 3,
+      filter: 'example.com',
+    }))
+    await batchAssignCustomers(customers)
+
+    const all = await getAllCustomers()
+    assert.equal(all.length, 30)
+    assert.equal((await getCustomersByStatus('pending')).length, 30)
+    assert.equal((await getCustomerStatus('did:mailto:example.com:user29'))?.instanceId, '2')
+  })
+
+  it('only assigns customers that are new or still pending', async () => {
+    const owner = { instanceId: '1', workerId: '1' }
+    const bob = 'did:mailto:example.com:bob'
+    const carol = 'did:mailto:example.com:carol'
+    await batchAssignCustomers([customer, bob, carol].map((c) => ({ customer: c, totalSpaces: 1, totalUploads: 1 })))
+    await claimNextCustomer({ owner })
+    await markCustomerInProgress(bob, { owner })
+    await markCustomerCompleted(bob, owner)
+
+    const assigned = await batchAssignCustomers([customer, bob, carol, 'did:mailto:example.com:dave']
+      .map((c) => ({ customer: c, totalSpaces: 2, totalUploads: 5 })))
+
+    assert.equal(assigned, 2)
+    const claimed = await getCustomerStatus(customer)
+    assert.equal(claimed?.status, 'in-progress')
+    assert.equal(claimed?.leaseOwner, '1/1')
+    assert.equal((await getCustomerStatus(bob))?.status, 'completed')
+    assert.equal((await getCustomerStatus(carol))?.totalUploads, 5)
+    assert.equal((await getCustomersByStatus('pending')).length, 2)
+  })
+
+  it('creates a customer record when marked in progress', async () => {
+    await markCustomerInProgress(customer, { totalSpaces: 3, totalUploads: 30 })
+
+    const status = await getCustomerStatus(customer)
+    assert.equal(status?.status, 'in-progress')
+    assert.equal(status?.totalSpaces, 3)
+    assert.equal(status?.completedUploads, 0)
+    assert.ok(status?.assignedAt)
+  })
+
+  it('keeps totals and progress when an assigned customer starts', async () => {
+    await assignCustomer({ customer, totalSpaces: 2, totalUploads: 20, instanceId: 1 })
+    const { assignedAt } = /** @type {any} */ (await getCustomerStatus(customer))
+    await markCustomerInProgress(customer)
+    await updateCustomerProgress({ customer, owner: { instanceId: 'local', workerId: '1' }, completedSpaces: 1, completedUploads: 8 })
+
+    // A restarted worker resumes the customer
+    await markCustomerInProgress(customer)
+
+    const status = await getCustomerStatus(customer)
+    assert.equal(status?.status, 'in-progress')
+    assert.equal(status?.totalSpaces, 2)
+    assert.equal(status?.totalUploads, 20)
+    assert.equal(status?.completedSpaces, 1)
+    assert.equal(status?.completedUploads, 8)
+    assert.equal(status?.assignedAt, assignedAt)
+  })
+
+  it('moves customers between status index partitions', async () => {
+    const owner = { instanceId: 'local', workerId: '1' }
+    await markCustomerInProgress(customer)
+    await markCustomerFailed(customer, 'MISSING_DELEGATION', owner)
+
+    assert.deepEqual((await getCustomersByStatus('failed')).map((item) => item.customer), [customer])
+    assert.deepEqual(await getCustomersByStatus('in-progress'), [])
+    assert.equal(await isCustomerCompleted(customer), false)
+
+    await markCustomerInProgress(customer)
+    await markCustomerCompleted(customer, owner)
+
+    const status = await getCustomerStatus(customer)
+    assert.equal(status?.error, '')
+    assert.ok(status?.completedAt)
+    assert.deepEqual(await getCustomersByStatus('failed'), [])
+    assert.equal(await isCustomerCompleted(customer), true)
+  })
+
+  it('leases a customer to one worker at a time', async () => {
+    const first = { instanceId: '1', workerId: '1' }
+    const second = { instanceId: '2', workerId: '1' }
+    assert.equal(await markCustomerInProgress(customer, { owner: first }), true)
+    assert.equal(await markCustomerInProgress(customer, { owner: second }), false)
+    assert.equal(await renewCustomerLease(customer, first), true)
+    assert.equal(await renewCustomerLease(customer, second), false)
+
+    assert.equal(await markCustomerCompleted(customer, second), false)
+    assert.equal(await markCustomerCompleted(customer, first), true)
+    assert.equal((await getCustomerStatus(customer))?.leaseOwner, undefined)
+    assert.equal(await markCustomerInProgress(customer, { owner: second }), true)
+  })
+
+  it('rejects customer writes from a worker that lost the lease', async () => {
+    const first = { instanceId: '1', workerId: '1' }
+    const second = { instanceId: '2', workerId: '1' }
+    await markCustomerInProgress(customer, { owner: first, leaseDuration: -1000 })
+    await markCustomerInProgress(customer, { owner: second })
+
+    assert.equal(await updateCustomerProgress({ customer, owner: first, completedSpaces: 1, completedUploads: 8 }), false)
+    assert.equal(await markCustomerFailed(customer, '{}', first), false)
+
+    const status = await getCustomerStatus(customer)
+    assert.equal(status?.status, 'in-progress')
+    assert.equal(status?.completedSpaces, 0)
+    assert.equal(status?.leaseOwner, '2/1')
+  })
+
+  it('hands each queued customer to one worker until none remain', async () => {
+    const queued = Array.from({ length: 30 }, (_, i) => ({
+      customer: `did:mailto:example.com:user${i}`,
+      totalSpaces: 1,
+      totalUploads: i,
+    }))
+    await batchAssignCustomers(queued)
+    assert.equal((await getCustomerStatus('did:mailto:example.com:user0'))?.instanceId, undefined)
+
+    /** @param {{instanceId: string, workerId: string}} owner */
+    const drain = async (owner) => {
+      const claimed = []
+      for (let next; (next = await claimNextCustomer({ owner }));) {
+        assert.equal(next.status, 'in-progress')
+        assert.equal(next.instanceId, owner.instanceId)
+        claimed.push(next.customer)
+      }
+      return claimed
+    }
+    const [first, second] = await Promise.all([
+      drain({ instanceId: '1', workerId: '1' }),
+      drain({ instanceId: '2', workerId: '1' }),
+    ])
+
+    assert.equal(first.length + second.length, 30)
+    assert.equal(new Set([...first, ...second]).size, 30)
+    assert.deepEqual(await getCustomersByStatus('pending'), [])
+    assert.equal((await getCustomerStatus(first[0]))?.leaseOwner, '1/1')
+  })
+
+  it('reclaims queued customers whose lease expired', async () => {
+    const crashed = { instanceId: '1', workerId: '1' }
+    const other = { instanceId: '2', workerId: '1' }
+    await markCustomerInProgress(customer, { owner: crashed, leaseDuration: -1000 })
+    await markCustomerInProgress('did:mailto:example.com:bob', { owner: other })
+    await markCustomerInProgress('did:mailto:example.com:carol', { owner: other })
+    await markCustomerCompleted('did:mailto:example.com:carol', other)
+
+    const claimed = await claimNextCustomer({ owner: other })
+    assert.equal(claimed?.customer, customer)
+    assert.equal(claimed?.leaseOwner, '2/1')
+    assert.equal(await renewCustomerLease(customer, crashed), false)
+    assert.equal(await claimNextCustomer({ owner: other }), null)
+  })
+
+  it('does not claim or fail customers skipped by the policy', async () => {
+    const owner = { instanceId: '1', workerId: '1' }
+    await batchAssignCustomers([{ customer, totalSpaces: 1, totalUploads: 1 }])
+
+    assert.equal((await claimNextCustomer({ owner }))?.customer, customer)
+    assert.equal(await markCustomerSkipped(customer, 'CI account', owner), true)
+
+    const status = await getCustomerStatus(customer)
+    assert.equal(status?.status, 'skipped')
+    assert.equal(status?.error, 'CI account')
+    assert.equal(status?.leaseOwner, undefined)
+    assert.deepEqual(await getCustomersByStatus('failed'), [])
+    assert.equal(await claimNextCustomer({ owner }), null)
+  })
+
+  it('is not completed when unknown', async () => {
+    assert.equal(await getCustomerStatus(customer), null)
+    assert.equal(await isCustomerCompleted(customer), false)
+  })
+})
+
+describe('migration uploads table', () => {
+  /** @type {import('../src/lib/local/memory-dynamodb.js').MemoryDynamoDB} */
+  let dynamo
+
+  beforeEach(() => {
+    dynamo = useMemoryTables()
+    const record = { customer, attempts: 1, createdAt: '2025-12-10T09:00:00.000Z' }
+    dynamo.seed(config.tables.migrationUploads, [
+      { ...record, space, root: 'bafy-failed', status: 'failed', failureReason: 'INDEXING_SERVICE_500', updatedAt: '2025-12-10T10:00:00.000Z' },
+      { ...record, space, root: 'bafy-stale', status: 'in-progress', updatedAt: '2025-12-10T10:00:00.000Z' },
+      { ...record, space, root: 'bafy-running', status: 'in-progress', updatedAt: '2025-12-10T12:30:00.000Z' },
+      { ...record, space, root: 'bafy-done', status: 'completed', updatedAt: '2025-12-10T10:00:00.000Z' },
+      { ...record, space: otherSpace, root: 'bafy-other', status: 'in-progress', updatedAt: '2025-12-10T10:00:00.000Z' },
+    ])
+  })
+
+  /**
+   * @param {Parameters<typeof listFailedUploads>[0]} filter
+   */
+  async function roots(filter) {
+    const found = []
+    for await (const upload of listFailedUploads(filter)) {
+      found.push(upload.root)
+    }
+    return found.sort()
+  }
+
+  it('lists failed uploads, and stale in-progress ones when asked', async () => {
+    const staleBefore = '2025-12-10T12:00:00.000Z'
+    assert.deepEqual(await roots({}), ['bafy-failed'])
+    assert.deepEqual(await roots({ staleBefore }), ['bafy-failed', 'bafy-other', 'bafy-stale'])
+    assert.deepEqual(await roots({ space, staleBefore }), ['bafy-failed', 'bafy-stale'])
+  })
+
+  it('leaves stale uploads out when filtering on a failure reason', async () => {
+    const staleBefore = '2025-12-10T12:00:00.000Z'
+    assert.deepEqual(await roots({ failureReason: 'INDEXING_SERVICE_500', staleBefore }), ['bafy-failed'])
+    assert.deepEqual(await roots({ space, failureReason: 'INDEXING_SERVICE_500', staleBefore }), ['bafy-failed'])
+  })
+})
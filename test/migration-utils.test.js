@@ -0,0 +1,65 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import {
+  STEP,
+  FAILURE_REASON,
+  getStepFailureReason,
+  getVerificationFailureReason,
+} from '../src/lib/migration-utils.js'
+
+const verified = {
+  success: true,
+  indexVerified: true,
+  locationClaimsVerified: true,
+  allShardsHaveSpace: true,
+}
+
+describe('getStepFailureReason', () => {
+  it('maps each step to its failure reason', () => {
+    assert.equal(getStepFailureReason(STEP.ANALYZE), FAILURE_REASON.ANALYSIS_FAILED)
+    assert.equal(getStepFailureReason(STEP.INDEX_GENERATION), FAILURE_REASON.INDEX_GENERATION_FAILED)
+    assert.equal(getStepFailureReason(STEP.LOCATION_CLAIMS), FAILURE_REASON.LOCATION_CLAIM_FAILED)
+    assert.equal(getStepFailureReason(STEP.GATEWAY_AUTH), FAILURE_REASON.GATEWAY_AUTH_FAILED)
+  })
+
+  it('is unknown for steps that do not fail on their own', () => {
+    assert.equal(getStepFailureReason(STEP.INIT), FAILURE_REASON.UNKNOWN_ERROR)
+    assert.equal(getStepFailureReason(STEP.VERIFY), FAILURE_REASON.UNKNOWN_ERROR)
+  })
+})
+
+describe('getVerificationFailureReason', () => {
+  it('has no reason when verification succeeded', () => {
+    assert.equal(getVerificationFailureReason(verified, { success: true }), undefined)
+    assert.equal(getVerificationFailureReason(verified, null), undefined)
+  })
+
+  it('reports the first failed check', () => {
+    const failed = { ...verified, success: false }
+    assert.equal(
+      getVerificationFailureReason({ ...failed, indexVerified: false, locationClaimsVerified: false }),
+      FAILURE_REASON.INDEX_MISSING
+    )
+    assert.equal(
+      getVerificationFailureReason({ ...failed, locationClaimsVerified: false, allShardsHaveSpace: false }),
+      FAILURE_REASON.LOCATION_CLAIMS_MISSING
+    )
+    assert.equal(
+      getVerificationFailureReason({ ...failed, allShardsHaveSpace: false }),
+      FAILURE_REASON.SPACE_INFO_MISSING
+    )
+    assert.equal(getVerificationFailureReason(failed, { success: true }), FAILURE_REASON.VERIFICATION_FAILED)
+  })
+
+  it('blames a failed gateway authorization first', () => {
+    const failed = { ...verified, success: false, indexVerified: false }
+    assert.equal(
+      getVerificationFailureReason(failed, { success: false, reason: 'no-delegation-found' }),
+      FAILURE_REASON.MISSING_DELEGATION
+    )
+    assert.equal(
+      getVerificationFailureReason(failed, { success: false, reason: 'gateway-error' }),
+      FAILURE_REASON.GATEWAY_AUTH_FAILED
+    )
+  })
+})
@@ -0,0 +1,48 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { getSubdomainGatewayUrl, verifyGatewayRetrieval } from '../src/lib/migration-verify.js'
+import { mockFetch, quiet } from './helpers.js'
+
+const V0 = 'QmYwAPJzv5CZsnA625s3Xf2nemtYgPpHdWEz79ojWnPbdG'
+const V1 = 'bafybeigdyrzt5sfp7udm7hu76uh7y26nf3efuylqabf3oclgtqy55fbzdi'
+
+describe('getSubdomainGatewayUrl', () => {
+  it('uses subdomains for CIDv1', () => {
+    assert.equal(getSubdomainGatewayUrl('https://w3s.link', V1), `https://${V1}.ipfs.w3s.link`)
+    assert.equal(getSubdomainGatewayUrl('https://staging.w3s.link', V1), `https://${V1}.ipfs-staging.w3s.link`)
+  })
+
+  it('uses the path format for CIDv0, which subdomains would lowercase', () => {
+    assert.equal(getSubdomainGatewayUrl('https://w3s.link', V0), `https://w3s.link/ipfs/${V0}`)
+    assert.equal(getSubdomainGatewayUrl('https://staging.w3s.link', V0), `https://staging.w3s.link/ipfs/${V0}`)
+  })
+
+  it('uses the path format on other gateways', () => {
+    assert.equal(getSubdomainGatewayUrl('http://127.0.0.1:9305', V1), `http://127.0.0.1:9305/ipfs/${V1}`)
+  })
+})
+
+describe('verifyGatewayRetrieval', () => {
+  it('succeeds when the gateway serves the root', async (t) => {
+    quiet(t)
+    const requests = mockFetch(t, () => new Response(null, { status: 200, headers: { 'content-length': '42' } }))
+
+    const result = await verifyGatewayRetrieval({ rootCID: V1, gatewayUrl: 'https://w3s.link' })
+
+    assert.deepEqual(result, { success: true, statusCode: 200, contentLength: 42, error: null, url: `https://${V1}.ipfs.w3s.link` })
+    assert.equal(requests[0].method, 'HEAD')
+  })
+
+  it('fails on error responses and network errors', async (t) => {
+    quiet(t)
+    mockFetch(t, () => new Response(null, { status: 404 }))
+    assert.equal((await verifyGatewayRetrieval({ rootCID: V1, gatewayUrl: 'https://w3s.link' })).error, 'HTTP 404')
+
+    mockFetch(t, () => {
+      throw new TypeError('fetch failed')
+    })
+    const result = await verifyGatewayRetrieval({ rootCID: V1, gatewayUrl: 'https://w3s.link' })
+    assert.equal(result.success, false)
+    assert.equal(result.error, 'fetch failed')
+  })
+})
@@ -0,0 +1,54 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { SpaceProgressTracker } from '../src/lib/progress-tracker.js'
+
+describe('SpaceProgressTracker', () => {
+  it('only advances the checkpoint past uploads whose predecessors finished', () => {
+    const tracker = new SpaceProgressTracker()
+    const a = tracker.start('bafy-a')
+    const b = tracker.start('bafy-b')
+    const c = tracker.start('bafy-c')
+
+    tracker.finish(c)
+    assert.equal(tracker.checkpoint, undefined)
+    assert.equal(tracker.checkpointed, 0)
+    assert.equal(tracker.processed, 1)
+
+    tracker.finish(a)
+    assert.equal(tracker.checkpoint, 'bafy-a')
+    assert.equal(tracker.checkpointed, 1)
+
+    tracker.finish(b)
+    assert.equal(tracker.checkpoint, 'bafy-c')
+    assert.equal(tracker.checkpointed, 3)
+    assert.equal(tracker.inFlight, 0)
+  })
+
+  it('keeps the failures up to the checkpoint apart from those above it', () => {
+    const tracker = new SpaceProgressTracker()
+    const a = tracker.start('bafy-a')
+    const b = tracker.start('bafy-b')
+    const c = tracker.start('bafy-c')
+
+    tracker.finish(a, 'INDEXING_SERVICE_500')
+    tracker.finish(c, 'BLOB_NOT_FOUND')
+    assert.deepEqual(tracker.checkpointFailures, { INDEXING_SERVICE_500: 1 })
+
+    tracker.finish(b)
+    assert.deepEqual(tracker.checkpointFailures, { INDEXING_SERVICE_500: 1, BLOB_NOT_FOUND: 1 })
+  })
+
+  it('resumes from the checkpoint with its count and failures', () => {
+    const failures = { INDEXING_SERVICE_500: 2 }
+    const tracker = new SpaceProgressTracker({ processed: 5, checkpoint: 'bafy-e', failures })
+    assert.equal(tracker.checkpointed, 5)
+
+    const f = tracker.start('bafy-f')
+    tracker.finish(f, 'INDEXING_SERVICE_500')
+    assert.equal(tracker.processed, 6)
+    assert.equal(tracker.checkpoint, 'bafy-f')
+    assert.deepEqual(tracker.checkpointFailures, { INDEXING_SERVICE_500: 3 })
+    // The failures of the previous run are copied, not shared
+    assert.deepEqual(failures, { INDEXING_SERVICE_500: 2 })
+  })
+})
@@ -0,0 +1,156 @@
+import { describe, it, after } from 'node:test'
+import assert from 'node:assert/strict'
+import PQueue from 'p-queue'
+import { config } from '../src/config.js'
+import {
+  createTokenBucket,
+  configureRateLimits,
+  acquireRateLimit,
+  getRateLimitStats,
+} from '../src/lib/rate-limiter.js'
+import { createAdaptiveConcurrency } from '../src/lib/adaptive-concurrency.js'
+import { httpFetch } from '../src/lib/http-client.js'
+import { mockFetch, quiet } from './helpers.js'
+
+describe('createTokenBucket', () => {
+  it('lets a burst through, then paces requests at the rate', async () => {
+    const bucket = createTokenBucket({ rate: 50, burst: 2 })
+    const start = performance.now()
+
+    const waits = await Promise.all([1, 2, 3, 4].map(() => bucket.take()))
+
+    assert.deepEqual(waits.slice(0, 2), [0, 0])
+    assert.ok(waits[2] > 0)
+    // Two tokens at 50/s take at least 40ms
+    assert.ok(performance.now() - start >= 35)
+  })
+})
+
+describe('service rate limits', () => {
+  after(() => configureRateLimits())
+
+  it('limits requests to the configured services only', async () => {
+    configureRateLimits({ indexingService: 20, gatewayService: 1000 })
+
+    await acquireRateLimit(new URL(config.services.indexingServiceURL))
+    await acquireRateLimit(new URL(config.services.indexingServiceURL))
+    await acquireRateLimit(new URL('https://unlimited.example/'))
+
+    const stats = getRateLimitStats()
+    assert.deepEqual(Object.keys(stats).sort(), ['gatewayService', 'indexingService'])
+    assert.equal(stats.indexingService?.requests, 2)
+    assert.equal(stats.gatewayService?.requests, 0)
+  })
+
+  it('counts gateway subdomains as the gateway', async (t) => {
+    const gatewayServiceURL = config.services.gatewayServiceURL
+    config.services.gatewayServiceURL = 'https://w3s.link'
+    t.after(() => {
+      config.services.gatewayServiceURL = gatewayServiceURL
+    })
+    configureRateLimits({ gatewayService: 1000 })
+
+    await acquireRateLimit(new URL('https://bafybeigdyrzt5sfp7udm7hu76uh7y26nf3efuylqabf3oclgtqy55fbzdi.ipfs.w3s.link/'))
+
+    assert.equal(getRateLimitStats().gatewayService?.requests, 1)
+  })
+
+  it('throttles requests sent through the HTTP client', async (t) => {
+    configureRateLimits({ indexWorker: 20 })
+    mockFetch(t, () => new Response('ok'))
+
+    // A second's worth of requests goes through, the rest waits
+    await Promise.all(Array.from({ length: 22 }, () => httpFetch(`${config.services.indexWorkerURL}/index/key`)))
+
+    const stats = getRateLimitStats().indexWorker
+    assert.equal(stats?.requests, 22)
+    // Tokens trickle in while the first ones are taken, so not always both
+    assert.ok((stats?.throttled ?? 0) >= 1)
+    assert.ok((stats?.waitedMs ?? 0) > 0)
+  })
+})
+
+describe('createAdaptiveConcurrency', () => {
+  /**
+   * Controller over a saturated pool, fed with fake metrics
+   *
+   * @param {number} initial
+   */
+  function saturated(initial) {
+    /** @type {Record<string, import('../src/lib/http-client.js').HostMetrics>} */
+    const metrics = {}
+    const queue = new PQueue({ concurrency: initial, autoStart: false })
+    for (let i = 0; i < 20; i++) queue.add(() => new Promise(() => {}))
+    // pending >= concurrency and queued work: pretend the pool is busy
+    Object.defineProperty(queue, 'pending', { get: () => queue.concurrency })
+
+    /**
+     * Record requests to a host
+     *
+     * @param {string} host
+     * @param {{requests: number, errors?: number, statuses?: Record<string, number>, totalMs?: number}} window
+     */
+    const record = (host, { requests, errors = 0, statuses = {}, totalMs = requests * 100 }) => {
+      const entry = (metrics[host] ??= { requests: 0, retries: 0, errors: 0, timeouts: 0, statuses: {}, totalMs: 0, maxMs: 0 })
+      entry.requests += requests
+      entry.errors += errors
+      entry.totalMs += totalMs
+      for (const [status, count] of Object.entries(statuses)) {
+        entry.statuses[status] = (entry.statuses[status] ?? 0) + count
+      }
+    }
+    const controller = createAdaptiveConcurrency({
+      queue,
+      max: 10,
+      min: 2,
+      initial,
+      maxErrorRate: 0.1,
+      maxLatency: 1000,
+      metrics: () => structuredClone(metrics),
+    })
+    return { queue, controller, record }
+  }
+
+  it('raises concurrency while services are healthy, up to the ceiling', (t) => {
+    quiet(t)
+    const { queue, controller, record } = saturated(9)
+
+    record('indexer.example', { requests: 50, statuses: { 200: 50 } })
+    assert.equal(controller.adjust().action, 'increase')
+    assert.equal(queue.concurrency, 10)
+
+    record('indexer.example', { requests: 50, statuses: { 200: 50 } })
+    assert.equal(controller.adjust().action, 'hold')
+    assert.equal(queue.concurrency, 10)
+  })
+
+  it('lowers concurrency on errors or slow responses, down to the floor', (t) => {
+    quiet(t)
+    const { queue, controller, record } = saturated(8)
+
+    record('indexer.example', { requests: 20, statuses: { 200: 15, 429: 3 }, errors: 2 })
+    const decision = controller.adjust()
+    assert.equal(decision.action, 'decrease')
+    assert.match(decision.reason ?? '', /indexer.example error rate 25.0%/)
+    assert.equal(queue.concurrency, 6)
+
+    record('worker.example', { requests: 10, statuses: { 200: 10 }, totalMs: 50_000 })
+    assert.match(controller.adjust().reason ?? '', /worker.example average response time 5000ms/)
+    assert.equal(queue.concurrency, 4)
+
+    for (let i = 0; i < 3; i++) {
+      record('indexer.example', { requests: 10, statuses: { 503: 10 } })
+      controller.adjust()
+    }
+    assert.equal(queue.concurrency, 2)
+  })
+
+  it('ignores hosts with too few requests to judge', (t) => {
+    quiet(t)
+    const { queue, controller, record } = saturated(4)
+
+    record('rare.example', { requests: 2, errors: 2 })
+    assert.equal(controller.adjust().action, 'increase')
+    assert.equal(queue.concurrency, 5)
+  })
+})
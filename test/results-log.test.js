@@ -0,0 +1,64 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { mkdtemp, rm, writeFile } from 'node:fs/promises'
+import { tmpdir } from 'node:os'
+import path from 'node:path'
+import { loadUploadsFromLog } from '../src/lib/results-log.js'
+import { quiet } from './helpers.js'
+
+const space = 'did:key:z6MkhaXgBZDvotDkL5257faiztiGiC2QtKLGpbnnEGta2doK'
+
+// Results as migrate.js saves them (nested status and verification trimmed)
+const results = [
+  {
+    step: 'verify',
+    success: true,
+    upload: 'bafyrepaired',
+    space,
+    shardsRepublished: 2,
+    verification: { success: true, details: 'Verification skipped in repair mode - claims cached successfully' },
+    repairMode: true,
+    repaired: true,
+  },
+  // Full migrations of older runs only recorded repairMode
+  { step: 'verify', success: true, upload: 'bafyrepairedbefore', space, shardsRepublished: 1, repairMode: true },
+  { step: 'verify', success: true, upload: 'bafymigrated', space, shardsRepublished: 1, repairMode: false, repaired: false },
+  {
+    step: 'location-claims',
+    success: false,
+    upload: 'bafyfailed',
+    space,
+    failureReason: 'LOCATION_CLAIM_FAILED',
+    error: 'claim/cache failed',
+  },
+  { step: 'analyze', success: false, upload: 'bafyfailed', space, failureReason: 'LOCATION_CLAIM_FAILED' },
+  { step: 'init', success: false, failureReason: 'UNKNOWN_ERROR', error: 'no upload' },
+]
+
+describe('loadUploadsFromLog', () => {
+  it('selects uploads of a results log', async (t) => {
+    quiet(t)
+    const dir = await mkdtemp(path.join(tmpdir(), 'results-log-'))
+    t.after(() => rm(dir, { recursive: true, force: true }))
+    const file = path.join(dir, '2025-12-08T15-00-00_migrate_customer-alice.json')
+    await writeFile(file, JSON.stringify(results, null, 2))
+
+    const roots = async (/** @type {Parameters<typeof loadUploadsFromLog>[1]} */ filter) =>
+      (await loadUploadsFromLog(file, filter)).map(({ root }) => root)
+
+    assert.deepEqual(await roots(), ['bafyrepaired', 'bafyrepairedbefore', 'bafymigrated', 'bafyfailed'])
+    assert.deepEqual(await roots({ onlyRepaired: true }), ['bafyrepaired', 'bafyrepairedbefore'])
+    assert.deepEqual(await roots({ onlyFailed: true }), ['bafyfailed'])
+    assert.deepEqual(await roots({ failureReason: 'UNKNOWN_ERROR' }), [])
+    assert.deepEqual((await loadUploadsFromLog(file, { onlyFailed: true }))[0], { space, root: 'bafyfailed' })
+  })
+
+  it('rejects files that are not a results log', async (t) => {
+    const dir = await mkdtemp(path.join(tmpdir(), 'results-log-'))
+    t.after(() => rm(dir, { recursive: true, force: true }))
+    const file = path.join(dir, 'plan.json')
+    await writeFile(file, JSON.stringify({ results }))
+
+    await assert.rejects(loadUploadsFromLog(file), /must contain an array of migration results/)
+  })
+})
@@ -0,0 +1,92 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { addActivity, estimateThroughput, estimateFleetThroughput, formatEta } from '../src/lib/throughput.js'
+
+const HOUR = 60 * 60 * 1000
+const now = Date.parse('2025-12-10T12:00:00Z')
+
+/**
+ * @param {Partial<import('../src/lib/throughput.js').WorkProgress>} progress
+ * @returns {import('../src/lib/throughput.js').WorkProgress}
+ */
+const work = (progress) => ({ totalUploads: 0, completedUploads: 0, totalSpaces: 0, completedSpaces: 0, ...progress })
+
+describe('estimateThroughput', () => {
+  it('projects the time left from the average rate since the first record', () => {
+    const progress = work({ totalUploads: 3000, completedUploads: 1000, totalSpaces: 30, completedSpaces: 10 })
+    addActivity(progress, { createdAt: '2025-12-10T08:00:00Z', updatedAt: '2025-12-10T09:00:00Z' })
+    addActivity(progress, { createdAt: '2025-12-10T10:00:00Z', updatedAt: '2025-12-10T11:30:00Z' })
+
+    const throughput = estimateThroughput(progress, now)
+
+    assert.equal(throughput.uploadsPerHour, 250)
+    assert.equal(throughput.spacesPerHour, 2.5)
+    assert.equal(throughput.remainingUploads, 2000)
+    assert.equal(throughput.etaMs, 8 * HOUR)
+  })
+
+  it('has no ETA before anything completed', () => {
+    const progress = work({ totalUploads: 100, totalSpaces: 1 })
+    addActivity(progress, { createdAt: '2025-12-10T11:00:00Z' })
+
+    assert.equal(estimateThroughput(progress, now).etaMs, null)
+  })
+
+  it('keeps the rate of a finished instance', () => {
+    const progress = work({ totalUploads: 100, completedUploads: 100, totalSpaces: 2, completedSpaces: 2 })
+    addActivity(progress, { createdAt: '2025-12-10T08:00:00Z', updatedAt: '2025-12-10T10:00:00Z' })
+
+    const throughput = estimateThroughput(progress, now)
+    assert.equal(throughput.uploadsPerHour, 50)
+    assert.equal(throughput.etaMs, 0)
+  })
+})
+
+describe('estimateFleetThroughput', () => {
+  it('adds up instance rates and waits for the slowest instance', () => {
+    const fast = work({ totalUploads: 2000, completedUploads: 1000, totalSpaces: 4, completedSpaces: 2 })
+    addActivity(fast, { createdAt: '2025-12-10T10:00:00Z' })
+    const slow = work({ totalUploads: 2000, completedUploads: 200, totalSpaces: 4, completedSpaces: 1 })
+    addActivity(slow, { createdAt: '2025-12-10T10:00:00Z' })
+
+    const fleet = estimateFleetThroughput({ 1: fast, 2: slow }, now)
+
+    assert.equal(fleet.uploadsPerHour, 600)
+    assert.equal(fleet.remainingUploads, 2800)
+    assert.equal(fleet.slowestInstance, '2')
+    assert.equal(fleet.etaMs, 18 * HOUR)
+    assert.equal(Math.round(/** @type {number} */ (fleet.balancedEtaMs) / 60_000), 280)
+  })
+
+  it('counts work left in the queue towards the balanced ETA', () => {
+    const done = work({ totalUploads: 1000, completedUploads: 1000, totalSpaces: 2, completedSpaces: 2 })
+    addActivity(done, { createdAt: '2025-12-10T10:00:00Z', updatedAt: '2025-12-10T12:00:00Z' })
+
+    const fleet = estimateFleetThroughput({ 1: done }, now, 3000)
+
+    assert.equal(fleet.remainingUploads, 3000)
+    assert.equal(fleet.balancedEtaMs, 6 * HOUR)
+    assert.equal(fleet.etaMs, 6 * HOUR)
+  })
+
+  it('has no ETA while an instance has not completed anything', () => {
+    const started = work({ totalUploads: 10, totalSpaces: 1 })
+    addActivity(started, { createdAt: '2025-12-10T11:00:00Z' })
+    const running = work({ totalUploads: 10, completedUploads: 5, totalSpaces: 1 })
+    addActivity(running, { createdAt: '2025-12-10T11:00:00Z' })
+
+    const fleet = estimateFleetThroughput({ 1: running, 2: started }, now)
+    assert.equal(fleet.etaMs, null)
+    assert.equal(fleet.slowestInstance, '2')
+  })
+})
+
+describe('formatEta', () => {
+  it('formats durations', () => {
+    assert.equal(formatEta(null), 'unknown')
+    assert.equal(formatEta(0), 'done')
+    assert.equal(formatEta(12 * 60_000), '12m')
+    assert.equal(formatEta(2 * HOUR + 15 * 60_000), '2h 15m')
+    assert.equal(formatEta(76 * HOUR), '3d 4h')
+  })
+})
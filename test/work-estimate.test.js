@@ -0,0 +1,68 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { config } from '../src/config.js'
+import {
+  WORK_MODEL,
+  sampleCustomerWork,
+  combineSamples,
+  estimateSecondsPerUpload,
+  estimateCustomerSeconds,
+} from '../src/lib/work-estimate.js'
+import { createShard, useMemoryTables } from './helpers.js'
+
+const GIB = 1024 ** 3
+const spaces = [
+  'did:key:z6MkhaXgBZDvotDkL5257faiztiGiC2QtKLGpbnnEGta2doK',
+  'did:key:z6MkjchhfUsD6mmvni8mCdXHw216Xrm9bQe2mBH1P5RDjVJG',
+]
+
+describe('sampleCustomerWork', () => {
+  it('samples shards and bytes of uploads spread over the spaces', async () => {
+    const dynamo = useMemoryTables()
+    const shards = await Promise.all([1, 2, 3, 4].map(() => createShard(1)))
+    const [a, b, c, missing] = shards.map(({ shard }) => shard.toString())
+    dynamo.seed(config.tables.upload, [
+      { space: spaces[0], root: 'bafyroot1', shards: [a, b] },
+      { space: spaces[0], root: 'bafyroot2', shards: [c] },
+      { space: spaces[1], root: 'bafyroot3', shards: [missing] },
+    ])
+    dynamo.seed(config.tables.store, [
+      { space: spaces[0], link: a, size: 100 },
+      { space: spaces[0], link: b, size: 200 },
+      { space: spaces[0], link: c, size: 300 },
+    ])
+
+    const sample = await sampleCustomerWork(spaces, { limit: 2, checkIndex: false })
+
+    // One upload from each space
+    assert.deepEqual(sample, { uploads: 2, shards: 3, bytes: 300, indexed: 0 })
+    assert.deepEqual(await sampleCustomerWork([], { checkIndex: false }), { uploads: 0, shards: 0, bytes: 0, indexed: 0 })
+  })
+})
+
+describe('work estimates', () => {
+  it('costs big unindexed uploads more than indexed ones', () => {
+    const unindexed = { uploads: 2, shards: 4, bytes: 2 * GIB, indexed: 0 }
+    assert.equal(
+      estimateSecondsPerUpload(unindexed),
+      WORK_MODEL.perUpload + 2 * WORK_MODEL.perShard + WORK_MODEL.perGiB
+    )
+    assert.equal(estimateSecondsPerUpload({ ...unindexed, indexed: 2 }), WORK_MODEL.perUpload)
+    assert.equal(estimateSecondsPerUpload(undefined), WORK_MODEL.fallbackPerUpload)
+  })
+
+  it('estimates unsampled customers from the fleet sample', () => {
+    const sampled = { uploads: 1, shards: 1, bytes: 0, indexed: 0 }
+    const fleet = combineSamples([sampled, undefined, { uploads: 1, shards: 1, bytes: 0, indexed: 1 }])
+    assert.deepEqual(fleet, { uploads: 2, shards: 2, bytes: 0, indexed: 1 })
+
+    assert.equal(
+      estimateCustomerSeconds({ uploadCount: 10, work: sampled }, fleet),
+      10 * (WORK_MODEL.perUpload + WORK_MODEL.perShard)
+    )
+    assert.equal(
+      estimateCustomerSeconds({ uploadCount: 10 }, fleet),
+      10 * (WORK_MODEL.perUpload + WORK_MODEL.perShard / 2)
+    )
+  })
+})